@@ -5,7 +5,7 @@ export default defineConfig({
     resolve: {
         alias: [
             {
-                find: 'three',
+                find: /^three$/,
                 replacement: path.resolve(__dirname, 'web/src/test/three-stub.js')
             },
             {
@@ -15,6 +15,10 @@ export default defineConfig({
             {
                 find: 'three/addons/controls/TransformControls.js',
                 replacement: path.resolve(__dirname, 'web/src/test/three-transform-controls-stub.js')
+            },
+            {
+                find: 'three/addons/exporters/GLTFExporter.js',
+                replacement: path.resolve(__dirname, 'web/src/test/three-gltf-exporter-stub.js')
             }
         ]
     }
@@ -13,6 +13,9 @@ export const CONFIG = {
         SHAPE_EDGE_HOVER: '#ff8f00',
         SHAPE_FILL: 'rgba(224, 192, 151, 0.5)',
         SHAPE_FILL_SELECTED: 'rgba(0, 123, 255, 0.1)',
+        GRAIN: 'rgba(141, 110, 99, 0.35)',
+        BANDING: '#e65100',
+        BANDING_FILL: 'rgba(230, 81, 0, 0.2)',
         GUIDE_LINE: '#007bff',
         ALIGNMENT_GUIDE: '#ffc107',
         SNAP_POINT: 'rgba(0, 255, 0, 0.5)',
@@ -30,6 +33,7 @@ export const CONFIG = {
     CLICK_TOLERANCE_SCREEN_PX: 10,
     SCALE_PIXELS_PER_INCH: 10,
     DEFAULT_THICKNESS: 1.0,
+    CURVE_TOLERANCE: 0.01, // Inches a flattened curve may stray from the true one
     
     // UI Elements
     ARROW_GRID_RADIUS: 40,
@@ -7,9 +7,11 @@ export const DOM = {
     canvas: document.getElementById('drawing-canvas'),
     overlay: document.getElementById('overlay-canvas'),
     totalBoardFeet: document.getElementById('total-board-feet'),
+    btnTotalCost: document.getElementById('total-cost-btn'),
     btnModeDraw: document.getElementById('draw-mode-btn'),
     btnModeSelect: document.getElementById('select-mode-btn'),
     btnModePull: document.getElementById('pull-mode-btn'),
+    segmentType: document.getElementById('segment-type'),
     btnView2D: document.getElementById('view-2d-btn'),
     btnView3D: document.getElementById('view-3d-btn'),
     
@@ -18,14 +20,24 @@ export const DOM = {
     controls3D: document.getElementById('3d-controls'),
     btnResetCam: document.getElementById('reset-cam-btn'),
     btnToolSlice: document.getElementById('tool-slice-btn'),
+    btnCog: document.getElementById('cog-btn'),
     
     // Properties Panel
     propPanel: document.getElementById('properties-panel'),
     propName: document.getElementById('prop-name'),
     propThickness: document.getElementById('prop-thickness'),
+    propMaterial: document.getElementById('prop-material'),
+    propGrain: document.getElementById('prop-grain'),
+    propGrainRotate: document.getElementById('prop-grain-rotate'),
+    propMark: document.getElementById('prop-mark'),
     propLength: document.getElementById('prop-length'),
     propDelete: document.getElementById('prop-delete'),
     propJson: document.getElementById('prop-json'),
+    propExportDxf: document.getElementById('prop-export-dxf'),
+    propExportGcode: document.getElementById('prop-export-gcode'),
+    propPrintTemplate: document.getElementById('prop-print-template'),
+    propGlueUp: document.getElementById('prop-glue-up'),
+    propFindOffcut: document.getElementById('prop-find-offcut'),
     btnAddCutout: document.getElementById('add-cutout-btn'),
     btnAddTenon: document.getElementById('add-tenon-btn'),
     joineryList: document.getElementById('joinery-list'),
@@ -41,13 +53,46 @@ export const DOM = {
 
     // Presets
     boardPresetMenu: document.getElementById('board-preset-menu'),
-    presetButtons: document.querySelectorAll('.preset-btn'),
+    presetList: document.getElementById('board-preset-list'),
     btnClosePresetMenu: document.getElementById('close-preset-menu'),
+    btnEditStock: document.getElementById('edit-stock-btn'),
 
     // Projects
     projectList: document.getElementById('project-list'),
     btnAddProject: document.getElementById('add-project-btn'),
 
+    // Export
+    btnImportDxf: document.getElementById('import-dxf-btn'),
+    btnImportSvg: document.getElementById('import-svg-btn'),
+    btnImportProject: document.getElementById('import-project-btn'),
+    btnExportProject: document.getElementById('export-project-btn'),
+    btnExportDxf: document.getElementById('export-dxf-btn'),
+    btnExport3D: document.getElementById('export-3d-btn'),
+    btnExportSvg: document.getElementById('export-svg-btn'),
+    btnExportShopDrawing: document.getElementById('export-shop-drawing-btn'),
+    btnExportCutListCsv: document.getElementById('export-cut-list-csv-btn'),
+    btnExportCutListJson: document.getElementById('export-cut-list-json-btn'),
+
+    // Print
+    printView: document.getElementById('print-view'),
+    btnPrintCutList: document.getElementById('print-cut-list-btn'),
+    btnPrintTemplate: document.getElementById('print-template-btn'),
+    btnPrintShopDrawing: document.getElementById('print-shop-drawing-btn'),
+    btnNesting: document.getElementById('nesting-btn'),
+    btnStockCutting: document.getElementById('stock-cutting-btn'),
+    btnStockLibrary: document.getElementById('stock-library-btn'),
+    btnOffcuts: document.getElementById('offcuts-btn'),
+    btnWeight: document.getElementById('weight-btn'),
+    btnBanding: document.getElementById('banding-btn'),
+
+    // Form Dialog
+    formDialog: document.getElementById('form-dialog'),
+    formDialogForm: document.getElementById('form-dialog-form'),
+    formDialogTitle: document.getElementById('form-dialog-title'),
+    formDialogFields: document.getElementById('form-dialog-fields'),
+    formDialogSubmit: document.getElementById('form-dialog-submit'),
+    formDialogCancel: document.getElementById('form-dialog-cancel'),
+
     // Projects
     projectList: document.getElementById('project-list'),
     btnAddProject: document.getElementById('add-project-btn'),
@@ -56,4 +101,7 @@ export const DOM = {
     facePrevBtn: document.getElementById('face-prev-btn'),
     faceNextBtn: document.getElementById('face-next-btn'),
     faceLabel: document.getElementById('face-label'),
+    propBandingGroup: document.getElementById('prop-banding-group'),
+    propBanding: document.getElementById('prop-banding'),
+    propBandingThickness: document.getElementById('prop-banding-thickness'),
 };
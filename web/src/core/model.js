@@ -6,6 +6,7 @@
 
 import { CONFIG } from './config.js';
 import { Geometry } from '../utils/geometry.js';
+import { DEFAULT_MATERIAL } from '../utils/materials.js';
 
 export const ShapeModel = {
     /**
@@ -24,6 +25,8 @@ export const ShapeModel = {
             points: [...points], // Shallow copy points to avoid ref issues
             closed: true,
             thickness: CONFIG.DEFAULT_THICKNESS,
+            material: DEFAULT_MATERIAL, // Key into MATERIALS
+            grainAngle: 0, // Degrees from the length axis
             activeFace: 'FRONT',
             lastModified: Date.now(),
             
@@ -54,12 +57,15 @@ export const ShapeModel = {
 
     /**
      * Creates a new Shape from an existing one, replacing its geometry.
-     * Useful for Boolean operations where we want to keep the name/thickness 
+     * Useful for Boolean operations where we want to keep the name/thickness/material
      * but reset the edge geometry.
      */
     fromParent: (parentShape, newPoints) => {
         const newShape = ShapeModel.create(newPoints, parentShape.name);
         newShape.thickness = parentShape.thickness;
+        if (parentShape.material) newShape.material = parentShape.material;
+        if (parentShape.grainAngle) newShape.grainAngle = parentShape.grainAngle;
+        if (parentShape.glueUp) newShape.glueUp = structuredClone(parentShape.glueUp);
         if (parentShape.faceData.FRONT) newShape.faceData.FRONT = structuredClone(parentShape.faceData.FRONT);
         if (parentShape.faceData.BACK) newShape.faceData.BACK = structuredClone(parentShape.faceData.BACK);
         
@@ -84,3 +90,62 @@ export const CutoutModel = {
         return { x, y, w, h, depth };
     }
 };
+
+export const StockModel = {
+    /**
+     * Creates a lumber stock item for the stock library.
+     * @param {Object} [fields]
+     * @param {string} [fields.name] - e.g. "2x4 Stud".
+     * @param {string} [fields.nominal] - Trade size, e.g. "2x4".
+     * @param {number} [fields.width] - Actual width, inches.
+     * @param {number} [fields.thickness] - Actual thickness, inches.
+     * @param {Array<number>} [fields.lengths] - Lengths sold, inches.
+     * @param {string} [fields.species]
+     * @param {number} [fields.price] - Per linear foot.
+     */
+    create: ({ name = 'New Stock', nominal = '', width = 3.5, thickness = 0.75, lengths = [96], species = '', price = 0 } = {}) => {
+        return {
+            id: Math.random().toString(36).substr(2, 9),
+            name,
+            nominal,
+            width,
+            thickness,
+            lengths: [...lengths].sort((a, b) => a - b),
+            species,
+            price,
+            lastModified: Date.now()
+        };
+    }
+};
+
+export const OffcutModel = {
+    /**
+     * Creates an offcut for the offcut inventory.
+     * @param {Object} [fields]
+     * @param {number} [fields.length] - Along the grain, inches.
+     * @param {number} [fields.width] - Inches.
+     * @param {number} [fields.thickness] - Inches.
+     * @param {string} [fields.species]
+     * @param {string} [fields.source] - Where it came from, e.g. the project name.
+     */
+    create: ({ length = 24, width = 6, thickness = 0.75, species = '', source = '' } = {}) => {
+        return {
+            id: Math.random().toString(36).substr(2, 9),
+            length,
+            width,
+            thickness,
+            species,
+            source,
+            lastModified: Date.now()
+        };
+    }
+};
+
+/** Seeds the stock library on first run (the board presets the context menu used to offer). */
+export const DEFAULT_STOCK = [
+    { name: '2x4 Stud', nominal: '2x4', width: 3.5, thickness: 1.5, lengths: [96, 120, 144], species: 'SPF' },
+    { name: '2x6 Stud', nominal: '2x6', width: 5.5, thickness: 1.5, lengths: [96, 120, 144], species: 'SPF' },
+    { name: '4x4 Beam', nominal: '4x4', width: 3.5, thickness: 3.5, lengths: [96, 120], species: 'Douglas Fir' },
+    { name: '1x4 Trim', nominal: '1x4', width: 3.5, thickness: 0.75, lengths: [96], species: 'Pine' },
+    { name: '1x6 Trim', nominal: '1x6', width: 5.5, thickness: 0.75, lengths: [96], species: 'Pine' }
+];
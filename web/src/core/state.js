@@ -26,6 +26,7 @@ export const STATE = {
         activeTool3D: 'SELECT', // 'SELECT' | 'SLICE'
         drawState: 'IDLE', // 'IDLE' | 'START_SHAPE' | 'DRAWING_LINE'
         is3DOpen: false,
+        showCenterOfGravity: false, // 3D marker, from Weight & Balance
         
         // Selection
         selectedShapeId: null, 
@@ -40,13 +41,16 @@ export const STATE = {
         },
 
         // Active Interactions
+        segmentType: 'line', // 'line' | 'arc' | 'tangent' | 'cubic': kind of edge the draw tool adds
         activeDrawing: {
             points: [],
             tempLine: null,
             selectedDirection: null,
             highlightedDirection: null,
             snapTarget: null,
-            alignmentGuide: null
+            alignmentGuide: null,
+            pending: [],     // Clicks so far for a curved edge (through point, Bézier handles)
+            tempCurve: null
         },
 
         hoveredEdgeIndex: null,
@@ -67,6 +71,12 @@ export const STATE = {
         }
     },
 
+    // --- Libraries (Shared by all projects, saved on their own) ---
+    library: {
+        stock: [], // Lumber stock items, see StockModel
+        offcuts: [] // Leftover pieces kept for later projects, see OffcutModel
+    },
+
     // --- System Refs ---
     renderer: null,
     renderer3D: null,
@@ -1,11 +1,16 @@
 /**
  * @fileoverview Storage Utility (IndexedDB)
- * Handles persistence of projects and shapes.
+ * Handles persistence of projects and shapes, of the lumber stock library and
+ * of the offcut inventory.
  */
 
+import { StockModel, DEFAULT_STOCK } from './model.js';
+
 const DB_NAME = 'WoodCutPlannerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE_NAME = 'projects';
+const STOCK_STORE = 'stock';
+const OFFCUT_STORE = 'offcuts';
 
 export const Storage = {
     db: null,
@@ -19,6 +24,15 @@ export const Storage = {
                 if (!db.objectStoreNames.contains(STORE_NAME)) {
                     db.createObjectStore(STORE_NAME, { keyPath: 'id' });
                 }
+                // v2: stock library, seeded once so deleting every item sticks
+                if (!db.objectStoreNames.contains(STOCK_STORE)) {
+                    const stock = db.createObjectStore(STOCK_STORE, { keyPath: 'id' });
+                    DEFAULT_STOCK.forEach(fields => stock.put(StockModel.create(fields)));
+                }
+                // v3: offcut inventory
+                if (!db.objectStoreNames.contains(OFFCUT_STORE)) {
+                    db.createObjectStore(OFFCUT_STORE, { keyPath: 'id' });
+                }
             };
 
             request.onsuccess = (event) => {
@@ -60,6 +74,72 @@ export const Storage = {
             const store = transaction.objectStore(STORE_NAME);
             const request = store.delete(id);
 
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    saveStock: (item) => {
+        return new Promise((resolve, reject) => {
+            const transaction = Storage.db.transaction([STOCK_STORE], 'readwrite');
+            const store = transaction.objectStore(STOCK_STORE);
+            const request = store.put(item);
+
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    getAllStock: () => {
+        return new Promise((resolve, reject) => {
+            const transaction = Storage.db.transaction([STOCK_STORE], 'readonly');
+            const store = transaction.objectStore(STOCK_STORE);
+            const request = store.getAll();
+
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    deleteStock: (id) => {
+        return new Promise((resolve, reject) => {
+            const transaction = Storage.db.transaction([STOCK_STORE], 'readwrite');
+            const store = transaction.objectStore(STOCK_STORE);
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    saveOffcut: (offcut) => {
+        return new Promise((resolve, reject) => {
+            const transaction = Storage.db.transaction([OFFCUT_STORE], 'readwrite');
+            const store = transaction.objectStore(OFFCUT_STORE);
+            const request = store.put(offcut);
+
+            request.onsuccess = () => resolve();
+            request.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    getAllOffcuts: () => {
+        return new Promise((resolve, reject) => {
+            const transaction = Storage.db.transaction([OFFCUT_STORE], 'readonly');
+            const store = transaction.objectStore(OFFCUT_STORE);
+            const request = store.getAll();
+
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    },
+
+    deleteOffcut: (id) => {
+        return new Promise((resolve, reject) => {
+            const transaction = Storage.db.transaction([OFFCUT_STORE], 'readwrite');
+            const store = transaction.objectStore(OFFCUT_STORE);
+            const request = store.delete(id);
+
             request.onsuccess = () => resolve();
             request.onerror = (event) => reject(event.target.error);
         });
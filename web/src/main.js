@@ -5,11 +5,24 @@
 
 import { STATE } from './core/state.js';
 import { DOM } from './core/dom.js';
-import { Store } from './core/store.js';
+import { Store, EVENT_CHANGED } from './core/store.js';
 import { Input } from './systems/input.js';
 import { ThreedOp } from './operations/threed-op.js';
 import { ProjectOp } from './operations/project-op.js';
+import { ImportOp } from './operations/import-op.js';
+import { ExportOp } from './operations/export-op.js';
+import { PrintOp } from './operations/print-op.js';
+import { ShopDrawingOp } from './operations/shop-drawing-op.js';
+import { NestingOp } from './operations/nesting-op.js';
+import { StockCuttingOp } from './operations/stock-cutting-op.js';
+import { StockOp } from './operations/stock-op.js';
+import { OffcutOp } from './operations/offcut-op.js';
+import { CostOp } from './operations/cost-op.js';
+import { WeightOp } from './operations/weight-op.js';
+import { GlueUpOp } from './operations/glue-up-op.js';
+import { BandingOp } from './operations/banding-op.js';
 import { ViewController } from './systems/view-controller.js';
+import { DOMRenderer } from './systems/dom-renderer.js';
 import { CanvasRenderer } from './renderers/canvas-renderer.js';
 import { WebGLRenderer } from './renderers/webgl-renderer.js';
 
@@ -66,7 +79,10 @@ async function init() {
     STATE.overlay = new CanvasRenderer(DOM.overlay);
 
     // 2. Initialize Storage & Projects (Non-blocking)
-    ProjectOp.init().catch(err => console.error("Failed to load projects:", err));
+    ProjectOp.init()
+        .then(StockOp.init)
+        .then(OffcutOp.init)
+        .catch(err => console.error("Failed to load projects, stock or offcuts:", err));
     
     // 3. Initial Layout
     const w = DOM.canvas.parentElement.clientWidth;
@@ -84,11 +100,9 @@ async function init() {
     DOM.canvas.addEventListener('wheel', Input.handleWheel);
     DOM.canvas.addEventListener('contextmenu', Input.handleContextMenu);
 
-    // Context Menu Buttons
-    DOM.presetButtons.forEach(btn => {
-        btn.addEventListener('click', Input.handleAddPreset);
-    });
+    // Context Menu Buttons (the presets themselves come from the stock library)
     DOM.btnClosePresetMenu.addEventListener('click', Input.hidePresetMenu);
+    DOM.btnEditStock.addEventListener('click', StockOp.manage);
 
     // 3D Specific events
     DOM.canvas3D.addEventListener('mousedown', ThreedOp.handleMouseDown);
@@ -132,6 +146,7 @@ async function init() {
     DOM.btnModeDraw.addEventListener('click', () => Input.switchTool('DRAW'));
     DOM.btnModeSelect.addEventListener('click', () => Input.switchTool('SELECT'));
     DOM.btnModePull.addEventListener('click', () => Input.switchTool('PULL'));
+    DOM.segmentType.addEventListener('change', (e) => Input.selectSegmentType(e.target.value));
     
     DOM.btnView2D.addEventListener('click', () => Input.switchView('2D'));
     DOM.btnView3D.addEventListener('click', () => Input.switchView('3D'));
@@ -152,12 +167,27 @@ async function init() {
             if (STATE.renderer3D && STATE.renderer3D.transformControls) STATE.renderer3D.transformControls.detach();
         }
     });
+    DOM.btnCog.addEventListener('click', () => WeightOp.toggleMarker());
+    // The marker follows parts as they are edited or moved
+    window.addEventListener(EVENT_CHANGED, WeightOp.updateMarker);
     
     // Properties Panel
+    DOMRenderer.renderMaterialOptions();
+    DOMRenderer.renderBandingOptions();
     DOM.propName.addEventListener('input', Input.handlePropChange);
     DOM.propThickness.addEventListener('mousedown', Input.handleThicknessMouseDown);
+    DOM.propMaterial.addEventListener('change', Input.handleMaterialChange);
+    DOM.propGrain.addEventListener('change', Input.handleGrainChange);
+    DOM.propGrainRotate.addEventListener('click', Input.handleGrainRotate);
+    DOM.propBanding.addEventListener('change', Input.handleBandingChange);
+    DOM.propBandingThickness.addEventListener('change', Input.handleBandingThicknessChange);
     DOM.propJson.addEventListener('change', Input.handleJSONImport);
     DOM.propDelete.addEventListener('click', Input.handleDeleteShape);
+    DOM.propExportDxf.addEventListener('click', () => ExportOp.exportDXF('SELECTED'));
+    DOM.propExportGcode.addEventListener('click', ExportOp.exportGCode);
+    DOM.propPrintTemplate.addEventListener('click', PrintOp.printTemplate);
+    DOM.propGlueUp.addEventListener('click', GlueUpOp.open);
+    DOM.propFindOffcut.addEventListener('click', OffcutOp.findForSelected);
     DOM.btnAddCutout.addEventListener('click', Input.handleAddCutout);
     DOM.btnAddTenon.addEventListener('click', Input.handleAddTenon);
     
@@ -171,6 +201,34 @@ async function init() {
         if (name) ProjectOp.createNewProject(name);
     });
 
+    // Import
+    DOM.btnImportDxf.addEventListener('click', ImportOp.importDXF);
+    DOM.btnImportSvg.addEventListener('click', ImportOp.importSVG);
+    DOM.btnImportProject.addEventListener('click', ImportOp.importProject);
+
+    // Export
+    DOM.btnExportProject.addEventListener('click', ExportOp.exportProject);
+    DOM.btnExportDxf.addEventListener('click', () => ExportOp.exportDXF('PROJECT'));
+    DOM.btnExport3D.addEventListener('click', ExportOp.export3D);
+    DOM.btnExportSvg.addEventListener('click', ExportOp.exportSVG);
+    DOM.btnExportShopDrawing.addEventListener('click', ShopDrawingOp.exportSVG);
+    DOM.btnExportCutListCsv.addEventListener('click', () => ExportOp.exportCutList('csv'));
+    DOM.btnExportCutListJson.addEventListener('click', () => ExportOp.exportCutList('json'));
+
+    // Print
+    DOM.btnPrintCutList.addEventListener('click', PrintOp.printCutList);
+    DOM.btnPrintTemplate.addEventListener('click', PrintOp.printTemplate);
+    DOM.btnPrintShopDrawing.addEventListener('click', ShopDrawingOp.print);
+
+    // Planning
+    DOM.btnNesting.addEventListener('click', NestingOp.open);
+    DOM.btnStockCutting.addEventListener('click', StockCuttingOp.open);
+    DOM.btnStockLibrary.addEventListener('click', StockOp.manage);
+    DOM.btnOffcuts.addEventListener('click', OffcutOp.manage);
+    DOM.btnTotalCost.addEventListener('click', CostOp.open);
+    DOM.btnWeight.addEventListener('click', WeightOp.open);
+    DOM.btnBanding.addEventListener('click', BandingOp.open);
+
     // Face Navigation
     DOM.facePrevBtn.addEventListener('click', () => Input.cycleFace(-1));
     DOM.faceNextBtn.addEventListener('click', () => Input.cycleFace(1));
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Edge Banding Operations
+ * Linear footage of each kind of edge banding the project takes, by part,
+ * with the trim overhang and whether cut sizes allow for banding editable per project.
+ */
+
+import { STATE } from '../core/state.js';
+import { EdgeBanding } from '../utils/edge-banding.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+import { ProjectOp } from './project-op.js';
+
+const { el, table } = ReportDom;
+
+export const BandingOp = {
+    /** "12.5 ft" from inches. */
+    formatFeet: (inches) => `${(inches / 12).toFixed(1)} ft`,
+
+    /**
+     * Totals and per-part tables.
+     * @param {Array<Object>} shapes
+     * @param {Object} settings - From EdgeBanding.settings.
+     * @returns {HTMLElement}
+     */
+    buildReport: (shapes, settings) => {
+        const report = el('div', 'banding-report');
+        const totals = EdgeBanding.totals(shapes, settings);
+        if (totals.length === 0) {
+            report.appendChild(el('div', 'report-caption',
+                'No banded edges yet. Pick an edge face in the properties panel and choose its banding.'));
+            return report;
+        }
+
+        report.appendChild(el('h4', null, 'To buy'));
+        report.appendChild(table(['Banding', 'Edges', 'Length'], totals.map(t => [
+            t.label,
+            String(t.edges),
+            BandingOp.formatFeet(t.length)
+        ])));
+
+        report.appendChild(el('h4', null, 'By part'));
+        const parts = shapes
+            .map(shape => ({ name: shape.name, edges: EdgeBanding.edges(shape) }))
+            .filter(p => p.edges.length > 0);
+        report.appendChild(table(['Part', 'Banded edges'], parts.map(p => [
+            p.name,
+            p.edges.map(e => `Edge ${e.index + 1} (${EdgeBanding.describe(e.banding)})`).join(', ')
+        ])));
+
+        report.appendChild(el('div', 'report-caption',
+            `Lengths include ${settings.overhang}" per edge to trim flush. ${settings.subtract
+                ? 'Cut lists give cut sizes: parts are cut smaller by their banding.'
+                : 'Cut lists give finished sizes, banding included.'}`));
+        return report;
+    },
+
+    /**
+     * Opens the report. Updating a setting saves it to the project and shows
+     * the report again.
+     */
+    open: async () => {
+        const project = STATE.document.currentProject;
+        if (!project) return;
+
+        for (;;) {
+            const settings = EdgeBanding.settings(project);
+            const values = await FormDialog.open({
+                title: 'Edge Banding',
+                submitLabel: 'Update',
+                cancelLabel: 'Close',
+                fields: [
+                    { key: 'overhang', label: 'Overhang to trim, per edge (in)', type: 'number', value: settings.overhang, step: 0.25, min: 0 },
+                    { key: 'subtract', label: 'Subtract banding from cut sizes', type: 'checkbox', value: settings.subtract }
+                ],
+                content: BandingOp.buildReport(STATE.document.shapes, settings)
+            });
+            if (!values) return;
+
+            project.settings = {
+                ...project.settings,
+                banding: {
+                    overhang: values.overhang >= 0 ? values.overhang : settings.overhang,
+                    subtract: values.subtract
+                }
+            };
+            await ProjectOp.saveCurrentProject();
+        }
+    }
+};
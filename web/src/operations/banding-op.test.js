@@ -0,0 +1,29 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { BandingOp } from './banding-op.js';
+import { ShapeModel } from '../core/model.js';
+
+vi.mock('./project-op.js', () => ({ ProjectOp: { saveCurrentProject: vi.fn() } }));
+
+const panel = (name) => ShapeModel.create([{ x: 0, y: 0 }, { x: 120, y: 0 }, { x: 120, y: 300 }, { x: 0, y: 300 }], name);
+
+describe('BandingOp', () => {
+    it('totals banding to buy and lists the banded edges of each part', () => {
+        const side = panel('Side'), shelf = panel('Shelf');
+        side.faceData.EDGE_1.banding = { material: 'pvc', thickness: 0.04 };
+        shelf.faceData.EDGE_0.banding = { material: 'pvc', thickness: 0.04 };
+        const report = BandingOp.buildReport([side, shelf, panel('Back')], { overhang: 1, subtract: true });
+
+        const [totals, parts] = report.querySelectorAll('table');
+        expect([...totals.querySelectorAll('tr')[1].children].map(td => td.textContent)).toEqual(['PVC 1.0 mm', '2', '3.7 ft']);
+        expect(parts.querySelectorAll('tr')).toHaveLength(3);
+        expect(parts.querySelectorAll('tr')[1].textContent).toContain('Edge 2 (PVC 1.0 mm)');
+        expect(report.querySelector('.report-caption').textContent).toContain('cut smaller');
+    });
+
+    it('explains how to band an edge when nothing is banded', () => {
+        expect(BandingOp.buildReport([panel('Side')], { overhang: 1 }).textContent).toContain('No banded edges');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Cost Operations
+ * Material cost breakdown for the current project, by material and by part,
+ * with the waste factor, rough stock allowances and prices editable per project.
+ */
+
+import { STATE } from '../core/state.js';
+import { Cost } from '../utils/cost.js';
+import { Materials, MATERIAL_UNITS } from '../utils/materials.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+import { ProjectOp } from './project-op.js';
+
+const { el, table } = ReportDom;
+
+export const CostOp = {
+    /**
+     * Breakdown tables for an estimate.
+     * @param {Object} estimate - From Cost.estimate.
+     * @returns {HTMLElement}
+     */
+    buildReport: (estimate) => {
+        const report = el('div', 'cost-report');
+        if (estimate.parts.length === 0) {
+            report.appendChild(el('div', 'report-caption', 'No parts to price yet.'));
+            return report;
+        }
+
+        report.appendChild(el('h4', null, 'By material'));
+        report.appendChild(table(['Material', 'To buy', 'With waste', 'Price', 'Cost'], estimate.materials.map(m => [
+            m.label,
+            Cost.formatQuantity(m.quantity, m.unit),
+            Cost.formatQuantity(m.required, m.unit),
+            `${Cost.formatMoney(m.price)} / ${MATERIAL_UNITS[m.unit].one}`,
+            Cost.formatMoney(m.cost)
+        ])));
+
+        report.appendChild(el('h4', null, 'By part'));
+        report.appendChild(table(['Part', 'Material', 'Net', 'To buy', 'Cost'], estimate.parts.map(p => [
+            p.name,
+            Materials.get(p.material).label,
+            Cost.formatQuantity(p.net, p.unit),
+            Cost.formatQuantity(p.quantity, p.unit),
+            Cost.formatMoney(p.cost)
+        ])));
+
+        report.appendChild(el('div', 'cost-total', `Total ${Cost.formatMoney(estimate.total)}`));
+        report.appendChild(el('div', 'report-caption',
+            `Costs include a ${Math.round(estimate.waste * 100)}% waste allowance. Solid wood is priced by the rough board feet to buy; sheet goods by the share of a sheet each part covers.`));
+        return report;
+    },
+
+    /**
+     * Opens the breakdown. Updating the waste factor, an allowance or a price
+     * saves it to the project and shows the breakdown again.
+     */
+    open: async () => {
+        const project = STATE.document.currentProject;
+        if (!project) return;
+
+        for (;;) {
+            const settings = Cost.settings(project);
+            const { milling } = settings;
+            const estimate = Cost.estimate(STATE.document.shapes, settings);
+
+            const values = await FormDialog.open({
+                title: 'Material Cost',
+                submitLabel: 'Update',
+                cancelLabel: 'Close',
+                fields: [
+                    { key: 'waste', label: 'Waste factor (%)', type: 'number', value: Math.round(settings.waste * 100), step: 1, min: 0 },
+                    { key: 'millThickness', label: 'Rough allowance, thickness (in)', type: 'number', value: milling.thickness, step: 0.0625, min: 0 },
+                    { key: 'millWidth', label: 'Rough allowance, width (in)', type: 'number', value: milling.width, step: 0.0625, min: 0 },
+                    { key: 'millLength', label: 'Rough allowance, length (in)', type: 'number', value: milling.length, step: 0.125, min: 0 },
+                    { key: 'roundThickness', label: 'Buy rough thickness in quarters (4/4, 5/4…)', type: 'checkbox', value: milling.roundThickness },
+                    ...estimate.materials.map(m => ({
+                        key: m.id,
+                        label: `${m.label} ($ per ${MATERIAL_UNITS[m.unit].one})`,
+                        type: 'number',
+                        value: m.price,
+                        step: 0.01,
+                        min: 0
+                    }))
+                ],
+                content: CostOp.buildReport(estimate)
+            });
+            if (!values) return;
+
+            // Only prices that differ from the material's default are stored
+            const prices = { ...settings.prices };
+            estimate.materials.forEach(m => {
+                const value = values[m.id];
+                if (!(value >= 0)) return;
+                if (Math.abs(value - Materials.get(m.id).price) < 0.005) delete prices[m.id];
+                else prices[m.id] = value;
+            });
+            project.settings = {
+                ...project.settings,
+                waste: values.waste >= 0 ? values.waste / 100 : settings.waste,
+                prices,
+                milling: {
+                    thickness: FormDialog.allowance(values.millThickness, milling.thickness),
+                    width: FormDialog.allowance(values.millWidth, milling.width),
+                    length: FormDialog.allowance(values.millLength, milling.length),
+                    roundThickness: values.roundThickness
+                }
+            };
+            ProjectOp.calculateTotalBoardFeet();
+            await ProjectOp.saveCurrentProject();
+        }
+    }
+};
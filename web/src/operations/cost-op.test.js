@@ -0,0 +1,33 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { CostOp } from './cost-op.js';
+import { Cost } from '../utils/cost.js';
+import { ShapeModel } from '../core/model.js';
+
+vi.mock('./project-op.js', () => ({
+    ProjectOp: { calculateTotalBoardFeet: vi.fn(), saveCurrentProject: vi.fn() }
+}));
+
+const part = (width, length, material, name) => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }], name);
+    shape.material = material;
+    return shape;
+};
+
+describe('CostOp', () => {
+    it('breaks the cost down by material and by part', () => {
+        const milling = { thickness: 0, width: 0, length: 0, roundThickness: false };
+        const estimate = Cost.estimate([part(12, 12, 'walnut', 'Lid'), part(48, 48, 'mdf', 'Back')], { waste: 0.1, milling });
+        const report = CostOp.buildReport(estimate);
+
+        const [materials, parts] = report.querySelectorAll('table');
+        const firstMaterial = [...materials.querySelectorAll('tr')[1].children].map(td => td.textContent);
+        expect(firstMaterial).toEqual(['MDF (4 × 8)', '0.50 sheets', '0.55 sheets', '$45.00 / sheet', '$24.75']);
+        expect(parts.querySelectorAll('tr')).toHaveLength(3);
+        expect(parts.querySelectorAll('tr')[1].textContent).toContain('Black Walnut');
+        expect(report.querySelector('.cost-total').textContent).toBe('Total $40.15');
+        expect(report.querySelector('.report-caption').textContent).toContain('10% waste');
+    });
+});
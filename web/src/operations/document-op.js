@@ -8,6 +8,7 @@ import { DOM } from '../core/dom.js';
 import { Geometry } from '../utils/geometry.js';
 import { CONFIG } from '../core/config.js';
 import { Store } from '../core/store.js';
+import { Grain } from '../utils/grain.js';
 
 export const DocumentOp = {
     updateJSONExport: () => {
@@ -31,7 +32,7 @@ export const DocumentOp = {
             // Dispatch Update (Replacing the object or properties)
             // For now, Object.assign is easiest but we should dispatch.
             // Let's create a new shape list with the updated shape.
-            const newShape = { ...shape, ...imported };
+            const newShape = { ...shape, ...imported, lastModified: Date.now() };
             Geometry.recalculateSideLengths(newShape.points, CONFIG.SCALE_PIXELS_PER_INCH);
             
             const newShapes = STATE.document.shapes.map(s => s.id === shape.id ? newShape : s);
@@ -60,6 +61,59 @@ export const DocumentOp = {
         DOM.propPanel.classList.add('hidden');
     },
 
+    updateShapeMaterial: (material) => {
+        const shape = STATE.selectedShape;
+        if (shape) {
+            shape.material = material;
+            shape.lastModified = Date.now(); // Rebuild the 3D mesh in the new colour
+            Store.dispatch('SHAPE_UPDATE_MATERIAL', {});
+            DocumentOp.updateJSONExport();
+        }
+    },
+
+    /**
+     * Sets the grain angle (degrees from the part's length). Bumps lastModified
+     * so the 3D texture turns with it.
+     */
+    updateShapeGrain: (degrees) => {
+        const shape = STATE.selectedShape;
+        if (shape) {
+            shape.grainAngle = Grain.normalize(degrees);
+            shape.lastModified = Date.now();
+            Store.dispatch('SHAPE_UPDATE_GRAIN', {});
+            DocumentOp.updateJSONExport();
+        }
+    },
+
+    /**
+     * Sets or clears (null) the banding on one of the selected part's edge faces.
+     * @param {string} faceKey - 'EDGE_n'.
+     * @param {{material: string, thickness: number}|null} banding
+     */
+    updateEdgeBanding: (faceKey, banding) => {
+        const shape = STATE.selectedShape;
+        if (!shape || !faceKey?.startsWith('EDGE_')) return;
+        if (!shape.faceData[faceKey]) shape.faceData[faceKey] = { tenons: [], cutouts: [] };
+        if (banding) shape.faceData[faceKey].banding = banding;
+        else delete shape.faceData[faceKey].banding;
+        shape.lastModified = Date.now();
+        Store.dispatch('SHAPE_UPDATE_BANDING', {});
+        DocumentOp.updateJSONExport();
+    },
+
+    /**
+     * Sets or clears (null) how the selected part is glued up from narrower boards.
+     */
+    updateShapeGlueUp: (settings) => {
+        const shape = STATE.selectedShape;
+        if (shape) {
+            shape.glueUp = settings;
+            shape.lastModified = Date.now();
+            Store.dispatch('SHAPE_UPDATE_GLUE_UP', {});
+            DocumentOp.updateJSONExport();
+        }
+    },
+
     updateShapeName: (name) => {
         const shape = STATE.selectedShape;
         if (shape) {
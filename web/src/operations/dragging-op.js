@@ -48,7 +48,8 @@ export const DraggingOp = {
 
             // REGULAR MOVE LOGIC
             // Clone points and update
-            const newPoints = shape.points.map(p => ({ x: p.x + dx, y: p.y + dy, lengthToNext: p.lengthToNext }));
+            // Curved edges are stored relative to their corners, so they move along
+            const newPoints = shape.points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }));
             
             // Dispatch Update
             const newShape = { ...shape, points: newPoints, lastModified: Date.now() };
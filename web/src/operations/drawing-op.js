@@ -8,6 +8,14 @@ import { Geometry } from '../utils/geometry.js';
 import { CONFIG } from '../core/config.js';
 import { ShapeModel } from '../core/model.js';
 import { Store } from '../core/store.js';
+import { Curves } from '../utils/curves.js';
+
+/** Clicks that place each kind of curved edge; the last one is its end. */
+const CURVE_CLICKS = {
+    arc: 2,         // Through point, end
+    tangent: 1,     // End: the arc carries on from the edge before it
+    cubic: 3        // First handle, second handle, end
+};
 
 export const DrawingOp = {
     /**
@@ -25,6 +33,8 @@ export const DrawingOp = {
                     activeDrawing: { ...ui.activeDrawing, points: [mouseWorld] }
                 }
             }, true);
+        } else if (ui.drawState === 'START_SHAPE' && CURVE_CLICKS[ui.segmentType]) {
+            return DrawingOp.handleCurveClick(mouseWorld);
         } else if (ui.drawState === 'START_SHAPE') {
             if (activeDrawing.highlightedDirection) {
                 Store.dispatch('DRAW_DIRECTION_SET', {
@@ -56,55 +66,134 @@ export const DrawingOp = {
                 }, true);
             }
         } else if (ui.drawState === 'DRAWING_LINE') {
-            const activePt = activeDrawing.points[activeDrawing.points.length - 1];
-            const target = activeDrawing.snapTarget || activeDrawing.tempLine.end;
-            
-            const dist = Geometry.dist(activePt, target);
-            // We can't mutate activePt directly if we want Flux purity, but points are objects.
-            // For now, let's assume points are mutable during drawing or we replace the array.
-            // A cleaner way: Clone the points array.
-            const newPoints = [...activeDrawing.points];
-            newPoints[newPoints.length - 1].lengthToNext = dist / CONFIG.SCALE_PIXELS_PER_INCH;
+            return DrawingOp.finishEdge(activeDrawing.snapTarget || activeDrawing.tempLine.end, null);
+        }
+        return null;
+    },
 
-            if (activeDrawing.snapTarget) {
-                // Finalize Shape
-                const name = `Part ${STATE.document.shapes.length + 1}`;
-                const newShape = ShapeModel.create(newPoints, name);
-                
-                // Dispatch ADD_SHAPE
-                // This will also need to handle the UI reset
-                Store.dispatch('SHAPE_ADD', {
-                    document: { shapes: [...STATE.document.shapes, newShape] },
-                    ui: { 
-                        drawState: 'IDLE',
-                        activeDrawing: { points: [], tempLine: null, alignmentGuide: null, snapTarget: null },
-                        selectedShapeId: newShape.id,
-                        mode: 'SELECT' // Switch tool
-                    }
-                }, true); // Persist for Undo
-                
-                return newShape; 
-            } else {
-                // Add Point
-                newPoints.push(target);
-                Store.dispatch('DRAW_POINT_ADDED', {
-                    ui: {
-                        drawState: 'START_SHAPE',
-                        activeDrawing: { 
-                            ...ui.activeDrawing, 
-                            points: newPoints,
-                            tempLine: null,
-                            alignmentGuide: null,
-                            selectedDirection: null,
-                            snapTarget: null
-                        }
-                    }
-                }, true);
+    /**
+     * Ends the edge being drawn at `target`: closes the shape when the target
+     * is its first point, otherwise adds the target as the next point.
+     * @param {Object} target - World coordinates.
+     * @param {Object|null} segment - The edge's curve; null for a straight edge.
+     * @returns {Object|null} The new shape when it was closed.
+     */
+    finishEdge: (target, segment) => {
+        const { ui } = STATE;
+        const { activeDrawing } = ui;
+
+        // Replace the active point rather than mutating it: undo snapshots share it
+        const newPoints = [...activeDrawing.points];
+        const activePt = { ...newPoints[newPoints.length - 1] };
+        delete activePt.segment;
+        if (segment) activePt.segment = segment;
+        activePt.lengthToNext = Curves.segmentLength(activePt, target) / CONFIG.SCALE_PIXELS_PER_INCH;
+        newPoints[newPoints.length - 1] = activePt;
+
+        if (activeDrawing.snapTarget) {
+            // Finalize Shape
+            const name = `Part ${STATE.document.shapes.length + 1}`;
+            const newShape = ShapeModel.create(newPoints, name);
+
+            Store.dispatch('SHAPE_ADD', {
+                document: { shapes: [...STATE.document.shapes, newShape] },
+                ui: {
+                    drawState: 'IDLE',
+                    activeDrawing: { points: [], tempLine: null, alignmentGuide: null, snapTarget: null, pending: [], tempCurve: null },
+                    selectedShapeId: newShape.id,
+                    mode: 'SELECT' // Switch tool
+                }
+            }, true); // Persist for Undo
+
+            return newShape;
+        }
+
+        // Add Point
+        newPoints.push(segment ? { x: target.x, y: target.y } : target);
+        Store.dispatch('DRAW_POINT_ADDED', {
+            ui: {
+                drawState: 'START_SHAPE',
+                activeDrawing: {
+                    ...activeDrawing,
+                    points: newPoints,
+                    tempLine: null,
+                    alignmentGuide: null,
+                    selectedDirection: null,
+                    snapTarget: null,
+                    pending: [],
+                    tempCurve: null
+                }
             }
+        }, true);
+        return null;
+    },
+
+    /**
+     * The curve of an edge from the active point to `end`.
+     * @param {string} type - 'arc' | 'tangent' | 'cubic'
+     * @param {Array<Object>} points - Points drawn so far.
+     * @param {Array<Object>} pending - The edge's earlier clicks.
+     * @param {Object} end
+     * @returns {Object|null} Null when the edge comes out straight.
+     */
+    curveSegment: (type, points, pending, end) => {
+        const start = points[points.length - 1];
+        if (type === 'arc') {
+            const bulge = Curves.bulgeThrough(start, pending[0], end);
+            return bulge ? { type: 'arc', bulge } : null;
+        }
+        if (type === 'tangent') {
+            // The first edge has nothing to carry on from
+            if (points.length < 2) return null;
+            const bulge = Curves.tangentBulge(start, Curves.endTangent(points[points.length - 2], start), end);
+            return Math.abs(bulge) > 1e-9 ? { type: 'arc', bulge } : null;
+        }
+        if (type === 'cubic') {
+            const [c1, c2] = pending;
+            return {
+                type: 'cubic',
+                c1: { x: c1.x - start.x, y: c1.y - start.y },
+                c2: { x: c2.x - end.x, y: c2.y - end.y }
+            };
         }
         return null;
     },
 
+    /**
+     * A click while drawing a curved edge: collects its through point or
+     * handles, and on the last click ends the edge.
+     */
+    handleCurveClick: (mouseWorld) => {
+        const { ui } = STATE;
+        const { activeDrawing } = ui;
+        const pending = activeDrawing.pending || [];
+
+        if (pending.length + 1 < CURVE_CLICKS[ui.segmentType]) {
+            Store.dispatch('DRAW_CURVE_POINT', {
+                ui: { activeDrawing: { ...activeDrawing, pending: [...pending, mouseWorld] } }
+            }, true);
+            return null;
+        }
+        const end = activeDrawing.snapTarget || mouseWorld;
+        return DrawingOp.finishEdge(end, DrawingOp.curveSegment(ui.segmentType, activeDrawing.points, pending, end));
+    },
+
+    /**
+     * Picks the kind of edge the next click draws. Clicks already made for a
+     * curve are dropped.
+     * @param {string} type - 'line' | 'arc' | 'tangent' | 'cubic'
+     */
+    setSegmentType: (type) => {
+        if (type !== 'line' && !CURVE_CLICKS[type]) return;
+        const { activeDrawing } = STATE.ui;
+        Store.dispatch('DRAW_SEGMENT_TYPE', {
+            ui: {
+                segmentType: type,
+                activeDrawing: { ...activeDrawing, pending: [], tempCurve: null, highlightedDirection: null, snapTarget: null }
+            }
+        });
+    },
+
     /**
      * Updates the drawing preview (guides, snap lines, compass) on mouse move.
      * @param {Object} mouseWorld - Mouse position in world coordinates.
@@ -118,7 +207,24 @@ export const DrawingOp = {
 
         const activePt = pts[pts.length - 1];
 
-        if (ui.drawState === 'START_SHAPE') {
+        if (ui.drawState === 'START_SHAPE' && CURVE_CLICKS[ui.segmentType]) {
+            // Points not yet clicked follow the mouse, so the preview ends under it
+            const pending = activeDrawing.pending || [];
+            const isEnd = pending.length + 1 === CURVE_CLICKS[ui.segmentType];
+            activeDrawing.snapTarget = null;
+            if (isEnd && pts.length > 2
+                && Geometry.dist(mouseScreen, Geometry.worldToScreen(pts[0], view)) < CONFIG.SNAP_RADIUS_SCREEN_PX) {
+                activeDrawing.snapTarget = pts[0];
+            }
+            const end = activeDrawing.snapTarget || mouseWorld;
+            const clicks = [...pending];
+            while (clicks.length < CURVE_CLICKS[ui.segmentType] - 1) clicks.push(mouseWorld);
+            activeDrawing.tempCurve = {
+                start: activePt,
+                end,
+                segment: DrawingOp.curveSegment(ui.segmentType, pts, clicks, end)
+            };
+        } else if (ui.drawState === 'START_SHAPE') {
             const screenActive = Geometry.worldToScreen(activePt, view);
             const r1 = CONFIG.ARROW_GRID_RADIUS;
             const r2 = r1 * 1.8;
@@ -252,7 +358,9 @@ export const DrawingOp = {
                     alignmentGuide: null, 
                     selectedDirection: null, 
                     snapTarget: null, 
-                    highlightedDirection: null 
+                    highlightedDirection: null,
+                    pending: [],
+                    tempCurve: null
                 }
             }
         });
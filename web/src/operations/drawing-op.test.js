@@ -127,6 +127,66 @@ describe('DrawingOp', () => {
         });
     });
 
+    describe('curved edges', () => {
+        beforeEach(() => {
+            STATE.ui.drawState = 'START_SHAPE';
+        });
+
+        it('collects the through point, then ends a three-point arc', () => {
+            STATE.ui.segmentType = 'arc';
+            STATE.ui.activeDrawing.points = [{ x: 0, y: 0 }];
+            STATE.ui.activeDrawing.pending = [];
+
+            DrawingOp.handleDrawClick({ x: 50, y: -50 }, { x: 50, y: -50 });
+            expect(Store.dispatch).toHaveBeenCalledWith('DRAW_CURVE_POINT', expect.objectContaining({
+                ui: { activeDrawing: expect.objectContaining({ pending: [{ x: 50, y: -50 }] }) }
+            }), true);
+
+            // Half circle over a 100 px chord
+            STATE.ui.activeDrawing.pending = [{ x: 50, y: -50 }];
+            DrawingOp.handleDrawClick({ x: 100, y: 0 }, { x: 100, y: 0 });
+            const { points } = Store.dispatch.mock.calls[1][1].ui.activeDrawing;
+            expect(points[0].segment.type).toBe('arc');
+            expect(Math.abs(points[0].segment.bulge)).toBeCloseTo(1);
+            expect(points[0].lengthToNext).toBeCloseTo(5 * Math.PI);
+            expect(points[1]).toEqual({ x: 100, y: 0 });
+        });
+
+        it('carries a tangent arc on from the edge before it', () => {
+            STATE.ui.segmentType = 'tangent';
+            STATE.ui.activeDrawing.points = [{ x: 0, y: 0 }, { x: 100, y: 0 }];
+
+            // Heading right, then ending above: a quarter turn to the left
+            DrawingOp.handleDrawClick({ x: 150, y: -50 }, { x: 150, y: -50 });
+            const { points } = Store.dispatch.mock.calls[0][1].ui.activeDrawing;
+            expect(points[1].segment.bulge).toBeCloseTo(-Math.tan(Math.PI / 8));
+            expect(points[0].segment).toBeUndefined();
+        });
+
+        it('stores Bézier handles relative to their ends and closes the shape', () => {
+            STATE.ui.segmentType = 'cubic';
+            const start = { x: 0, y: 0 };
+            STATE.ui.activeDrawing.points = [start, { x: 100, y: 0 }, { x: 100, y: 100 }];
+            STATE.ui.activeDrawing.pending = [{ x: 80, y: 120 }, { x: -20, y: 20 }];
+            STATE.ui.activeDrawing.snapTarget = start;
+
+            const shape = DrawingOp.handleDrawClick({ x: 1, y: 1 }, { x: 1, y: 1 });
+            expect(shape.points[2].segment).toEqual({ type: 'cubic', c1: { x: -20, y: 20 }, c2: { x: -20, y: 20 } });
+            expect(Store.dispatch).toHaveBeenCalledWith('SHAPE_ADD', expect.anything(), true);
+        });
+
+        it('previews the curve under the mouse', () => {
+            STATE.ui.segmentType = 'arc';
+            STATE.ui.activeDrawing.points = [{ x: 0, y: 0 }];
+            STATE.ui.activeDrawing.pending = [{ x: 50, y: -50 }];
+
+            DrawingOp.updatePreview({ x: 100, y: 0 }, { x: 100, y: 0 });
+            const { tempCurve } = STATE.ui.activeDrawing;
+            expect(tempCurve.end).toEqual({ x: 100, y: 0 });
+            expect(tempCurve.segment.type).toBe('arc');
+        });
+    });
+
     describe('updatePreview', () => {
         it('calculates highlighted direction in START_SHAPE', () => {
             STATE.ui.drawState = 'START_SHAPE';
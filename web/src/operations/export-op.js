@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Export Operations
+ * Turns the current project (or the selected shape) into downloadable files.
+ */
+
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STATE } from '../core/state.js';
+import { DxfWriter } from '../utils/dxf-writer.js';
+import { MeshExporter, MESH_UNITS } from '../utils/mesh-exporter.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { CSS_PIXELS_PER_INCH } from '../systems/report-dom.js';
+import { ViewController } from '../systems/view-controller.js';
+import { SVGRenderer } from '../renderers/svg-renderer.js';
+import { Geometry } from '../utils/geometry.js';
+import { CONFIG } from '../core/config.js';
+import { CutList } from '../utils/cut-list.js';
+import { EdgeBanding } from '../utils/edge-banding.js';
+import { ProjectFile } from '../utils/project-file.js';
+import { GCode, GCODE_DEFAULTS } from '../utils/gcode.js';
+
+export const ExportOp = {
+    /**
+     * Triggers a browser download for in-memory content.
+     * @param {string} filename
+     * @param {string|ArrayBuffer|Blob} content
+     * @param {string} mimeType
+     */
+    download: (filename, content, mimeType) => {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    /**
+     * Builds a filesystem-friendly file name from a project or part name.
+     */
+    fileName: (base, extension) => {
+        const safe = (base || 'export').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '_');
+        return `${safe || 'export'}.${extension}`;
+    },
+
+    /**
+     * Exports DXF for the selected shape ('SELECTED') or the whole project ('PROJECT').
+     */
+    exportDXF: (scope = 'PROJECT') => {
+        const shapes = scope === 'SELECTED'
+            ? (STATE.selectedShape ? [STATE.selectedShape] : [])
+            : STATE.document.shapes;
+
+        if (shapes.length === 0) {
+            alert(scope === 'SELECTED' ? "Select a shape first!" : "Nothing to export yet.");
+            return;
+        }
+
+        const base = scope === 'SELECTED' ? shapes[0].name : STATE.document.currentProject?.name;
+        ExportOp.download(ExportOp.fileName(base, 'dxf'), DxfWriter.build(shapes), 'application/dxf');
+    },
+
+    /**
+     * Downloads the current project's cut list as 'csv' or 'json'.
+     */
+    exportCutList: (format = 'csv') => {
+        const shapes = STATE.document.shapes;
+        if (shapes.length === 0) {
+            alert("Nothing to export yet.");
+            return;
+        }
+        const project = STATE.document.currentProject;
+        const name = project?.name;
+        const base = `${name || 'project'} cut list`;
+        const options = { subtractBanding: EdgeBanding.settings(project).subtract };
+        if (format === 'json') {
+            ExportOp.download(ExportOp.fileName(base, 'json'), CutList.toJSON(shapes, name, options), 'application/json');
+        } else {
+            ExportOp.download(ExportOp.fileName(base, 'csv'), CutList.toCSV(shapes, options), 'text/csv');
+        }
+    },
+
+    /**
+     * Saves the current project as a versioned project file that can be
+     * imported into another browser.
+     */
+    exportProject: () => {
+        const project = STATE.document.currentProject;
+        if (!project) return;
+        ExportOp.download(ExportOp.fileName(project.name, 'project.json'), ProjectFile.serialize(project), 'application/json');
+    },
+
+    /**
+     * Asks for the tool settings and downloads GRBL G-code for the selected
+     * shape: FRONT pockets and through cutouts, then the outside profile.
+     */
+    exportGCode: async () => {
+        const shape = STATE.selectedShape;
+        if (!shape) {
+            alert("Select a shape first!");
+            return;
+        }
+
+        const d = GCODE_DEFAULTS;
+        const options = await FormDialog.open({
+            title: `G-code: ${shape.name}`,
+            submitLabel: 'Export',
+            fields: [
+                { key: 'units', label: 'Units (all values below)', type: 'select', value: d.units, options: [
+                    { value: 'in', label: 'Inches (G20)' },
+                    { value: 'mm', label: 'Millimetres (G21)' }
+                ] },
+                { key: 'diameter', label: 'Tool diameter', type: 'number', value: d.diameter, step: 0.001, min: 0.001 },
+                { key: 'stepdown', label: 'Depth per pass', type: 'number', value: d.stepdown, step: 0.001, min: 0.001 },
+                { key: 'feed', label: 'Feed rate (per min)', type: 'number', value: d.feed, step: 1, min: 1 },
+                { key: 'plunge', label: 'Plunge rate (per min)', type: 'number', value: d.plunge, step: 1, min: 1 },
+                { key: 'spindle', label: 'Spindle speed (RPM)', type: 'number', value: d.spindle, step: 100, min: 0 },
+                { key: 'safeZ', label: 'Safe height', type: 'number', value: d.safeZ, step: 0.01, min: 0 },
+                { key: 'tabs', label: 'Holding tabs', type: 'number', value: d.tabs, step: 1, min: 0 },
+                { key: 'tabWidth', label: 'Tab width', type: 'number', value: d.tabWidth, step: 0.01, min: 0 },
+                { key: 'tabHeight', label: 'Tab height', type: 'number', value: d.tabHeight, step: 0.01, min: 0 },
+                { key: 'climb', label: 'Climb milling', type: 'checkbox', value: d.climb }
+            ]
+        });
+        if (!options) return;
+
+        let result;
+        try {
+            result = GCode.generate(shape, {
+                ...options,
+                breakthrough: options.units === 'mm' ? d.breakthrough * 25.4 : d.breakthrough
+            });
+        } catch (e) {
+            alert(e.message);
+            return;
+        }
+        const { gcode, warnings } = result;
+        ExportOp.download(ExportOp.fileName(shape.name, 'nc'), gcode, 'text/plain');
+        if (warnings.length > 0) alert(`G-code exported with notes:\n\n${warnings.join('\n')}`);
+    },
+
+    /**
+     * World-space bounds of every outline plus its FRONT joinery boxes.
+     */
+    documentBounds: (shapes) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const pts = [];
+        shapes.forEach(shape => {
+            pts.push(...shape.points);
+            const { origin } = Geometry.getFaceOrigin(shape, 'FRONT', scale);
+            const front = shape.faceData?.FRONT || { tenons: [], cutouts: [] };
+            [...(front.tenons || []), ...(front.cutouts || [])].forEach(item => {
+                pts.push({ x: origin.x + item.x * scale, y: origin.y + item.y * scale });
+                pts.push({ x: origin.x + (item.x + item.w) * scale, y: origin.y + (item.y + item.h) * scale });
+            });
+        });
+        const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    },
+
+    /**
+     * Renders the current project through the drafting view into a true-scale SVG
+     * (1 inch on paper per inch of wood), with joinery boxes and dimension labels.
+     * @returns {string|null}
+     */
+    buildSVG: () => {
+        const shapes = STATE.document.shapes;
+        if (shapes.length === 0) return null;
+
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const zoom = CSS_PIXELS_PER_INCH / scale; // CSS px per world px at 1:1
+        const margin = CSS_PIXELS_PER_INCH; // 1" around the drawing for labels
+        const b = ExportOp.documentBounds(shapes);
+        const width = (b.maxX - b.minX) * zoom + margin * 2;
+        const height = (b.maxY - b.minY) * zoom + margin * 2;
+
+        const svg = new SVGRenderer(width, height, {
+            physicalWidth: `${(width / CSS_PIXELS_PER_INCH).toFixed(3)}in`,
+            physicalHeight: `${(height / CSS_PIXELS_PER_INCH).toFixed(3)}in`,
+            background: 'white'
+        });
+        ViewController.renderDocument(svg, {
+            zoom,
+            pan: { x: margin - b.minX * zoom, y: margin - b.minY * zoom }
+        });
+        return svg.toString();
+    },
+
+    exportSVG: () => {
+        const svg = ExportOp.buildSVG();
+        if (!svg) {
+            alert("Nothing to export yet.");
+            return;
+        }
+        ExportOp.download(ExportOp.fileName(STATE.document.currentProject?.name, 'svg'), svg, 'image/svg+xml');
+    },
+
+    /**
+     * Makes sure the 3D meshes exist, runs the callback against the renderer's
+     * mesh cache and tears the temporary scene down again if 3D view is closed.
+     */
+    withAssembly: (callback) => {
+        const { renderer3D } = STATE;
+        if (!renderer3D) return null;
+        const wasOpen = STATE.ui.is3DOpen;
+        if (!wasOpen) renderer3D.render3DScene(STATE.document.shapes);
+        try {
+            return callback(renderer3D);
+        } finally {
+            if (!wasOpen) renderer3D.clear3D();
+        }
+    },
+
+    /**
+     * Asks for format and units, then exports the 3D assembly as OBJ, binary STL
+     * or glTF (which is always in metres).
+     */
+    export3D: async () => {
+        if (STATE.document.shapes.length === 0) {
+            alert("Nothing to export yet.");
+            return;
+        }
+
+        const options = await FormDialog.open({
+            title: 'Export 3D Assembly',
+            submitLabel: 'Export',
+            fields: [
+                { key: 'format', label: 'Format', type: 'select', value: 'obj', options: [
+                    { value: 'obj', label: 'OBJ (one object per part)' },
+                    { value: 'stl', label: 'STL (binary)' },
+                    { value: 'glb', label: 'glTF binary (.glb, metres)' },
+                    { value: 'gltf', label: 'glTF (.gltf, metres)' }
+                ] },
+                { key: 'units', label: 'Units (OBJ / STL)', type: 'select', value: 'in', options:
+                    Object.entries(MESH_UNITS).map(([value, u]) => ({ value, label: u.label }))
+                }
+            ]
+        });
+        if (!options) return;
+
+        const name = STATE.document.currentProject?.name;
+        if (options.format === 'glb' || options.format === 'gltf') {
+            await ExportOp.exportGLTF(options.format === 'glb');
+            return;
+        }
+
+        const parts = ExportOp.withAssembly(r => MeshExporter.collectParts(r.meshCache, STATE.document.shapes));
+        if (!parts || parts.length === 0) return;
+
+        if (options.format === 'stl') {
+            ExportOp.download(ExportOp.fileName(name, 'stl'), MeshExporter.toSTL(parts, options.units, name), 'model/stl');
+        } else {
+            ExportOp.download(ExportOp.fileName(name, 'obj'), MeshExporter.toOBJ(parts, options.units), 'model/obj');
+        }
+    },
+
+    /**
+     * Exports the assembly as glTF 2.0: one node per part with its joinery
+     * meshes as children and the wood colors as materials.
+     * @param {boolean} binary - GLB when true, embedded .gltf JSON otherwise.
+     */
+    exportGLTF: async (binary = true) => {
+        const name = STATE.document.currentProject?.name || 'Assembly';
+        const scene = ExportOp.withAssembly(r => r.buildExportScene(STATE.document.shapes, name));
+        if (!scene || scene.children.length === 0) return;
+
+        try {
+            const result = await new GLTFExporter().parseAsync(scene, { binary });
+            if (binary) {
+                ExportOp.download(ExportOp.fileName(name, 'glb'), result, 'model/gltf-binary');
+            } else {
+                ExportOp.download(ExportOp.fileName(name, 'gltf'), JSON.stringify(result), 'model/gltf+json');
+            }
+        } catch (e) {
+            console.error("glTF export failed:", e);
+            alert("glTF export failed.");
+        }
+    }
+};
@@ -0,0 +1,57 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ExportOp } from './export-op.js';
+import { STATE } from '../core/state.js';
+
+const { parseAsync } = vi.hoisted(() => ({ parseAsync: vi.fn() }));
+
+vi.mock('three/addons/exporters/GLTFExporter.js', () => ({
+    GLTFExporter: class {
+        parseAsync(...args) {
+            return parseAsync(...args);
+        }
+    }
+}));
+
+describe('ExportOp.exportGLTF', () => {
+    let scene;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        parseAsync.mockImplementation(async (input, { binary }) => binary ? new ArrayBuffer(8) : { asset: { version: '2.0' } });
+        scene = { children: [{ name: 'Side' }] };
+        STATE.document = { shapes: [{ id: 'a', name: 'Side' }], currentProject: { name: 'Hall Table' } };
+        STATE.ui = { ...STATE.ui, is3DOpen: true };
+        STATE.renderer3D = { buildExportScene: vi.fn(() => scene) };
+        vi.spyOn(ExportOp, 'download').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        STATE.renderer3D = null;
+    });
+
+    it('writes a GLB named after the project', async () => {
+        await ExportOp.exportGLTF(true);
+        expect(STATE.renderer3D.buildExportScene).toHaveBeenCalledWith(STATE.document.shapes, 'Hall Table');
+        expect(parseAsync).toHaveBeenCalledWith(scene, { binary: true });
+        expect(ExportOp.download).toHaveBeenCalledWith('Hall_Table.glb', expect.any(ArrayBuffer), 'model/gltf-binary');
+    });
+
+    it('writes .gltf as JSON text', async () => {
+        await ExportOp.exportGLTF(false);
+        const [filename, content, mimeType] = ExportOp.download.mock.calls[0];
+        expect(filename).toBe('Hall_Table.gltf');
+        expect(JSON.parse(content)).toEqual({ asset: { version: '2.0' } });
+        expect(mimeType).toBe('model/gltf+json');
+    });
+
+    it('exports nothing without parts', async () => {
+        scene.children = [];
+        await ExportOp.exportGLTF(true);
+        expect(parseAsync).not.toHaveBeenCalled();
+        expect(ExportOp.download).not.toHaveBeenCalled();
+    });
+});
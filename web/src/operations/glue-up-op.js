@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Glue-up Operations
+ * Plans how the selected part is glued up from narrower boards: board widths,
+ * growth ring strategy and allowances, with the board layout and blank list.
+ * Saved plans replace the part with its blanks in the cut list and lumber list.
+ */
+
+import { STATE } from '../core/state.js';
+import { Geometry } from '../utils/geometry.js';
+import { GlueUp, GLUE_UP_DEFAULTS, GLUE_UP_STRATEGIES } from '../utils/glue-up.js';
+import { Materials } from '../utils/materials.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+import { DocumentOp } from './document-op.js';
+
+const { el, table } = ReportDom;
+
+/** End-grain view of each board's growth rings. */
+const RING_GLYPHS = {
+    up: { glyph: '◡', title: 'Heart side up' },
+    down: { glyph: '◠', title: 'Heart side down' },
+    vertical: { glyph: '|||', title: 'Rings upright' }
+};
+
+const size = (...inches) => inches.map(Geometry.formatInches).join(' × ');
+
+export const GlueUpOp = {
+    /**
+     * Board widths to offer for a part with no glue-up yet: the widths of the
+     * library stock thick enough for it, or the default.
+     * @returns {Array<number>}
+     */
+    defaultBoardWidths: (shape, stock = STATE.library.stock) => {
+        const needed = (shape.thickness || 0) + GLUE_UP_DEFAULTS.thickness;
+        const widths = [...new Set(stock.filter(s => s.thickness >= needed - 1e-9).map(s => s.width))];
+        return widths.length > 0 ? widths.sort((a, b) => a - b) : GLUE_UP_DEFAULTS.boardWidths;
+    },
+
+    /**
+     * Layout, steps and blank list for a plan.
+     * @param {Object|null} plan - From GlueUp.plan.
+     * @returns {HTMLElement}
+     */
+    buildReport: (plan) => {
+        const report = el('div', 'glue-up-report');
+        if (!plan) {
+            report.appendChild(el('div', 'report-warning', 'None of the board widths is left with any width after jointing.'));
+            return report;
+        }
+        if (plan.count === 1) {
+            report.appendChild(el('div', 'report-caption',
+                `A ${Geometry.formatInches(plan.boardWidth)} board is wide enough: no glue-up needed.`));
+            return report;
+        }
+
+        const { part, panel, blank } = plan;
+        const steps = el('ol', 'glue-up-steps');
+        [
+            `Cut ${plan.count} blanks ${size(blank.width, blank.length)} from ${Geometry.formatInches(plan.boardWidth)} boards, at least ${Geometry.formatInches(blank.thickness)} thick.`,
+            'Joint the glue edges and lay the boards out as shown.',
+            `Glue up a ${size(panel.width, panel.length)} panel.`,
+            `Flatten to ${Geometry.formatInches(part.thickness)}, rip to ${Geometry.formatInches(part.width)} and crosscut to ${Geometry.formatInches(part.length)}.`
+        ].forEach(text => steps.appendChild(el('li', null, text)));
+        report.appendChild(steps);
+
+        // End-grain view: one segment per board, in glue-up order
+        const layout = el('div', 'glue-up-layout');
+        plan.boards.forEach(board => {
+            const rings = RING_GLYPHS[board.rings];
+            const seg = el('div', 'glue-up-board', rings.glyph);
+            seg.style.width = `${100 / plan.count}%`;
+            seg.title = `Board ${board.index}: ${rings.title}`;
+            layout.appendChild(seg);
+        });
+        report.appendChild(layout);
+        report.appendChild(el('div', 'report-caption', GLUE_UP_STRATEGIES[plan.strategy].note));
+
+        report.appendChild(el('h4', null, 'Blanks'));
+        report.appendChild(table(['Board', 'Blank', 'Rings'], plan.boards.map(b => [
+            String(b.index),
+            size(b.width, b.length, b.thickness),
+            RING_GLYPHS[b.rings].title
+        ])));
+        return report;
+    },
+
+    /**
+     * Plans the selected part's glue-up. Each update saves the settings to
+     * the part (or removes the glue-up when unticked) and shows the plan again.
+     */
+    open: async () => {
+        const shape = STATE.selectedShape;
+        if (!shape) {
+            alert("Select a shape first!");
+            return;
+        }
+        if (!Materials.isSolidWood(shape)) {
+            alert("Sheet goods come in full-size panels. Glue-ups are for solid wood.");
+            return;
+        }
+
+        let enabled = Boolean(shape.glueUp);
+        let settings = GlueUp.settings(shape) || { ...GLUE_UP_DEFAULTS, boardWidths: GlueUpOp.defaultBoardWidths(shape) };
+
+        for (;;) {
+            const plan = GlueUp.plan(shape, settings);
+            const values = await FormDialog.open({
+                title: `Glue-up: ${shape.name}`,
+                submitLabel: 'Update',
+                cancelLabel: 'Close',
+                fields: [
+                    { key: 'enabled', label: 'Glue up this part (its blanks go in the cut list)', type: 'checkbox', value: enabled },
+                    { key: 'boardWidths', label: 'Board widths available', type: 'text', value: settings.boardWidths.map(Geometry.formatInches).join(', ') },
+                    { key: 'maxBoardWidth', label: 'Widest board to use (in)', type: 'number', value: settings.maxBoardWidth, step: 0.25, min: 0 },
+                    {
+                        key: 'strategy', label: 'Board layout', type: 'select', value: settings.strategy,
+                        options: Object.entries(GLUE_UP_STRATEGIES).map(([value, { label }]) => ({ value, label }))
+                    },
+                    { key: 'joint', label: 'Jointing allowance, each glue edge (in)', type: 'number', value: settings.joint, step: 0.03125, min: 0 },
+                    { key: 'width', label: 'Panel oversize, width (in)', type: 'number', value: settings.width, step: 0.125, min: 0 },
+                    { key: 'length', label: 'Panel oversize, length (in)', type: 'number', value: settings.length, step: 0.125, min: 0 },
+                    { key: 'thickness', label: 'Flattening allowance (in)', type: 'number', value: settings.thickness, step: 0.03125, min: 0 }
+                ],
+                content: GlueUpOp.buildReport(plan)
+            });
+            if (!values) return;
+
+            const boardWidths = Geometry.parseMeasurementList(values.boardWidths).filter(w => w > 0);
+            settings = {
+                boardWidths: boardWidths.length > 0 ? boardWidths : settings.boardWidths,
+                maxBoardWidth: values.maxBoardWidth > 0 ? values.maxBoardWidth : settings.maxBoardWidth,
+                strategy: values.strategy,
+                joint: FormDialog.allowance(values.joint, settings.joint),
+                width: FormDialog.allowance(values.width, settings.width),
+                length: FormDialog.allowance(values.length, settings.length),
+                thickness: FormDialog.allowance(values.thickness, settings.thickness)
+            };
+            enabled = values.enabled;
+            DocumentOp.updateShapeGlueUp(enabled ? settings : null);
+        }
+    }
+};
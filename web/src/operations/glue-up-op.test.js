@@ -0,0 +1,41 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { GlueUpOp } from './glue-up-op.js';
+import { GlueUp } from '../utils/glue-up.js';
+import { ShapeModel } from '../core/model.js';
+
+vi.mock('./document-op.js', () => ({ DocumentOp: { updateShapeGlueUp: vi.fn() } }));
+
+const top = () => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 300 }, { x: 0, y: 300 }], 'Top');
+    shape.thickness = 0.75;
+    return shape;
+};
+
+describe('GlueUpOp', () => {
+    it('offers the widths of library stock thick enough for the part', () => {
+        const stock = [
+            { width: 7.25, thickness: 1 },
+            { width: 5.5, thickness: 1 },
+            { width: 5.5, thickness: 1.5 },
+            { width: 3.5, thickness: 0.75 }
+        ];
+        expect(GlueUpOp.defaultBoardWidths(top(), stock)).toEqual([5.5, 7.25]);
+        expect(GlueUpOp.defaultBoardWidths(top(), [])).toEqual([5.5]);
+    });
+
+    it('shows the steps, the ring layout and the blanks', () => {
+        const report = GlueUpOp.buildReport(GlueUp.plan(top(), { boardWidths: [5.5] }));
+        expect(report.querySelectorAll('.glue-up-steps li')).toHaveLength(4);
+        expect(report.querySelector('.glue-up-steps li').textContent).toBe('Cut 4 blanks 5 1/4" × 31" from 5 1/2" boards, at least 0 7/8" thick.');
+        expect([...report.querySelectorAll('.glue-up-board')].map(b => b.textContent).join('')).toBe('◡◠◡◠');
+        expect(report.querySelectorAll('table tr')).toHaveLength(5);
+    });
+
+    it('says when one board is wide enough', () => {
+        const report = GlueUpOp.buildReport(GlueUp.plan(top(), { boardWidths: [24], maxBoardWidth: 30 }));
+        expect(report.textContent).toContain('no glue-up needed');
+    });
+});
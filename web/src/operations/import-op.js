@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Import Operations
+ * Brings outside drawings (DXF, SVG) into the current project as new shapes,
+ * and project files in as new projects.
+ */
+
+import { STATE } from '../core/state.js';
+import { Store } from '../core/store.js';
+import { ShapeModel, CutoutModel } from '../core/model.js';
+import { CONFIG } from '../core/config.js';
+import { Geometry } from '../utils/geometry.js';
+import { DxfReader } from '../utils/dxf-reader.js';
+import { SvgReader } from '../utils/svg-reader.js';
+import { ProjectFile } from '../utils/project-file.js';
+import { ProjectOp } from './project-op.js';
+
+/** Gap left between existing parts and an imported drawing, in inches. */
+const IMPORT_GAP = 2;
+
+export const ImportOp = {
+    /**
+     * Opens the browser file picker.
+     * @param {string} accept - e.g. '.dxf'
+     * @returns {Promise<File|null>} Null when the picker is dismissed.
+     */
+    pickFile: (accept) => new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => resolve(input.files[0] || null), { once: true });
+        input.addEventListener('cancel', () => resolve(null), { once: true });
+        input.click();
+    }),
+
+    /**
+     * Returns the bounds of a loop if it is an axis-aligned rectangle
+     * (the only kind of through-hole a FRONT cutout can represent), else null.
+     */
+    axisAlignedRect: (points, tolerance = 0.01) => {
+        if (points.length !== 4) return null;
+        for (let i = 0; i < 4; i++) {
+            const a = points[i], b = points[(i + 1) % 4];
+            if (Math.abs(a.x - b.x) > tolerance && Math.abs(a.y - b.y) > tolerance) return null;
+        }
+        const bounds = Geometry.calculateBounds(points);
+        if (bounds.maxX - bounds.minX <= tolerance || bounds.maxY - bounds.minY <= tolerance) return null;
+        return bounds;
+    },
+
+    /**
+     * Turns reader outlines (inches) into shapes positioned at `origin` (world px).
+     * Outlines may carry a `name` (e.g. the SVG element id).
+     * Rectangular holes become FRONT through-cutouts; the rest are reported back.
+     * @returns {{shapes: Array<Object>, rejectedHoles: Array<{name: string, count: number}>}}
+     */
+    createShapes: (outlines, origin, firstIndex = 1) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const all = outlines.flatMap(o => o.points);
+        const { minX, minY } = Geometry.calculateBounds(all);
+        const toWorld = (p) => ({ x: origin.x + (p.x - minX) * scale, y: origin.y + (p.y - minY) * scale });
+
+        const shapes = [];
+        const rejectedHoles = [];
+        outlines.forEach((outline, i) => {
+            const shape = ShapeModel.create(outline.points.map(toWorld), outline.name || `Part ${firstIndex + i}`);
+            const start = shape.points[0];
+            let rejected = 0;
+
+            outline.holes.forEach(hole => {
+                const rect = ImportOp.axisAlignedRect(hole.map(toWorld), 0.01 * scale);
+                if (!rect) { rejected++; return; }
+                shape.faceData.FRONT.cutouts.push(CutoutModel.create(
+                    (rect.minX - start.x) / scale,
+                    (rect.minY - start.y) / scale,
+                    (rect.maxX - rect.minX) / scale,
+                    (rect.maxY - rect.minY) / scale,
+                    shape.thickness
+                ));
+            });
+
+            if (rejected > 0) rejectedHoles.push({ name: shape.name, count: rejected });
+            shapes.push(shape);
+        });
+        return { shapes, rejectedHoles };
+    },
+
+    /**
+     * Where imported geometry goes: to the right of the existing parts,
+     * or at the top-left of the visible canvas on an empty project.
+     */
+    placementOrigin: () => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const existing = STATE.document.shapes.flatMap(s => s.points);
+        if (existing.length > 0) {
+            const b = Geometry.calculateBounds(existing);
+            return { x: b.maxX + IMPORT_GAP * scale, y: b.minY };
+        }
+        const topLeft = Geometry.screenToWorld({ x: 0, y: 0 }, STATE.ui.view);
+        return { x: topLeft.x + IMPORT_GAP * scale, y: topLeft.y + IMPORT_GAP * scale };
+    },
+
+    /**
+     * Adds shapes to the document as a single undoable step and selects the first.
+     */
+    addShapes: (shapes) => {
+        Store.dispatch('SHAPE_IMPORT', {
+            document: { shapes: [...STATE.document.shapes, ...shapes] },
+            ui: { selectedShapeId: shapes[0].id, mode: 'SELECT' }
+        }, true);
+    },
+
+    /**
+     * Shared import flow: pick a file, read it into outlines, add the parts and
+     * report whatever could not be brought in.
+     * @param {string} accept - File picker filter.
+     * @param {function(string): {outlines: Array, openPaths: number, skipped: Object}} read
+     */
+    importDrawing: async (accept, read) => {
+        const file = await ImportOp.pickFile(accept);
+        if (!file) return;
+
+        let result;
+        try {
+            result = read(await file.text());
+        } catch (e) {
+            console.error("Import failed:", e);
+            alert(`Could not read ${file.name}.`);
+            return;
+        }
+
+        if (result.outlines.length === 0) {
+            alert(`No closed outlines found in ${file.name}.`);
+            return;
+        }
+
+        const { shapes, rejectedHoles } = ImportOp.createShapes(
+            result.outlines, ImportOp.placementOrigin(), STATE.document.shapes.length + 1
+        );
+        ImportOp.addShapes(shapes);
+
+        const notes = [];
+        rejectedHoles.forEach(r => notes.push(`${r.name}: ${r.count} non-rectangular inner loop(s) skipped`));
+        if (result.openPaths > 0) notes.push(`${result.openPaths} open path(s) ignored`);
+        Object.entries(result.skipped).forEach(([type, count]) => notes.push(`${count} unsupported ${type} element(s) ignored`));
+        if (notes.length > 0) {
+            alert(`Imported ${shapes.length} part(s) from ${file.name}.\n\n${notes.join('\n')}`);
+        }
+    },
+
+    importDXF: () => ImportOp.importDrawing('.dxf', (text) => DxfReader.read(text)),
+
+    importSVG: () => ImportOp.importDrawing('.svg,image/svg+xml', (text) => SvgReader.read(text)),
+
+    importProject: async () => {
+        const file = await ImportOp.pickFile('.json,application/json');
+        if (!file) return;
+
+        let project;
+        try {
+            project = ProjectFile.parse(await file.text());
+        } catch (e) {
+            alert(`Could not import ${file.name}:\n\n${e.message}`);
+            return;
+        }
+        await ProjectOp.addProject(project);
+    }
+};
@@ -0,0 +1,66 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ImportOp } from './import-op.js';
+import { STATE } from '../core/state.js';
+import { Store } from '../core/store.js';
+
+vi.mock('../core/store.js', () => ({
+    Store: {
+        dispatch: vi.fn()
+    }
+}));
+
+vi.mock('./project-op.js', () => ({
+    ProjectOp: {
+        addProject: vi.fn()
+    }
+}));
+
+const rect = (x, y, w, h) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+
+describe('ImportOp', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        STATE.document = { shapes: [] };
+        STATE.ui = { view: { zoom: 1, pan: { x: 0, y: 0 } } };
+    });
+
+    it('scales outlines to world pixels at the given origin', () => {
+        const { shapes } = ImportOp.createShapes([{ points: rect(5, 5, 10, 4), holes: [] }], { x: 100, y: 50 }, 3);
+        expect(shapes).toHaveLength(1);
+        expect(shapes[0].name).toBe('Part 3');
+        expect(shapes[0].points[0]).toMatchObject({ x: 100, y: 50 });
+        expect(shapes[0].points[2]).toMatchObject({ x: 200, y: 90 });
+        expect(shapes[0].points[0].lengthToNext).toBeCloseTo(10);
+    });
+
+    it('turns rectangular holes into through cutouts and reports the rest', () => {
+        const triangle = [{ x: 1, y: 1 }, { x: 3, y: 1 }, { x: 2, y: 3 }];
+        const outline = { points: rect(0, 0, 20, 10), holes: [rect(2, 3, 4, 2), triangle] };
+        const { shapes, rejectedHoles } = ImportOp.createShapes([outline], { x: 0, y: 0 });
+
+        expect(shapes[0].faceData.FRONT.cutouts).toEqual([
+            { x: 2, y: 3, w: 4, h: 2, depth: shapes[0].thickness }
+        ]);
+        expect(rejectedHoles).toEqual([{ name: 'Part 1', count: 1 }]);
+    });
+
+    it('rejects rotated rectangles as cutouts', () => {
+        const diamond = [{ x: 5, y: 0 }, { x: 10, y: 5 }, { x: 5, y: 10 }, { x: 0, y: 5 }];
+        expect(ImportOp.axisAlignedRect(diamond)).toBeNull();
+        expect(ImportOp.axisAlignedRect(rect(0, 0, 2, 1))).toEqual({ minX: 0, minY: 0, maxX: 2, maxY: 1 });
+    });
+
+    it('places imports to the right of existing parts as one undo step', () => {
+        STATE.document = { shapes: [{ id: 'a', points: rect(0, 0, 100, 50) }] };
+        expect(ImportOp.placementOrigin()).toEqual({ x: 120, y: 0 });
+
+        const { shapes } = ImportOp.createShapes([{ points: rect(0, 0, 1, 1), holes: [] }], { x: 0, y: 0 });
+        ImportOp.addShapes(shapes);
+        expect(Store.dispatch).toHaveBeenCalledWith('SHAPE_IMPORT', expect.objectContaining({
+            ui: expect.objectContaining({ selectedShapeId: shapes[0].id })
+        }), true);
+    });
+});
@@ -20,6 +20,7 @@ export const JoineryOp = {
         
         // Clone for immutability
         const newShape = structuredClone(shape);
+        newShape.lastModified = Date.now();
         const activeFace = shape.activeFace || 'FRONT';
         const faceData = newShape.faceData[activeFace] || { tenons: [], cutouts: [] };
         // Ensure structure exists if it was missing
@@ -74,6 +75,7 @@ export const JoineryOp = {
         if (!shape) return;
 
         const newShape = structuredClone(shape);
+        newShape.lastModified = Date.now();
         const activeFace = shape.activeFace || 'FRONT';
         const faceData = newShape.faceData[activeFace] || { tenons: [], cutouts: [] };
         if (!newShape.faceData[activeFace]) newShape.faceData[activeFace] = faceData;
@@ -96,6 +98,7 @@ export const JoineryOp = {
         if (!shape) return;
 
         const newShape = structuredClone(shape);
+        newShape.lastModified = Date.now();
         const activeFace = shape.activeFace || 'FRONT';
         const faceData = newShape.faceData[activeFace];
         if (!faceData) return;
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Nesting Operations
+ * Packs the current project's parts onto sheet goods, shows the layouts with
+ * their utilization and prints them as cutting diagrams.
+ */
+
+import { STATE } from '../core/state.js';
+import { Geometry } from '../utils/geometry.js';
+import { Materials } from '../utils/materials.js';
+import { Nesting, SHEET_SIZES, NESTING_DEFAULTS } from '../utils/nesting.js';
+import { Offcuts } from '../utils/offcuts.js';
+import { SVGRenderer } from '../renderers/svg-renderer.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom, CSS_PIXELS_PER_INCH } from '../systems/report-dom.js';
+import { PrintOp } from './print-op.js';
+import { OffcutOp } from './offcut-op.js';
+
+const { el } = ReportDom;
+
+/** Width of a diagram on paper, inches (fits letter portrait inside 0.5" margins). */
+const PRINT_WIDTH = 7.5;
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+
+export const NestingOp = {
+    /**
+     * Maps a point of a part's footprint frame onto the sheet, honouring rotation.
+     */
+    placePoint: (placement, p) => placement.rotated
+        ? { x: placement.x + placement.w - p.y, y: placement.y + p.x }
+        : { x: placement.x + p.x, y: placement.y + p.y },
+
+    /**
+     * Draws one sheet: trim border, part outlines with names and sizes.
+     * @param {Object} sheet - From Nesting.pack.
+     * @param {Object} [options]
+     * @param {string} [options.physicalWidth] - e.g. '7.5in' for print; omit to size with CSS.
+     * @param {number} [options.trim]
+     * @returns {string} SVG markup.
+     */
+    buildSheetSVG: (sheet, { physicalWidth, trim = 0 } = {}) => {
+        const dpi = CSS_PIXELS_PER_INCH;
+        const pad = 0.5;
+        const svg = new SVGRenderer((sheet.width + pad * 2) * dpi, (sheet.height + pad * 2) * dpi, physicalWidth ? {
+            physicalWidth,
+            physicalHeight: `${(parseFloat(physicalWidth) * (sheet.height + pad * 2) / (sheet.width + pad * 2)).toFixed(3)}in`
+        } : {});
+        // Sheet inches; line widths and text scale with the sheet so diagrams read the same at any size
+        svg.pushWorldTransform(pad * dpi, pad * dpi, dpi);
+        const u = Math.max(sheet.width, sheet.height) / 100;
+        const loop = (points, color, width, dash) => points.forEach((p, i) => {
+            svg.drawLine(p, points[(i + 1) % points.length], color, width, dash);
+        });
+        const rect = (x, y, w, h) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+
+        const board = rect(0, 0, sheet.width, sheet.height);
+        svg.drawPolygon(board, '#f3e5c8');
+        loop(board, '#8d6e63', u * 0.25);
+        if (trim > 0) loop(rect(trim, trim, sheet.width - trim * 2, sheet.height - trim * 2), '#bcaaa4', u * 0.1, [u, u * 0.6]);
+
+        sheet.placements.forEach(p => {
+            loop(rect(p.x, p.y, p.w, p.h), '#999', u * 0.08, [u * 0.6, u * 0.4]);
+            const outline = p.part.outline.map(pt => NestingOp.placePoint(p, pt));
+            svg.drawPolygon(outline, '#fffaf0');
+            loop(outline, '#000', u * 0.15);
+            p.part.edgeTenons.forEach(t => loop(t.map(pt => NestingOp.placePoint(p, pt)), '#2e7d32', u * 0.12));
+
+            const size = Math.min(u * 2.2, p.h / 3, p.w / 6);
+            const center = { x: p.x + p.w / 2, y: p.y + p.h / 2 };
+            svg.drawText(p.part.name, { x: center.x, y: center.y - size * 0.6 }, '#000', size);
+            svg.drawText(`${Geometry.formatInches(p.w)} × ${Geometry.formatInches(p.h)}${p.rotated ? ' ↻' : ''}`,
+                { x: center.x, y: center.y + size * 0.6 }, '#555', size * 0.8);
+        });
+        svg.popTransform();
+        return svg.toString().replace(/^<\?xml[^>]*>\s*/, '');
+    },
+
+    /**
+     * Report for all material and thickness groups: one block per group with its sheets.
+     * @param {Array<Object>} groups - From Nesting.nest.
+     * @param {Object} options - { label, trim, print }
+     * @returns {HTMLElement}
+     */
+    buildReport: (groups, { label, trim, print = false }) => {
+        const report = el('div', 'nesting-report');
+        groups.forEach(group => {
+            const block = el('div', 'nesting-group');
+            const sheets = group.sheets.length;
+            block.appendChild(el('h4', null,
+                `${Materials.get(group.material).label} · ${Geometry.formatInches(group.thickness)} thick · ${sheets} sheet${sheets === 1 ? '' : 's'} of ${label} · ${percent(group.utilization)} used`));
+
+            if (group.unplaced.length > 0) {
+                block.appendChild(el('div', 'report-warning',
+                    `Too large for the sheet: ${group.unplaced.map(p => `${p.name} (${Geometry.formatInches(p.length)} × ${Geometry.formatInches(p.width)})`).join(', ')}`));
+            }
+
+            group.sheets.forEach((sheet, i) => {
+                const item = el('div', 'nesting-sheet');
+                item.appendChild(el('div', 'report-caption', `Sheet ${i + 1} of ${sheets} · ${sheet.placements.length} parts · ${percent(sheet.utilization)} used`));
+                const figure = el('div', 'nesting-figure');
+                figure.innerHTML = NestingOp.buildSheetSVG(sheet, { trim, physicalWidth: print ? `${PRINT_WIDTH}in` : undefined });
+                item.appendChild(figure);
+
+                if (print) {
+                    const list = el('ul', 'nesting-parts');
+                    sheet.placements.forEach(p => list.appendChild(el('li', null,
+                        `${p.part.name}: ${Geometry.formatInches(p.w)} × ${Geometry.formatInches(p.h)} at ${Geometry.formatInches(p.x)}, ${Geometry.formatInches(p.y)}${p.rotated ? ' (rotated)' : ''}`)));
+                    item.appendChild(list);
+                }
+                block.appendChild(item);
+            });
+            report.appendChild(block);
+        });
+        return report;
+    },
+
+    /**
+     * Asks for the sheet and cut settings, shows the layouts and offers to print
+     * them and to keep their leftovers as offcuts.
+     */
+    open: async () => {
+        const shapes = STATE.document.shapes.filter(s => !Materials.isSolidWood(s));
+        if (shapes.length === 0) {
+            alert("No sheet-good parts to nest. Solid wood goes on the Lumber Cutting List.");
+            return;
+        }
+
+        const d = NESTING_DEFAULTS;
+        const options = await FormDialog.open({
+            title: 'Sheet Nesting',
+            submitLabel: 'Nest Parts',
+            fields: [
+                { key: 'sheet', label: 'Sheet size', type: 'select', value: d.sheet, options: [
+                    ...Object.entries(SHEET_SIZES).map(([value, s]) => ({ value, label: s.label })),
+                    { value: 'custom', label: 'Custom…' }
+                ] },
+                { key: 'width', label: 'Custom width (in)', type: 'number', value: 96, step: 0.125, min: 1 },
+                { key: 'height', label: 'Custom height (in)', type: 'number', value: 48, step: 0.125, min: 1 },
+                { key: 'kerf', label: 'Saw kerf (in)', type: 'number', value: d.kerf, step: 0.015625, min: 0 },
+                { key: 'trim', label: 'Edge trim (in)', type: 'number', value: d.trim, step: 0.0625, min: 0 },
+                { key: 'allowRotation', label: 'Allow rotating grainless parts 90°', type: 'checkbox', value: d.allowRotation }
+            ]
+        });
+        if (!options) return;
+
+        const preset = SHEET_SIZES[options.sheet];
+        const width = preset ? preset.width : options.width;
+        const height = preset ? preset.height : options.height;
+        const kerf = Math.max(0, options.kerf || 0);
+        const trim = Math.max(0, options.trim || 0);
+        if (!(width > trim * 2) || !(height > trim * 2)) {
+            alert("The sheet is smaller than its edge trim.");
+            return;
+        }
+
+        const settings = { width, height, kerf, trim, allowRotation: options.allowRotation };
+        const groups = Nesting.nest(shapes, settings);
+        const label = preset ? preset.label : `${Geometry.formatInches(width)} × ${Geometry.formatInches(height)}`;
+
+        const content = NestingOp.buildReport(groups, { label, trim });
+        content.appendChild(OffcutOp.buildKeepButton(Offcuts.fromSheets(groups, shapes)));
+
+        const print = await FormDialog.open({
+            title: 'Sheet Layouts',
+            content,
+            submitLabel: 'Print Cutting Diagrams',
+            cancelLabel: 'Close'
+        });
+        if (print) NestingOp.print(groups, { label, trim, kerf });
+    },
+
+    /**
+     * Prints the cutting diagrams, one sheet per block, with a placement list.
+     */
+    print: (groups, { label, trim, kerf }) => {
+        const page = el('div', 'print-page nesting-print');
+        page.appendChild(PrintOp.createHeader(`Cutting Diagrams · ${label} · kerf ${Geometry.formatInches(kerf)}, trim ${Geometry.formatInches(trim)}`));
+        page.appendChild(NestingOp.buildReport(groups, { label, trim, print: true }));
+        PrintOp.print(page, { pageSize: 'letter' });
+    }
+};
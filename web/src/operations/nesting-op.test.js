@@ -0,0 +1,34 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect } from 'vitest';
+import { NestingOp } from './nesting-op.js';
+import { Nesting } from '../utils/nesting.js';
+import { ShapeModel } from '../core/model.js';
+
+const part = (w, h, name) => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: w * 10, y: 0 }, { x: w * 10, y: h * 10 }, { x: 0, y: h * 10 }], name);
+    shape.thickness = 0.75;
+    shape.material = 'mdf';
+    return shape;
+};
+
+describe('NestingOp', () => {
+    it('rotates footprint points into their placement', () => {
+        const placement = { x: 10, y: 5, w: 4, h: 20, rotated: true };
+        // Length runs down the sheet, width across
+        expect(NestingOp.placePoint(placement, { x: 0, y: 0 })).toEqual({ x: 14, y: 5 });
+        expect(NestingOp.placePoint(placement, { x: 20, y: 4 })).toEqual({ x: 10, y: 25 });
+    });
+
+    it('reports sheets with utilization and parts that do not fit', () => {
+        const groups = Nesting.nest([part(40, 20, 'Top'), part(120, 10, 'Beam')], { width: 96, height: 48, kerf: 0.125, trim: 0.25 });
+        const report = NestingOp.buildReport(groups, { label: '4 × 8 ft', trim: 0.25, print: true });
+
+        expect(report.querySelectorAll('.nesting-sheet')).toHaveLength(1);
+        expect(report.querySelector('h4').textContent).toContain('MDF (4 × 8) · 0 3/4" thick · 1 sheet of 4 × 8 ft · 17% used');
+        expect(report.querySelector('.report-warning').textContent).toContain('Beam');
+        expect(report.querySelector('svg')).not.toBeNull();
+        expect(report.querySelector('.nesting-parts li').textContent).toContain('Top');
+    });
+});
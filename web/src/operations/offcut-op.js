@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Offcut Inventory Operations
+ * Leftover pieces kept for later projects: loads them from storage, adds them
+ * from cut layouts or by hand, manages them from a panel and finds the ones
+ * the selected part can be cut from.
+ */
+
+import { STATE } from '../core/state.js';
+import { Storage } from '../core/storage.js';
+import { OffcutModel } from '../core/model.js';
+import { Geometry } from '../utils/geometry.js';
+import { Offcuts, OFFCUT_DEFAULTS } from '../utils/offcuts.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+
+const { el, actionTable } = ReportDom;
+
+/** Thinnest, then longest, then widest: the order offcuts are listed everywhere. */
+const byPiece = (a, b) => (a.thickness - b.thickness) || (b.length - a.length) || (b.width - a.width);
+
+export const OffcutOp = {
+    /**
+     * Loads the inventory. Storage must already be open (ProjectOp.init).
+     */
+    init: async () => {
+        const items = await Storage.getAllOffcuts();
+        STATE.library.offcuts = items.sort(byPiece);
+    },
+
+    save: async (offcut) => {
+        offcut.lastModified = Date.now();
+        await Storage.saveOffcut(offcut);
+        STATE.library.offcuts = [...STATE.library.offcuts.filter(o => o.id !== offcut.id), offcut].sort(byPiece);
+    },
+
+    remove: async (id) => {
+        await Storage.deleteOffcut(id);
+        STATE.library.offcuts = STATE.library.offcuts.filter(o => o.id !== id);
+    },
+
+    /**
+     * Adds leftover pieces to the inventory.
+     * @param {Array<{length: number, width: number, thickness: number, species: string}>} pieces
+     * @param {string} source - Where they came from, e.g. the project name.
+     * @returns {Promise<Array<Object>>} The saved offcuts.
+     */
+    record: async (pieces, source) => {
+        const saved = [];
+        for (const piece of pieces) {
+            const offcut = OffcutModel.create({ ...piece, source });
+            await OffcutOp.save(offcut);
+            saved.push(offcut);
+        }
+        return saved;
+    },
+
+    /**
+     * Asks for an offcut's details.
+     * @param {Object|null} offcut - Null to add a new one.
+     * @returns {Promise<Object|null>} The saved offcut, or null when cancelled or invalid.
+     */
+    edit: async (offcut) => {
+        const current = offcut || OffcutModel.create({ source: STATE.document.currentProject?.name || '' });
+        const values = await FormDialog.open({
+            title: offcut ? 'Edit Offcut' : 'Add Offcut',
+            submitLabel: 'Save',
+            fields: [
+                { key: 'length', label: 'Length, along the grain (in)', type: 'number', value: current.length, step: 0.0625, min: 0 },
+                { key: 'width', label: 'Width (in)', type: 'number', value: current.width, step: 0.0625, min: 0 },
+                { key: 'thickness', label: 'Thickness (in)', type: 'number', value: current.thickness, step: 0.0625, min: 0 },
+                { key: 'species', label: 'Species', type: 'text', value: current.species },
+                { key: 'source', label: 'From', type: 'text', value: current.source }
+            ]
+        });
+        if (!values) return null;
+
+        if (!(values.length > 0) || !(values.width > 0) || !(values.thickness > 0)) {
+            alert("Length, width and thickness must be greater than zero.");
+            return null;
+        }
+
+        const updated = {
+            ...current,
+            length: values.length,
+            width: values.width,
+            thickness: values.thickness,
+            species: values.species.trim(),
+            source: values.source.trim()
+        };
+        await OffcutOp.save(updated);
+        return updated;
+    },
+
+    /**
+     * Inventory table with a button or two per offcut.
+     * @param {Array<Object>} offcuts
+     * @param {Object<string, Function>} actions - Button label to handler(offcut), e.g. { Edit, Delete }.
+     * @param {string} [empty] - Caption when there are none.
+     * @returns {HTMLElement}
+     */
+    buildInventoryTable: (offcuts, actions, empty = 'No offcuts yet. Keep the leftovers from a cut layout or add them by hand.') => {
+        const wrap = el('div', 'offcut-inventory');
+        if (offcuts.length === 0) {
+            wrap.appendChild(el('div', 'report-caption', empty));
+            return wrap;
+        }
+
+        wrap.appendChild(actionTable(['Length × width × thickness', 'Species', 'From'], offcuts,
+            offcut => [Offcuts.describe(offcut), offcut.species, offcut.source], actions));
+        return wrap;
+    },
+
+    /**
+     * Button for a cut layout report that adds its leftovers to the inventory,
+     * once.
+     * @param {Array<Object>} pieces - From Offcuts.fromSheets or Offcuts.fromBoards.
+     * @returns {HTMLElement}
+     */
+    buildKeepButton: (pieces) => {
+        const wrap = el('div', 'offcut-keep');
+        const { minLength, minWidth } = OFFCUT_DEFAULTS;
+        if (pieces.length === 0) {
+            wrap.appendChild(el('div', 'report-caption',
+                `No leftovers worth keeping (at least ${Geometry.formatInches(minLength)} × ${Geometry.formatInches(minWidth)}).`));
+            return wrap;
+        }
+
+        const btn = el('button', null, `Keep ${pieces.length} Leftover${pieces.length === 1 ? '' : 's'} as Offcuts`);
+        btn.type = 'button';
+        btn.title = pieces.map(Offcuts.describe).join('\n');
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            try {
+                await OffcutOp.record(pieces, STATE.document.currentProject?.name || '');
+                btn.innerText = 'Added to the Offcut Inventory';
+            } catch (err) {
+                console.error("Failed to save offcuts:", err);
+                alert("The offcut inventory could not be saved.");
+                btn.disabled = false;
+            }
+        });
+        wrap.appendChild(btn);
+        return wrap;
+    },
+
+    /**
+     * The inventory panel.
+     */
+    manage: async () => {
+        await FormDialog.manage({
+            title: 'Offcut Inventory',
+            addLabel: 'Add Offcut…',
+            name: 'offcut inventory',
+            content: (act) => OffcutOp.buildInventoryTable(STATE.library.offcuts, {
+                Edit: act(OffcutOp.edit),
+                Delete: act(async (offcut) => {
+                    if (confirm(`Delete the ${Offcuts.describe(offcut)} offcut?`)) await OffcutOp.remove(offcut.id);
+                })
+            }),
+            onAdd: () => OffcutOp.edit(null)
+        });
+    },
+
+    /**
+     * Offcuts the selected part can be cut from, smallest first. Using one
+     * takes it out of the inventory.
+     */
+    findForSelected: async () => {
+        const shape = STATE.selectedShape;
+        if (!shape) {
+            alert("Select a shape first!");
+            return;
+        }
+
+        let matchSpecies = true;
+        for (;;) {
+            const need = Offcuts.requirement(shape);
+            const found = Offcuts.search(STATE.library.offcuts, shape, { matchSpecies });
+            let used = null;
+
+            const content = el('div');
+            content.appendChild(el('div', 'report-caption',
+                `Needs ${Offcuts.describe(need)}${need.rotate ? '' : ', length along the grain'}.`));
+            content.appendChild(OffcutOp.buildInventoryTable(found, {
+                Use: (offcut) => { used = offcut; FormDialog.close(); }
+            }, 'No offcut in the inventory is big enough.'));
+
+            const values = await FormDialog.open({
+                title: `Offcuts for ${shape.name}`,
+                submitLabel: 'Update',
+                cancelLabel: 'Close',
+                fields: [
+                    { key: 'matchSpecies', label: `Only ${Offcuts.speciesOf(shape)}`, type: 'checkbox', value: matchSpecies }
+                ],
+                content
+            });
+            if (used) {
+                if (confirm(`Take the ${Offcuts.describe(used)} offcut out of the inventory?`)) {
+                    try {
+                        await OffcutOp.remove(used.id);
+                    } catch (err) {
+                        console.error("Failed to update the offcut inventory:", err);
+                        alert("The offcut inventory could not be saved.");
+                        return;
+                    }
+                }
+                continue;
+            }
+            if (!values) return;
+            matchSpecies = values.matchSpecies;
+        }
+    }
+};
@@ -0,0 +1,85 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { OffcutOp } from './offcut-op.js';
+import { STATE } from '../core/state.js';
+import { Storage } from '../core/storage.js';
+import { OffcutModel } from '../core/model.js';
+import { FormDialog } from '../systems/form-dialog.js';
+
+vi.mock('../core/storage.js', () => ({
+    Storage: {
+        getAllOffcuts: vi.fn(async () => []),
+        saveOffcut: vi.fn(async () => {}),
+        deleteOffcut: vi.fn(async () => {})
+    }
+}));
+
+vi.mock('../systems/form-dialog.js', () => ({
+    FormDialog: { open: vi.fn(), close: vi.fn() }
+}));
+
+describe('OffcutOp', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        STATE.library.offcuts = [];
+    });
+
+    it('loads the inventory thinnest, then longest first', async () => {
+        Storage.getAllOffcuts.mockResolvedValueOnce([
+            OffcutModel.create({ length: 20, thickness: 0.75 }),
+            OffcutModel.create({ length: 30, thickness: 0.75 }),
+            OffcutModel.create({ length: 40, thickness: 1.5 })
+        ]);
+        await OffcutOp.init();
+        expect(STATE.library.offcuts.map(o => o.length)).toEqual([30, 20, 40]);
+    });
+
+    it('records leftovers with where they came from', async () => {
+        const saved = await OffcutOp.record([{ length: 35.875, width: 5.5, thickness: 0.75, species: 'Pine' }], 'Bookcase');
+        expect(Storage.saveOffcut).toHaveBeenCalledTimes(1);
+        expect(saved[0]).toMatchObject({ length: 35.875, width: 5.5, species: 'Pine', source: 'Bookcase' });
+        expect(STATE.library.offcuts).toEqual(saved);
+    });
+
+    it('saves an offcut entered by hand', async () => {
+        FormDialog.open.mockResolvedValueOnce({ length: 18, width: 7.25, thickness: 0.875, species: ' Cherry ', source: 'Garage rack' });
+        const offcut = await OffcutOp.edit(null);
+        expect(offcut).toMatchObject({ length: 18, width: 7.25, thickness: 0.875, species: 'Cherry', source: 'Garage rack' });
+        expect(Storage.saveOffcut).toHaveBeenCalledWith(offcut);
+    });
+
+    it('rejects an offcut without a size', async () => {
+        const alert = vi.fn();
+        vi.stubGlobal('alert', alert);
+        FormDialog.open.mockResolvedValueOnce({ length: 0, width: 6, thickness: 0.75, species: '', source: '' });
+        expect(await OffcutOp.edit(null)).toBeNull();
+        expect(alert).toHaveBeenCalled();
+        expect(Storage.saveOffcut).not.toHaveBeenCalled();
+        vi.unstubAllGlobals();
+    });
+
+    it('lists offcuts with their actions', () => {
+        const onUse = vi.fn();
+        const offcut = OffcutModel.create({ length: 30, width: 5.5, thickness: 0.75, species: 'Walnut', source: 'Desk' });
+        const table = OffcutOp.buildInventoryTable([offcut], { Use: onUse });
+        const cells = [...table.querySelectorAll('td')].map(td => td.textContent);
+        expect(cells.slice(0, 3)).toEqual(['30" × 5 1/2" × 0 3/4"', 'Walnut', 'Desk']);
+        table.querySelector('button').click();
+        expect(onUse).toHaveBeenCalledWith(offcut);
+        expect(OffcutOp.buildInventoryTable([], {}, 'None.').textContent).toBe('None.');
+    });
+
+    it('keeps a layout\'s leftovers once', async () => {
+        const keep = OffcutOp.buildKeepButton([{ length: 24, width: 12, thickness: 0.75, species: 'Plywood' }]);
+        const btn = keep.querySelector('button');
+        expect(btn.textContent).toBe('Keep 1 Leftover as Offcuts');
+        btn.click();
+        await vi.waitFor(() => expect(btn.textContent).toBe('Added to the Offcut Inventory'));
+        expect(btn.disabled).toBe(true);
+        expect(STATE.library.offcuts).toHaveLength(1);
+
+        expect(OffcutOp.buildKeepButton([]).querySelector('button')).toBeNull();
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Print Operations
+ * Builds print-ready pages (cut lists, 1:1 templates...) into the hidden #print-view container
+ * and hands them to the browser's print dialog. The print stylesheet in
+ * style.css hides the app and shows only #print-view on paper.
+ */
+
+import { STATE } from '../core/state.js';
+import { DOM } from '../core/dom.js';
+import { Geometry } from '../utils/geometry.js';
+import { CutList } from '../utils/cut-list.js';
+import { EdgeBanding } from '../utils/edge-banding.js';
+import { GlueUp } from '../utils/glue-up.js';
+import { Grain } from '../utils/grain.js';
+import { Materials } from '../utils/materials.js';
+import { PartMarks } from '../utils/part-marks.js';
+import { RoughStock } from '../utils/rough-stock.js';
+import { Template, PAPER_SIZES } from '../utils/template.js';
+import { SVGRenderer } from '../renderers/svg-renderer.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom, CSS_PIXELS_PER_INCH } from '../systems/report-dom.js';
+
+const { el } = ReportDom;
+
+/** Non-printable border most printers need, in inches. */
+const TEMPLATE_MARGIN = 0.4;
+
+/** Strip along the bottom of each template page for the label and calibration square, in inches. */
+const TEMPLATE_FURNITURE = 1.3;
+
+export const PrintOp = {
+    /**
+     * Replaces the print view content and opens the print dialog.
+     * @param {HTMLElement} content
+     * @param {Object} [options]
+     * @param {string} [options.pageSize] - CSS @page size, e.g. 'letter', 'A4', 'letter landscape'.
+     * @param {string} [options.margin] - CSS @page margin.
+     */
+    print: (content, { pageSize = 'letter', margin = '0.5in' } = {}) => {
+        DOM.printView.innerHTML = '';
+        const pageStyle = document.createElement('style');
+        pageStyle.textContent = `@page { size: ${pageSize}; margin: ${margin}; }`;
+        DOM.printView.appendChild(pageStyle);
+        DOM.printView.appendChild(content);
+
+        window.addEventListener('afterprint', () => { DOM.printView.innerHTML = ''; }, { once: true });
+        window.print();
+    },
+
+    /**
+     * Standard page heading: project name, subtitle and date.
+     */
+    createHeader: (subtitle) => {
+        const header = el('div', 'print-header');
+        header.appendChild(el('h1', null, STATE.document.currentProject?.name || 'Untitled Project'));
+        header.appendChild(el('div', 'print-subtitle', `${subtitle} · ${new Date().toLocaleDateString()}`));
+        return header;
+    },
+
+    /**
+     * Builds the cut list page for the current project.
+     * @returns {HTMLElement|null}
+     */
+    buildCutListPage: () => {
+        const project = STATE.document.currentProject;
+        const banding = EdgeBanding.settings(project);
+        const rows = CutList.build(STATE.document.shapes, { subtractBanding: banding.subtract });
+        if (rows.length === 0) return null;
+
+        const page = el('div', 'print-page cut-list');
+        page.appendChild(PrintOp.createHeader(banding.subtract ? 'Cut List · cut sizes, less edge banding' : 'Cut List'));
+
+        const table = el('table', 'print-table');
+        const head = el('thead');
+        const headRow = el('tr');
+        ['Qty', 'Mark', 'Part', 'Thickness', 'Length', 'Width', 'Grain', 'Joinery'].forEach(h => headRow.appendChild(el('th', null, h)));
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const body = el('tbody');
+        let totalParts = 0;
+        rows.forEach(row => {
+            totalParts += row.quantity;
+
+            const tr = el('tr');
+            tr.appendChild(el('td', 'num', String(row.quantity)));
+            tr.appendChild(el('td', 'part-mark', row.mark));
+            tr.appendChild(el('td', null, row.names.join(', ')));
+            tr.appendChild(el('td', 'num', Geometry.formatInches(row.thickness)));
+            tr.appendChild(el('td', 'num', Geometry.formatInches(row.length)));
+            tr.appendChild(el('td', 'num', Geometry.formatInches(row.width)));
+            tr.appendChild(el('td', null, Grain.describe(row)));
+
+            const joineryCell = el('td', 'joinery-cell');
+            if (row.joinery.length === 0 && row.banding.length === 0) {
+                joineryCell.innerText = '—';
+            } else {
+                const list = el('ul');
+                row.joinery.forEach(j => list.appendChild(el('li', null, `${j.faceLabel}: ${CutList.describeJoinery(j, row.thickness)}`)));
+                row.banding.forEach(b => list.appendChild(el('li', null, `${b.faceLabel}: Banded, ${EdgeBanding.describe(b)}`)));
+                joineryCell.appendChild(list);
+            }
+            tr.appendChild(joineryCell);
+            body.appendChild(tr);
+
+            // Glued-up parts list their blanks underneath
+            if (row.glueUp && row.glueUp.count > 1) {
+                const glueRow = el('tr', 'glue-up-row');
+                glueRow.appendChild(el('td'));
+                const cell = el('td', null, `Glue-up${row.quantity > 1 ? ' (each)' : ''}: ${GlueUp.describe(row.glueUp)}`);
+                cell.colSpan = 7;
+                glueRow.appendChild(cell);
+                body.appendChild(glueRow);
+            }
+        });
+        table.appendChild(body);
+        page.appendChild(table);
+
+        const { net, rough } = RoughStock.totals(STATE.document.shapes, RoughStock.settings(project), Materials.isSolidWood);
+        page.appendChild(el('div', 'print-footer', `${totalParts} parts · ${net.toFixed(2)} board feet net · ${rough.toFixed(2)} board feet rough`));
+        const bandingTotals = EdgeBanding.totals(STATE.document.shapes, banding);
+        if (bandingTotals.length > 0) {
+            page.appendChild(el('div', 'print-footer',
+                `Edge banding: ${bandingTotals.map(t => `${t.label} ${(t.length / 12).toFixed(1)} ft`).join(' · ')}`));
+        }
+        return page;
+    },
+
+    printCutList: () => {
+        const page = PrintOp.buildCutListPage();
+        if (!page) {
+            alert("Nothing to print yet.");
+            return;
+        }
+        PrintOp.print(page, { pageSize: 'letter' });
+    },
+
+    /**
+     * Draws one template tile: the part clipped to the tile, overlap guides
+     * and registration crosshairs shared with neighbouring pages.
+     * @returns {string} SVG markup.
+     */
+    buildTemplatePage: (geometry, page, tiling, { overlap }) => {
+        const dpi = CSS_PIXELS_PER_INCH;
+        const svg = new SVGRenderer(page.width * dpi, page.height * dpi, {
+            physicalWidth: `${page.width}in`,
+            physicalHeight: `${page.height}in`
+        });
+
+        // Drawing space is inches, 1:1 on paper
+        svg.pushWorldTransform(-page.x * dpi, -page.y * dpi, dpi);
+        const loop = (points, color, width, dash) => points.forEach((p, i) => {
+            svg.drawLine(p, points[(i + 1) % points.length], color, width, dash);
+        });
+
+        const left = page.x, top = page.y, right = page.x + page.width, bottom = page.y + page.height;
+        const guide = [0.1, 0.08];
+        if (page.col > 0) svg.drawLine({ x: left + overlap, y: top }, { x: left + overlap, y: bottom }, '#bbb', 0.01, guide);
+        if (page.row > 0) svg.drawLine({ x: left, y: top + overlap }, { x: right, y: top + overlap }, '#bbb', 0.01, guide);
+        if (page.col < tiling.cols - 1) svg.drawLine({ x: right - overlap, y: top }, { x: right - overlap, y: bottom }, '#bbb', 0.01, guide);
+        if (page.row < tiling.rows - 1) svg.drawLine({ x: left, y: bottom - overlap }, { x: right, y: bottom - overlap }, '#bbb', 0.01, guide);
+
+        geometry.items.forEach(item => {
+            const color = item.kind === 'cutout' ? '#d9534f' : '#2e7d32';
+            loop(item.points, color, 0.015, item.face === 'BACK' ? [0.08, 0.05] : []);
+        });
+        loop(geometry.outline, '#000', 0.02);
+        (geometry.grain || []).forEach(l => svg.drawLine(l.start, l.end, '#8d6e63', 0.015));
+
+        // Crosshairs sit in the middle of each overlap band, so they line up page to page
+        const inset = overlap / 2, arm = 0.2;
+        [[left + inset, top + inset], [right - inset, top + inset], [left + inset, bottom - inset], [right - inset, bottom - inset]]
+            .forEach(([x, y]) => {
+                svg.drawLine({ x: x - arm, y }, { x: x + arm, y }, '#000', 0.01);
+                svg.drawLine({ x, y: y - arm }, { x, y: y + arm }, '#000', 0.01);
+            });
+        svg.popTransform();
+        return svg.toString();
+    },
+
+    /**
+     * Draws the strip under a template tile: page label and a 1" calibration
+     * square. It is a separate SVG so the part never runs into it.
+     * @returns {string} SVG markup.
+     */
+    buildTemplateFurniture: (page, tiling, { width, title }) => {
+        const dpi = CSS_PIXELS_PER_INCH;
+        const svg = new SVGRenderer(width * dpi, TEMPLATE_FURNITURE * dpi, {
+            physicalWidth: `${width}in`,
+            physicalHeight: `${TEMPLATE_FURNITURE}in`
+        });
+
+        const sq = { x: 0.15 * dpi, y: (TEMPLATE_FURNITURE - 1) / 2 * dpi };
+        const corners = [sq, { x: sq.x + dpi, y: sq.y }, { x: sq.x + dpi, y: sq.y + dpi }, { x: sq.x, y: sq.y + dpi }];
+        corners.forEach((p, i) => svg.drawLine(p, corners[(i + 1) % 4], '#000', 1));
+        svg.drawText('1 in', { x: sq.x + dpi / 2, y: sq.y + dpi / 2 - 7 }, '#000', 11);
+        svg.drawText('25.4 mm', { x: sq.x + dpi / 2, y: sq.y + dpi / 2 + 8 }, '#555', 9);
+
+        // Labels centred in the room right of the square
+        const cx = (sq.x + dpi + width * dpi) / 2;
+        const pageCount = tiling.cols * tiling.rows;
+        const pageIndex = page.row * tiling.cols + page.col + 1;
+        svg.drawText(`${title} · ${page.label} (${pageIndex}/${pageCount})`, { x: cx, y: sq.y + dpi * 0.35 }, '#000', 12);
+        svg.drawText(`Column ${page.col + 1} of ${tiling.cols}, row ${page.row + 1} of ${tiling.rows}`,
+            { x: cx, y: sq.y + dpi * 0.6 }, '#555', 10);
+        return svg.toString();
+    },
+
+    /**
+     * Tiles the selected shape across pages at 1:1.
+     * @param {Object} shape
+     * @param {Object} options - { paper: 'letter'|'a4', orientation: 'portrait'|'landscape', overlap }
+     * @returns {HTMLElement}
+     */
+    buildTemplatePages: (shape, { paper = 'letter', orientation = 'portrait', overlap = 0.5 } = {}) => {
+        const size = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+        const landscape = orientation === 'landscape';
+        const width = (landscape ? size.height : size.width) - TEMPLATE_MARGIN * 2;
+        const height = (landscape ? size.width : size.height) - TEMPLATE_MARGIN * 2;
+
+        // The part is tiled over what is left above the furniture strip
+        const geometry = Template.partGeometry(shape);
+        const bounds = Geometry.calculateBounds([geometry.outline, ...geometry.items.map(i => i.points)].flat());
+        const tiling = Template.layout(bounds, { width, height: height - TEMPLATE_FURNITURE, overlap });
+
+        // Part mark first, so the paper matches the pencil mark on the wood
+        const mark = PartMarks.assign(STATE.document.shapes).get(shape.id)?.mark;
+        const title = mark ? `${mark} · ${shape.name}` : shape.name;
+
+        const container = el('div', 'template-pages');
+        tiling.pages.forEach(page => {
+            const pageEl = el('div', 'print-page template-page');
+            pageEl.style.width = `${width}in`;
+            pageEl.style.height = `${height}in`;
+            pageEl.innerHTML = [
+                PrintOp.buildTemplatePage(geometry, page, tiling, { overlap }),
+                PrintOp.buildTemplateFurniture(page, tiling, { width, title })
+            ].map(markup => markup.replace(/^<\?xml[^>]*>\s*/, '')).join('');
+            container.appendChild(pageEl);
+        });
+        return container;
+    },
+
+    /**
+     * Asks for paper and overlap, then prints the selected shape as a 1:1 template.
+     */
+    printTemplate: async () => {
+        const shape = STATE.selectedShape;
+        if (!shape) {
+            alert("Select a shape first!");
+            return;
+        }
+
+        const options = await FormDialog.open({
+            title: 'Print Full-Size Template',
+            submitLabel: 'Print',
+            fields: [
+                { key: 'paper', label: 'Paper', type: 'select', value: 'letter', options:
+                    Object.entries(PAPER_SIZES).map(([value, p]) => ({ value, label: p.label }))
+                },
+                { key: 'orientation', label: 'Orientation', type: 'select', value: 'portrait', options: [
+                    { value: 'portrait', label: 'Portrait' },
+                    { value: 'landscape', label: 'Landscape' }
+                ] },
+                { key: 'overlap', label: 'Overlap (in)', type: 'number', value: 0.5, step: 0.125, min: 0 }
+            ]
+        });
+        if (!options) return;
+
+        const overlap = Number.isFinite(options.overlap) ? Math.min(Math.max(0, options.overlap), 2) : 0.5;
+        const size = PAPER_SIZES[options.paper] || PAPER_SIZES.letter;
+        const pages = PrintOp.buildTemplatePages(shape, { ...options, overlap });
+        const pageSize = `${size.css}${options.orientation === 'landscape' ? ' landscape' : ''}`;
+        PrintOp.print(pages, { pageSize, margin: `${TEMPLATE_MARGIN}in` });
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect } from 'vitest';
+import { PrintOp } from './print-op.js';
+import { STATE } from '../core/state.js';
+import { ShapeModel } from '../core/model.js';
+import { CONFIG } from '../core/config.js';
+
+describe('PrintOp.buildTemplatePages', () => {
+    it('keeps the label and calibration square in a strip below the part', () => {
+        // 10" × 8" part on a letter page: the drawing area is 7.7" × (10.2 - 1.3)"
+        const s = CONFIG.SCALE_PIXELS_PER_INCH;
+        const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: 10 * s, y: 0 }, { x: 10 * s, y: 8 * s }, { x: 0, y: 8 * s }], 'Panel');
+        STATE.document = { ...STATE.document, shapes: [shape] };
+
+        const pages = PrintOp.buildTemplatePages(shape, { paper: 'letter', overlap: 0.5 });
+        const first = pages.querySelector('.template-page');
+        const [tile, strip] = first.querySelectorAll('svg');
+
+        expect(pages.querySelectorAll('.template-page')).toHaveLength(2);
+        expect(parseFloat(tile.getAttribute('height'))).toBeCloseTo(8.9);
+        expect(tile.textContent).not.toContain('Panel');
+        expect(tile.innerHTML).not.toContain('fill="white"');
+
+        expect(strip.getAttribute('height')).toBe('1.3in');
+        expect(strip.textContent).toContain('Panel · A1 (1/2)');
+        expect(strip.textContent).toContain('1 in');
+    });
+});
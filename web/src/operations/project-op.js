@@ -7,8 +7,9 @@ import { STATE } from '../core/state.js';
 import { Storage } from '../core/storage.js';
 import { DOM } from '../core/dom.js';
 import { Input } from '../systems/input.js';
-import { Geometry } from '../utils/geometry.js';
-import { CONFIG } from '../core/config.js';
+import { Cost } from '../utils/cost.js';
+import { Materials } from '../utils/materials.js';
+import { RoughStock } from '../utils/rough-stock.js';
 
 export const ProjectOp = {
     init: async () => {
@@ -41,6 +42,24 @@ export const ProjectOp = {
         STATE.requestRender?.();
     },
 
+    /**
+     * Adds an already-built project record (e.g. read from a project file),
+     * persists it and switches to it. Clashing names get a suffix.
+     */
+    addProject: async (project) => {
+        const names = new Set(STATE.document.projects.map(p => p.name));
+        if (names.has(project.name)) {
+            let n = 2;
+            while (names.has(`${project.name} (${n})`)) n++;
+            project.name = `${project.name} (${n})`;
+        }
+        STATE.document.projects.push(project);
+        await Storage.saveProject(project);
+        ProjectOp.selectProject(project.id);
+        ProjectOp.renderProjectList();
+        STATE.requestRender?.();
+    },
+
     selectProject: (id) => {
         STATE.document.currentProjectId = id;
         STATE.ui.selectedShapeId = null;
@@ -71,19 +90,21 @@ export const ProjectOp = {
         STATE.requestRender?.();
     },
 
+    /**
+     * Toolbar readout: net board feet of the finished parts, rough board feet
+     * to buy for the solid-wood ones, and the estimated material cost.
+     */
     calculateTotalBoardFeet: () => {
         if (!DOM.totalBoardFeet || !STATE.document.shapes) return;
         
-        let totalBF = 0;
-        STATE.document.shapes.forEach(shape => {
-            const areaSqIn = Geometry.calculateArea(shape.points, CONFIG.SCALE_PIXELS_PER_INCH);
-            const thickness = shape.thickness || CONFIG.DEFAULT_THICKNESS;
-            const volume = areaSqIn * thickness;
-            const bf = volume / 144;
-            totalBF += bf;
-        });
-        
-        DOM.totalBoardFeet.innerText = `${totalBF.toFixed(2)} Board Feet`;
+        const project = STATE.document.currentProject;
+        const { net, rough } = RoughStock.totals(STATE.document.shapes, RoughStock.settings(project), Materials.isSolidWood);
+        DOM.totalBoardFeet.innerText = `${net.toFixed(2)} BF net · ${rough.toFixed(2)} BF rough`;
+
+        if (DOM.btnTotalCost) {
+            const { total } = Cost.estimate(STATE.document.shapes, Cost.settings(project));
+            DOM.btnTotalCost.innerText = Cost.formatMoney(total);
+        }
     },
 
     renderProjectList: () => {
@@ -23,7 +23,7 @@ export const SelectionOp = {
             
             // Bounding box check first for speed (optimization for later)
             
-            if (SelectionOp.pointInPolygon(mouseWorld, shape.points)) {
+            if (SelectionOp.pointInPolygon(mouseWorld, Geometry.flattenOutline(shape.points))) {
                 found = shape;
                 break;
             }
@@ -40,14 +40,5 @@ export const SelectionOp = {
         }
     },
 
-    pointInPolygon: (p, points) => {
-        let inside = false;
-        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
-            const xi = points[i].x, yi = points[i].y;
-            const xj = points[j].x, yj = points[j].y;
-            const intersect = ((yi > p.y) !== (yj > p.y)) && (p.x < (xj - xi) * (p.y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
-        }
-        return inside;
-    }
+    pointInPolygon: (p, points) => Geometry.pointInPolygon(p, points)
 };
\ No newline at end of file
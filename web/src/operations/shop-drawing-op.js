@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Shop Drawing Operations
+ * Three-view orthographic drawing of the assembled piece (top, front, right),
+ * with overall dimensions and a title block, on a single landscape sheet that
+ * can be printed or saved as SVG.
+ */
+
+import { STATE } from '../core/state.js';
+import { Geometry } from '../utils/geometry.js';
+import { MeshExporter } from '../utils/mesh-exporter.js';
+import { Orthographic, VIEWS } from '../utils/orthographic.js';
+import { PAPER_SIZES } from '../utils/template.js';
+import { SVGRenderer } from '../renderers/svg-renderer.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { CSS_PIXELS_PER_INCH } from '../systems/report-dom.js';
+import { ExportOp } from './export-op.js';
+import { PrintOp } from './print-op.js';
+
+/** Sheet furniture, in paper inches. */
+const SHEET_MARGIN = 0.4;
+const TITLE_BLOCK = { width: 4, height: 1.1 };
+const VIEW_GAP = 0.9;
+
+const LINE = {
+    visible: { color: '#000', width: 0.014 },
+    hidden: { color: '#555', width: 0.008, dash: [0.06, 0.04] },
+    thin: { color: '#333', width: 0.006 }
+};
+const TEXT = { color: '#000', size: 0.11 };
+
+export const ShopDrawingOp = {
+    /**
+     * Projects the current assembly into the three views.
+     * @returns {Object|null} { top, front, right } or null when nothing is assembled.
+     */
+    collectViews: ({ hiddenLines = true } = {}) => {
+        const parts = ExportOp.withAssembly(r => MeshExporter.collectParts(r.meshCache, STATE.document.shapes));
+        if (!parts || parts.length === 0) return null;
+        const views = {};
+        Object.keys(VIEWS).forEach(view => {
+            views[view] = Orthographic.projectView(parts, view, { hiddenLines });
+        });
+        return views;
+    },
+
+    /**
+     * Draws an overall dimension between two paper points, offset to one side.
+     * Text stays horizontal (unidirectional dimensioning).
+     * @param {SVGRenderer} svg - Drawing in paper inches.
+     * @param {{x: number, y: number}} a
+     * @param {{x: number, y: number}} b
+     * @param {{x: number, y: number}} offset - From the measured edge to the dimension line.
+     * @param {number} value - Real size, inches.
+     */
+    drawDimension: (svg, a, b, offset, value) => {
+        const { color, width } = LINE.thin;
+        const d1 = { x: a.x + offset.x, y: a.y + offset.y };
+        const d2 = { x: b.x + offset.x, y: b.y + offset.y };
+        const len = Math.hypot(offset.x, offset.y) || 1;
+        const out = { x: offset.x / len, y: offset.y / len };
+        const gap = 0.05, over = 0.08;
+
+        // Extension lines
+        [[a, d1], [b, d2]].forEach(([from, to]) => {
+            svg.drawLine({ x: from.x + out.x * gap, y: from.y + out.y * gap }, { x: to.x + out.x * over, y: to.y + out.y * over }, color, width);
+        });
+        svg.drawLine(d1, d2, color, width);
+
+        // Arrowheads
+        const dir = Geometry.normalize({ x: d2.x - d1.x, y: d2.y - d1.y });
+        const arrow = (tip, s) => {
+            const back = { x: tip.x + dir.x * 0.1 * s, y: tip.y + dir.y * 0.1 * s };
+            svg.drawPolygon([
+                tip,
+                { x: back.x - dir.y * 0.03, y: back.y + dir.x * 0.03 },
+                { x: back.x + dir.y * 0.03, y: back.y - dir.x * 0.03 }
+            ], color);
+        };
+        arrow(d1, 1);
+        arrow(d2, -1);
+
+        const mid = { x: (d1.x + d2.x) / 2, y: (d1.y + d2.y) / 2 };
+        const label = Geometry.formatInches(value);
+        if (Math.abs(dir.x) > Math.abs(dir.y)) {
+            svg.drawText(label, { x: mid.x, y: mid.y + (out.y > 0 ? 0.1 : -0.1) }, TEXT.color, TEXT.size);
+        } else {
+            svg.drawText(label, { x: mid.x + (out.x > 0 ? 0.06 : -0.06), y: mid.y }, TEXT.color, TEXT.size, out.x > 0 ? 'left' : 'right');
+        }
+    },
+
+    /**
+     * Draws the title block in the lower-right corner of the border.
+     */
+    drawTitleBlock: (svg, border, { title, scaleLabel, partCount, date }) => {
+        const { width: w, height: h } = TITLE_BLOCK;
+        const x = border.x + border.width - w, y = border.y + border.height - h;
+        const { color, width } = LINE.visible;
+        const box = (x1, y1, x2, y2) => {
+            const corners = [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }];
+            corners.forEach((p, i) => svg.drawLine(p, corners[(i + 1) % 4], color, width));
+        };
+
+        box(x, y, x + w, y + h);
+        svg.drawLine({ x, y: y + 0.5 }, { x: x + w, y: y + 0.5 }, color, LINE.thin.width);
+        svg.drawLine({ x: x + w / 2, y: y + 0.5 }, { x: x + w / 2, y: y + h }, color, LINE.thin.width);
+
+        svg.drawText(title, { x: x + 0.1, y: y + 0.2 }, TEXT.color, 0.18, 'left');
+        svg.drawText(`Shop drawing · ${partCount} part${partCount === 1 ? '' : 's'}`, { x: x + 0.1, y: y + 0.4 }, '#555', 0.1, 'left');
+
+        const cell = (label, value, cx, cy) => {
+            svg.drawText(label, { x: cx, y: cy }, '#777', 0.075, 'left');
+            svg.drawText(value, { x: cx, y: cy + 0.14 }, TEXT.color, TEXT.size, 'left');
+        };
+        cell('SCALE', scaleLabel, x + 0.1, y + 0.62);
+        cell('UNITS', 'Inches', x + 0.1, y + 0.88);
+        cell('DATE', date, x + w / 2 + 0.1, y + 0.62);
+        cell('PROJECTION', 'Third angle', x + w / 2 + 0.1, y + 0.88);
+    },
+
+    /**
+     * Lays the views out on a landscape sheet.
+     * @param {Object} views - { top, front, right } from Orthographic.projectView.
+     * @param {Object} options - { paper, title, partCount, date }
+     * @returns {{svg: string, width: number, height: number, scale: number}|null}
+     *   Null when the assembly does not fit the sheet at any standard scale.
+     */
+    buildSheet: (views, { paper = 'letter', title = 'Untitled Project', partCount = 0, date = new Date().toLocaleDateString() } = {}) => {
+        const size = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+        const width = size.height - SHEET_MARGIN * 2, height = size.width - SHEET_MARGIN * 2;
+        const border = { x: 0.1, y: 0.1, width: width - 0.2, height: height - 0.2 };
+        const area = { x: border.x, y: border.y, width: border.width, height: border.height - TITLE_BLOCK.height };
+
+        const placed = Orthographic.layout(views, area, VIEW_GAP);
+        if (!placed) return null;
+        const { scale, origins } = placed;
+
+        const dpi = CSS_PIXELS_PER_INCH;
+        const svg = new SVGRenderer(width * dpi, height * dpi, {
+            physicalWidth: `${width}in`,
+            physicalHeight: `${height}in`,
+            background: '#fff'
+        });
+        svg.pushWorldTransform(0, 0, dpi);
+
+        const { color, width: borderWidth } = LINE.visible;
+        const corners = [
+            { x: border.x, y: border.y }, { x: border.x + border.width, y: border.y },
+            { x: border.x + border.width, y: border.y + border.height }, { x: border.x, y: border.y + border.height }
+        ];
+        corners.forEach((p, i) => svg.drawLine(p, corners[(i + 1) % 4], color, borderWidth * 1.5));
+
+        Object.entries(views).forEach(([key, view]) => {
+            const origin = origins[key];
+            const toPaper = (p) => ({ x: origin.x + p.x * scale, y: origin.y + p.y * scale });
+
+            view.hidden.forEach(([a, b]) => svg.drawLine(toPaper(a), toPaper(b), LINE.hidden.color, LINE.hidden.width, LINE.hidden.dash));
+            view.visible.forEach(([a, b]) => svg.drawLine(toPaper(a), toPaper(b), LINE.visible.color, LINE.visible.width));
+            if (!view.bounds) return;
+
+            const b = view.bounds;
+            const tl = toPaper({ x: b.minX, y: b.minY }), br = toPaper({ x: b.maxX, y: b.maxY });
+            const spanX = b.maxX - b.minX, spanY = b.maxY - b.minY;
+            const off = 0.35;
+
+            // Width above the top view and below the others; height left, except the right view
+            if (key === 'top') {
+                ShopDrawingOp.drawDimension(svg, tl, { x: br.x, y: tl.y }, { x: 0, y: -off }, spanX);
+                ShopDrawingOp.drawDimension(svg, tl, { x: tl.x, y: br.y }, { x: -off, y: 0 }, spanY);
+            } else {
+                ShopDrawingOp.drawDimension(svg, { x: tl.x, y: br.y }, br, { x: 0, y: off }, spanX);
+                if (key === 'front') ShopDrawingOp.drawDimension(svg, tl, { x: tl.x, y: br.y }, { x: -off, y: 0 }, spanY);
+                else ShopDrawingOp.drawDimension(svg, { x: br.x, y: tl.y }, br, { x: off, y: 0 }, spanY);
+            }
+
+            const labelY = key === 'top' ? tl.y - off - 0.2 : br.y + off + 0.25;
+            svg.drawText(VIEWS[key].label, { x: (tl.x + br.x) / 2, y: labelY }, TEXT.color, 0.12);
+        });
+
+        ShopDrawingOp.drawTitleBlock(svg, border, { title, scaleLabel: Orthographic.scaleLabel(scale), partCount, date });
+        svg.popTransform();
+
+        return { svg: svg.toString(), width, height, scale };
+    },
+
+    /**
+     * Asks for paper and line options, then builds the sheet for the current project.
+     * @returns {Promise<{sheet: Object, paper: string}|null>}
+     */
+    prepare: async (submitLabel) => {
+        const shapes = STATE.document.shapes;
+        if (shapes.length === 0) {
+            alert("Nothing to draw yet.");
+            return null;
+        }
+
+        const options = await FormDialog.open({
+            title: 'Shop Drawing',
+            submitLabel,
+            fields: [
+                { key: 'paper', label: 'Paper (landscape)', type: 'select', value: 'letter', options:
+                    Object.entries(PAPER_SIZES).map(([value, p]) => ({ value, label: p.label }))
+                },
+                { key: 'hiddenLines', label: 'Show hidden lines', type: 'checkbox', value: true }
+            ]
+        });
+        if (!options) return null;
+
+        const views = ShopDrawingOp.collectViews({ hiddenLines: options.hiddenLines });
+        if (!views) {
+            alert("3D view is not available.");
+            return null;
+        }
+
+        const sheet = ShopDrawingOp.buildSheet(views, {
+            paper: options.paper,
+            title: STATE.document.currentProject?.name || 'Untitled Project',
+            partCount: shapes.length
+        });
+        if (!sheet) {
+            alert("The assembly is too large for this sheet at any standard scale.");
+            return null;
+        }
+        return { sheet, paper: options.paper };
+    },
+
+    print: async () => {
+        const result = await ShopDrawingOp.prepare('Print');
+        if (!result) return;
+        const { sheet, paper } = result;
+
+        const page = document.createElement('div');
+        page.className = 'print-page template-page';
+        page.style.width = `${sheet.width}in`;
+        page.style.height = `${sheet.height}in`;
+        page.innerHTML = sheet.svg.replace(/^<\?xml[^>]*>\s*/, '');
+        const size = PAPER_SIZES[paper] || PAPER_SIZES.letter;
+        PrintOp.print(page, { pageSize: `${size.css} landscape`, margin: `${SHEET_MARGIN}in` });
+    },
+
+    exportSVG: async () => {
+        const result = await ShopDrawingOp.prepare('Export SVG');
+        if (!result) return;
+        const name = STATE.document.currentProject?.name;
+        ExportOp.download(ExportOp.fileName(`${name || 'project'} shop drawing`, 'svg'), result.sheet.svg, 'image/svg+xml');
+    }
+};
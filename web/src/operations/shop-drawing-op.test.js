@@ -0,0 +1,34 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { ShopDrawingOp } from './shop-drawing-op.js';
+
+vi.mock('./export-op.js', () => ({ ExportOp: { withAssembly: vi.fn(), download: vi.fn(), fileName: vi.fn() } }));
+vi.mock('./print-op.js', () => ({ PrintOp: { print: vi.fn() } }));
+
+const view = (w, h) => ({
+    visible: [[{ x: 0, y: 0 }, { x: w, y: 0 }], [{ x: w, y: 0 }, { x: w, y: h }]],
+    hidden: [[{ x: 0, y: h / 2 }, { x: w, y: h / 2 }]],
+    bounds: { minX: 0, minY: 0, maxX: w, maxY: h }
+});
+
+describe('ShopDrawingOp', () => {
+    it('lays three views out on a landscape sheet with dimensions and a title block', () => {
+        const sheet = ShopDrawingOp.buildSheet(
+            { top: view(30, 12), front: view(30, 16), right: view(12, 16) },
+            { paper: 'letter', title: 'Side Table', partCount: 5, date: '1/2/2026' }
+        );
+        expect(sheet.width).toBeGreaterThan(sheet.height);
+        // 42" x 28" of views on a letter sheet → 1:8
+        expect(sheet.scale).toBeCloseTo(1 / 8);
+        expect(sheet.svg).toContain('Side Table');
+        expect(sheet.svg).toContain('1:8');
+        expect(sheet.svg).toContain('stroke-dasharray');
+        ['TOP', 'FRONT', 'RIGHT', '30&quot;', '16&quot;', '12&quot;'].forEach(text => expect(sheet.svg).toContain(`>${text}<`));
+    });
+
+    it('returns null when nothing fits', () => {
+        expect(ShopDrawingOp.buildSheet({ top: view(9000, 10), front: view(9000, 10), right: view(10, 10) })).toBeNull();
+    });
+});
@@ -36,7 +36,7 @@ export const SliceOp = {
 
         let bestEdge = null;
         let minDist = Infinity;
-        const pts = shape.points;
+        const pts = Geometry.flattenOutline(shape.points);
         for (let i = 0; i < pts.length; i++) {
             const p1 = pts[i], p2 = pts[(i + 1) % pts.length];
             const closestOnSeg = Geometry.closestPointOnSegment(pt2D, p1, p2);
@@ -90,6 +90,7 @@ export const SliceOp = {
                 // depthTest: false // Draw through object
             });
             const mesh = new THREE.Mesh(geo, mat);
+            mesh.userData.isPreview = true; // Not part of the model (skipped by exporters)
             
             // Transform to Visual Space (Flipped Y)
             // Data Y is positive, Visual Y is negative.
@@ -118,7 +119,8 @@ export const SliceOp = {
             const shape = STATE.document.shapes.find(s => s.id === SliceOp.activeShapeId);
             if (!shape) return;
 
-            const splitPoints = Geometry.splitPolygon(shape.points, SliceOp.activeCut.start, SliceOp.activeCut.end);
+            // Curved edges are cut as their flattening
+            const splitPoints = Geometry.splitPolygon(Geometry.flattenOutline(shape.points), SliceOp.activeCut.start, SliceOp.activeCut.end);
             
             if (splitPoints && splitPoints.length === 2) {
                 const shapeA = ShapeModel.fromParent(shape, splitPoints[0]);
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Stock Cutting Operations
+ * Lumber buying list for solid-wood parts: which boards from the stock library
+ * to buy, and the order to cut each one, shown on screen and printable.
+ */
+
+import { STATE } from '../core/state.js';
+import { Geometry } from '../utils/geometry.js';
+import { StockCutting, STOCK_CUTTING_DEFAULTS } from '../utils/stock-cutting.js';
+import { Materials } from '../utils/materials.js';
+import { Offcuts } from '../utils/offcuts.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+import { PrintOp } from './print-op.js';
+import { OffcutOp } from './offcut-op.js';
+
+const { el } = ReportDom;
+
+export const StockCuttingOp = {
+    /**
+     * Buying list summary, e.g. "2 × 8', 1 × 12'".
+     */
+    describeCounts: (counts) => Object.keys(counts)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(length => `${counts[length]} × ${Geometry.formatFeet(length)}`)
+        .join(', '),
+
+    /**
+     * Report: one block per stock profile with boards to buy and the cuts on each.
+     * @param {Object} result - From StockCutting.plan.
+     * @returns {HTMLElement}
+     */
+    buildReport: ({ groups, unmatched }) => {
+        const report = el('div', 'stock-report');
+
+        if (groups.length > 0) {
+            const list = el('ul', 'stock-shopping');
+            groups.forEach(g => list.appendChild(el('li', null,
+                `${g.profile.name}: ${StockCuttingOp.describeCounts(g.counts)} (${Math.round(g.linearFeet)} linear ft)`)));
+            report.appendChild(el('h4', null, 'To buy'));
+            report.appendChild(list);
+        }
+
+        if (unmatched.length > 0) {
+            report.appendChild(el('div', 'report-warning',
+                `No stock profile fits (use Sheet Nesting for panels): ${unmatched.map(p => `${p.name} (${p.species}, ${Geometry.formatInches(p.width)} × ${Geometry.formatInches(p.thickness)})`).join(', ')}`));
+        }
+
+        groups.forEach(group => {
+            const block = el('div', 'stock-group');
+            const { name, width, thickness } = group.profile;
+            block.appendChild(el('h4', null, `${name} · ${Geometry.formatInches(thickness)} × ${Geometry.formatInches(width)}`));
+
+            if (group.unplaced.length > 0) {
+                block.appendChild(el('div', 'report-warning',
+                    `Longer than any board: ${group.unplaced.map(p => `${p.name} (${Geometry.formatInches(p.length)})`).join(', ')}`));
+            }
+
+            group.boards.forEach((board, i) => {
+                const item = el('div', 'stock-board');
+                item.appendChild(el('div', 'report-caption',
+                    `Board ${i + 1} · ${Geometry.formatFeet(board.length)} · offcut ${Geometry.formatInches(board.offcut)}`));
+
+                // Proportional bar: one segment per cut, in cutting order
+                const bar = el('div', 'stock-bar');
+                board.cuts.forEach(cut => {
+                    const seg = el('div', 'stock-cut', cut.name);
+                    seg.style.width = `${(cut.length / board.length) * 100}%`;
+                    seg.title = `${cut.name} · ${Geometry.formatInches(cut.length)}`;
+                    bar.appendChild(seg);
+                });
+                item.appendChild(bar);
+
+                const steps = el('ol', 'stock-steps');
+                board.cuts.forEach(cut => {
+                    const rip = cut.width < width - 1 / 64 ? `, rip to ${Geometry.formatInches(cut.width)}` : '';
+                    const plane = cut.thickness < thickness - 1 / 64 ? `, plane to ${Geometry.formatInches(cut.thickness)}` : '';
+                    steps.appendChild(el('li', null, `${cut.name}: ${Geometry.formatInches(cut.length)}${rip}${plane}`));
+                });
+                item.appendChild(steps);
+                block.appendChild(item);
+            });
+            report.appendChild(block);
+        });
+        return report;
+    },
+
+    /**
+     * Asks for cut allowances, plans against the stock library, shows the
+     * buying list and offers to print it and to keep the board ends as offcuts.
+     */
+    open: async () => {
+        const shapes = STATE.document.shapes;
+        if (shapes.length === 0) {
+            alert("Nothing to cut yet.");
+            return;
+        }
+        if (!shapes.some(Materials.isSolidWood)) {
+            alert("No solid-wood parts to cut. Sheet goods go through Sheet Nesting.");
+            return;
+        }
+        if (STATE.library.stock.length === 0) {
+            alert("The stock library is empty. Add the lumber you buy first.");
+            return;
+        }
+
+        const d = STOCK_CUTTING_DEFAULTS;
+        const options = await FormDialog.open({
+            title: 'Lumber Cutting List',
+            submitLabel: 'Plan Boards',
+            fields: [
+                { key: 'kerf', label: 'Saw kerf (in)', type: 'number', value: d.kerf, step: 0.015625, min: 0 },
+                { key: 'trim', label: 'End trim, each end (in)', type: 'number', value: d.trim, step: 0.125, min: 0 }
+            ]
+        });
+        if (!options) return;
+
+        const settings = { kerf: Math.max(0, options.kerf || 0), trim: Math.max(0, options.trim || 0) };
+        const result = StockCutting.plan(shapes, STATE.library.stock, settings);
+
+        const content = StockCuttingOp.buildReport(result);
+        content.appendChild(OffcutOp.buildKeepButton(Offcuts.fromBoards(result.groups)));
+
+        const print = await FormDialog.open({
+            title: 'Lumber Cutting List',
+            content,
+            submitLabel: 'Print',
+            cancelLabel: 'Close'
+        });
+        if (!print) return;
+
+        const page = el('div', 'print-page stock-print');
+        page.appendChild(PrintOp.createHeader(
+            `Lumber Cutting List · kerf ${Geometry.formatInches(settings.kerf)}, end trim ${Geometry.formatInches(settings.trim)}`));
+        page.appendChild(StockCuttingOp.buildReport(result));
+        PrintOp.print(page, { pageSize: 'letter' });
+    }
+};
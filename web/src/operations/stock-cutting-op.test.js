@@ -0,0 +1,28 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect } from 'vitest';
+import { StockCuttingOp } from './stock-cutting-op.js';
+
+describe('StockCuttingOp', () => {
+    it('summarizes boards to buy, shortest first', () => {
+        expect(StockCuttingOp.describeCounts({ 144: 1, 96: 2 })).toBe("2 × 8', 1 × 12'");
+    });
+
+    it('builds a per-board cut sequence with rip notes', () => {
+        const profile = { name: '1x6', width: 5.5, thickness: 0.75 };
+        const report = StockCuttingOp.buildReport({
+            groups: [{
+                profile,
+                boards: [{ length: 96, used: 60, offcut: 35.875, cuts: [{ name: 'Rail', length: 30, width: 4, thickness: 0.75 }] }],
+                unplaced: [],
+                counts: { 96: 1 },
+                linearFeet: 8
+            }],
+            unmatched: []
+        });
+        expect(report.querySelector('.stock-shopping li').textContent).toBe("1x6: 1 × 8' (8 linear ft)");
+        expect(report.querySelector('.stock-steps li').textContent).toBe('Rail: 30", rip to 4"');
+        expect(report.querySelectorAll('.stock-cut')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Stock Library Operations
+ * The user's lumber stock: loads it from storage, manages it from a panel and
+ * builds the board preset context menu from it.
+ */
+
+import { STATE } from '../core/state.js';
+import { DOM } from '../core/dom.js';
+import { Storage } from '../core/storage.js';
+import { StockModel } from '../core/model.js';
+import { Geometry } from '../utils/geometry.js';
+import { Input } from '../systems/input.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+
+const { el, actionTable } = ReportDom;
+
+/** Thinnest, then narrowest, then by name: the order stock is listed everywhere. */
+const byProfile = (a, b) => (a.thickness - b.thickness) || (a.width - b.width) || a.name.localeCompare(b.name);
+
+export const StockOp = {
+    /**
+     * Loads the library. Storage must already be open (ProjectOp.init).
+     */
+    init: async () => {
+        const items = await Storage.getAllStock();
+        STATE.library.stock = items.sort(byProfile);
+        StockOp.renderPresetMenu();
+    },
+
+    /** "3/4" × 5 1/2"" — actual thickness × width. */
+    describeSize: (item) => `${Geometry.formatInches(item.thickness)} × ${Geometry.formatInches(item.width)}`,
+
+    /**
+     * Fills the board preset menu: one row per stock item, one button per length sold.
+     */
+    renderPresetMenu: () => {
+        if (!DOM.presetList) return;
+        DOM.presetList.innerHTML = '';
+        const stock = STATE.library.stock;
+        if (stock.length === 0) {
+            DOM.presetList.appendChild(el('div', 'preset-empty', 'No stock in the library.'));
+            return;
+        }
+
+        stock.forEach(item => {
+            const row = el('div', 'preset-row');
+            const label = el('span', 'preset-name', item.name);
+            label.title = `${item.nominal ? `${item.nominal} · ` : ''}${StockOp.describeSize(item)}${item.species ? ` · ${item.species}` : ''}`;
+            row.appendChild(label);
+
+            item.lengths.forEach(length => {
+                const btn = el('button', 'preset-btn', Geometry.formatFeet(length));
+                btn.dataset.name = item.name;
+                btn.dataset.w = item.width;
+                btn.dataset.t = item.thickness;
+                btn.dataset.length = length;
+                btn.dataset.stockId = item.id;
+                btn.addEventListener('click', Input.handleAddPreset);
+                row.appendChild(btn);
+            });
+            DOM.presetList.appendChild(row);
+        });
+    },
+
+    /**
+     * Saves a new or edited item and refreshes the menu.
+     */
+    save: async (item) => {
+        item.lastModified = Date.now();
+        await Storage.saveStock(item);
+        STATE.library.stock = [...STATE.library.stock.filter(s => s.id !== item.id), item].sort(byProfile);
+        StockOp.renderPresetMenu();
+    },
+
+    remove: async (id) => {
+        await Storage.deleteStock(id);
+        STATE.library.stock = STATE.library.stock.filter(s => s.id !== id);
+        StockOp.renderPresetMenu();
+    },
+
+    /**
+     * Asks for a stock item's details.
+     * @param {Object|null} item - Null to add a new one.
+     * @returns {Promise<Object|null>} The saved item, or null when cancelled or invalid.
+     */
+    edit: async (item) => {
+        const current = item || StockModel.create();
+        const values = await FormDialog.open({
+            title: item ? `Edit ${item.name}` : 'Add Stock',
+            submitLabel: 'Save',
+            fields: [
+                { key: 'name', label: 'Name', type: 'text', value: current.name },
+                { key: 'nominal', label: 'Nominal size (e.g. 2x4)', type: 'text', value: current.nominal },
+                { key: 'thickness', label: 'Actual thickness (in)', type: 'number', value: current.thickness, step: 0.0625, min: 0 },
+                { key: 'width', label: 'Actual width (in)', type: 'number', value: current.width, step: 0.0625, min: 0 },
+                { key: 'lengths', label: 'Lengths sold', type: 'text', value: current.lengths.map(Geometry.formatFeet).join(', ') },
+                { key: 'species', label: 'Species', type: 'text', value: current.species },
+                { key: 'price', label: 'Price per linear foot', type: 'number', value: current.price, step: 0.01, min: 0 }
+            ]
+        });
+        if (!values) return null;
+
+        const lengths = Geometry.parseMeasurementList(values.lengths);
+        if (!(values.thickness > 0) || !(values.width > 0)) {
+            alert("Thickness and width must be greater than zero.");
+            return null;
+        }
+        if (lengths.length === 0) {
+            alert("Enter at least one length, e.g. 8', 10', 12'.");
+            return null;
+        }
+
+        const updated = {
+            ...current,
+            name: values.name.trim() || current.name,
+            nominal: values.nominal.trim(),
+            thickness: values.thickness,
+            width: values.width,
+            lengths: [...new Set(lengths)].sort((a, b) => a - b),
+            species: values.species.trim(),
+            price: Math.max(0, values.price || 0)
+        };
+        await StockOp.save(updated);
+        return updated;
+    },
+
+    /**
+     * Library table with edit and delete buttons per item.
+     * @param {Array<Object>} stock
+     * @param {Object} handlers - { onEdit(item), onDelete(item) }
+     * @returns {HTMLElement}
+     */
+    buildLibraryTable: (stock, { onEdit, onDelete }) => {
+        const wrap = el('div', 'stock-library');
+        if (stock.length === 0) {
+            wrap.appendChild(el('div', 'report-caption', 'The library is empty. Add the lumber you buy.'));
+            return wrap;
+        }
+
+        wrap.appendChild(actionTable(['Name', 'Nominal', 'Actual', 'Lengths', 'Species', 'Price / ft'], stock, item => [
+            item.name,
+            item.nominal,
+            StockOp.describeSize(item),
+            item.lengths.map(Geometry.formatFeet).join(', '),
+            item.species,
+            item.price > 0 ? item.price.toFixed(2) : ''
+        ], { Edit: onEdit, Delete: onDelete }));
+        return wrap;
+    },
+
+    /**
+     * The library panel.
+     */
+    manage: async () => {
+        Input.hidePresetMenu();
+        await FormDialog.manage({
+            title: 'Stock Library',
+            addLabel: 'Add Stock…',
+            name: 'stock library',
+            content: (act) => StockOp.buildLibraryTable(STATE.library.stock, {
+                onEdit: act(StockOp.edit),
+                onDelete: act(async (item) => {
+                    if (confirm(`Delete "${item.name}" from the stock library?`)) await StockOp.remove(item.id);
+                })
+            }),
+            onAdd: () => StockOp.edit(null)
+        });
+    }
+};
@@ -0,0 +1,96 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { StockOp } from './stock-op.js';
+import { STATE } from '../core/state.js';
+import { DOM } from '../core/dom.js';
+import { Storage } from '../core/storage.js';
+import { StockModel, DEFAULT_STOCK } from '../core/model.js';
+import { Input } from '../systems/input.js';
+import { FormDialog } from '../systems/form-dialog.js';
+
+vi.mock('../core/dom.js', () => ({
+    DOM: { presetList: document.createElement('div') }
+}));
+
+vi.mock('../core/storage.js', () => ({
+    Storage: {
+        getAllStock: vi.fn(async () => []),
+        saveStock: vi.fn(async () => {}),
+        deleteStock: vi.fn(async () => {})
+    }
+}));
+
+vi.mock('../systems/input.js', () => ({
+    Input: { handleAddPreset: vi.fn(), hidePresetMenu: vi.fn() }
+}));
+
+vi.mock('../systems/form-dialog.js', () => ({
+    FormDialog: { open: vi.fn(), close: vi.fn() }
+}));
+
+describe('StockOp', () => {
+    beforeEach(() => {
+        vi.clearAllMocks();
+        STATE.library.stock = [];
+    });
+
+    it('loads the library thinnest first and lists one button per length', async () => {
+        Storage.getAllStock.mockResolvedValueOnce(DEFAULT_STOCK.map(StockModel.create));
+        await StockOp.init();
+
+        expect(STATE.library.stock.map(s => s.name)).toEqual(['1x4 Trim', '1x6 Trim', '2x4 Stud', '2x6 Stud', '4x4 Beam']);
+        const rows = DOM.presetList.querySelectorAll('.preset-row');
+        expect(rows).toHaveLength(5);
+
+        const stud = rows[2].querySelectorAll('.preset-btn');
+        expect([...stud].map(b => b.textContent)).toEqual(["8'", "10'", "12'"]);
+        expect(stud[1].dataset).toMatchObject({ name: '2x4 Stud', w: '3.5', t: '1.5', length: '120' });
+
+        stud[1].click();
+        expect(Input.handleAddPreset).toHaveBeenCalled();
+    });
+
+    it('saves an edited item with parsed lengths', async () => {
+        const item = StockModel.create(DEFAULT_STOCK[3]);
+        STATE.library.stock = [item];
+        FormDialog.open.mockResolvedValueOnce({
+            name: '1x4 Poplar', nominal: '1x4', thickness: 0.75, width: 3.5,
+            lengths: "10', 8', 8'", species: 'Poplar', price: 2.25
+        });
+
+        const saved = await StockOp.edit(item);
+        expect(saved).toMatchObject({ id: item.id, name: '1x4 Poplar', lengths: [96, 120], species: 'Poplar', price: 2.25 });
+        expect(Storage.saveStock).toHaveBeenCalledWith(saved);
+        expect(STATE.library.stock).toEqual([saved]);
+    });
+
+    it('rejects stock without a length', async () => {
+        const alert = vi.fn();
+        vi.stubGlobal('alert', alert);
+        FormDialog.open.mockResolvedValueOnce({
+            name: 'Slab', nominal: '', thickness: 2, width: 12, lengths: 'long', species: '', price: 0
+        });
+
+        expect(await StockOp.edit(null)).toBeNull();
+        expect(alert).toHaveBeenCalled();
+        expect(Storage.saveStock).not.toHaveBeenCalled();
+        vi.unstubAllGlobals();
+    });
+
+    it('builds a library table whose buttons do not submit the dialog', () => {
+        const item = StockModel.create(DEFAULT_STOCK[0]);
+        const onEdit = vi.fn(), onDelete = vi.fn();
+        const table = StockOp.buildLibraryTable([item], { onEdit, onDelete });
+
+        const cells = [...table.querySelectorAll('td')].map(td => td.textContent);
+        expect(cells.slice(0, 5)).toEqual(['2x4 Stud', '2x4', '1 1/2" × 3 1/2"', "8', 10', 12'", 'SPF']);
+
+        const [edit, remove] = table.querySelectorAll('button');
+        expect(edit.type).toBe('button');
+        remove.click();
+        expect(onDelete).toHaveBeenCalledWith(item);
+        expect(onEdit).not.toHaveBeenCalled();
+    });
+});
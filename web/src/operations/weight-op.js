@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Weight & Balance Operations
+ * Weight of each part and of the assembly, its center of gravity and how far
+ * it can lean before tipping, with a marker in the 3D view.
+ */
+
+import { STATE } from '../core/state.js';
+import { DOM } from '../core/dom.js';
+import { CONFIG } from '../core/config.js';
+import { Geometry } from '../utils/geometry.js';
+import { Mass } from '../utils/mass.js';
+import { Materials } from '../utils/materials.js';
+import { FormDialog } from '../systems/form-dialog.js';
+import { ReportDom } from '../systems/report-dom.js';
+import { Input } from '../systems/input.js';
+
+const { el, table } = ReportDom;
+
+/** Below this the assembly should be anchored to the wall. */
+const TIP_WARNING_DEGREES = 10;
+
+export const WeightOp = {
+    /** "12.3 lb" */
+    formatWeight: (lb) => `${lb.toFixed(1)} lb`,
+
+    /**
+     * Report for an assembly.
+     * @param {Object} result - From Mass.assembly.
+     * @returns {HTMLElement}
+     */
+    buildReport: (result) => {
+        const report = el('div', 'weight-report');
+        if (!result.center) {
+            report.appendChild(el('div', 'report-caption', 'No parts to weigh yet.'));
+            return report;
+        }
+
+        report.appendChild(el('div', 'weight-total', `Total ${WeightOp.formatWeight(result.weight)}`));
+
+        const { center, height, tipAngle, stable } = result;
+        const balance = el('ul', 'weight-balance');
+        balance.appendChild(el('li', null,
+            `Center of gravity: ${Geometry.formatInches(height)} above the floor, at x ${center.x.toFixed(1)}", y ${center.y.toFixed(1)}"`));
+        if (tipAngle === null) {
+            balance.appendChild(el('li', null, 'Nothing rests flat on the floor, so tipping can\'t be judged.'));
+        } else if (!stable) {
+            balance.appendChild(el('li', 'report-warning', 'Tips over: the center of gravity is outside the footprint.'));
+        } else {
+            const text = `Tips over when tilted ${tipAngle.toFixed(1)}° in its least stable direction.`;
+            balance.appendChild(el('li', tipAngle < TIP_WARNING_DEGREES ? 'report-warning' : null,
+                tipAngle < TIP_WARNING_DEGREES ? `${text} Anchor it to the wall.` : text));
+        }
+        report.appendChild(balance);
+
+        report.appendChild(el('h4', null, 'By part'));
+        report.appendChild(table(['Part', 'Material', 'Volume', 'Weight'], [...result.parts]
+            .sort((a, b) => b.weight - a.weight)
+            .map(p => [
+                p.name,
+                Materials.get(p.material).label,
+                `${p.volume.toFixed(1)} cu in`,
+                WeightOp.formatWeight(p.weight)
+            ])));
+
+        report.appendChild(el('div', 'report-caption',
+            'Weights use typical air-dried densities. Positions are in the 3D view\'s axes, with Z up.'));
+        return report;
+    },
+
+    /**
+     * Moves the 3D marker to the current center of gravity, or removes it
+     * when it is turned off. Runs after every state change.
+     */
+    updateMarker: () => {
+        const renderer = STATE.renderer3D;
+        if (!renderer?.showCenterOfGravity) return;
+        const result = STATE.ui.showCenterOfGravity ? Mass.assembly(STATE.document.shapes) : null;
+        if (!result?.center) {
+            renderer.showCenterOfGravity(null);
+        } else {
+            const s = CONFIG.SCALE_PIXELS_PER_INCH;
+            const { x, y, z } = result.center;
+            renderer.showCenterOfGravity({ x: x * s, y: y * s, z: z * s }, result.floor * s);
+        }
+        DOM.btnCog?.classList.toggle('active', STATE.ui.showCenterOfGravity);
+        STATE.requestRender?.();
+    },
+
+    /**
+     * Turns the 3D center of gravity marker on or off.
+     * @param {boolean} [show] - Toggles when omitted.
+     */
+    toggleMarker: (show = !STATE.ui.showCenterOfGravity) => {
+        STATE.ui.showCenterOfGravity = show;
+        WeightOp.updateMarker();
+    },
+
+    /**
+     * Shows the report; "Show in 3D" turns the marker on and opens the 3D view.
+     */
+    open: async () => {
+        const shapes = STATE.document.shapes;
+        if (shapes.length === 0) {
+            alert("Nothing to weigh yet.");
+            return;
+        }
+
+        const result = Mass.assembly(shapes);
+        const show = await FormDialog.open({
+            title: 'Weight & Balance',
+            content: WeightOp.buildReport(result),
+            submitLabel: 'Show in 3D',
+            cancelLabel: 'Close'
+        });
+        if (!show) return;
+
+        WeightOp.toggleMarker(true);
+        if (!STATE.ui.is3DOpen) Input.switchView('3D');
+    }
+};
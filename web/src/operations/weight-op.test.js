@@ -0,0 +1,57 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { WeightOp } from './weight-op.js';
+import { Mass } from '../utils/mass.js';
+import { STATE } from '../core/state.js';
+import { ShapeModel } from '../core/model.js';
+
+vi.mock('../systems/input.js', () => ({ Input: { switchView: vi.fn() } }));
+
+// width × length in inches, 1" thick walnut
+const board = (width, length, name = 'Side') => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }], name);
+    shape.material = 'walnut';
+    return shape;
+};
+
+describe('WeightOp', () => {
+    afterEach(() => {
+        STATE.ui.showCenterOfGravity = false;
+        STATE.renderer3D = null;
+        STATE.document.projects = [];
+        STATE.document.currentProjectId = null;
+    });
+
+    it('reports the total, the parts heaviest first and a tipping warning', () => {
+        const top = board(12, 12, 'Top');
+        const side = board(10, 60, 'Side');
+        // Stood on its 10" edge: 60" tall on a 1" deep footprint
+        side.transform3D = { position: { x: 0, y: 0, z: 0 }, rotation: { x: Math.PI / 2, y: 0, z: 0 } };
+        const report = WeightOp.buildReport(Mass.assembly([side]));
+
+        expect(report.querySelector('.weight-total').textContent).toMatch(/^Total \d+\.\d lb$/);
+        expect(report.querySelector('.report-warning').textContent).toContain('Anchor it to the wall');
+
+        const rows = WeightOp.buildReport(Mass.assembly([top, side])).querySelectorAll('tr');
+        expect(rows[1].firstChild.textContent).toBe('Side');
+        expect(rows[2].textContent).toContain('Black Walnut');
+    });
+
+    it('places the 3D marker in scene pixels while it is turned on', () => {
+        const renderer = { showCenterOfGravity: vi.fn() };
+        STATE.renderer3D = renderer;
+        STATE.document.projects = [{ id: 'p', name: 'Box', shapes: [board(10, 10)] }];
+        STATE.document.currentProjectId = 'p';
+
+        WeightOp.toggleMarker(true);
+        const [center, floor] = renderer.showCenterOfGravity.mock.calls[0];
+        expect(center.x).toBeCloseTo(50);
+        expect(center.z).toBeCloseTo(5);
+        expect(floor).toBeCloseTo(0);
+
+        WeightOp.toggleMarker();
+        expect(renderer.showCenterOfGravity).toHaveBeenLastCalledWith(null);
+    });
+});
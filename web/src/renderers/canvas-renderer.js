@@ -90,6 +90,28 @@ export class CanvasRenderer {
         this.ctx.setLineDash([]);
     }
 
+    /**
+     * Draws connected line segments through the points (curves, flattened).
+     * @param {Array<Object>} points - Array of {x, y}
+     * @param {string} color
+     * @param {number} width
+     * @param {Array<number>} [dash] - Line dash pattern
+     */
+    drawPolyline(points, color, width, dash = []) {
+        if (points.length < 2) return;
+        this.ctx.beginPath();
+        this.ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            this.ctx.lineTo(points[i].x, points[i].y);
+        }
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.lineJoin = 'round';
+        this.ctx.setLineDash(dash);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
     /**
      * Draws a filled polygon.
      * @param {Array<Object>} points - Array of {x, y}
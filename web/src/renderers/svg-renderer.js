@@ -0,0 +1,148 @@
+/**
+ * @fileoverview SVG Renderer
+ * Implements the same 2D primitive interface as CanvasRenderer, but records
+ * the calls as SVG elements so the drafting view can be replayed into
+ * resolution-independent vector output (printing, annotation).
+ *
+ * Units: the viewBox is in CSS pixels (96 per inch). Pass a physical size to
+ * the constructor to get a true-scale document.
+ */
+
+const escapeXml = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const num = (v) => String(Math.round(v * 1000) / 1000);
+
+/**
+ * Splits CSS 'rgba(r, g, b, a)' into an rgb color and an opacity, since
+ * not every SVG consumer understands rgba paint.
+ */
+const paint = (color) => {
+    const m = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color || '');
+    if (!m) return { color: color || 'none', opacity: 1 };
+    return { color: `rgb(${m[1]},${m[2]},${m[3]})`, opacity: parseFloat(m[4]) };
+};
+
+export class SVGRenderer {
+    /**
+     * @param {number} width - Width in CSS pixels.
+     * @param {number} height - Height in CSS pixels.
+     * @param {Object} [options]
+     * @param {string} [options.physicalWidth] - e.g. '12in' for true-scale output.
+     * @param {string} [options.physicalHeight]
+     * @param {boolean} [options.showGrid] - Grids are omitted by default (print output).
+     * @param {string} [options.background]
+     */
+    constructor(width, height, options = {}) {
+        this.options = options;
+        this.resize(width, height);
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.clear();
+    }
+
+    clear() {
+        this.elements = [];
+        this.openGroups = 0;
+    }
+
+    /**
+     * Applies a 2D transformation matrix (pan/zoom)
+     * @param {number} tx - Translate X
+     * @param {number} ty - Translate Y
+     * @param {number} s - Scale factor
+     */
+    pushWorldTransform(tx, ty, s) {
+        this.elements.push(`<g transform="translate(${num(tx)} ${num(ty)}) scale(${s})">`);
+        this.openGroups++;
+    }
+
+    popTransform() {
+        if (this.openGroups === 0) return;
+        this.elements.push('</g>');
+        this.openGroups--;
+    }
+
+    drawGrid(bounds, step, color, lineWidth) {
+        if (!this.options.showGrid) return;
+        const startX = Math.floor(bounds.left / step) * step;
+        const startY = Math.floor(bounds.top / step) * step;
+        let d = '';
+        for (let x = startX; x < bounds.right; x += step) d += `M${num(x)} ${num(bounds.top)}V${num(bounds.bottom)}`;
+        for (let y = startY; y < bounds.bottom; y += step) d += `M${num(bounds.left)} ${num(y)}H${num(bounds.right)}`;
+        this.elements.push(`<path d="${d}" fill="none" stroke="${color}" stroke-width="${num(lineWidth)}"/>`);
+    }
+
+    drawLine(start, end, color, width, dash = []) {
+        if (!start || !end) return;
+        const dashAttr = dash.length ? ` stroke-dasharray="${dash.map(num).join(' ')}"` : '';
+        this.elements.push(
+            `<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" ` +
+            `stroke="${color}" stroke-width="${num(width)}" stroke-linecap="round"${dashAttr}/>`
+        );
+    }
+
+    drawPolyline(points, color, width, dash = []) {
+        if (points.length < 2) return;
+        const dashAttr = dash.length ? ` stroke-dasharray="${dash.map(num).join(' ')}"` : '';
+        const pts = points.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+        this.elements.push(
+            `<polyline points="${pts}" fill="none" stroke="${color}" stroke-width="${num(width)}" ` +
+            `stroke-linecap="round" stroke-linejoin="round"${dashAttr}/>`
+        );
+    }
+
+    drawPolygon(points, fillColor) {
+        if (points.length < 3) return;
+        const { color, opacity } = paint(fillColor);
+        const pts = points.map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+        const opacityAttr = opacity < 1 ? ` fill-opacity="${opacity}"` : '';
+        this.elements.push(`<polygon points="${pts}" fill="${color}"${opacityAttr}/>`);
+    }
+
+    drawCircle(pos, radius, color) {
+        const { color: fill, opacity } = paint(color);
+        const opacityAttr = opacity < 1 ? ` fill-opacity="${opacity}"` : '';
+        this.elements.push(`<circle cx="${num(pos.x)}" cy="${num(pos.y)}" r="${num(radius)}" fill="${fill}"${opacityAttr}/>`);
+    }
+
+    drawText(text, pos, color, size, align = 'center') {
+        const anchor = align === 'left' ? 'start' : (align === 'right' ? 'end' : 'middle');
+        this.elements.push(
+            `<text x="${num(pos.x)}" y="${num(pos.y)}" font-family="sans-serif" font-size="${num(size)}" ` +
+            `fill="${color}" text-anchor="${anchor}" dominant-baseline="middle">${escapeXml(text)}</text>`
+        );
+    }
+
+    drawTextOutlined(text, pos, size, fillColor, strokeColor) {
+        // paint-order draws the outline underneath the fill, like strokeText + fillText.
+        // The canvas uses a fixed 3px outline for 12px labels; keep that ratio so
+        // the outline doesn't balloon under a large world transform.
+        this.elements.push(
+            `<text x="${num(pos.x)}" y="${num(pos.y)}" font-family="sans-serif" font-size="${num(size)}" ` +
+            `fill="${fillColor}" stroke="${strokeColor}" stroke-width="${num(size / 4)}" paint-order="stroke" ` +
+            `stroke-linejoin="round" text-anchor="middle" dominant-baseline="middle">${escapeXml(text)}</text>`
+        );
+    }
+
+    /**
+     * Serializes everything drawn so far into a standalone SVG document.
+     * @returns {string}
+     */
+    toString() {
+        const { physicalWidth, physicalHeight, background } = this.options;
+        const w = physicalWidth || `${num(this.width)}`;
+        const h = physicalHeight || `${num(this.height)}`;
+        const closing = '</g>'.repeat(this.openGroups);
+        const bg = background ? `<rect width="100%" height="100%" fill="${background}"/>\n` : '';
+        return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${num(this.width)} ${num(this.height)}">\n` +
+            bg + this.elements.join('\n') + closing + '\n</svg>\n';
+    }
+}
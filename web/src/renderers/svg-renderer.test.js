@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { SVGRenderer } from './svg-renderer.js';
+
+describe('SVGRenderer', () => {
+    it('wraps world-space drawing in a transform group', () => {
+        const r = new SVGRenderer(200, 100);
+        r.pushWorldTransform(10, 20, 2);
+        r.drawLine({ x: 0, y: 0 }, { x: 5, y: 5 }, '#333', 1);
+        r.popTransform();
+        const svg = r.toString();
+        expect(svg).toContain('<g transform="translate(10 20) scale(2)">');
+        expect(svg).toContain('<line x1="0" y1="0" x2="5" y2="5"');
+        expect(svg).toContain('</g>');
+    });
+
+    it('writes physical size and viewBox for true-scale output', () => {
+        const r = new SVGRenderer(192, 96, { physicalWidth: '2in', physicalHeight: '1in' });
+        expect(r.toString()).toContain('width="2in" height="1in" viewBox="0 0 192 96"');
+    });
+
+    it('splits rgba fills into color and opacity', () => {
+        const r = new SVGRenderer(10, 10);
+        r.drawPolygon([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }], 'rgba(224, 192, 151, 0.5)');
+        expect(r.toString()).toContain('fill="rgb(224,192,151)" fill-opacity="0.5"');
+    });
+
+    it('escapes text and maps dash patterns', () => {
+        const r = new SVGRenderer(10, 10);
+        r.drawTextOutlined('3 1/2"', { x: 1, y: 1 }, 12, '#333', 'white');
+        r.drawLine({ x: 0, y: 0 }, { x: 1, y: 1 }, '#333', 1, [6, 4]);
+        const svg = r.toString();
+        expect(svg).toContain('>3 1/2&quot;</text>');
+        expect(svg).toContain('stroke-dasharray="6 4"');
+    });
+
+    it('draws flattened curves as one polyline', () => {
+        const r = new SVGRenderer(10, 10);
+        r.drawPolyline([{ x: 0, y: 0 }, { x: 1, y: 0.5 }, { x: 2, y: 0 }], '#333', 1);
+        expect(r.toString()).toContain('<polyline points="0,0 1,0.5 2,0" fill="none" stroke="#333"');
+    });
+
+    it('skips the grid unless asked for it', () => {
+        const bounds = { left: 0, top: 0, right: 40, bottom: 40 };
+        const plain = new SVGRenderer(40, 40);
+        plain.drawGrid(bounds, 20, '#eee', 1);
+        expect(plain.toString()).not.toContain('<path');
+
+        const gridded = new SVGRenderer(40, 40, { showGrid: true });
+        gridded.drawGrid(bounds, 20, '#eee', 1);
+        expect(gridded.toString()).toContain('<path');
+    });
+
+    it('closes groups left open', () => {
+        const r = new SVGRenderer(10, 10);
+        r.pushWorldTransform(0, 0, 1);
+        const svg = r.toString();
+        expect(svg.match(/<g /g)).toHaveLength(1);
+        expect(svg.match(/<\/g>/g)).toHaveLength(1);
+    });
+});
@@ -9,6 +9,9 @@ import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { SUBTRACTION, Brush, Evaluator } from 'https://esm.sh/three-bvh-csg@0.0.16?external=three';
 import { CONFIG } from '../core/config.js';
 import { Geometry } from '../utils/geometry.js';
+import { Grain } from '../utils/grain.js';
+import { Materials } from '../utils/materials.js';
+import { PartMarks } from '../utils/part-marks.js';
 
 export class WebGLRenderer {
     constructor(canvasElement) {
@@ -143,6 +146,98 @@ export class WebGLRenderer {
         this.meshCache.clear();
     }
 
+    /**
+     * Marks the assembly's center of gravity: a ball drawn through the parts
+     * and a plumb line down to the floor. Pass null to remove it.
+     * @param {{x: number, y: number, z: number}|null} center - Scene units (px).
+     * @param {number} [floorZ] - Where the plumb line ends.
+     */
+    showCenterOfGravity(center, floorZ = 0) {
+        if (this.cogMarker) {
+            this.scene.remove(this.cogMarker);
+            this.cogMarker.traverse(o => { if (o.geometry) o.geometry.dispose(); });
+            this.cogMarker = null;
+        }
+        if (!center) return;
+
+        const color = '#d32f2f';
+        const marker = new THREE.Group();
+        marker.name = 'Center of Gravity';
+        const ball = new THREE.Mesh(
+            new THREE.SphereGeometry(CONFIG.SCALE_PIXELS_PER_INCH, 16, 12),
+            new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.9 })
+        );
+        ball.position.set(center.x, center.y, center.z);
+        const plumb = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(center.x, center.y, center.z),
+                new THREE.Vector3(center.x, center.y, floorZ)
+            ]),
+            new THREE.LineBasicMaterial({ color, depthTest: false })
+        );
+        marker.add(ball, plumb);
+        // Drawn last and without depth test, so parts never hide it
+        marker.traverse(o => { o.renderOrder = 999; });
+        this.scene.add(marker);
+        this.cogMarker = marker;
+    }
+
+    /**
+     * Copies the built part groups into a standalone hierarchy for file export
+     * (glTF). One node per shape, named after it and carrying its 3D placement,
+     * with the body and joinery meshes as children. Materials become PBR copies
+     * of the wood colors; the root converts pixels to metres and Z-up to Y-up.
+     * Call after render3DScene so meshCache is populated.
+     * @param {Array<Object>} shapes
+     * @param {string} [name] - Root node name.
+     * @returns {THREE.Group}
+     */
+    buildExportScene(shapes, name = 'Assembly') {
+        const root = new THREE.Group();
+        root.name = name;
+        root.scale.setScalar(0.0254 / CONFIG.SCALE_PIXELS_PER_INCH);
+        root.rotation.x = -Math.PI / 2;
+
+        const materials = new Map();
+        const exportMaterial = (mesh) => {
+            const source = mesh.material;
+            if (!materials.has(source.uuid)) {
+                materials.set(source.uuid, new THREE.MeshStandardMaterial({
+                    name: mesh.name === 'Pocket' ? 'Pocket' : 'Wood',
+                    color: source.color.clone(),
+                    map: source.map || null,
+                    roughness: 0.8,
+                    metalness: 0,
+                    side: THREE.DoubleSide,
+                    transparent: source.transparent,
+                    opacity: source.opacity
+                }));
+            }
+            return materials.get(source.uuid);
+        };
+
+        shapes.forEach(shape => {
+            const group = this.meshCache.get(shape.id);
+            if (!group) return;
+
+            const node = group.clone();
+            node.name = shape.name;
+            node.userData = { shapeId: shape.id };
+
+            const previews = [];
+            node.traverse(obj => {
+                if (obj.isSprite) previews.push(obj);
+                if (!obj.isMesh) return;
+                if (obj.userData.isPreview) previews.push(obj);
+                else obj.material = exportMaterial(obj);
+            });
+            previews.forEach(obj => obj.removeFromParent());
+
+            root.add(node);
+        });
+        return root;
+    }
+
     pushWorldTransform(tx, ty, s) {
         this.transformStack.push({ ...this.currentTransform });
         this.currentTransform = { x: tx, y: ty, scale: s };
@@ -199,6 +294,80 @@ export class WebGLRenderer {
         return this.materials.get(key);
     }
 
+    /**
+     * Procedural wood texture shared by every part, greyscale so the material
+     * colour tints it. Null where there is no canvas.
+     * THEORY: Growth rings. Pale earlywood with a narrow band of dark latewood
+     * repeats across V; the rings wander a little along U. Ring count and wave
+     * frequencies are whole numbers per tile, so the texture repeats seamlessly.
+     */
+    _getGrainTexture() {
+        if (this.grainTexture !== undefined) return this.grainTexture;
+        this.grainTexture = null;
+        if (typeof document === 'undefined' || !THREE.CanvasTexture) return null;
+
+        const size = 256, rings = 24;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+        const img = ctx.createImageData(size, size);
+
+        // Seeded, so every session draws the same boards
+        let seed = 7;
+        const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const phase = [rand() * Math.PI * 2, rand() * Math.PI * 2];
+
+        for (let x = 0; x < size; x++) {
+            const wave = 3 * Math.sin(2 * Math.PI * x / size + phase[0]) + 1.5 * Math.sin(6 * Math.PI * x / size + phase[1]);
+            for (let y = 0; y < size; y++) {
+                const ring = (((y + wave) / size * rings) % 1 + 1) % 1;
+                const latewood = Math.pow(Math.sin(Math.PI * ring), 8);
+                const shade = Math.round(255 * (1 - 0.25 * latewood - 0.05 * rand()));
+                const i = (y * size + x) * 4;
+                img.data[i] = img.data[i + 1] = img.data[i + 2] = shade;
+                img.data[i + 3] = 255;
+            }
+        }
+        ctx.putImageData(img, 0, 0);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.colorSpace = THREE.SRGBColorSpace;
+        // Extrude UVs are world pixels: one tile per foot
+        const tile = 12 * CONFIG.SCALE_PIXELS_PER_INCH;
+        texture.repeat.set(1 / tile, 1 / tile);
+        this.grainTexture = texture;
+        return texture;
+    }
+
+    /**
+     * Body material for a part: the wood texture turned so its rings run along
+     * the grain. Falls back to the flat material without a texture.
+     * @param {string} color
+     * @param {number} angle - Grain direction in world space (radians).
+     */
+    _getWoodMaterial(color, angle) {
+        const texture = this.mode === '3D' ? this._getGrainTexture() : null;
+        if (!texture) return this._getMeshMaterial(color);
+
+        const degrees = Grain.normalize(Math.round(angle * 180 / Math.PI));
+        const key = `wood-${color}-${degrees}`;
+        if (!this.materials.has(key)) {
+            // Clones share the canvas; only the UV transform differs
+            const map = texture.clone();
+            map.rotation = degrees * Math.PI / 180;
+            map.needsUpdate = true;
+            this.materials.set(key, new THREE.MeshPhongMaterial({
+                color,
+                map,
+                side: THREE.DoubleSide,
+                shininess: 20
+            }));
+        }
+        return this.materials.get(key);
+    }
+
     // --- 2D PRIMITIVES ---
 
     drawGrid(bounds, step, color, lineWidth) {
@@ -235,6 +404,16 @@ export class WebGLRenderer {
         this._addObject(line);
     }
 
+    drawPolyline(points, color, width, dash = []) {
+        if (points.length < 2) return;
+        const geometry = new THREE.BufferGeometry();
+        const positions = points.flatMap(p => [p.x, p.y, 0]);
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const material = this._getMaterial(color, width);
+        const line = new THREE.Line(geometry, material);
+        this._addObject(line);
+    }
+
     drawPolygon(points, fillColor) {
         if (points.length < 3) return;
         const shape = new THREE.Shape();
@@ -257,6 +436,51 @@ export class WebGLRenderer {
         this.activeObjects.push(obj);
     }
 
+    /**
+     * Floats a part's mark over its front face as a label that always faces
+     * the camera. Rebuilt only when the mark changes.
+     * @param {THREE.Group} group - The part's group.
+     * @param {string} mark
+     * @param {number} thickness - Scene units (px).
+     */
+    _updatePartMark(group, mark, thickness) {
+        if (group.userData.mark === mark) return;
+        const old = group.getObjectByName('Part Mark');
+        if (old) {
+            group.remove(old);
+            old.material.map?.dispose();
+            old.material.dispose();
+        }
+        group.userData.mark = mark;
+        if (!mark || typeof document === 'undefined' || !THREE.CanvasTexture) return;
+
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return;
+        const height = 64;
+        ctx.font = `bold ${height * 0.7}px sans-serif`;
+        canvas.width = Math.ceil(ctx.measureText(mark).width + height * 0.5);
+        canvas.height = height;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.font = `bold ${height * 0.7}px sans-serif`;
+        ctx.fillStyle = CONFIG.COLORS.TEXT;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(mark, canvas.width / 2, height / 2);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false }));
+        label.name = 'Part Mark';
+        // Two inches tall, an inch clear of the front face
+        const size = 2 * CONFIG.SCALE_PIXELS_PER_INCH;
+        label.scale.set(size * canvas.width / height, size, 1);
+        label.position.set(0, 0, thickness + CONFIG.SCALE_PIXELS_PER_INCH + size / 2);
+        label.renderOrder = 998;
+        group.add(label);
+    }
+
     // --- 3D LOGIC ---
 
     render3DScene(shapes, resetCamera = false) {
@@ -276,6 +500,7 @@ export class WebGLRenderer {
         
         // Track active IDs to cleanup old ones later
         const activeIds = new Set();
+        const marks = PartMarks.assign(shapes);
 
         shapes.forEach(shapeData => {
             if (!shapeData.closed || shapeData.points.length < 3) return;
@@ -307,9 +532,11 @@ export class WebGLRenderer {
                 const centroid = Geometry.calculateBoundingCenter(shapeData.points);
                 const cx = centroid.x, cy = centroid.y;
 
-                shape.moveTo(shapeData.points[0].x - cx, shapeData.points[0].y - cy);
-                for (let i = 1; i < shapeData.points.length; i++) {
-                    shape.lineTo(shapeData.points[i].x - cx, shapeData.points[i].y - cy);
+                // Curved edges are extruded as their flattening
+                const outline = Geometry.flattenOutline(shapeData.points);
+                shape.moveTo(outline[0].x - cx, outline[0].y - cy);
+                for (let i = 1; i < outline.length; i++) {
+                    shape.lineTo(outline[i].x - cx, outline[i].y - cy);
                 }
                 
                 // Add Holes (Cutouts)
@@ -331,7 +558,12 @@ export class WebGLRenderer {
 
                 const thickness = (shapeData.thickness || CONFIG.DEFAULT_THICKNESS) * scale;
                 const geom = new THREE.ExtrudeGeometry(shape, { depth: thickness, bevelEnabled: true, bevelThickness: 1, bevelSize: 1 });
-                const mat = this._getMeshMaterial('#e0c097');
+                // Part colour from its material; pockets read as end grain, a shade darker
+                const woodColor = Materials.color(shapeData);
+                const pocketColor = `#${new THREE.Color(woodColor).multiplyScalar(0.85).getHexString()}`;
+                const mat = Materials.hasGrain(shapeData)
+                    ? this._getWoodMaterial(woodColor, Grain.worldAngle(shapeData))
+                    : this._getMeshMaterial(woodColor);
                 
                 // Create Main Brush for CSG
                 let mainBrush = new Brush(geom, mat);
@@ -351,8 +583,9 @@ export class WebGLRenderer {
 
                     const itemDepth = (item.depth || CONFIG.DEFAULT_THICKNESS) * scale;
                     const itemGeom = new THREE.ExtrudeGeometry(itemShape, { depth: itemDepth, bevelEnabled: true, bevelSize: 1 });
-                    const itemMat = isCutout ? self._getMeshMaterial('#c0a077') : mat;
+                    const itemMat = isCutout ? self._getMeshMaterial(pocketColor) : mat;
                     const itemMesh = new THREE.Mesh(itemGeom, itemMat);
+                    itemMesh.name = isCutout ? 'Pocket' : 'Tenon';
                     itemMesh.scale.y = -1;
                     
                     if (isCutout) {
@@ -394,8 +627,10 @@ export class WebGLRenderer {
                             itemShape.lineTo(ix, iy);
                             const itemDepth = (t.depth || CONFIG.DEFAULT_THICKNESS) * scale;
                             const geom = new THREE.ExtrudeGeometry(itemShape, { depth: itemDepth, bevelEnabled: true, bevelSize: 1 });
-                            const mesh = new THREE.Mesh(geom, self._getMeshMaterial('#e0c097'));
+                            const mesh = new THREE.Mesh(geom, mat);
+                            mesh.name = 'Tenon';
                             const pivot = new THREE.Group();
+                            pivot.name = `Edge ${idx + 1}`;
                             pivot.position.set(startX, startY, 0); 
                             pivot.rotation.z = angle;
                             mesh.rotation.x = -Math.PI / 2;
@@ -418,7 +653,7 @@ export class WebGLRenderer {
                                 
                                 const itemDepth = (c.depth || CONFIG.DEFAULT_THICKNESS) * scale;
                                 const geom = new THREE.ExtrudeGeometry(itemShape, { depth: itemDepth, bevelEnabled: false }); 
-                                const cutoutBrush = new Brush(geom, self._getMeshMaterial('#c0a077'));
+                                const cutoutBrush = new Brush(geom, self._getMeshMaterial(pocketColor));
                                 
                                 cutoutBrush.rotation.x = Math.PI / 2;
                                 cutoutBrush.position.y = 0.1;
@@ -441,6 +676,7 @@ export class WebGLRenderer {
                     }
                 });
 
+                mainBrush.name = 'Body';
                 mainBrush.castShadow = true;
                 mainBrush.receiveShadow = true;
                 group.add(mainBrush);
@@ -453,6 +689,9 @@ export class WebGLRenderer {
                 }
             } // End Rebuild
 
+            // Marks change when other parts change, so this runs every pass
+            this._updatePartMark(group, marks.get(shapeData.id)?.mark, (shapeData.thickness || CONFIG.DEFAULT_THICKNESS) * scale);
+
             // Update Transform (Always)
             const centroid = Geometry.calculateBoundingCenter(shapeData.points);
             const cx = centroid.x, cy = centroid.y;
@@ -0,0 +1,134 @@
+import { describe, it, expect, vi } from 'vitest';
+import { WebGLRenderer } from './webgl-renderer.js';
+import { CONFIG } from '../core/config.js';
+
+// Just enough of a scene graph to copy part groups
+vi.mock('three', () => {
+    class Object3D {
+        constructor() {
+            this.name = '';
+            this.parent = null;
+            this.children = [];
+            this.userData = {};
+            this.position = { x: 0, y: 0, z: 0 };
+            this.rotation = { x: 0, y: 0, z: 0 };
+            this.scale = { x: 1, y: 1, z: 1, setScalar(s) { this.x = this.y = this.z = s; } };
+        }
+
+        add(child) {
+            child.parent = this;
+            this.children.push(child);
+        }
+
+        removeFromParent() {
+            this.parent.children = this.parent.children.filter(c => c !== this);
+            this.parent = null;
+        }
+
+        traverse(fn) {
+            fn(this);
+            [...this.children].forEach(c => c.traverse(fn));
+        }
+
+        clone() {
+            const copy = new this.constructor(this.geometry, this.material);
+            copy.name = this.name;
+            copy.userData = structuredClone(this.userData);
+            Object.assign(copy.position, this.position);
+            Object.assign(copy.rotation, this.rotation);
+            this.children.forEach(c => copy.add(c.clone()));
+            return copy;
+        }
+    }
+
+    class Mesh extends Object3D {
+        constructor(geometry, material) {
+            super();
+            this.isMesh = true;
+            this.geometry = geometry;
+            this.material = material;
+        }
+    }
+
+    class MeshStandardMaterial {
+        constructor(params) {
+            Object.assign(this, params);
+        }
+    }
+
+    return { Group: Object3D, Mesh, MeshStandardMaterial, DoubleSide: 2 };
+});
+
+vi.mock('https://esm.sh/three-bvh-csg@0.0.16?external=three', () => ({
+    SUBTRACTION: 1,
+    Brush: class {},
+    Evaluator: class {}
+}));
+
+const wood = { uuid: 'wood', color: { clone: () => ({ hex: '#e0c097' }) }, transparent: false, opacity: 1 };
+
+// A part group as render3DScene leaves it in meshCache
+const partGroup = async () => {
+    const THREE = await import('three');
+    const group = new THREE.Group();
+    group.position = { x: 120, y: 40, z: 7.5 };
+    group.rotation = { x: 0, y: 0, z: Math.PI / 2 };
+
+    const body = new THREE.Mesh({}, wood);
+    body.name = 'Body';
+    group.add(body);
+
+    const pivot = new THREE.Group();
+    pivot.name = 'Edge 1';
+    const tenon = new THREE.Mesh({}, wood);
+    tenon.name = 'Tenon';
+    pivot.add(tenon);
+    group.add(pivot);
+
+    const preview = new THREE.Mesh({}, wood);
+    preview.userData.isPreview = true;
+    group.add(preview);
+    return group;
+};
+
+describe('WebGLRenderer.buildExportScene', () => {
+    it('names one node per part and keeps its placement', async () => {
+        const group = await partGroup();
+        const renderer = { meshCache: new Map([['a', group]]) };
+        const root = WebGLRenderer.prototype.buildExportScene.call(renderer, [
+            { id: 'a', name: 'Side' },
+            { id: 'gone', name: 'Not built' }
+        ], 'Desk');
+
+        expect(root.name).toBe('Desk');
+        expect(root.children).toHaveLength(1);
+        const node = root.children[0];
+        expect(node.name).toBe('Side');
+        expect(node.userData).toEqual({ shapeId: 'a' });
+        expect(node.position).toEqual({ x: 120, y: 40, z: 7.5 });
+        expect(node.rotation.z).toBeCloseTo(Math.PI / 2);
+        expect(node.children.map(c => c.name)).toEqual(['Body', 'Edge 1']);
+        expect(node.children[1].children[0].name).toBe('Tenon');
+
+        // The scene on screen keeps its preview
+        expect(group.children).toHaveLength(3);
+    });
+
+    it('converts world pixels to metres, Z-up to Y-up', async () => {
+        const root = WebGLRenderer.prototype.buildExportScene.call({ meshCache: new Map() }, []);
+        expect(root.name).toBe('Assembly');
+        expect(root.scale.x).toBeCloseTo(0.0254 / CONFIG.SCALE_PIXELS_PER_INCH);
+        expect(root.scale.z).toBeCloseTo(0.0254 / CONFIG.SCALE_PIXELS_PER_INCH);
+        expect(root.rotation.x).toBeCloseTo(-Math.PI / 2);
+    });
+
+    it('shares one PBR copy per source material', async () => {
+        const renderer = { meshCache: new Map([['a', await partGroup()]]) };
+        const [node] = WebGLRenderer.prototype.buildExportScene.call(renderer, [{ id: 'a', name: 'Side' }]).children;
+        const body = node.children[0], tenon = node.children[1].children[0];
+
+        expect(body.material).not.toBe(wood);
+        expect(body.material).toBe(tenon.material);
+        expect(body.material).toMatchObject({ name: 'Wood', color: { hex: '#e0c097' }, roughness: 0.8, metalness: 0, side: 2 });
+    });
+});
@@ -7,6 +7,10 @@
 import { STATE } from '../core/state.js';
 import { DOM } from '../core/dom.js';
 import { Geometry } from '../utils/geometry.js';
+import { Materials } from '../utils/materials.js';
+import { EdgeBanding, BANDING_MATERIALS } from '../utils/edge-banding.js';
+import { Grain } from '../utils/grain.js';
+import { PartMarks } from '../utils/part-marks.js';
 import { JoineryOp } from '../operations/joinery-op.js';
 import { DocumentOp } from '../operations/document-op.js';
 import { Input } from './input.js'; 
@@ -18,11 +22,36 @@ const getActiveFaceData = () => {
 };
 
 export const DOMRenderer = {
+    /** Fills the properties panel's material select (once, at startup). */
+    renderMaterialOptions: () => {
+        DOM.propMaterial.innerHTML = '';
+        Materials.options().forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = label;
+            DOM.propMaterial.appendChild(option);
+        });
+    },
+
+    /** Fills the edge banding select (once, at startup). */
+    renderBandingOptions: () => {
+        DOM.propBanding.innerHTML = '';
+        [['', 'None'], ...Object.entries(BANDING_MATERIALS).map(([value, { label }]) => [value, label])].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.innerText = label;
+            DOM.propBanding.appendChild(option);
+        });
+    },
+
     updatePropertiesPanel: (shape) => {
         if (!shape) { DOM.propPanel.classList.add('hidden'); return; }
         DOM.propPanel.classList.remove('hidden');
         DOM.propName.value = shape.name;
         DOM.propThickness.value = Geometry.formatInches(shape.thickness || 1.0);
+        DOM.propMaterial.value = Materials.idOf(shape);
+        DOM.propGrain.value = Grain.angle(shape);
+        DOM.propMark.textContent = PartMarks.describe(PartMarks.assign(STATE.document.shapes).get(shape.id));
         
         let totalLen = 0;
         shape.points.forEach(p => { if (p.lengthToNext) totalLen += p.lengthToNext; });
@@ -42,6 +71,16 @@ export const DOMRenderer = {
             label = `Edge ${idx + 1}`;
         }
         DOM.faceLabel.innerText = label;
+
+        // Banding applies to edge faces only
+        const isEdge = Boolean(shape.activeFace?.startsWith('EDGE_'));
+        DOM.propBandingGroup?.classList.toggle('hidden', !isEdge);
+        if (isEdge && DOM.propBanding) {
+            const banding = EdgeBanding.get(shape, shape.activeFace);
+            DOM.propBanding.value = banding ? banding.material : '';
+            DOM.propBandingThickness.value = banding ? banding.thickness : '';
+            DOM.propBandingThickness.disabled = !banding;
+        }
     },
 
     renderJoineryList: (shape) => {
@@ -78,6 +117,7 @@ export const DOMRenderer = {
             i.type = 'number'; i.value = data[f]; i.step = 0.125; i.style.width = '40px';
             i.onchange = (e) => { 
                 data[f] = parseFloat(e.target.value); 
+                if (STATE.selectedShape) STATE.selectedShape.lastModified = Date.now();
                 DocumentOp.updateJSONExport(); 
                 if(window.InputRef) window.InputRef.refreshView();
             };
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Form Dialog
+ * A single reusable modal for collecting options (export settings, tool definitions...)
+ * and for showing generated reports. Resolves with the entered values, or null on cancel.
+ */
+
+import { DOM } from '../core/dom.js';
+
+let activeResolve = null;
+
+const close = (result) => {
+    DOM.formDialog.classList.add('hidden');
+    DOM.formDialogFields.innerHTML = '';
+    const resolve = activeResolve;
+    activeResolve = null;
+    if (resolve) resolve(result);
+};
+
+export const FormDialog = {
+    /**
+     * Opens the dialog.
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {Array<Object>} [options.fields] - { key, label, type: 'number'|'text'|'select'|'checkbox', value, options, step, min }
+     * @param {HTMLElement} [options.content] - Extra content rendered below the fields.
+     * @param {string} [options.submitLabel]
+     * @param {string|null} [options.cancelLabel] - null hides the cancel button.
+     * @returns {Promise<Object|null>}
+     */
+    open: ({ title, fields = [], content = null, submitLabel = 'OK', cancelLabel = 'Cancel' }) => {
+        if (activeResolve) close(null);
+
+        DOM.formDialogTitle.innerText = title;
+        DOM.formDialogSubmit.innerText = submitLabel;
+        DOM.formDialogCancel.classList.toggle('hidden', cancelLabel === null);
+        if (cancelLabel) DOM.formDialogCancel.innerText = cancelLabel;
+        DOM.formDialogFields.innerHTML = '';
+
+        const inputs = {};
+        fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'prop-group';
+            const label = document.createElement('label');
+            label.innerText = field.label;
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                field.options.forEach(opt => {
+                    const o = document.createElement('option');
+                    o.value = opt.value;
+                    o.innerText = opt.label;
+                    input.appendChild(o);
+                });
+                input.value = field.value;
+            } else {
+                input = document.createElement('input');
+                input.type = field.type || 'text';
+                if (field.type === 'checkbox') input.checked = Boolean(field.value);
+                else input.value = field.value ?? '';
+                if (field.step !== undefined) input.step = field.step;
+                if (field.min !== undefined) input.min = field.min;
+            }
+
+            if (field.type === 'checkbox') {
+                label.className = 'checkbox-label';
+                label.prepend(input);
+            } else {
+                group.appendChild(label);
+            }
+            group.appendChild(field.type === 'checkbox' ? label : input);
+            DOM.formDialogFields.appendChild(group);
+            inputs[field.key] = { field, input };
+        });
+        if (content) DOM.formDialogFields.appendChild(content);
+
+        DOM.formDialog.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            activeResolve = resolve;
+            DOM.formDialogForm.onsubmit = (e) => {
+                e.preventDefault();
+                const values = {};
+                Object.entries(inputs).forEach(([key, { field, input }]) => {
+                    if (field.type === 'checkbox') values[key] = input.checked;
+                    else if (field.type === 'number') values[key] = parseFloat(input.value);
+                    else values[key] = input.value;
+                });
+                close(values);
+            };
+            DOM.formDialogCancel.onclick = () => close(null);
+        });
+    },
+
+    close: () => close(null),
+
+    /**
+     * A list panel whose actions open dialogs of their own (edit, confirm a
+     * delete): the panel closes for each and comes back once it is done.
+     * @param {Object} options
+     * @param {string} options.title
+     * @param {string} options.addLabel - Submit button label; submitting runs onAdd.
+     * @param {Function} options.content - (act) => HTMLElement. act(handler) gives a
+     *   row action that closes the panel, runs handler(item) and reopens it.
+     * @param {Function} options.onAdd
+     * @param {string} options.name - What is managed, for errors, e.g. 'stock library'.
+     */
+    manage: async ({ title, addLabel, content, onAdd, name }) => {
+        for (;;) {
+            let action = null;
+            const act = (handler) => (item) => { action = () => handler(item); close(null); };
+            const add = await FormDialog.open({ title, content: content(act), submitLabel: addLabel, cancelLabel: 'Close' });
+            if (add) action = onAdd;
+            if (!action) return;
+
+            try {
+                await action();
+            } catch (err) {
+                console.error(`Failed to update the ${name}:`, err);
+                alert(`The ${name} could not be saved.`);
+                return;
+            }
+        }
+    },
+
+    /** A number field's value when it is 0 or more; blank fields read NaN and keep the fallback. */
+    allowance: (value, fallback) => value >= 0 ? value : fallback
+};
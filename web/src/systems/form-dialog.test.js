@@ -0,0 +1,61 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { FormDialog } from './form-dialog.js';
+import { ReportDom } from './report-dom.js';
+
+vi.mock('../core/dom.js', () => ({
+    DOM: {
+        formDialog: document.createElement('div'),
+        formDialogFields: document.createElement('div')
+    }
+}));
+
+describe('FormDialog.manage', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    it('closes the panel for each action and reopens it once the action is done', async () => {
+        const items = [{ name: 'Oak' }];
+        const onDelete = vi.fn(async (item) => { items.splice(items.indexOf(item), 1); });
+        const onAdd = vi.fn(async () => { items.push({ name: 'Ash' }); });
+        const open = vi.spyOn(FormDialog, 'open')
+            .mockImplementationOnce(async ({ content }) => { content.querySelector('button').click(); return null; })
+            .mockResolvedValueOnce({})
+            .mockResolvedValueOnce(null);
+
+        await FormDialog.manage({
+            title: 'Library',
+            addLabel: 'Add…',
+            name: 'library',
+            content: (act) => ReportDom.actionTable(['Name'], items, item => [item.name], { Delete: act(onDelete) }),
+            onAdd
+        });
+
+        expect(onDelete).toHaveBeenCalledWith({ name: 'Oak' });
+        expect(onAdd).toHaveBeenCalledTimes(1);
+        expect(open).toHaveBeenCalledTimes(3);
+        expect(open.mock.calls[2][0].content.textContent).toContain('Ash');
+        expect(open.mock.calls[2][0].content.textContent).not.toContain('Oak');
+    });
+
+    it('stops when an action fails to save', async () => {
+        vi.stubGlobal('alert', vi.fn());
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const open = vi.spyOn(FormDialog, 'open').mockResolvedValue({});
+
+        await FormDialog.manage({
+            title: 'Library',
+            addLabel: 'Add…',
+            name: 'library',
+            content: () => document.createElement('div'),
+            onAdd: () => Promise.reject(new Error('quota'))
+        });
+
+        expect(open).toHaveBeenCalledTimes(1);
+        expect(alert).toHaveBeenCalledWith('The library could not be saved.');
+    });
+});
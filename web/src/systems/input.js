@@ -6,6 +6,9 @@
 import { STATE } from '../core/state.js';
 import { DOM } from '../core/dom.js';
 import { Geometry } from '../utils/geometry.js';
+import { Curves } from '../utils/curves.js';
+import { Grain } from '../utils/grain.js';
+import { EdgeBanding, BANDING_MATERIALS } from '../utils/edge-banding.js';
 import { BooleanOps } from '../utils/boolean-ops.js';
 import { CONFIG } from '../core/config.js';
 import { ViewportOp } from '../operations/viewport-op.js';
@@ -22,6 +25,9 @@ import { Store } from '../core/store.js';
 
 const generateId = () => Math.random().toString(36).substr(2, 9);
 
+// Draw-mode shortcuts for the kind of edge to add
+const SEGMENT_KEYS = { l: 'line', a: 'arc', t: 'tangent', b: 'cubic' };
+
 export const Input = {
     // --- Helpers ---
     // activeFaceData moved to DOMRenderer/internal use, or we export a helper in Geometry/State?
@@ -37,16 +43,19 @@ export const Input = {
         if (!shape || !shape.closed || shape.points.length < 2) return null;
         let bestIdx = null;
         let bestDist = Infinity;
-        for (let i = 0; i < shape.points.length; i++) {
-            const p1 = shape.points[i];
-            const p2 = shape.points[(i + 1) % shape.points.length];
-            const closest = Geometry.closestPointOnSegment(mouseWorld, p1, p2);
-            const dist = Geometry.dist(mouseWorld, closest);
-            if (dist < toleranceWorld && dist < bestDist) {
-                bestDist = dist;
-                bestIdx = i;
+        // Curved edges are hit along the curve, one flattened piece at a time
+        const tolerance = CONFIG.CURVE_TOLERANCE * CONFIG.SCALE_PIXELS_PER_INCH;
+        Curves.edges(shape.points, tolerance).forEach((edge, i) => {
+            const pts = [...edge, shape.points[(i + 1) % shape.points.length]];
+            for (let k = 0; k < pts.length - 1; k++) {
+                const closest = Geometry.closestPointOnSegment(mouseWorld, pts[k], pts[k + 1]);
+                const dist = Geometry.dist(mouseWorld, closest);
+                if (dist < toleranceWorld && dist < bestDist) {
+                    bestDist = dist;
+                    bestIdx = i;
+                }
             }
-        }
+        });
         return bestIdx !== null ? bestIdx : null;
     },
     findHoveredEdge: (mouseWorld, toleranceWorld) => {
@@ -292,7 +301,7 @@ export const Input = {
         const btn = e.currentTarget;
         const w = parseFloat(btn.dataset.w);
         const t = parseFloat(btn.dataset.t);
-        const length = 96; // 8 feet default
+        const length = parseFloat(btn.dataset.length) || 96; // 8 feet default
         
         // Use the stored world position
         const pos = Input.lastContextMenuWorld || { x: 0, y: 0 };
@@ -306,7 +315,7 @@ export const Input = {
             { x: pos.x, y: pos.y + length * scale }
         ];
 
-        const name = btn.innerText.split(' (')[0];
+        const name = btn.dataset.name || btn.innerText.split(' (')[0];
         const newShape = ShapeModel.create(points, name);
         
         // Set standard thickness based on the preset actuals
@@ -342,6 +351,21 @@ export const Input = {
         if (STATE.ui.mode === 'DRAW' && e.key === 'Escape') {
             DrawingOp.cancel();
         }
+        const segmentType = SEGMENT_KEYS[e.key.toLowerCase()];
+        if (STATE.ui.mode === 'DRAW' && segmentType && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            Input.selectSegmentType(segmentType);
+        }
+    },
+
+    /**
+     * Picks the kind of edge to draw, switching to the Draw tool.
+     * @param {string} type - 'line' | 'arc' | 'tangent' | 'cubic'
+     */
+    selectSegmentType: (type) => {
+        if (STATE.ui.mode !== 'DRAW') Input.switchTool('DRAW');
+        DrawingOp.setSegmentType(type);
+        DOM.segmentType.value = STATE.ui.segmentType;
+        STATE.requestRender?.();
     },
 
     handleKeyUp: (e) => {
@@ -395,6 +419,42 @@ export const Input = {
     handleAddCutout: () => JoineryOp.addCutout(),
     handleAddTenon: () => JoineryOp.addTenon(),
     handlePropChange: () => { DocumentOp.updateShapeName(DOM.propName.value); Input.refreshView(); Input.logState('Property Change'); },
+    handleMaterialChange: () => {
+        DocumentOp.updateShapeMaterial(DOM.propMaterial.value);
+        ProjectOp.calculateTotalBoardFeet();
+        Input.refreshView();
+        Input.logState('Material Change');
+    },
+    handleGrainChange: () => {
+        DocumentOp.updateShapeGrain(parseFloat(DOM.propGrain.value) || 0);
+        Input.refreshView();
+        Input.logState('Grain Change');
+    },
+    handleGrainRotate: () => {
+        DocumentOp.updateShapeGrain(Grain.angle(STATE.selectedShape) + 90);
+        DOM.propGrain.value = Grain.angle(STATE.selectedShape);
+        Input.refreshView();
+        Input.logState('Grain Rotate');
+    },
+    handleBandingChange: () => {
+        const shape = STATE.selectedShape;
+        if (!shape) return;
+        const material = DOM.propBanding.value;
+        DocumentOp.updateEdgeBanding(shape.activeFace, material ? { material, thickness: BANDING_MATERIALS[material].thickness } : null);
+        DOMRenderer.updateFaceSelector(shape);
+        Input.refreshView();
+        Input.logState('Banding Change');
+    },
+    handleBandingThicknessChange: () => {
+        const shape = STATE.selectedShape;
+        const banding = shape && EdgeBanding.get(shape, shape.activeFace);
+        if (!banding) return;
+        const thickness = parseFloat(DOM.propBandingThickness.value);
+        DocumentOp.updateEdgeBanding(shape.activeFace, { ...banding, thickness: thickness > 0 ? thickness : banding.thickness });
+        DOMRenderer.updateFaceSelector(shape);
+        Input.refreshView();
+        Input.logState('Banding Change');
+    },
     handleDeleteShape: () => {
         DocumentOp.deleteSelectedShape();
         Input.updateUIState();
@@ -480,6 +540,8 @@ export const Input = {
         STATE.ui.mode = mode; // 'DRAW' | 'SELECT' | 'PULL'
         STATE.ui.drawState = 'IDLE';
         STATE.ui.activeDrawing.points = [];
+        STATE.ui.activeDrawing.pending = [];
+        STATE.ui.activeDrawing.tempCurve = null;
         STATE.ui.hoveredEdgeIndex = null;
         STATE.ui.hoveredEdgeShapeId = null;
         
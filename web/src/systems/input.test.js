@@ -212,6 +212,21 @@ describe('Input System', () => {
                 })
             }), true);
         });
+
+        it('should use the length and name of a stock library button', () => {
+            Input.lastContextMenuWorld = { x: 0, y: 0 };
+            const mockBtn = {
+                dataset: { name: "1x6 Trim", w: "5.5", t: "0.75", length: "144" },
+                innerText: "12'"
+            };
+
+            Input.handleAddPreset({ currentTarget: mockBtn });
+
+            const { shapes } = Store.dispatch.mock.calls.at(-1)[1].document;
+            const shape = shapes[shapes.length - 1];
+            expect(shape.name).toBe("1x6 Trim");
+            expect(shape.points[2]).toMatchObject({ x: 55, y: 1440 });
+        });
     });
 
     describe('Pull Mode', () => {
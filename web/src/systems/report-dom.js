@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Report DOM
+ * Element builders shared by the report dialogs and print pages, and the
+ * pixel density their true-scale SVG is drawn at.
+ */
+
+/** CSS pixels per inch: SVG drawn at this density prints 1:1 with a physical size. */
+export const CSS_PIXELS_PER_INCH = 96;
+
+export const ReportDom = {
+    /** Small element factory to keep the page builders readable. */
+    el: (tag, className, text) => {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.innerText = text;
+        return node;
+    },
+
+    /**
+     * Plain table: one header row, then a row per array of cell texts.
+     * @param {Array<string>} headers
+     * @param {Array<Array<string>>} rows
+     * @returns {HTMLTableElement}
+     */
+    table: (headers, rows) => {
+        const { el } = ReportDom;
+        const node = el('table');
+        const head = el('tr');
+        headers.forEach(h => head.appendChild(el('th', null, h)));
+        node.appendChild(head);
+        rows.forEach(cells => {
+            const row = el('tr');
+            cells.forEach(text => row.appendChild(el('td', null, text)));
+            node.appendChild(row);
+        });
+        return node;
+    },
+
+    /**
+     * Table with a row per item and a button per action in its last cell.
+     * @param {Array<string>} headers
+     * @param {Array<Object>} items
+     * @param {Function} cells - item → array of cell texts.
+     * @param {Object<string, Function>} actions - Button label to handler(item), e.g. { Edit, Delete }.
+     * @returns {HTMLTableElement}
+     */
+    actionTable: (headers, items, cells, actions) => {
+        const { el } = ReportDom;
+        const node = el('table', 'action-table');
+        const head = el('tr');
+        [...headers, ''].forEach(h => head.appendChild(el('th', null, h)));
+        node.appendChild(head);
+        items.forEach(item => {
+            const row = el('tr');
+            cells(item).forEach(text => row.appendChild(el('td', null, text)));
+            const cell = el('td', 'action-table-actions');
+            Object.entries(actions).forEach(([text, handler]) => {
+                // Usually inside a dialog's form: keep them from submitting it
+                const btn = el('button', null, text);
+                btn.type = 'button';
+                btn.addEventListener('click', () => handler(item));
+                cell.appendChild(btn);
+            });
+            row.appendChild(cell);
+            node.appendChild(row);
+        });
+        return node;
+    }
+};
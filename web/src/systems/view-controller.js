@@ -6,6 +6,11 @@
 import { STATE } from '../core/state.js';
 import { CONFIG } from '../core/config.js';
 import { Geometry } from '../utils/geometry.js';
+import { Curves } from '../utils/curves.js';
+import { EdgeBanding } from '../utils/edge-banding.js';
+import { Grain } from '../utils/grain.js';
+import { Materials } from '../utils/materials.js';
+import { PartMarks } from '../utils/part-marks.js';
 import { DOM } from '../core/dom.js';
 
 export const ViewController = {
@@ -35,13 +40,44 @@ export const ViewController = {
         ViewController._drawScreenLayer(o);
     },
 
-    _drawWorldLayer: (r) => {
+    /**
+     * Replays the drafting view into another renderer (e.g. SVGRenderer).
+     * Transient UI (selection, hover, in-progress drawing) is suppressed and every
+     * shape is drawn from its FRONT face, so the output is a clean drawing.
+     * @param {Object} target - Renderer implementing the CanvasRenderer interface.
+     * @param {Object} view - { pan: {x, y}, zoom } mapping world units into the target.
+     */
+    renderDocument: (target, view) => {
+        const savedUi = STATE.ui;
+        STATE.ui = {
+            ...savedUi,
+            view: { ...savedUi.view, ...view },
+            mode: 'SELECT',
+            selectedShapeId: null,
+            hoveredShapeId: null,
+            hoveredEdgeIndex: null,
+            hoveredEdgeShapeId: null,
+            activeDrawing: { points: [], tempLine: null, alignmentGuide: null, snapTarget: null }
+        };
+        const shapes = STATE.document.shapes.map(s => ({ ...s, activeFace: 'FRONT' }));
+
+        try {
+            target.pushWorldTransform(STATE.ui.view.pan.x, STATE.ui.view.pan.y, STATE.ui.view.zoom);
+            ViewController._drawWorldLayer(target, shapes);
+            ViewController._drawOverlayLayer(target, shapes);
+            target.popTransform();
+        } finally {
+            STATE.ui = savedUi;
+        }
+    },
+
+    _drawWorldLayer: (r, shapes = STATE.document.shapes) => {
         const { view, activeDrawing, mode, drawState } = STATE.ui;
         const worldTL = Geometry.screenToWorld({x: 0, y: 0}, view);
         const worldBR = Geometry.screenToWorld({x: DOM.canvas.width, y: DOM.canvas.height}, view);
         r.drawGrid({left: worldTL.x, top: worldTL.y, right: worldBR.x, bottom: worldBR.y}, 20, CONFIG.COLORS.GRID, 1 / view.zoom);
 
-        STATE.document.shapes.forEach(shape => {
+        shapes.forEach(shape => {
             const isSelected = shape.id === STATE.ui.selectedShapeId;
             const isHovered = shape.id === STATE.ui.hoveredShapeId;
             const activeFace = shape.activeFace || 'FRONT';
@@ -57,8 +93,18 @@ export const ViewController = {
 
         if (mode === 'DRAW' && activeDrawing.points.length > 0) {
             const pts = activeDrawing.points;
-            for (let i = 0; i < pts.length - 1; i++) r.drawLine(pts[i], pts[i+1], CONFIG.COLORS.GUIDE_LINE, 2 / view.zoom);
+            for (let i = 0; i < pts.length - 1; i++) ViewController.drawEdge(r, pts[i], pts[i+1], CONFIG.COLORS.GUIDE_LINE, 2 / view.zoom);
             if (drawState === 'DRAWING_LINE' && activeDrawing.tempLine) r.drawLine(activeDrawing.tempLine.start, activeDrawing.tempLine.end, CONFIG.COLORS.GUIDE_LINE, 2 / view.zoom, [6, 4]);
+            const curve = activeDrawing.tempCurve;
+            if (drawState === 'START_SHAPE' && curve) {
+                // Bézier handles, then the curve as it would be drawn
+                if (curve.segment?.type === 'cubic') {
+                    const [c1, c2] = Curves.controlPoints({ ...curve.start, segment: curve.segment }, curve.end);
+                    r.drawLine(curve.start, c1, CONFIG.COLORS.ALIGNMENT_GUIDE, 1 / view.zoom, [4, 4]);
+                    r.drawLine(c2, curve.end, CONFIG.COLORS.ALIGNMENT_GUIDE, 1 / view.zoom, [4, 4]);
+                }
+                ViewController.drawEdge(r, { ...curve.start, segment: curve.segment }, curve.end, CONFIG.COLORS.GUIDE_LINE, 2 / view.zoom, [6, 4]);
+            }
         }
 
         if (activeDrawing.alignmentGuide) {
@@ -66,8 +112,9 @@ export const ViewController = {
         }
     },
 
-    _drawOverlayLayer: (o) => {
-        STATE.document.shapes.forEach(shape => {
+    _drawOverlayLayer: (o, shapes = STATE.document.shapes) => {
+        const marks = PartMarks.assign(shapes);
+        shapes.forEach(shape => {
             const isSelected = shape.id === STATE.ui.selectedShapeId;
             const activeFace = shape.activeFace || 'FRONT';
             const scale = CONFIG.SCALE_PIXELS_PER_INCH;
@@ -99,10 +146,15 @@ export const ViewController = {
             if (faceData.tenons) faceData.tenons.forEach(t => drawBox(t, '#2e7d32', CONFIG.COLORS.SHAPE_FILL));
             
             if (activeFace === 'FRONT' && shape.closed) {
+                // We are inside the world transform, so size the marker in world units
                 const c = Geometry.calculateCentroid(shape.points);
-                const sc = Geometry.worldToScreen(c, STATE.ui.view);
-                o.drawLine({x: sc.x - 6, y: sc.y}, {x: sc.x + 6, y: sc.y}, CONFIG.COLORS.ALIGNMENT_GUIDE, 1);
-                o.drawLine({x: sc.x, y: sc.y - 6}, {x: sc.x, y: sc.y + 6}, CONFIG.COLORS.ALIGNMENT_GUIDE, 1);
+                const arm = 6 / STATE.ui.view.zoom;
+                o.drawLine({x: c.x - arm, y: c.y}, {x: c.x + arm, y: c.y}, CONFIG.COLORS.ALIGNMENT_GUIDE, 1 / STATE.ui.view.zoom);
+                o.drawLine({x: c.x, y: c.y - arm}, {x: c.x, y: c.y + arm}, CONFIG.COLORS.ALIGNMENT_GUIDE, 1 / STATE.ui.view.zoom);
+
+                // Part mark just above the centroid marker
+                const entry = marks.get(shape.id);
+                if (entry) o.drawTextOutlined(entry.mark, { x: c.x, y: c.y - arm * 3 }, 14 / STATE.ui.view.zoom, CONFIG.COLORS.TEXT, CONFIG.COLORS.TEXT_BG);
             }
         });
     },
@@ -116,8 +168,9 @@ export const ViewController = {
         if (activePt) {
             const screen = Geometry.worldToScreen(activePt, view);
             o.drawCircle(screen, 5, CONFIG.COLORS.GUIDE_LINE);
-            if (drawState === 'START_SHAPE') ViewController.drawCompass(screen);
+            if (drawState === 'START_SHAPE' && STATE.ui.segmentType === 'line') ViewController.drawCompass(screen);
         }
+        (activeDrawing.pending || []).forEach(p => o.drawCircle(Geometry.worldToScreen(p, view), 4, CONFIG.COLORS.ALIGNMENT_GUIDE));
         if (activeDrawing.snapTarget) {
             o.drawCircle(Geometry.worldToScreen(activeDrawing.snapTarget, view), CONFIG.SNAP_RADIUS_SCREEN_PX / 2, CONFIG.COLORS.SNAP_POINT);
         }
@@ -126,6 +179,12 @@ export const ViewController = {
             const screenEnd = Geometry.worldToScreen(activeDrawing.tempLine.end, view);
             o.drawText(Geometry.formatInches(dist / CONFIG.SCALE_PIXELS_PER_INCH), {x: screenEnd.x + 15, y: screenEnd.y - 15}, CONFIG.COLORS.TEXT, 14, 'left');
         }
+        if (drawState === 'START_SHAPE' && activeDrawing.tempCurve) {
+            const { start, end, segment } = activeDrawing.tempCurve;
+            const length = Curves.segmentLength({ ...start, segment }, end);
+            const screenEnd = Geometry.worldToScreen(end, view);
+            o.drawText(Geometry.formatInches(length / CONFIG.SCALE_PIXELS_PER_INCH), {x: screenEnd.x + 15, y: screenEnd.y - 15}, CONFIG.COLORS.TEXT, 14, 'left');
+        }
     },
 
     _drawShapeStandard: (r, shape, isSelected, isHovered, zoom) => {
@@ -134,20 +193,44 @@ export const ViewController = {
         const hoverEdgeActive = STATE.ui.mode === 'PULL'
             && STATE.ui.hoveredEdgeShapeId === shape.id
             && STATE.ui.hoveredEdgeIndex !== null;
-        if (shape.closed && shape.points.length > 2) r.drawPolygon(shape.points, isSelected ? CONFIG.COLORS.SHAPE_FILL_SELECTED : CONFIG.COLORS.SHAPE_FILL);
+        if (shape.closed && shape.points.length > 2) {
+            const outline = Geometry.flattenOutline(shape.points);
+            r.drawPolygon(outline, isSelected ? CONFIG.COLORS.SHAPE_FILL_SELECTED : CONFIG.COLORS.SHAPE_FILL);
+            // Grain hatching, one line per inch
+            if (Materials.hasGrain(shape)) {
+                Geometry.hatchPolygon(outline, Grain.worldAngle(shape), CONFIG.SCALE_PIXELS_PER_INCH)
+                    .forEach(l => r.drawLine(l.start, l.end, CONFIG.COLORS.GRAIN, 1 / zoom));
+            }
+            // Banded edges: a wide band under the outline
+            EdgeBanding.edges(shape).forEach(({ index }) => {
+                ViewController.drawEdge(r, shape.points[index], shape.points[(index + 1) % shape.points.length], CONFIG.COLORS.BANDING, 6 / zoom);
+            });
+        }
         for (let i = 0; i < shape.points.length; i++) {
             const p1 = shape.points[i], p2 = shape.points[(i + 1) % shape.points.length];
             if (!shape.closed && i === shape.points.length - 1) continue;
             const isHoveredEdge = hoverEdgeActive && i === STATE.ui.hoveredEdgeIndex;
-            r.drawLine(p1, p2, isHoveredEdge ? CONFIG.COLORS.SHAPE_EDGE_HOVER : color, isHoveredEdge ? 4 / zoom : lineWidth);
+            ViewController.drawEdge(r, p1, p2, isHoveredEdge ? CONFIG.COLORS.SHAPE_EDGE_HOVER : color, isHoveredEdge ? 4 / zoom : lineWidth);
         }
     },
 
     _drawShapeMirrored: (r, shape, zoom) => {
         const cx = Geometry.calculateCentroid(shape.points).x;
-        const mirrored = shape.points.map(p => ({ x: 2 * cx - p.x, y: p.y }));
+        const mirrored = Geometry.flattenOutline(shape.points).map(p => ({ x: 2 * cx - p.x, y: p.y }));
         r.drawPolygon(mirrored, CONFIG.COLORS.SHAPE_FILL_SELECTED);
-        for (let i = 0; i < mirrored.length; i++) r.drawLine(mirrored[i], mirrored[(i+1)%mirrored.length], CONFIG.COLORS.SHAPE_SELECTED, 3/zoom);
+        r.drawPolyline([...mirrored, mirrored[0]], CONFIG.COLORS.SHAPE_SELECTED, 3/zoom);
+    },
+
+    /**
+     * Draws the edge from `p1` to `p2`: a line, or its curve flattened.
+     */
+    drawEdge: (r, p1, p2, color, width, dash = []) => {
+        if (!p1.segment) {
+            r.drawLine(p1, p2, color, width, dash);
+            return;
+        }
+        const tolerance = CONFIG.CURVE_TOLERANCE * CONFIG.SCALE_PIXELS_PER_INCH;
+        r.drawPolyline([p1, ...Curves.segmentPoints(p1, p2, tolerance)], color, width, dash);
     },
 
     _drawShapeEdge: (r, shape, activeFace, zoom) => {
@@ -157,7 +240,7 @@ export const ViewController = {
         const len = shape.points[idx].lengthToNext * scale;
         const thick = (shape.thickness || CONFIG.DEFAULT_THICKNESS) * scale;
         const pts = [{x:origin.x, y:origin.y}, {x:origin.x+len, y:origin.y}, {x:origin.x+len, y:origin.y+thick}, {x:origin.x, y:origin.y+thick}];
-        r.drawPolygon(pts, CONFIG.COLORS.SHAPE_FILL);
+        r.drawPolygon(pts, EdgeBanding.get(shape, activeFace) ? CONFIG.COLORS.BANDING_FILL : CONFIG.COLORS.SHAPE_FILL);
         for(let k=0; k<4; k++) r.drawLine(pts[k], pts[(k+1)%4], CONFIG.COLORS.SHAPE_SELECTED, 3/zoom);
     },
 
@@ -165,14 +248,14 @@ export const ViewController = {
         if (activeFace === 'FRONT' || !isSelected) {
             shape.points.forEach((p, i) => {
                 const next = shape.points[(i + 1) % shape.points.length];
-                if (shape.closed || i < shape.points.length - 1) ViewController.drawDimension(p, next, p.lengthToNext);
+                if (shape.closed || i < shape.points.length - 1) ViewController.drawDimension(p, next, p.lengthToNext, o);
             });
         } else if (activeFace === 'BACK') {
             const cx = Geometry.calculateCentroid(shape.points).x;
             shape.points.forEach((p, i) => {
                 const next = shape.points[(i + 1) % shape.points.length];
                 if (shape.closed || i < shape.points.length - 1) {
-                    ViewController.drawDimension({x: 2*cx-p.x, y:p.y}, {x: 2*cx-next.x, y:next.y}, p.lengthToNext);
+                    ViewController.drawDimension({x: 2*cx-p.x, y:p.y}, {x: 2*cx-next.x, y:next.y}, p.lengthToNext, o);
                 }
             });
         } else if (activeFace.startsWith('EDGE_')) {
@@ -181,12 +264,12 @@ export const ViewController = {
             const idx = parseInt(activeFace.split('_')[1]);
             const len = shape.points[idx].lengthToNext;
             const thick = shape.thickness || CONFIG.DEFAULT_THICKNESS;
-            ViewController.drawDimension(origin, {x: origin.x + len*scale, y: origin.y}, len);
-            ViewController.drawDimension({x: origin.x, y: origin.y + thick*scale}, origin, thick);
+            ViewController.drawDimension(origin, {x: origin.x + len*scale, y: origin.y}, len, o);
+            ViewController.drawDimension({x: origin.x, y: origin.y + thick*scale}, origin, thick, o);
         }
     },
 
-    drawDimension: (start, end, lengthInches) => {
+    drawDimension: (start, end, lengthInches, o = STATE.overlay) => {
         if (!lengthInches) return;
         const mid = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
         const vec = { x: end.x - start.x, y: end.y - start.y };
@@ -194,7 +277,7 @@ export const ViewController = {
         const perp = { x: -norm.y, y: norm.x };
         if (perp.y > 0) { perp.x *= -1; perp.y *= -1; }
         const labelPos = { x: mid.x + perp.x * (12 / STATE.ui.view.zoom), y: mid.y + perp.y * (12 / STATE.ui.view.zoom) };
-        STATE.overlay.drawTextOutlined(Geometry.formatInches(lengthInches), labelPos, 12 / STATE.ui.view.zoom, CONFIG.COLORS.TEXT, CONFIG.COLORS.TEXT_BG);
+        o.drawTextOutlined(Geometry.formatInches(lengthInches), labelPos, 12 / STATE.ui.view.zoom, CONFIG.COLORS.TEXT, CONFIG.COLORS.TEXT_BG);
     },
 
     drawCompass: (screenPos) => {
@@ -0,0 +1,5 @@
+export class GLTFExporter {
+    parseAsync() {
+        return Promise.resolve({});
+    }
+}
@@ -4,6 +4,7 @@
  */
 
 import polygonClipping from 'https://esm.sh/polygon-clipping';
+import { Geometry } from './geometry.js';
 
 export const BooleanOps = {
     /**
@@ -12,7 +13,8 @@ export const BooleanOps = {
      * @returns {Array} - [[[x,y], [x,y]...]]
      */
     toPolygon: (shape) => {
-        const ring = shape.points.map(p => [p.x, p.y]);
+        // Curved edges come out as many short straight ones
+        const ring = Geometry.flattenOutline(shape.points).map(p => [p.x, p.y]);
         // Close ring if needed
         if (ring.length > 0) {
              const start = ring[0];
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Cost Estimation
+ * Material cost of a project: each part's rough board feet (or share of a
+ * sheet) times its material's price, plus a waste allowance for offcuts,
+ * defects and saw kerf.
+ *
+ * Sheet goods are costed by the fraction of a sheet a part covers, so a
+ * small part does not pay for a whole sheet; the waste factor covers the
+ * leftovers.
+ */
+
+import { CutList } from './cut-list.js';
+import { MATERIALS, MATERIAL_UNITS, Materials } from './materials.js';
+import { RoughStock } from './rough-stock.js';
+
+export const COST_DEFAULTS = {
+    waste: 0.15 // Added to every quantity (0.15 = 15%)
+};
+
+export const Cost = {
+    /**
+     * Cost settings of a project, filled in with defaults.
+     * @returns {{waste: number, prices: Object<string, number>, milling: Object}} `prices` holds
+     *   per-project overrides by material id; `milling` the rough stock allowances.
+     */
+    settings: (project) => ({
+        waste: project?.settings?.waste ?? COST_DEFAULTS.waste,
+        prices: { ...(project?.settings?.prices || {}) },
+        milling: RoughStock.settings(project)
+    }),
+
+    /** Price per unit (board foot or sheet), honouring overrides. */
+    unitPrice: (id, settings = {}) => settings.prices?.[id] ?? Materials.get(id).price,
+
+    /**
+     * Material in a part (`net`) and bought for it (`quantity`): board feet of
+     * the finished part and of its rough stock, or its share of a sheet for both.
+     * @param {Object} [milling] - Rough stock allowances, see RoughStock.
+     * @returns {{net: number, quantity: number}}
+     */
+    quantities: (shape, material, milling) => {
+        if (material.unit === 'sheet') {
+            const share = CutList.measurePart(shape).area / (material.sheet.width * material.sheet.height);
+            return { net: share, quantity: share };
+        }
+        const { netBoardFeet, roughBoardFeet } = RoughStock.measure(shape, milling);
+        return { net: netBoardFeet, quantity: roughBoardFeet };
+    },
+
+    /**
+     * Estimates the whole project.
+     * @param {Array<Object>} shapes
+     * @param {Object} [settings] - From `settings`.
+     * @returns {{parts: Array<Object>, materials: Array<Object>, waste: number, total: number}}
+     *   parts: { id, name, material, unit, net, quantity, cost }, in document order;
+     *   materials: { id, label, unit, price, quantity, required, cost }, most expensive first.
+     *   `quantity` is before waste, `required` includes it; every cost includes waste.
+     */
+    estimate: (shapes, settings = {}) => {
+        const waste = Math.max(0, settings.waste ?? COST_DEFAULTS.waste);
+        const byMaterial = new Map();
+
+        const parts = shapes.filter(s => s.points && s.points.length >= 3).map(shape => {
+            const id = Materials.idOf(shape);
+            const material = MATERIALS[id];
+            const price = Cost.unitPrice(id, settings);
+            const { net, quantity } = Cost.quantities(shape, material, settings.milling);
+            const cost = quantity * (1 + waste) * price;
+
+            if (!byMaterial.has(id)) {
+                byMaterial.set(id, { id, label: material.label, unit: material.unit, price, quantity: 0, required: 0, cost: 0 });
+            }
+            const row = byMaterial.get(id);
+            row.quantity += quantity;
+            row.required += quantity * (1 + waste);
+            row.cost += cost;
+
+            return { id: shape.id, name: shape.name, material: id, unit: material.unit, net, quantity, cost };
+        });
+
+        const materials = [...byMaterial.values()].sort((a, b) => b.cost - a.cost);
+        return { parts, materials, waste, total: materials.reduce((sum, m) => sum + m.cost, 0) };
+    },
+
+    formatMoney: (value) => `$${(value || 0).toFixed(2)}`,
+
+    /** e.g. "3.25 bd ft", "0.42 sheets" */
+    formatQuantity: (value, unit) => {
+        const names = MATERIAL_UNITS[unit] || MATERIAL_UNITS.bf;
+        const rounded = value.toFixed(2);
+        return `${rounded} ${rounded === '1.00' ? names.one : names.many}`;
+    }
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { Cost, COST_DEFAULTS } from './cost.js';
+import { Materials, DEFAULT_MATERIAL } from './materials.js';
+import { MILLING_DEFAULTS } from './rough-stock.js';
+import { ShapeModel } from '../core/model.js';
+
+// Rough stock the size of the finished part, so board feet stay round
+const NO_MILLING = { thickness: 0, width: 0, length: 0, roundThickness: false };
+
+// width × length in inches (world px at 10 px/in)
+const part = (width, length, thickness, material, name = 'Part') => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }], name);
+    shape.thickness = thickness;
+    if (material) shape.material = material;
+    return shape;
+};
+
+describe('Cost', () => {
+    it('gives new shapes the default material and falls back for unknown ones', () => {
+        expect(part(1, 1, 1).material).toBe(DEFAULT_MATERIAL);
+        expect(Materials.idOf({ material: 'unobtanium' })).toBe(DEFAULT_MATERIAL);
+    });
+
+    it('prices solid wood by the board foot with waste', () => {
+        // 12 × 12 × 1 = 1 bd ft of walnut at $14
+        const estimate = Cost.estimate([part(12, 12, 1, 'walnut')], { waste: 0.1, milling: NO_MILLING });
+        expect(estimate.parts[0].quantity).toBeCloseTo(1);
+        expect(estimate.total).toBeCloseTo(15.4);
+        expect(estimate.materials[0]).toMatchObject({ id: 'walnut', price: 14 });
+        expect(estimate.materials[0].required).toBeCloseTo(1.1);
+    });
+
+    it('prices sheet goods by the share of a sheet', () => {
+        // Half of a 4 × 8 sheet of MDF at $45, no waste
+        const estimate = Cost.estimate([part(48, 48, 0.75, 'mdf')], { waste: 0 });
+        expect(estimate.parts[0].quantity).toBeCloseTo(0.5);
+        expect(estimate.total).toBeCloseTo(22.5);
+    });
+
+    it('groups by material, most expensive first, and honours price overrides', () => {
+        const shapes = [part(12, 12, 1, 'pine', 'Shelf'), part(12, 12, 1, 'cherry', 'Top'), part(12, 24, 1, 'pine', 'Side')];
+        const estimate = Cost.estimate(shapes, { waste: 0, prices: { pine: 6 }, milling: NO_MILLING });
+        expect(estimate.materials.map(m => [m.id, m.cost])).toEqual([['pine', 18], ['cherry', 10]]);
+        expect(estimate.parts.map(p => p.name)).toEqual(['Shelf', 'Top', 'Side']);
+    });
+
+    it('prices solid wood by its rough stock', () => {
+        // 3/4 × 6 × 24 finished: 4/4 × 6 1/4 × 25 rough
+        const estimate = Cost.estimate([part(6, 24, 0.75, 'cherry')], { waste: 0 });
+        expect(estimate.parts[0].net).toBeCloseTo(0.75);
+        expect(estimate.parts[0].quantity).toBeCloseTo((1 * 6.25 * 25) / 144);
+    });
+
+    it('reads project settings with defaults', () => {
+        expect(Cost.settings({ name: 'Old project' })).toEqual({ waste: COST_DEFAULTS.waste, prices: {}, milling: MILLING_DEFAULTS });
+        expect(Cost.settings({ settings: { waste: 0, prices: { mdf: 50 }, milling: { length: 2 } } }))
+            .toEqual({ waste: 0, prices: { mdf: 50 }, milling: { ...MILLING_DEFAULTS, length: 2 } });
+    });
+
+    it('formats money and quantities', () => {
+        expect(Cost.formatMoney(1234.5)).toBe('$1234.50');
+        expect(Cost.formatQuantity(1, 'sheet')).toBe('1.00 sheet');
+        expect(Cost.formatQuantity(2.345, 'bf')).toBe('2.35 bd ft');
+    });
+});
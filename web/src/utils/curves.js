@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Curve Utilities
+ * Flattens arcs and Bézier curves into polylines, approximated with enough
+ * segments to stay within a chord tolerance. Curved input (DXF arcs and
+ * bulges, SVG paths...) is flattened on import.
+ *
+ * Drawn parts keep their curves: a point's `segment` describes the edge to
+ * the next point, and is flattened wherever a plain polygon is needed.
+ *   { type: 'arc', bulge }      - Circular arc; bulge as in DXF, tan(sweep / 4),
+ *                                 positive turning counter-clockwise.
+ *   { type: 'cubic', c1, c2 }   - Cubic Bézier; control points as offsets from
+ *                                 the edge's start and end points.
+ * Points without a segment start a straight edge.
+ *
+ * THEORY: Both forms are stored relative to the edge's end points, so moving
+ * a part, or dragging one of its corners, carries its curves along.
+ */
+
+const TWO_PI = Math.PI * 2;
+const EPS = 1e-9;
+
+/** Rotates a vector counter-clockwise (math convention) by an angle in radians. */
+const rotate = (v, a) => ({ x: v.x * Math.cos(a) - v.y * Math.sin(a), y: v.x * Math.sin(a) + v.y * Math.cos(a) });
+
+export const Curves = {
+    /**
+     * Number of segments needed so the chord never strays more than
+     * `tolerance` from the true arc (sagitta = r * (1 - cos(θ/2))).
+     * @param {number} radius
+     * @param {number} sweep - Absolute sweep angle in radians.
+     * @param {number} tolerance - Same units as radius.
+     */
+    arcSegmentCount: (radius, sweep, tolerance) => {
+        if (radius <= tolerance) return Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+        const maxStep = 2 * Math.acos(1 - tolerance / radius);
+        return Math.min(256, Math.max(1, Math.ceil(Math.abs(sweep) / maxStep)));
+    },
+
+    /**
+     * Samples an arc, including both end points.
+     * @param {{x: number, y: number}} center
+     * @param {number} radius
+     * @param {number} startAngle - Radians.
+     * @param {number} sweep - Radians; positive is counter-clockwise (math convention).
+     * @param {number} tolerance
+     * @returns {Array<{x: number, y: number}>}
+     */
+    flattenArc: (center, radius, startAngle, sweep, tolerance) =>
+        Curves.flattenEllipse(center, radius, radius, 0, startAngle, sweep, tolerance),
+
+    /**
+     * Samples an elliptical arc, including both end points.
+     * @param {number} rotation - Rotation of the ellipse's X axis, radians.
+     */
+    flattenEllipse: (center, rx, ry, rotation, startAngle, sweep, tolerance) => {
+        const count = Curves.arcSegmentCount(Math.max(rx, ry), sweep, tolerance);
+        const cos = Math.cos(rotation), sin = Math.sin(rotation);
+        const points = [];
+        for (let i = 0; i <= count; i++) {
+            const a = startAngle + (sweep * i) / count;
+            const x = rx * Math.cos(a), y = ry * Math.sin(a);
+            points.push({ x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos });
+        }
+        return points;
+    },
+
+    /**
+     * Counter-clockwise sweep from one angle to another, in (0, 2π].
+     */
+    ccwSweep: (startAngle, endAngle) => {
+        let sweep = (endAngle - startAngle) % TWO_PI;
+        if (sweep <= 0) sweep += TWO_PI;
+        return sweep;
+    },
+
+    /**
+     * Points of a bulged polyline segment (the DXF "bulge" is tan(sweep / 4);
+     * positive bulges turn counter-clockwise). Excludes the start point.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    flattenBulge: (p1, p2, bulge, tolerance) => {
+        const chord = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        if (!bulge || chord === 0) return [{ x: p2.x, y: p2.y }];
+
+        const sweep = 4 * Math.atan(bulge);
+        const radius = chord / (2 * Math.abs(Math.sin(sweep / 2)));
+        // Center sits on the chord's perpendicular bisector
+        const mid = { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+        const offset = (radius * Math.cos(sweep / 2)) * Math.sign(bulge);
+        const nx = -(p2.y - p1.y) / chord, ny = (p2.x - p1.x) / chord;
+        const center = { x: mid.x + nx * offset, y: mid.y + ny * offset };
+
+        const start = Math.atan2(p1.y - center.y, p1.x - center.x);
+        const points = Curves.flattenArc(center, radius, start, sweep, tolerance).slice(1);
+        // Snap the last sample onto the exact vertex so chains stay connected
+        points[points.length - 1] = { x: p2.x, y: p2.y };
+        return points;
+    },
+
+    /**
+     * Points of a cubic Bézier, excluding the start point.
+     * THEORY: The gap between a curve and its chords shrinks with the square of
+     * the step count, bounded by the control polygon's second differences.
+     */
+    flattenCubic: (p0, p1, p2, p3, tolerance) => {
+        const dd = Math.max(
+            Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y),
+            Math.hypot(p1.x - 2 * p2.x + p3.x, p1.y - 2 * p2.y + p3.y)
+        );
+        const count = Math.min(256, Math.max(1, Math.ceil(Math.sqrt((0.75 * dd) / tolerance))));
+        const points = [];
+        for (let i = 1; i <= count; i++) {
+            const t = i / count, u = 1 - t;
+            const a = u * u * u, b = 3 * u * u * t, c = 3 * u * t * t, d = t * t * t;
+            points.push({
+                x: a * p0.x + b * p1.x + c * p2.x + d * p3.x,
+                y: a * p0.y + b * p1.y + c * p2.y + d * p3.y
+            });
+        }
+        return points;
+    },
+
+    /**
+     * Points of a quadratic Bézier, excluding the start point.
+     */
+    flattenQuadratic: (p0, p1, p2, tolerance) => {
+        const dd = Math.hypot(p0.x - 2 * p1.x + p2.x, p0.y - 2 * p1.y + p2.y);
+        const count = Math.min(256, Math.max(1, Math.ceil(Math.sqrt(dd / (4 * tolerance)))));
+        const points = [];
+        for (let i = 1; i <= count; i++) {
+            const t = i / count, u = 1 - t;
+            points.push({
+                x: u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x,
+                y: u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y
+            });
+        }
+        return points;
+    },
+
+    /**
+     * Points of an SVG elliptical arc ("A" command), excluding the start point.
+     * Converts the endpoint parameterization to center form (SVG spec, appendix B.2.4),
+     * scaling the radii up when they are too small to reach the end point.
+     * @param {number} rotationDeg - x-axis-rotation in degrees.
+     */
+    flattenSvgArc: (p1, p2, rx, ry, rotationDeg, largeArc, sweepFlag, tolerance) => {
+        rx = Math.abs(rx); ry = Math.abs(ry);
+        if (rx === 0 || ry === 0 || (p1.x === p2.x && p1.y === p2.y)) return [{ x: p2.x, y: p2.y }];
+
+        const phi = rotationDeg * Math.PI / 180;
+        const cos = Math.cos(phi), sin = Math.sin(phi);
+        const dx = (p1.x - p2.x) / 2, dy = (p1.y - p2.y) / 2;
+        const x1 = cos * dx + sin * dy, y1 = -sin * dx + cos * dy;
+
+        const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+        if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+
+        const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+        const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+        const k = (largeArc === sweepFlag ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+        const cx1 = k * (rx * y1) / ry, cy1 = k * -(ry * x1) / rx;
+        const center = {
+            x: cos * cx1 - sin * cy1 + (p1.x + p2.x) / 2,
+            y: sin * cx1 + cos * cy1 + (p1.y + p2.y) / 2
+        };
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const start = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+        let sweep = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+        if (!sweepFlag && sweep > 0) sweep -= TWO_PI;
+        if (sweepFlag && sweep < 0) sweep += TWO_PI;
+
+        const points = Curves.flattenEllipse(center, rx, ry, phi, start, sweep, tolerance).slice(1);
+        points[points.length - 1] = { x: p2.x, y: p2.y };
+        return points;
+    },
+
+    /**
+     * Absolute control points of a cubic segment.
+     * @returns {Array<{x: number, y: number}>} [c1, c2]
+     */
+    controlPoints: (p1, p2) => {
+        const { c1, c2 } = p1.segment;
+        return [{ x: p1.x + c1.x, y: p1.y + c1.y }, { x: p2.x + c2.x, y: p2.y + c2.y }];
+    },
+
+    /**
+     * Points of the edge from `p1` to `p2` as `p1.segment` describes it,
+     * excluding `p1`. A straight edge gives just `p2`.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    segmentPoints: (p1, p2, tolerance) => {
+        const segment = p1.segment;
+        if (segment?.type === 'arc') return Curves.flattenBulge(p1, p2, segment.bulge, tolerance);
+        if (segment?.type === 'cubic') {
+            const [c1, c2] = Curves.controlPoints(p1, p2);
+            return Curves.flattenCubic(p1, c1, c2, p2, tolerance);
+        }
+        return [{ x: p2.x, y: p2.y }];
+    },
+
+    /**
+     * A closed outline edge by edge: each edge's flattened points, starting
+     * with its first corner and leaving out the next one.
+     * @returns {Array<Array<{x: number, y: number}>>} One list per point.
+     */
+    edges: (points, tolerance) => points.map((p, i) => [
+        { x: p.x, y: p.y },
+        ...Curves.segmentPoints(p, points[(i + 1) % points.length], tolerance).slice(0, -1)
+    ]),
+
+    /**
+     * A closed outline as a plain polygon, curved edges flattened. Outlines
+     * without curves come back as they are.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    tessellate: (points, tolerance) => {
+        if (!points || !points.some(p => p.segment)) return points;
+        return Curves.edges(points, tolerance).flat();
+    },
+
+    /**
+     * True length of the edge from `p1` to `p2`: arc length for arcs, and
+     * for Béziers the length of a fine flattening.
+     */
+    segmentLength: (p1, p2) => {
+        const segment = p1.segment;
+        const chord = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        if (segment?.type === 'arc' && segment.bulge && chord > 0) {
+            // r = chord / (2 sin(sweep / 2)), length = r × sweep
+            const sweep = 4 * Math.atan(Math.abs(segment.bulge));
+            return chord * sweep / (2 * Math.sin(sweep / 2));
+        }
+        if (segment?.type === 'cubic') {
+            const [c1, c2] = Curves.controlPoints(p1, p2);
+            const hull = Math.hypot(c1.x - p1.x, c1.y - p1.y) + Math.hypot(c2.x - c1.x, c2.y - c1.y) + Math.hypot(p2.x - c2.x, p2.y - c2.y);
+            let length = 0, prev = p1;
+            Curves.segmentPoints(p1, p2, Math.max(hull, EPS) * 1e-5).forEach(p => {
+                length += Math.hypot(p.x - prev.x, p.y - prev.y);
+                prev = p;
+            });
+            return length;
+        }
+        return chord;
+    },
+
+    /**
+     * Bulge of the arc from `p1` through `through` to `p2` (a three-point arc).
+     * THEORY: The angle at any point on an arc, looking at the chord, is
+     * π - sweep / 2 (inscribed angle theorem), so the sweep follows from it.
+     * @returns {number} 0 when the three points are in line.
+     */
+    bulgeThrough: (p1, through, p2) => {
+        const ax = p1.x - through.x, ay = p1.y - through.y;
+        const bx = p2.x - through.x, by = p2.y - through.y;
+        const chord = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+        const cross = (p2.x - p1.x) * (through.y - p1.y) - (p2.y - p1.y) * (through.x - p1.x);
+        if (chord < EPS || Math.abs(cross) < 1e-6 * chord * chord) return 0;
+        const angle = Math.atan2(Math.abs(ax * by - ay * bx), ax * bx + ay * by);
+        // The arc bulges to the side of the chord the through point is on
+        return -Math.sign(cross) * Math.tan((Math.PI - angle) / 2);
+    },
+
+    /**
+     * Bulge of the arc from `p1` to `p2` that leaves `p1` along `tangent`.
+     * THEORY: An arc turns through twice the angle between its tangent and its chord.
+     */
+    tangentBulge: (p1, tangent, p2) => {
+        const d = { x: p2.x - p1.x, y: p2.y - p1.y };
+        const angle = Math.atan2(tangent.x * d.y - tangent.y * d.x, tangent.x * d.x + tangent.y * d.y);
+        // Heading straight away from the end would need a full circle
+        const limit = Math.PI - 0.01;
+        return Math.tan(Math.max(-limit, Math.min(limit, angle)) / 2);
+    },
+
+    /**
+     * Direction the edge from `p1` to `p2` arrives at `p2` in (not normalized).
+     */
+    endTangent: (p1, p2) => {
+        const segment = p1.segment;
+        const chord = { x: p2.x - p1.x, y: p2.y - p1.y };
+        if (segment?.type === 'arc' && segment.bulge) return rotate(chord, 2 * Math.atan(segment.bulge));
+        if (segment?.type === 'cubic' && Math.hypot(segment.c2.x, segment.c2.y) > EPS) {
+            return { x: -segment.c2.x, y: -segment.c2.y };
+        }
+        return chord;
+    }
+};
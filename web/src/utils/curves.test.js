@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { Curves } from './curves.js';
+
+describe('Curves', () => {
+    it('samples arcs within the chord tolerance', () => {
+        const pts = Curves.flattenArc({ x: 0, y: 0 }, 10, 0, Math.PI / 2, 0.01);
+        expect(pts[0]).toEqual({ x: 10, y: 0 });
+        expect(pts[pts.length - 1].x).toBeCloseTo(0);
+        expect(pts[pts.length - 1].y).toBeCloseTo(10);
+        // Midpoint of every chord stays within tolerance of the circle
+        for (let i = 1; i < pts.length; i++) {
+            const mid = { x: (pts[i - 1].x + pts[i].x) / 2, y: (pts[i - 1].y + pts[i].y) / 2 };
+            expect(10 - Math.hypot(mid.x, mid.y)).toBeLessThanOrEqual(0.01 + 1e-9);
+        }
+    });
+
+    it('wraps counter-clockwise sweeps past zero', () => {
+        expect(Curves.ccwSweep(3 * Math.PI / 2, Math.PI / 2)).toBeCloseTo(Math.PI);
+        expect(Curves.ccwSweep(0, 0)).toBeCloseTo(Math.PI * 2);
+    });
+
+    it('turns a bulge of 1 into a half circle on the correct side', () => {
+        // Counter-clockwise from (0,0) to (2,0) swings below the chord
+        const pts = Curves.flattenBulge({ x: 0, y: 0 }, { x: 2, y: 0 }, 1, 0.001);
+        expect(pts[pts.length - 1]).toEqual({ x: 2, y: 0 });
+        const lowest = Math.min(...pts.map(p => p.y));
+        expect(lowest).toBeCloseTo(-1, 2);
+    });
+
+    it('ends Bézier flattening exactly on the end point', () => {
+        const cubic = Curves.flattenCubic({ x: 0, y: 0 }, { x: 0, y: 10 }, { x: 10, y: 10 }, { x: 10, y: 0 }, 0.01);
+        expect(cubic[cubic.length - 1]).toEqual({ x: 10, y: 0 });
+        // Peak of this symmetric curve is at 3/4 of the control height
+        expect(Math.max(...cubic.map(p => p.y))).toBeCloseTo(7.5, 1);
+
+        const quad = Curves.flattenQuadratic({ x: 0, y: 0 }, { x: 5, y: 10 }, { x: 10, y: 0 }, 0.01);
+        expect(Math.max(...quad.map(p => p.y))).toBeCloseTo(5, 1);
+    });
+
+    it('grows SVG arc radii that are too small to span the chord', () => {
+        const pts = Curves.flattenSvgArc({ x: 0, y: 0 }, { x: 10, y: 0 }, 1, 1, 0, false, true, 0.01);
+        expect(pts[pts.length - 1]).toEqual({ x: 10, y: 0 });
+        // Becomes a half circle of radius 5 above the chord (y down)
+        expect(Math.min(...pts.map(p => p.y))).toBeCloseTo(-5, 1);
+    });
+
+    it('finds the arc through three points and the arc leaving along a tangent', () => {
+        // Half circle from (-1, 0) through (0, -1) to (1, 0)
+        const bulge = Curves.bulgeThrough({ x: -1, y: 0 }, { x: 0, y: -1 }, { x: 1, y: 0 });
+        expect(bulge).toBeCloseTo(1);
+        expect(Curves.bulgeThrough({ x: -1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 0 })).toBeCloseTo(-1);
+        expect(Curves.bulgeThrough({ x: -1, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 })).toBe(0);
+
+        // Leaving straight down reaches (1, 0) by the same half circle
+        expect(Curves.tangentBulge({ x: -1, y: 0 }, { x: 0, y: -1 }, { x: 1, y: 0 })).toBeCloseTo(1);
+        const end = Curves.endTangent({ x: -1, y: 0, segment: { type: 'arc', bulge } }, { x: 1, y: 0 });
+        expect(end.x).toBeCloseTo(0);
+        expect(end.y).toBeGreaterThan(0);
+    });
+
+    it('flattens outlines with curved edges and measures them', () => {
+        const arc = { type: 'arc', bulge: 1 };
+        const half = [{ x: -1, y: 0, segment: arc }, { x: 1, y: 0 }];
+        expect(Curves.segmentLength(half[0], half[1])).toBeCloseTo(Math.PI);
+
+        const outline = Curves.tessellate(half, 0.001);
+        expect(outline.length).toBeGreaterThan(10);
+        outline.forEach(p => {
+            expect(Math.hypot(p.x, p.y)).toBeCloseTo(1);
+            expect(p.y).toBeLessThanOrEqual(1e-9);
+        });
+
+        const straight = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }];
+        expect(Curves.tessellate(straight, 0.001)).toBe(straight);
+
+        // Control points are offsets from the edge's ends
+        const cubic = { x: 0, y: 0, segment: { type: 'cubic', c1: { x: 0, y: 10 }, c2: { x: 0, y: 10 } } };
+        const pts = Curves.segmentPoints(cubic, { x: 10, y: 0 }, 0.01);
+        expect(pts[pts.length - 1]).toEqual({ x: 10, y: 0 });
+        expect(Math.max(...pts.map(p => p.y))).toBeCloseTo(7.5, 1);
+        const length = Curves.segmentLength(cubic, { x: 10, y: 0 });
+        // Longer than the chord, shorter than the control polygon
+        expect(length).toBeGreaterThan(15);
+        expect(length).toBeLessThan(30);
+    });
+});
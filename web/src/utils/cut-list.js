@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Cut List
+ * Pure functions that turn document shapes into cut list rows:
+ * finished dimensions, quantities of identical parts and their joinery.
+ *
+ * Functions taking `options` accept { subtractBanding }: measure parts at
+ * their cut size, smaller by the edge banding they get (see EdgeBanding).
+ */
+
+import { CONFIG } from '../core/config.js';
+import { EdgeBanding } from './edge-banding.js';
+import { Geometry } from './geometry.js';
+import { GlueUp } from './glue-up.js';
+import { Grain } from './grain.js';
+import { PartMarks } from './part-marks.js';
+
+export const CutList = {
+    /**
+     * Human label for a face key ('FRONT', 'BACK', 'EDGE_n').
+     */
+    faceLabel: (faceKey) => {
+        if (faceKey === 'FRONT') return 'Front';
+        if (faceKey === 'BACK') return 'Back';
+        if (faceKey && faceKey.startsWith('EDGE_')) return `Edge ${parseInt(faceKey.split('_')[1]) + 1}`;
+        return faceKey;
+    },
+
+    /**
+     * Finished size of a single part, or its cut size with `options.subtractBanding`.
+     * @returns {{thickness: number, length: number, width: number, area: number, boardFeet: number}}
+     * Dimensions in inches, area in square inches.
+     */
+    measurePart: (shape, options = {}) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const thickness = shape.thickness || CONFIG.DEFAULT_THICKNESS;
+        const outline = options.subtractBanding
+            ? EdgeBanding.cutOutline(shape)
+            : Geometry.flattenOutline(shape.points, scale);
+        const { length, width } = Geometry.calculateOrientedBounds(outline, 1);
+        const area = Geometry.calculateArea(outline, 1);
+        return { thickness, length, width, area, boardFeet: (area * thickness) / 144 };
+    },
+
+    /**
+     * Flattens a shape's joinery into a list, ordered by face.
+     * @returns {Array<{face: string, faceLabel: string, type: string, w: number, h: number, depth: number, inset: number}>}
+     */
+    joinery: (shape) => {
+        const faces = Object.keys(shape.faceData || {});
+        const order = (f) => f === 'FRONT' ? -2 : (f === 'BACK' ? -1 : parseInt(f.split('_')[1]));
+        faces.sort((a, b) => order(a) - order(b));
+
+        const items = [];
+        faces.forEach(face => {
+            const data = shape.faceData[face];
+            const push = (type, item) => items.push({
+                face, faceLabel: CutList.faceLabel(face), type,
+                w: item.w, h: item.h, depth: item.depth || 0, inset: item.inset || 0
+            });
+            (data.tenons || []).forEach(t => push('Tenon', t));
+            (data.cutouts || []).forEach(c => push('Cutout', c));
+        });
+        return items;
+    },
+
+    /**
+     * A part's banded edges, ordered by edge.
+     * @returns {Array<{face: string, faceLabel: string, material: string, thickness: number, length: number}>}
+     */
+    banding: (shape) => EdgeBanding.edges(shape).map(e => ({
+        face: e.face,
+        faceLabel: CutList.faceLabel(e.face),
+        ...e.banding,
+        length: e.length
+    })),
+
+    /**
+     * One-line description of a joinery item, e.g. 'Tenon 2" × 1", 1" long'.
+     */
+    describeJoinery: (item, thickness) => {
+        const size = `${Geometry.formatInches(item.w)} × ${Geometry.formatInches(item.h)}`;
+        if (item.type === 'Tenon') return `Tenon ${size}, ${Geometry.formatInches(item.depth)} long`;
+        const through = item.face === 'FRONT' || item.face === 'BACK' ? item.depth >= thickness : false;
+        return `Cutout ${size}, ${through ? 'through' : `${Geometry.formatInches(item.depth)} deep`}`;
+    },
+
+    /**
+     * One record per part, as used by the machine-readable exports.
+     * @returns {Array<Object>} { id, mark, name, thickness, length, width, area, boardFeet, grainAngle, tenons, cutouts, joinery, glueUp, banding }
+     *   `glueUp` is the board layout (see GlueUp.plan) for glued-up parts, otherwise null.
+     */
+    parts: (shapes, options = {}) => {
+        const marks = PartMarks.assign(shapes);
+        return shapes
+            .filter(shape => shape.points && shape.points.length >= 3)
+            .map(shape => {
+                const joinery = CutList.joinery(shape);
+                return {
+                    id: shape.id,
+                    mark: marks.get(shape.id).mark,
+                    name: shape.name,
+                    ...CutList.measurePart(shape, options),
+                    grainAngle: Grain.angle(shape),
+                    tenons: joinery.filter(j => j.type === 'Tenon').length,
+                    cutouts: joinery.filter(j => j.type === 'Cutout').length,
+                    joinery,
+                    glueUp: GlueUp.plan(shape),
+                    banding: CutList.banding(shape)
+                };
+            });
+    },
+
+    /**
+     * Spreadsheet-friendly CSV (decimal inches, one row per part).
+     * @returns {string}
+     */
+    toCSV: (shapes, options = {}) => {
+        const cell = (v) => {
+            let str = typeof v === 'number' ? String(Math.round(v * 10000) / 10000) : String(v ?? '');
+            // Spreadsheets run text starting with these as a formula
+            if (typeof v !== 'number' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+            return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        };
+        const header = ['Part ID', 'Mark', 'Name', 'Thickness (in)', 'Length (in)', 'Width (in)', 'Area (sq in)', 'Board Feet', 'Grain (deg)', 'Tenons', 'Cutouts'];
+        const lines = [header.map(cell).join(',')];
+        CutList.parts(shapes, options).forEach(p => {
+            lines.push([p.id, p.mark, p.name, p.thickness, p.length, p.width, p.area, p.boardFeet, p.grainAngle, p.tenons, p.cutouts].map(cell).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Structured JSON for scripts: per-part records with joinery detail plus totals.
+     * @returns {string}
+     */
+    toJSON: (shapes, projectName = '', options = {}) => {
+        const parts = CutList.parts(shapes, options);
+        return JSON.stringify({
+            project: projectName,
+            generatedAt: new Date().toISOString(),
+            units: 'in',
+            parts,
+            totals: {
+                parts: parts.length,
+                boardFeet: parts.reduce((sum, p) => sum + p.boardFeet, 0)
+            }
+        }, null, 2);
+    },
+
+    /**
+     * Groups identical parts (see PartMarks) into cut list rows, one per part mark.
+     * @param {Array<Object>} shapes
+     * @returns {Array<Object>} Rows: { mark, names, quantity, thickness, length, width, boardFeet, grainAngle, joinery, glueUp, banding, shapeIds }
+     */
+    build: (shapes, options = {}) => {
+        const marks = PartMarks.assign(shapes);
+        const rows = new Map();
+        shapes.forEach(shape => {
+            if (!shape.points || shape.points.length < 3) return;
+            const { mark } = marks.get(shape.id);
+            const m = CutList.measurePart(shape, options);
+
+            if (!rows.has(mark)) {
+                rows.set(mark, {
+                    mark, names: [], quantity: 0, ...m, boardFeet: 0,
+                    grainAngle: Grain.angle(shape),
+                    joinery: CutList.joinery(shape),
+                    glueUp: GlueUp.plan(shape),
+                    banding: CutList.banding(shape),
+                    shapeIds: []
+                });
+            }
+            const row = rows.get(mark);
+            row.quantity++;
+            row.boardFeet += m.boardFeet;
+            row.shapeIds.push(shape.id);
+            if (!row.names.includes(shape.name)) row.names.push(shape.name);
+        });
+
+        // Thickest stock first, then longest, which is how parts get milled
+        return [...rows.values()].sort((a, b) => b.thickness - a.thickness || b.length - a.length);
+    }
+};
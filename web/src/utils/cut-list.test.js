@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import { CutList } from './cut-list.js';
+
+const rect = (id, name, w, h, thickness = 0.75, offset = 0) => ({
+    id, name, thickness,
+    points: [
+        { x: offset, y: 0 }, { x: offset + w * 10, y: 0 },
+        { x: offset + w * 10, y: h * 10 }, { x: offset, y: h * 10 }
+    ],
+    faceData: {
+        FRONT: { tenons: [], cutouts: [] },
+        BACK: { tenons: [], cutouts: [] },
+        EDGE_0: { tenons: [], cutouts: [] }
+    }
+});
+
+describe('CutList', () => {
+    it('labels faces the way the properties panel does', () => {
+        expect(CutList.faceLabel('FRONT')).toBe('Front');
+        expect(CutList.faceLabel('EDGE_2')).toBe('Edge 3');
+    });
+
+    it('measures length as the longer side and computes board feet', () => {
+        const m = CutList.measurePart(rect('a', 'Shelf', 6, 24, 1));
+        expect(m.length).toBeCloseTo(24);
+        expect(m.width).toBeCloseTo(6);
+        expect(m.boardFeet).toBeCloseTo(1);
+    });
+
+    it('takes curved edges into the area and board feet', () => {
+        // 24" × 6" apron with a shallow arch, 3" high, cut into its bottom edge
+        const apron = rect('a', 'Apron', 24, 6, 1);
+        apron.points[2].segment = { type: 'arc', bulge: -0.25 };
+        const m = CutList.measurePart(apron);
+        const r = 25.5, sweep = 4 * Math.atan(0.25);
+        const arch = r * r / 2 * (sweep - Math.sin(sweep));
+        expect(m.length).toBeCloseTo(24);
+        expect(m.width).toBeCloseTo(6);
+        expect(m.area).toBeCloseTo(144 - arch, 0);
+        expect(m.boardFeet).toBeCloseTo((144 - arch) / 144, 2);
+    });
+
+    it('groups identical parts regardless of position and name', () => {
+        const rows = CutList.build([
+            rect('a', 'Leg', 2, 30, 1.5),
+            rect('b', 'Leg (Copy)', 2, 30, 1.5, 500),
+            rect('c', 'Apron', 4, 20)
+        ]);
+        expect(rows).toHaveLength(2);
+        expect(rows[0].quantity).toBe(2);
+        expect(rows[0].names).toEqual(['Leg', 'Leg (Copy)']);
+        expect(rows[0].shapeIds).toEqual(['a', 'b']);
+        expect(rows.map(r => r.mark)).toEqual(['A', 'B']);
+    });
+
+    it('keeps different outlines with the same bounds apart', () => {
+        const notched = rect('b', 'Side', 10, 20);
+        notched.points.splice(2, 1, { x: 100, y: 150 }, { x: 50, y: 150 }, { x: 50, y: 200 });
+        const rows = CutList.build([rect('a', 'Side', 10, 20), notched]);
+        expect(rows).toHaveLength(2);
+        expect(rows.map(r => r.quantity)).toEqual([1, 1]);
+    });
+
+    it('groups a part with its turned and flipped copies', () => {
+        const wedge = (id, pts) => ({ ...rect(id, 'Wedge', 1, 1), points: pts.map(([x, y]) => ({ x: x * 10, y: y * 10 })) });
+        const rows = CutList.build([
+            wedge('a', [[0, 0], [30, 0], [0, 10]]),
+            wedge('b', [[50, 0], [60, 0], [50, 30]]),    // Turned a quarter
+            wedge('c', [[0, 20], [-30, 20], [0, 30]])    // Flipped over
+        ]);
+        expect(rows).toHaveLength(1);
+        expect(rows[0].quantity).toBe(3);
+    });
+
+    it('keeps parts with different joinery apart', () => {
+        const a = rect('a', 'Rail', 3, 20);
+        const b = rect('b', 'Rail', 3, 20);
+        b.faceData.EDGE_0.tenons.push({ x: 0, y: 0, w: 2, h: 0.5, depth: 1, inset: 0 });
+        const rows = CutList.build([a, b]);
+        expect(rows).toHaveLength(2);
+        const withTenon = rows.find(r => r.joinery.length === 1);
+        expect(withTenon.joinery[0]).toMatchObject({ faceLabel: 'Edge 1', type: 'Tenon' });
+    });
+
+    it('keeps parts with the grain turned apart', () => {
+        const a = rect('a', 'Panel', 12, 20);
+        const b = { ...rect('b', 'Panel', 12, 20), grainAngle: 90 };
+        expect(CutList.build([a, b])).toHaveLength(2);
+        expect(CutList.parts([b])[0].grainAngle).toBe(90);
+    });
+
+    it('carries the board layout of glued-up parts', () => {
+        const top = { ...rect('a', 'Top', 20, 30), glueUp: { boardWidths: [5.5] } };
+        const [row] = CutList.build([top]);
+        expect(row.glueUp.count).toBe(4);
+        expect(CutList.parts([rect('b', 'Shelf', 6, 24)])[0].glueUp).toBeNull();
+    });
+
+    it('measures cut sizes less the edge banding when asked', () => {
+        // Edge 1 is a 10" end of the shelf
+        const shelf = rect('a', 'Shelf', 10, 30);
+        shelf.faceData.EDGE_0.banding = { material: 'solid', thickness: 0.25 };
+        expect(CutList.measurePart(shelf).length).toBeCloseTo(30);
+        const cut = CutList.measurePart(shelf, { subtractBanding: true });
+        expect(cut.length).toBeCloseTo(29.75);
+        expect(cut.width).toBeCloseTo(10);
+        expect(CutList.build([shelf])[0].banding).toEqual([
+            { face: 'EDGE_0', faceLabel: 'Edge 1', material: 'solid', thickness: 0.25, length: 10 }
+        ]);
+    });
+
+    it('describes through cutouts and tenons', () => {
+        expect(CutList.describeJoinery({ face: 'FRONT', type: 'Cutout', w: 2, h: 1, depth: 0.75 }, 0.75))
+            .toBe('Cutout 2" × 1", through');
+        expect(CutList.describeJoinery({ face: 'EDGE_1', type: 'Tenon', w: 2, h: 0.5, depth: 1 }, 0.75))
+            .toBe('Tenon 2" × 0 1/2", 1" long');
+    });
+
+    it('exports one CSV row per part with quoted names', () => {
+        const a = rect('abc', 'Leg, left', 2, 30, 1.5);
+        a.faceData.EDGE_0.tenons.push({ x: 0, y: 0, w: 2, h: 0.5, depth: 1, inset: 0 });
+        const lines = CutList.toCSV([a, rect('def', 'Apron', 4, 20)]).trim().split('\r\n');
+        expect(lines).toHaveLength(3);
+        expect(lines[0]).toBe('Part ID,Mark,Name,Thickness (in),Length (in),Width (in),Area (sq in),Board Feet,Grain (deg),Tenons,Cutouts');
+        expect(lines[1]).toBe('abc,A,"Leg, left",1.5,30,2,60,0.625,0,1,0');
+    });
+
+    it('keeps spreadsheets from running part names as formulas', () => {
+        const parts = ['=HYPERLINK("x")', '+1', '-Side', '@SUM(A1)'].map((name, i) => rect(`p${i}`, name, 2 + i, 30));
+        const names = CutList.toCSV(parts).trim().split('\r\n').slice(1).map(line => line.split(',')[2]);
+        expect(names.sort()).toEqual(['"\'=HYPERLINK(""x"")"', "'+1", "'-Side", "'@SUM(A1)"].sort());
+    });
+
+    it('exports structured JSON with totals', () => {
+        const data = JSON.parse(CutList.toJSON([rect('a', 'Shelf', 6, 24, 1)], 'Bookcase'));
+        expect(data.project).toBe('Bookcase');
+        expect(data.units).toBe('in');
+        expect(data.parts[0]).toMatchObject({ id: 'a', mark: 'A', name: 'Shelf', grainAngle: 0, tenons: 0, cutouts: 0 });
+        expect(data.totals.boardFeet).toBeCloseTo(1);
+    });
+});
@@ -0,0 +1,257 @@
+/**
+ * @fileoverview DXF Reader
+ * Parses the 2D geometry of an ASCII DXF file (LINE, LWPOLYLINE, POLYLINE,
+ * ARC, CIRCLE) into closed loops, then sorts them into outlines and holes
+ * by nesting depth. Output is in inches with Y pointing down (world space).
+ * Blocks (INSERT), splines and text are not supported and are reported.
+ */
+
+import { Geometry } from './geometry.js';
+import { Curves } from './curves.js';
+
+/** $INSUNITS codes we understand, as inches per drawing unit. 0 (unitless) reads as inches. */
+const INSUNITS_TO_INCHES = { 0: 1, 1: 1, 2: 12, 4: 1 / 25.4, 5: 1 / 2.54, 6: 1000 / 25.4, 10: 36 };
+
+const SUPPORTED = ['LINE', 'LWPOLYLINE', 'POLYLINE', 'ARC', 'CIRCLE'];
+
+export const DxfReader = {
+    /**
+     * Splits DXF text into [groupCode, value] pairs.
+     */
+    tokenize: (text) => {
+        const lines = text.split(/\r?\n/);
+        const pairs = [];
+        for (let i = 0; i + 1 < lines.length; i += 2) {
+            const code = parseInt(lines[i].trim());
+            if (Number.isNaN(code)) continue;
+            pairs.push([code, lines[i + 1].trim()]);
+        }
+        return pairs;
+    },
+
+    /**
+     * Reads the header units and the entities of the ENTITIES section.
+     * POLYLINE entities collect their VERTEX records in `vertices`.
+     * @returns {{insUnits: number, entities: Array<{type: string, codes: Array}>}}
+     */
+    parse: (text) => {
+        const pairs = DxfReader.tokenize(text);
+        let insUnits = 0;
+        let section = null;
+        const entities = [];
+        let current = null;
+        let polyline = null;
+
+        for (let i = 0; i < pairs.length; i++) {
+            const [code, value] = pairs[i];
+
+            if (code === 0) {
+                current = null;
+                if (value === 'SECTION') {
+                    section = pairs[i + 1] && pairs[i + 1][0] === 2 ? pairs[i + 1][1] : null;
+                    continue;
+                }
+                if (value === 'ENDSEC') { section = null; continue; }
+                if (section !== 'ENTITIES') continue;
+
+                if (value === 'VERTEX' && polyline) {
+                    current = { type: value, codes: [] };
+                    polyline.vertices.push(current);
+                } else if (value === 'SEQEND') {
+                    polyline = null;
+                } else {
+                    current = { type: value, codes: [] };
+                    entities.push(current);
+                    polyline = value === 'POLYLINE' ? current : null;
+                    if (polyline) polyline.vertices = [];
+                }
+                continue;
+            }
+
+            if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+                const next = pairs[i + 1];
+                if (next && next[0] === 70) insUnits = parseInt(next[1]);
+                continue;
+            }
+
+            if (current) current.codes.push([code, value]);
+        }
+        return { insUnits, entities };
+    },
+
+    /**
+     * Converts one entity into polylines (drawing units, DXF Y-up).
+     * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>}
+     */
+    entityPaths: (entity, tolerance) => {
+        const get = (code, fallback = 0) => {
+            const pair = entity.codes.find(c => c[0] === code);
+            return pair ? parseFloat(pair[1]) : fallback;
+        };
+        // Entities drawn with a flipped extrusion direction (210/220/230 = 0,0,-1)
+        // live in a mirrored coordinate system.
+        const mirror = get(230, 1) < 0;
+        const out = (points, closed) => [{ points: mirror ? points.map(p => ({ x: -p.x, y: p.y })) : points, closed }];
+
+        switch (entity.type) {
+            case 'LINE':
+                return [{ points: [{ x: get(10), y: get(20) }, { x: get(11), y: get(21) }], closed: false }];
+
+            case 'CIRCLE': {
+                const center = { x: get(10), y: get(20) };
+                const points = Curves.flattenArc(center, get(40), 0, Math.PI * 2, tolerance);
+                points.pop();
+                return out(points, true);
+            }
+
+            case 'ARC': {
+                const center = { x: get(10), y: get(20) };
+                const start = get(50) * Math.PI / 180;
+                const sweep = Curves.ccwSweep(start, get(51) * Math.PI / 180);
+                return out(Curves.flattenArc(center, get(40), start, sweep, tolerance), false);
+            }
+
+            case 'LWPOLYLINE': {
+                const vertices = [];
+                entity.codes.forEach(([code, value]) => {
+                    if (code === 10) vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+                    else if (code === 20 && vertices.length) vertices[vertices.length - 1].y = parseFloat(value);
+                    else if (code === 42 && vertices.length) vertices[vertices.length - 1].bulge = parseFloat(value);
+                });
+                return out(...DxfReader.bulgedPath(vertices, (get(70) & 1) === 1, tolerance));
+            }
+
+            case 'POLYLINE': {
+                const vertices = (entity.vertices || []).map(v => {
+                    const vGet = (code) => {
+                        const pair = v.codes.find(c => c[0] === code);
+                        return pair ? parseFloat(pair[1]) : 0;
+                    };
+                    return { x: vGet(10), y: vGet(20), bulge: vGet(42) };
+                });
+                return out(...DxfReader.bulgedPath(vertices, (get(70) & 1) === 1, tolerance));
+            }
+
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Expands polyline vertices with bulges into plain points.
+     * @returns {[Array<{x: number, y: number}>, boolean]} Points and closed flag.
+     */
+    bulgedPath: (vertices, closed, tolerance) => {
+        if (vertices.length === 0) return [[], closed];
+        const points = [{ x: vertices[0].x, y: vertices[0].y }];
+        const count = closed ? vertices.length : vertices.length - 1;
+        for (let i = 0; i < count; i++) {
+            const v1 = vertices[i];
+            const v2 = vertices[(i + 1) % vertices.length];
+            points.push(...Curves.flattenBulge(v1, v2, v1.bulge, tolerance));
+        }
+        // The closing segment lands back on the first vertex
+        if (closed) points.pop();
+        return [points, closed];
+    },
+
+    /**
+     * Joins open paths end-to-end into closed loops.
+     * @returns {{loops: Array<Array<{x: number, y: number}>>, openPaths: number}}
+     */
+    chainLoops: (paths, tolerance) => {
+        const near = (a, b) => Geometry.dist(a, b) <= tolerance;
+        const loops = [];
+        const open = [];
+
+        paths.forEach(path => {
+            if (path.points.length < 2) return;
+            const first = path.points[0], last = path.points[path.points.length - 1];
+            if (path.closed) loops.push(path.points);
+            else if (path.points.length > 2 && near(first, last)) loops.push(path.points.slice(0, -1));
+            else open.push(path.points);
+        });
+
+        let openPaths = 0;
+        while (open.length > 0) {
+            let chain = [...open.shift()];
+            let grew = true;
+            while (grew && !(chain.length > 2 && near(chain[0], chain[chain.length - 1]))) {
+                grew = false;
+                for (let i = 0; i < open.length; i++) {
+                    const seg = open[i];
+                    const end = chain[chain.length - 1], start = chain[0];
+                    if (near(end, seg[0])) chain = [...chain, ...seg.slice(1)];
+                    else if (near(end, seg[seg.length - 1])) chain = [...chain, ...[...seg].reverse().slice(1)];
+                    else if (near(start, seg[seg.length - 1])) chain = [...seg.slice(0, -1), ...chain];
+                    else if (near(start, seg[0])) chain = [...[...seg].reverse().slice(0, -1), ...chain];
+                    else continue;
+                    open.splice(i, 1);
+                    grew = true;
+                    break;
+                }
+            }
+
+            if (chain.length > 2 && near(chain[0], chain[chain.length - 1])) loops.push(chain.slice(0, -1));
+            else openPaths++;
+        }
+        return { loops, openPaths };
+    },
+
+    /**
+     * Reads a DXF file into outlines with their holes.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.tolerance] - Join / chord tolerance in inches.
+     * @returns {{outlines: Array<{points: Array, holes: Array<Array>}>, openPaths: number, skipped: Object<string, number>}}
+     * Points are in inches, Y down.
+     */
+    read: (text, { tolerance = 0.01 } = {}) => {
+        const { insUnits, entities } = DxfReader.parse(text);
+        const toInches = INSUNITS_TO_INCHES[insUnits] ?? 1;
+        const unitTolerance = tolerance / toInches;
+
+        const skipped = {};
+        const paths = [];
+        entities.forEach(entity => {
+            if (!SUPPORTED.includes(entity.type)) {
+                skipped[entity.type] = (skipped[entity.type] || 0) + 1;
+                return;
+            }
+            paths.push(...DxfReader.entityPaths(entity, unitTolerance));
+        });
+
+        const { loops, openPaths } = DxfReader.chainLoops(paths, unitTolerance);
+
+        // Into inches, flipping Y so the drawing isn't upside down on screen
+        const rings = loops
+            .map(loop => Geometry.cleanPolygon(loop.map(p => ({ x: p.x * toInches, y: -p.y * toInches })), tolerance / 10))
+            .filter(loop => loop.length >= 3)
+            .map(points => ({ points, area: Geometry.calculateArea(points, 1), depth: 0, parent: null, holes: [] }))
+            .sort((a, b) => b.area - a.area);
+
+        // Nesting: a ring's parent is the smallest larger ring containing it.
+        // Even depths are parts, odd depths are holes in their parent part.
+        rings.forEach((ring, i) => {
+            for (let j = i - 1; j >= 0; j--) {
+                if (Geometry.pointInPolygon(ring.points[0], rings[j].points)) {
+                    ring.parent = rings[j];
+                    ring.depth = rings[j].depth + 1;
+                    break;
+                }
+            }
+        });
+
+        const outlines = [];
+        rings.forEach(ring => {
+            if (ring.depth % 2 === 0) outlines.push(ring);
+            else ring.parent.holes.push(ring.points);
+        });
+
+        return {
+            outlines: outlines.map(o => ({ points: o.points, holes: o.holes })),
+            openPaths,
+            skipped
+        };
+    }
+};
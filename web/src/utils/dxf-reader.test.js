@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { DxfReader } from './dxf-reader.js';
+
+/** Builds a minimal DXF with an optional $INSUNITS header. */
+const dxf = (entities, insUnits) => [
+    ...(insUnits !== undefined ? ['0', 'SECTION', '2', 'HEADER', '9', '$INSUNITS', '70', String(insUnits), '0', 'ENDSEC'] : []),
+    '0', 'SECTION', '2', 'ENTITIES',
+    ...entities.flat(),
+    '0', 'ENDSEC', '0', 'EOF'
+].join('\n');
+
+const line = (x1, y1, x2, y2) => ['0', 'LINE', '8', '0', '10', x1, '20', y1, '11', x2, '21', y2].map(String);
+const lwpolyline = (pts, closed = true) => [
+    '0', 'LWPOLYLINE', '8', '0', '90', pts.length, '70', closed ? 1 : 0,
+    ...pts.flatMap(([x, y, bulge]) => ['10', x, '20', y, ...(bulge ? ['42', bulge] : [])])
+].map(String);
+
+describe('DxfReader', () => {
+    it('chains loose LINE segments into one closed outline, flipping Y', () => {
+        const text = dxf([
+            line(0, 0, 10, 0),
+            line(10, 4, 10, 0), // reversed segment
+            line(0, 4, 10, 4),
+            line(0, 0, 0, 4)
+        ], 1);
+        const { outlines, openPaths } = DxfReader.read(text);
+        expect(openPaths).toBe(0);
+        expect(outlines).toHaveLength(1);
+        expect(outlines[0].points).toHaveLength(4);
+        const ys = outlines[0].points.map(p => p.y);
+        expect(Math.min(...ys)).toBeCloseTo(-4);
+        expect(Math.max(...ys)).toBeCloseTo(0);
+    });
+
+    it('merges collinear segments into single edges', () => {
+        const text = dxf([lwpolyline([[0, 0], [5, 0], [10, 0], [10, 4], [0, 4]])]);
+        expect(DxfReader.read(text).outlines[0].points).toHaveLength(4);
+    });
+
+    it('converts millimetre drawings to inches', () => {
+        const text = dxf([lwpolyline([[0, 0], [254, 0], [254, 25.4], [0, 25.4]])], 4);
+        const xs = DxfReader.read(text).outlines[0].points.map(p => p.x);
+        expect(Math.max(...xs)).toBeCloseTo(10);
+    });
+
+    it('nests inner loops as holes of the smallest enclosing outline', () => {
+        const text = dxf([
+            lwpolyline([[0, 0], [20, 0], [20, 20], [0, 20]]),
+            lwpolyline([[2, 2], [18, 2], [18, 18], [2, 18]]), // hole
+            lwpolyline([[4, 4], [6, 4], [6, 6], [4, 6]]), // island part inside the hole
+            ['0', 'CIRCLE', '8', '0', '10', '30', '20', '10', '40', '2']
+        ]);
+        const { outlines } = DxfReader.read(text);
+        expect(outlines).toHaveLength(3);
+        const frame = outlines.find(o => o.holes.length === 1);
+        expect(frame.holes[0]).toHaveLength(4);
+    });
+
+    it('flattens bulged polyline segments and arcs', () => {
+        // A 4" x 2" slot with rounded ends
+        const text = dxf([lwpolyline([[0, 0, 0], [4, 0, 1], [4, 2, 0], [0, 2, 1]])]);
+        const pts = DxfReader.read(text).outlines[0].points;
+        expect(pts.length).toBeGreaterThan(8);
+        expect(Math.max(...pts.map(p => p.x))).toBeCloseTo(5, 1);
+
+        const arcs = dxf([
+            ['0', 'ARC', '10', '0', '20', '0', '40', '1', '50', '0', '51', '180'],
+            line(-1, 0, 1, 0)
+        ]);
+        expect(DxfReader.read(arcs).outlines).toHaveLength(1);
+    });
+
+    it('reads POLYLINE vertices and reports unsupported entities and open paths', () => {
+        const text = dxf([
+            ['0', 'POLYLINE', '8', '0', '66', '1', '70', '1', '10', '0', '20', '0'],
+            ['0', 'VERTEX', '10', '0', '20', '0'],
+            ['0', 'VERTEX', '10', '3', '20', '0'],
+            ['0', 'VERTEX', '10', '3', '20', '3'],
+            ['0', 'SEQEND'],
+            ['0', 'TEXT', '10', '0', '20', '0', '1', 'Hello'],
+            line(10, 10, 12, 10)
+        ]);
+        const { outlines, openPaths, skipped } = DxfReader.read(text);
+        expect(outlines).toHaveLength(1);
+        expect(outlines[0].points).toHaveLength(3);
+        expect(openPaths).toBe(1);
+        expect(skipped).toEqual({ TEXT: 1 });
+    });
+});
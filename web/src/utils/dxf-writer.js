@@ -0,0 +1,146 @@
+/**
+ * @fileoverview DXF Writer
+ * Serializes shapes into a minimal ASCII DXF drawing for CAD/CAM and laser software.
+ *
+ * THEORY: The file is plain R12 (AC1009), the version every CAM and laser
+ * package reads: no subclass markers, handles or OBJECTS section, and closed
+ * POLYLINEs with VERTEX records instead of LWPOLYLINE. R12 has no units header,
+ * so the numbers are simply real inches.
+ *
+ * Every outline is written as a closed POLYLINE (Y axis flipped so
+ * the drawing reads the same way up as the canvas). Joinery goes on named layers so
+ * the shop software can assign a different operation to each one. The grain
+ * arrow is drawn with LINEs on its own layer, for reference only.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+import { Grain } from './grain.js';
+
+export const DXF_LAYERS = {
+    OUTLINE: { name: 'OUTLINE', color: 7 },
+    THROUGH_CUTS: { name: 'THROUGH_CUTS', color: 1 },
+    FRONT_POCKETS: { name: 'FRONT_POCKETS', color: 5 },
+    FRONT_TENONS: { name: 'FRONT_TENONS', color: 3 },
+    BACK_POCKETS: { name: 'BACK_POCKETS', color: 4 },
+    BACK_TENONS: { name: 'BACK_TENONS', color: 6 },
+    GRAIN: { name: 'GRAIN', color: 8 }
+};
+
+/** Rounds to 1/10000" and drops trailing zeros so the file stays readable. */
+const num = (v) => {
+    const r = Math.round(v * 10000) / 10000;
+    return Object.is(r, -0) ? '0' : String(r);
+};
+
+export const DxfWriter = {
+    /**
+     * Collects the closed loops of a shape, in inches, tagged with their layer.
+     * @param {Object} shape - Shape object.
+     * @param {number} scale - Pixels per inch.
+     * @returns {Array<{layer: string, points: Array<{x: number, y: number}>}>}
+     */
+    shapeLoops: (shape, scale = CONFIG.SCALE_PIXELS_PER_INCH) => {
+        if (!shape.points || shape.points.length < 3) return [];
+
+        const toInches = (p) => ({ x: p.x / scale, y: -p.y / scale });
+        const loops = [{ layer: DXF_LAYERS.OUTLINE.name, points: Geometry.flattenOutline(shape.points).map(toInches) }];
+
+        // BACK joinery is stored mirrored, but mirroring it back into the FRONT view
+        // lands it on the same footprint as FRONT joinery, so both use the FRONT origin.
+        const { origin } = Geometry.getFaceOrigin(shape, 'FRONT', scale);
+        const thickness = shape.thickness || CONFIG.DEFAULT_THICKNESS;
+
+        const rectLoop = (item) => {
+            const x = origin.x + item.x * scale;
+            const y = origin.y + item.y * scale;
+            const w = item.w * scale, h = item.h * scale;
+            return [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }].map(toInches);
+        };
+
+        ['FRONT', 'BACK'].forEach(face => {
+            const data = shape.faceData?.[face];
+            if (!data) return;
+            (data.cutouts || []).forEach(c => {
+                const isThrough = (c.depth || 0) >= thickness;
+                const layer = isThrough ? DXF_LAYERS.THROUGH_CUTS : DXF_LAYERS[`${face}_POCKETS`];
+                loops.push({ layer: layer.name, points: rectLoop(c) });
+            });
+            (data.tenons || []).forEach(t => {
+                loops.push({ layer: DXF_LAYERS[`${face}_TENONS`].name, points: rectLoop(t) });
+            });
+        });
+
+        return loops;
+    },
+
+    /**
+     * Grain arrow of a shape, in inches (Y flipped like the outlines).
+     * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>}
+     */
+    grainLines: (shape, scale = CONFIG.SCALE_PIXELS_PER_INCH) => {
+        if (!shape.points || shape.points.length < 3) return [];
+        const outline = Geometry.flattenOutline(shape.points, scale);
+        const flip = (p) => ({ x: p.x, y: -p.y });
+        return Grain.arrow(outline, Grain.worldAngle(shape)).map(l => ({ start: flip(l.start), end: flip(l.end) }));
+    },
+
+    /**
+     * Builds a complete DXF document for a list of shapes.
+     * @param {Array<Object>} shapes
+     * @param {number} [scale] - Pixels per inch.
+     * @returns {string} DXF file contents.
+     */
+    build: (shapes, scale = CONFIG.SCALE_PIXELS_PER_INCH) => {
+        const out = [];
+        const pair = (code, value) => out.push(String(code), String(value));
+
+        const loops = shapes.flatMap(s => DxfWriter.shapeLoops(s, scale));
+        const layers = Object.values(DXF_LAYERS);
+
+        // HEADER
+        pair(0, 'SECTION'); pair(2, 'HEADER');
+        pair(9, '$ACADVER'); pair(1, 'AC1009');
+        pair(0, 'ENDSEC');
+
+        // TABLES
+        pair(0, 'SECTION'); pair(2, 'TABLES');
+        pair(0, 'TABLE'); pair(2, 'LTYPE'); pair(70, 1);
+        pair(0, 'LTYPE'); pair(2, 'CONTINUOUS'); pair(70, 0);
+        pair(3, 'Solid line'); pair(72, 65); pair(73, 0); pair(40, 0);
+        pair(0, 'ENDTAB');
+        pair(0, 'TABLE'); pair(2, 'LAYER'); pair(70, layers.length);
+        layers.forEach(l => {
+            pair(0, 'LAYER'); pair(2, l.name); pair(70, 0); pair(62, l.color); pair(6, 'CONTINUOUS');
+        });
+        pair(0, 'ENDTAB');
+        pair(0, 'ENDSEC');
+
+        // ENTITIES
+        pair(0, 'SECTION'); pair(2, 'ENTITIES');
+        loops.forEach(loop => {
+            pair(0, 'POLYLINE');
+            pair(8, loop.layer);
+            pair(66, 1); // Vertices follow
+            pair(10, 0); pair(20, 0); pair(30, 0);
+            pair(70, 1); // Closed
+            loop.points.forEach(p => {
+                pair(0, 'VERTEX');
+                pair(8, loop.layer);
+                pair(10, num(p.x)); pair(20, num(p.y)); pair(30, 0);
+            });
+            pair(0, 'SEQEND');
+            pair(8, loop.layer);
+        });
+        shapes.flatMap(s => DxfWriter.grainLines(s, scale)).forEach(line => {
+            pair(0, 'LINE');
+            pair(8, DXF_LAYERS.GRAIN.name);
+            pair(10, num(line.start.x)); pair(20, num(line.start.y)); pair(30, 0);
+            pair(11, num(line.end.x)); pair(21, num(line.end.y)); pair(31, 0);
+        });
+        pair(0, 'ENDSEC');
+        pair(0, 'EOF');
+
+        return out.join('\n') + '\n';
+    }
+};
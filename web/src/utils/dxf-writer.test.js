@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { DxfWriter, DXF_LAYERS } from './dxf-writer.js';
+import { DxfReader } from './dxf-reader.js';
+import { Geometry } from './geometry.js';
+
+const makeShape = () => ({
+    id: 's1',
+    name: 'Panel',
+    thickness: 0.75,
+    points: [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }],
+    faceData: {
+        FRONT: {
+            tenons: [{ x: 1, y: 1, w: 2, h: 1, depth: 0.5, inset: 0 }],
+            cutouts: [
+                { x: 2, y: 1, w: 3, h: 2, depth: 0.75 }, // Through
+                { x: 6, y: 1, w: 1, h: 1, depth: 0.25 }  // Pocket
+            ]
+        },
+        BACK: { tenons: [], cutouts: [{ x: 1, y: 3, w: 1, h: 1, depth: 0.25 }] }
+    }
+});
+
+describe('DxfWriter', () => {
+    describe('shapeLoops', () => {
+        it('converts the outline to inches with Y flipped', () => {
+            const [outline] = DxfWriter.shapeLoops(makeShape(), 10);
+            expect(outline.layer).toBe(DXF_LAYERS.OUTLINE.name);
+            expect(outline.points).toHaveLength(4);
+            expect(outline.points[1].x).toBeCloseTo(10);
+            expect(outline.points[2].y).toBeCloseTo(-5);
+        });
+
+        it('separates through cutouts from partial-depth pockets', () => {
+            const loops = DxfWriter.shapeLoops(makeShape(), 10);
+            const layers = loops.map(l => l.layer);
+            expect(layers.filter(l => l === DXF_LAYERS.THROUGH_CUTS.name)).toHaveLength(1);
+            expect(layers).toContain(DXF_LAYERS.FRONT_POCKETS.name);
+            expect(layers).toContain(DXF_LAYERS.FRONT_TENONS.name);
+            expect(layers).toContain(DXF_LAYERS.BACK_POCKETS.name);
+        });
+
+        it('places joinery relative to the first point', () => {
+            const shape = makeShape();
+            shape.points = shape.points.map(p => ({ x: p.x + 20, y: p.y + 10 }));
+            const through = DxfWriter.shapeLoops(shape, 10).find(l => l.layer === DXF_LAYERS.THROUGH_CUTS.name);
+            // Origin (2", 1") + cutout offset (2", 1")
+            expect(through.points[0].x).toBeCloseTo(4);
+            expect(through.points[0].y).toBeCloseTo(-2);
+        });
+    });
+
+    describe('build', () => {
+        it('writes a closed POLYLINE per loop and declares every layer', () => {
+            const dxf = DxfWriter.build([makeShape()], 10);
+            const lines = dxf.split('\n');
+            expect(lines.filter(l => l === 'POLYLINE')).toHaveLength(5);
+            expect(lines.filter(l => l === 'VERTEX')).toHaveLength(20);
+            expect(lines.filter(l => l === 'SEQEND')).toHaveLength(5);
+            Object.values(DXF_LAYERS).forEach(l => expect(lines).toContain(l.name));
+            expect(lines[lines.length - 2]).toBe('EOF');
+        });
+
+        it('stays within R12: no subclass markers or newer header variables', () => {
+            const lines = DxfWriter.build([makeShape()], 10).split('\n');
+            expect(lines[lines.indexOf('$ACADVER') + 2]).toBe('AC1009');
+            expect(lines).not.toContain('LWPOLYLINE');
+            expect(lines).not.toContain('$INSUNITS');
+            // Group codes sit on even lines
+            expect(lines.filter((l, i) => i % 2 === 0 && l === '100')).toHaveLength(0);
+        });
+
+        it('reads back with the DXF reader', () => {
+            const { outlines } = DxfReader.read(DxfWriter.build([{ ...makeShape(), faceData: {} }], 10));
+            expect(outlines).toHaveLength(1);
+            const bounds = Geometry.calculateBounds(outlines[0].points);
+            expect(bounds.maxX - bounds.minX).toBeCloseTo(10);
+            expect(bounds.maxY - bounds.minY).toBeCloseTo(5);
+        });
+
+        it('draws the grain arrow with LINEs on the GRAIN layer', () => {
+            const shape = { ...makeShape(), grainAngle: 90 };
+            const [shaft] = DxfWriter.grainLines(shape, 10);
+            expect(shaft.start.x).toBeCloseTo(shaft.end.x);
+            expect(shaft.start.y).toBeLessThan(0);
+
+            const lines = DxfWriter.build([shape], 10).split('\n');
+            expect(lines.filter(l => l === 'LINE')).toHaveLength(5);
+            expect(lines.filter((l, i) => l === 'GRAIN' && lines[i - 1] === '8')).toHaveLength(5);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Edge Banding
+ * Which edges of a part are banded (`faceData.EDGE_n.banding`), the cut size
+ * of a part once its banding is allowed for, and how much banding a project
+ * takes of each kind.
+ *
+ * THEORY: Banding adds its thickness to every edge it covers, so a part that
+ * has to finish at size is cut smaller by that much on those edges. Moving
+ * each banded edge inward along its normal and re-intersecting neighbouring
+ * edges gives the cut outline; curved edges are flattened and each piece moved
+ * in the same way. Banding is applied overlong and trimmed flush, so every
+ * edge takes its length plus an overhang.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Curves } from './curves.js';
+import { Geometry } from './geometry.js';
+
+export const BANDING_MATERIALS = {
+    veneer: { label: 'Wood veneer (iron-on)', thickness: 0.02 },
+    pvc: { label: 'PVC', thickness: 0.04 },
+    abs: { label: 'ABS', thickness: 0.08 },
+    solid: { label: 'Solid wood edging', thickness: 0.25 }
+};
+
+export const BANDING_DEFAULTS = {
+    subtract: false,    // Cut parts smaller by their banding
+    overhang: 1         // Extra length per edge, trimmed flush after
+};
+
+export const EdgeBanding = {
+    /**
+     * Banding settings of a project, filled in with defaults.
+     */
+    settings: (project) => ({ ...BANDING_DEFAULTS, ...(project?.settings?.banding || {}) }),
+
+    /**
+     * Banding on an edge face, defaults filled in, or null when it isn't banded.
+     * @returns {{material: string, thickness: number}|null}
+     */
+    get: (shape, faceKey) => {
+        const banding = shape.faceData?.[faceKey]?.banding;
+        if (!banding) return null;
+        const material = BANDING_MATERIALS[banding.material] ? banding.material : 'veneer';
+        return { material, thickness: banding.thickness ?? BANDING_MATERIALS[material].thickness };
+    },
+
+    /**
+     * "PVC 1.0 mm" for thin banding, "Solid wood edging 1/4"" for thick.
+     */
+    describe: ({ material, thickness }) => {
+        const size = thickness < 1 / 16 ? `${(thickness * 25.4).toFixed(1)} mm` : Geometry.formatInches(thickness);
+        return `${BANDING_MATERIALS[material]?.label || material} ${size}`;
+    },
+
+    /**
+     * The banded edges of a part.
+     * @returns {Array<{index: number, face: string, length: number, banding: Object}>} Lengths in inches,
+     *   along the curve for curved edges.
+     */
+    edges: (shape) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const pts = shape.points || [];
+        return pts.flatMap((p, i) => {
+            const face = `EDGE_${i}`;
+            const banding = EdgeBanding.get(shape, face);
+            if (!banding) return [];
+            return [{ index: i, face, length: Curves.segmentLength(p, pts[(i + 1) % pts.length]) / scale, banding }];
+        });
+    },
+
+    /**
+     * The outline to cut, in inches: each banded edge moved in by its banding thickness.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    cutOutline: (shape) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const edges = Curves.edges(shape.points, CONFIG.CURVE_TOLERANCE * scale);
+        const points = edges.flat().map(p => ({ x: p.x / scale, y: p.y / scale }));
+        const n = points.length;
+        // Every piece of a flattened edge takes that edge's banding
+        const inset = edges.flatMap((edge, i) => edge.map(() => EdgeBanding.get(shape, `EDGE_${i}`)?.thickness || 0));
+        if (n < 3 || inset.every(d => d === 0)) return points;
+
+        // Positive offsets grow the polygon, as in Geometry.offsetPolygon
+        const side = Geometry.calculateSignedArea(points) >= 0 ? 1 : -1;
+        const lines = points.map((p, i) => {
+            const q = points[(i + 1) % n];
+            const d = Geometry.normalize({ x: q.x - p.x, y: q.y - p.y });
+            const normal = { x: d.y * side, y: -d.x * side };
+            return { d, a: { x: p.x - normal.x * inset[i], y: p.y - normal.y * inset[i] } };
+        });
+
+        return points.map((_, i) => {
+            const prev = lines[(i - 1 + n) % n], next = lines[i];
+            const denom = prev.d.x * next.d.y - prev.d.y * next.d.x;
+            // Straight through: the edges are parallel, so take the later edge's start
+            if (Math.abs(denom) < 1e-9) return next.a;
+            const t = ((next.a.x - prev.a.x) * next.d.y - (next.a.y - prev.a.y) * next.d.x) / denom;
+            return { x: prev.a.x + prev.d.x * t, y: prev.a.y + prev.d.y * t };
+        });
+    },
+
+    /**
+     * Banding the project takes, by material and thickness.
+     * @param {Array<Object>} shapes
+     * @param {Object} [settings] - As in BANDING_DEFAULTS.
+     * @returns {Array<{material: string, thickness: number, label: string, edges: number, length: number}>}
+     *   `length` in inches, overhang included; thinnest first.
+     */
+    totals: (shapes, settings = BANDING_DEFAULTS) => {
+        const overhang = Math.max(0, settings.overhang ?? BANDING_DEFAULTS.overhang);
+        const byType = new Map();
+        shapes.filter(s => s.points && s.points.length >= 3).forEach(shape => {
+            EdgeBanding.edges(shape).forEach(({ length, banding }) => {
+                const key = `${banding.material}@${banding.thickness}`;
+                if (!byType.has(key)) byType.set(key, { ...banding, label: EdgeBanding.describe(banding), edges: 0, length: 0 });
+                const total = byType.get(key);
+                total.edges++;
+                total.length += length + overhang;
+            });
+        });
+        return [...byType.values()].sort((a, b) => (a.thickness - b.thickness) || a.label.localeCompare(b.label));
+    }
+};
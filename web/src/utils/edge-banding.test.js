@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { EdgeBanding } from './edge-banding.js';
+import { ShapeModel } from '../core/model.js';
+
+// width × length in inches (world px at 10 px/in); edges 0 and 2 run across the width
+const panel = (width, length) => ShapeModel.create([
+    { x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }
+], 'Side');
+
+describe('EdgeBanding', () => {
+    it('reads banding with defaults and describes it', () => {
+        const side = panel(12, 30);
+        side.faceData.EDGE_1.banding = { material: 'pvc' };
+        expect(EdgeBanding.get(side, 'EDGE_1')).toEqual({ material: 'pvc', thickness: 0.04 });
+        expect(EdgeBanding.get(side, 'EDGE_0')).toBeNull();
+        expect(EdgeBanding.describe({ material: 'pvc', thickness: 0.04 })).toBe('PVC 1.0 mm');
+        expect(EdgeBanding.describe({ material: 'solid', thickness: 0.25 })).toBe('Solid wood edging 0 1/4"');
+    });
+
+    it('moves banded edges in by the banding thickness', () => {
+        const side = panel(12, 30);
+        side.faceData.EDGE_1.banding = { material: 'solid', thickness: 0.25 };
+        side.faceData.EDGE_2.banding = { material: 'solid', thickness: 0.5 };
+        expect(EdgeBanding.cutOutline(side)).toEqual([
+            { x: 0, y: 0 }, { x: 11.75, y: 0 }, { x: 11.75, y: 29.5 }, { x: 0, y: 29.5 }
+        ]);
+        // Same result whichever way the outline winds
+        const reversed = { ...side, points: [...side.points].reverse(), faceData: {
+            EDGE_0: side.faceData.EDGE_2, EDGE_1: side.faceData.EDGE_1
+        } };
+        const b = EdgeBanding.cutOutline(reversed);
+        expect(Math.max(...b.map(p => p.x))).toBeCloseTo(11.75);
+        expect(Math.max(...b.map(p => p.y))).toBeCloseTo(29.5);
+    });
+
+    it('totals each kind of banding with the overhang', () => {
+        const a = panel(12, 30), b = panel(12, 24);
+        a.faceData.EDGE_1.banding = { material: 'veneer', thickness: 0.02 };
+        a.faceData.EDGE_3.banding = { material: 'veneer', thickness: 0.02 };
+        b.faceData.EDGE_0.banding = { material: 'solid', thickness: 0.25 };
+        const totals = EdgeBanding.totals([a, b], { overhang: 1 });
+        expect(totals.map(t => [t.label, t.edges, t.length])).toEqual([
+            ['Wood veneer (iron-on) 0.5 mm', 2, 62],
+            ['Solid wood edging 0 1/4"', 1, 13]
+        ]);
+    });
+});
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview G-code Generator
+ * Turns a part into GRBL-compatible G-code for a 3-axis router: pockets for
+ * partial-depth FRONT cutouts, inside profiles for through cutouts and an
+ * outside profile for the outline, each in several depth passes.
+ *
+ * GRBL has no cutter compensation (G41/G42), so toolpaths are offset here by
+ * the tool radius. Machine frame: X right, Y up, origin at the lower-left of
+ * the part, Z = 0 on top of the stock.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+
+const MM_PER_INCH = 25.4;
+
+/** Tool and job defaults, in inches and inches/minute (mm and mm/minute when units is 'mm'). */
+export const GCODE_DEFAULTS = {
+    units: 'in',          // 'in' | 'mm' for both the settings and the output
+    diameter: 0.25,
+    stepdown: 0.125,
+    stepover: 0.4,        // Fraction of the diameter for pocket clearing
+    feed: 40,
+    plunge: 15,
+    spindle: 18000,
+    safeZ: 0.25,
+    breakthrough: 0.02,   // Extra depth on through cuts so the part comes free
+    tabs: 4,              // Holding tabs on the outside profile (0 = none)
+    tabWidth: 0.375,
+    tabHeight: 0.125,
+    climb: true
+};
+
+const fmt = (v) => {
+    const r = Math.round(v * 10000) / 10000;
+    return String(Object.is(r, -0) ? 0 : r);
+};
+
+export const GCode = {
+    /**
+     * Z levels for each pass, stepping down to (and ending exactly at) `depth`.
+     * @returns {Array<number>} Negative Z values.
+     */
+    depthPasses: (depth, stepdown) => {
+        if (depth <= 0) return [];
+        const count = Math.max(1, Math.ceil(depth / stepdown - 1e-9));
+        return Array.from({ length: count }, (_, i) => -Math.min(depth, (i + 1) * stepdown));
+    },
+
+    /**
+     * Orders a loop for the milling direction. With a clockwise spindle, climb
+     * milling runs clockwise around outside profiles and counter-clockwise
+     * inside holes (Y-up frame).
+     */
+    orient: (loop, outside, climb) => {
+        const ccw = Geometry.calculateSignedArea(loop) > 0;
+        const wantCcw = outside !== climb;
+        return ccw === wantCcw ? loop : [...loop].reverse();
+    },
+
+    /**
+     * Distance ranges along a closed loop covered by tabs, evenly spaced.
+     * @returns {Array<[number, number]>}
+     */
+    tabRanges: (loop, count, width) => {
+        if (count <= 0) return [];
+        let length = 0;
+        loop.forEach((p, i) => { length += Geometry.dist(p, loop[(i + 1) % loop.length]); });
+        if (width * count >= length) return [];
+        return Array.from({ length: count }, (_, i) => {
+            const center = ((i + 0.5) * length) / count;
+            return [center - width / 2, center + width / 2];
+        });
+    },
+
+    /**
+     * Concentric rectangles that clear a rectangular pocket, innermost first.
+     * @returns {Array<Array<{x: number, y: number}>>|null} Null when the tool does not fit.
+     */
+    pocketLoops: (rect, radius, step) => {
+        const { minX, minY, maxX, maxY } = rect;
+        const half = Math.min(maxX - minX, maxY - minY) / 2;
+        if (radius > half + 1e-9) return null;
+
+        const insets = [];
+        for (let inset = radius; inset < half; inset += step) insets.push(inset);
+        insets.push(half);
+
+        return insets.reverse().map(inset => [
+            { x: minX + inset, y: minY + inset },
+            { x: maxX - inset, y: minY + inset },
+            { x: maxX - inset, y: maxY - inset },
+            { x: minX + inset, y: maxY - inset }
+        ]);
+    },
+
+    /**
+     * Emits feed moves around a closed loop at `z`, hopping up to `tabZ`
+     * across the tab ranges.
+     */
+    emitLoop: (lines, loop, z, tabs, tabZ, feed) => {
+        const closed = [...loop, loop[0]];
+        const lift = tabs.length > 0 && z < tabZ;
+        let travelled = 0;
+        let inTab = false;
+
+        const move = (p) => lines.push(`G1 X${fmt(p.x)} Y${fmt(p.y)} F${fmt(feed)}`);
+        const setTab = (p, on) => {
+            if (on === inTab) return;
+            move(p);
+            lines.push(`G1 Z${fmt(on ? tabZ : z)}`);
+            inTab = on;
+        };
+
+        for (let i = 1; i < closed.length; i++) {
+            const a = closed[i - 1], b = closed[i];
+            const len = Geometry.dist(a, b);
+            if (len < 1e-9) continue;
+            if (lift) {
+                // Break the segment wherever it enters or leaves a tab
+                const cuts = tabs.flat()
+                    .filter(d => d > travelled && d < travelled + len)
+                    .sort((m, n) => m - n);
+                cuts.forEach(d => {
+                    const t = (d - travelled) / len;
+                    const p = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+                    setTab(p, tabs.some(([s, e]) => d + 1e-9 >= s && d + 1e-9 < e));
+                });
+            }
+            move(b);
+            travelled += len;
+        }
+        if (inTab) lines.push(`G1 Z${fmt(z)}`);
+    },
+
+    /**
+     * Cuts a loop in depth passes from a safe height and retracts afterwards.
+     */
+    emitProfile: (lines, loop, passes, tool, tabs = [], tabZ = 0) => {
+        lines.push(`G0 Z${fmt(tool.safeZ)}`);
+        lines.push(`G0 X${fmt(loop[0].x)} Y${fmt(loop[0].y)}`);
+        passes.forEach(z => {
+            lines.push(`G1 Z${fmt(z)} F${fmt(tool.plunge)}`);
+            GCode.emitLoop(lines, loop, z, tabs, tabZ, tool.feed);
+        });
+        lines.push(`G0 Z${fmt(tool.safeZ)}`);
+    },
+
+    /**
+     * Generates the full program for one part.
+     * @param {Object} shape
+     * @param {Object} [settings] - Overrides for GCODE_DEFAULTS, in `settings.units`.
+     * @returns {{gcode: string, warnings: Array<string>}}
+     * @throws {Error} When a tool setting is missing or out of range.
+     */
+    generate: (shape, settings = {}) => {
+        const tool = { ...GCODE_DEFAULTS, ...settings };
+        ['diameter', 'stepdown', 'feed', 'plunge'].forEach(key => {
+            if (!(tool[key] > 0)) throw new Error(`Tool ${key} must be greater than zero.`);
+        });
+        tool.tabs = Math.max(0, Math.floor(tool.tabs) || 0);
+        // The model is in inches; toolpaths are built directly in the output units
+        const unit = tool.units === 'mm' ? MM_PER_INCH : 1;
+        const radius = tool.diameter / 2;
+
+        const warnings = [];
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const thickness = (shape.thickness || CONFIG.DEFAULT_THICKNESS) * unit;
+        const through = thickness + tool.breakthrough;
+        const bounds = Geometry.calculateBounds(Geometry.flattenOutline(shape.points));
+        // Screen Y points down; the machine's Y points up
+        const toMachine = (p) => ({
+            x: ((p.x - bounds.minX) / scale) * unit,
+            y: ((bounds.maxY - p.y) / scale) * unit
+        });
+
+        const lines = [
+            `(${shape.name || 'Part'})`,
+            `(Stock ${fmt(thickness)}${tool.units} thick, Z0 = top of stock, X0 Y0 = lower left)`,
+            `(Tool ${fmt(tool.diameter)}${tool.units} end mill)`,
+            tool.units === 'mm' ? 'G21' : 'G20',
+            'G90',
+            'G17',
+            `M3 S${Math.round(tool.spindle)}`
+        ];
+
+        // 1. Pockets and through cutouts (FRONT)
+        const front = shape.faceData?.FRONT || {};
+        const { origin } = Geometry.getFaceOrigin(shape, 'FRONT', scale);
+        (front.cutouts || []).forEach((c, i) => {
+            const a = toMachine({ x: origin.x + c.x * scale, y: origin.y + c.y * scale });
+            const b = toMachine({ x: origin.x + (c.x + c.w) * scale, y: origin.y + (c.y + c.h) * scale });
+            const rect = { minX: Math.min(a.x, b.x), minY: Math.min(a.y, b.y), maxX: Math.max(a.x, b.x), maxY: Math.max(a.y, b.y) };
+            const depth = (c.depth ?? shape.thickness) * unit;
+            const label = `Cutout ${i + 1}`;
+
+            if (Math.min(rect.maxX - rect.minX, rect.maxY - rect.minY) < tool.diameter) {
+                warnings.push(`${label} is narrower than the tool and was skipped.`);
+                return;
+            }
+
+            if (depth >= thickness) {
+                const loop = Geometry.offsetPolygon([
+                    { x: rect.minX, y: rect.minY }, { x: rect.maxX, y: rect.minY },
+                    { x: rect.maxX, y: rect.maxY }, { x: rect.minX, y: rect.maxY }
+                ], -radius);
+                lines.push(`(${label}: through, inside profile)`);
+                GCode.emitProfile(lines, GCode.orient(loop, false, tool.climb), GCode.depthPasses(through, tool.stepdown), tool);
+                return;
+            }
+
+            const loops = GCode.pocketLoops(rect, radius, tool.diameter * tool.stepover)
+                .map(loop => GCode.orient(loop, false, tool.climb));
+            const start = loops[0][0];
+            lines.push(`(${label}: pocket ${fmt(depth)}${tool.units} deep)`);
+            lines.push(`G0 Z${fmt(tool.safeZ)}`);
+            lines.push(`G0 X${fmt(start.x)} Y${fmt(start.y)}`);
+            GCode.depthPasses(depth, tool.stepdown).forEach(z => {
+                lines.push(`G1 Z${fmt(z)} F${fmt(tool.plunge)}`);
+                // Step outwards ring by ring without lifting; the way out is already cleared
+                loops.forEach((loop, k) => {
+                    if (k > 0) lines.push(`G1 X${fmt(loop[0].x)} Y${fmt(loop[0].y)} F${fmt(tool.feed)}`);
+                    GCode.emitLoop(lines, loop, z, [], 0, tool.feed);
+                });
+                lines.push(`G1 X${fmt(start.x)} Y${fmt(start.y)}`);
+            });
+            lines.push(`G0 Z${fmt(tool.safeZ)}`);
+        });
+
+        if ((front.tenons || []).length > 0) warnings.push('FRONT tenons are raised features and are not machined.');
+        const back = shape.faceData?.BACK || {};
+        if ((back.cutouts || []).length + (back.tenons || []).length > 0) {
+            warnings.push('BACK joinery needs the part flipped and is not included.');
+        }
+        const hasEdgeJoinery = Object.entries(shape.faceData || {})
+            .some(([face, data]) => face.startsWith('EDGE_') && (data.tenons || []).length + (data.cutouts || []).length > 0);
+        if (hasEdgeJoinery) warnings.push('Edge joinery cannot be cut from the top and is not included.');
+
+        // 2. Outside profile last, so the part stays held while everything else is cut
+        const outline = Geometry.offsetPolygon(Geometry.flattenOutline(shape.points).map(toMachine), radius, 0.001 * unit);
+        const profile = GCode.orient(outline, true, tool.climb);
+        const tabs = GCode.tabRanges(profile, tool.tabs, tool.tabWidth + tool.diameter);
+        if (tool.tabs > 0 && tabs.length === 0) warnings.push('The outline is too short for the requested tabs; none were added.');
+
+        lines.push(`(Outside profile${tabs.length ? `, ${tabs.length} tabs` : ''})`);
+        GCode.emitProfile(lines, profile, GCode.depthPasses(through, tool.stepdown), tool, tabs, -thickness + tool.tabHeight);
+
+        lines.push('M5');
+        lines.push('G0 X0 Y0');
+        lines.push('M30');
+
+        // Feed rate is modal: only write F when it changes
+        let feed = null;
+        const gcode = lines.map(line => line.replace(/ F(\S+)$/, (word, value) => {
+            if (value === feed) return '';
+            feed = value;
+            return word;
+        }));
+        return { gcode: gcode.join('\n') + '\n', warnings };
+    }
+};
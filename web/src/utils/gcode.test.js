@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { GCode } from './gcode.js';
+import { ShapeModel, CutoutModel } from '../core/model.js';
+
+// 10" x 5" board, 0.5" thick (world px at 10 px/in)
+const board = () => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }], 'Board');
+    shape.thickness = 0.5;
+    return shape;
+};
+
+const moves = (gcode) => gcode.split('\n')
+    .filter(l => /^G[01] /.test(l))
+    .map(l => Object.fromEntries([...l.matchAll(/([XYZ])(-?[\d.]+)/g)].map(([, k, v]) => [k, parseFloat(v)])));
+
+describe('GCode', () => {
+    describe('depthPasses', () => {
+        it('steps down and finishes exactly on the target depth', () => {
+            expect(GCode.depthPasses(0.5, 0.125)).toEqual([-0.125, -0.25, -0.375, -0.5]);
+            expect(GCode.depthPasses(0.3, 0.125)).toEqual([-0.125, -0.25, -0.3]);
+            expect(GCode.depthPasses(0, 0.125)).toEqual([]);
+        });
+    });
+
+    describe('generate', () => {
+        it('writes a GRBL program with header and footer', () => {
+            const { gcode } = GCode.generate(board(), { tabs: 0 });
+            const lines = gcode.trim().split('\n');
+            expect(lines).toContain('G20');
+            expect(lines).toContain('G90');
+            expect(lines).toContain('M3 S18000');
+            expect(lines.slice(-3)).toEqual(['M5', 'G0 X0 Y0', 'M30']);
+        });
+
+        it('offsets the outside profile by the tool radius and cuts through in passes', () => {
+            const { gcode } = GCode.generate(board(), { tabs: 0, diameter: 0.25, stepdown: 0.2, breakthrough: 0.02 });
+            const xy = moves(gcode).filter(m => m.X !== undefined);
+            expect(Math.min(...xy.map(m => m.X))).toBeCloseTo(-0.125);
+            expect(Math.max(...xy.map(m => m.X))).toBeCloseTo(10.125);
+            expect(Math.max(...xy.map(m => m.Y))).toBeCloseTo(5.125);
+
+            const plunges = moves(gcode).filter(m => m.Z !== undefined && m.Z < 0).map(m => m.Z);
+            expect(plunges).toEqual([-0.2, -0.4, -0.52]);
+        });
+
+        it('lifts over holding tabs only on passes below the tab top', () => {
+            const { gcode } = GCode.generate(board(), { tabs: 4, tabHeight: 0.125, stepdown: 0.25, breakthrough: 0 });
+            const z = moves(gcode).filter(m => m.Z !== undefined && m.Z < 0).map(m => m.Z);
+            // First pass (-0.25) runs clean; the final pass hops to -0.375 over each of the 4 tabs
+            expect(z.filter(v => v === -0.375)).toHaveLength(4);
+            expect(z.filter(v => v === -0.25)).toHaveLength(1);
+        });
+
+        it('clears partial-depth cutouts as pockets and profiles through cutouts', () => {
+            const shape = board();
+            shape.faceData.FRONT.cutouts.push(CutoutModel.create(1, 1, 2, 2, 0.25));
+            shape.faceData.FRONT.cutouts.push(CutoutModel.create(6, 1, 2, 1, 0.5));
+            const { gcode, warnings } = GCode.generate(shape, { tabs: 0, diameter: 0.25 });
+            expect(warnings).toEqual([]);
+            expect(gcode).toContain('(Cutout 1: pocket 0.25in deep)');
+            expect(gcode).toContain('(Cutout 2: through, inside profile)');
+
+            // Pocket stays inside its 1..3 x 2..4 box (machine Y up), less the tool radius
+            const section = gcode.split('(Cutout 2')[0].split('(Cutout 1')[1];
+            const xy = moves(section).filter(m => m.X !== undefined);
+            expect(Math.min(...xy.map(m => m.X))).toBeCloseTo(1.125);
+            expect(Math.max(...xy.map(m => m.X))).toBeCloseTo(2.875);
+            expect(Math.min(...xy.map(m => m.Y))).toBeCloseTo(2.125);
+            expect(Math.min(...moves(section).filter(m => m.Z !== undefined).map(m => m.Z))).toBe(-0.25);
+        });
+
+        it('warns about features it cannot machine', () => {
+            const shape = board();
+            shape.faceData.FRONT.cutouts.push(CutoutModel.create(1, 1, 0.1, 0.1, 0.25));
+            shape.faceData.BACK.cutouts.push(CutoutModel.create(1, 1, 1, 1, 0.25));
+            const { warnings } = GCode.generate(shape, { tabs: 0 });
+            expect(warnings).toHaveLength(2);
+            expect(warnings[0]).toMatch(/narrower than the tool/);
+        });
+
+        it('emits millimetres when asked', () => {
+            const { gcode } = GCode.generate(board(), { units: 'mm', diameter: 6, stepdown: 20, feed: 1000, plunge: 300, safeZ: 5, breakthrough: 0, tabs: 0 });
+            expect(gcode).toContain('G21');
+            const xy = moves(gcode).filter(m => m.X !== undefined);
+            expect(Math.max(...xy.map(m => m.X))).toBeCloseTo(257);
+            expect(gcode).toContain('G1 Z-12.7 F300');
+        });
+    });
+});
@@ -8,6 +8,7 @@
  */
 
 import { CONFIG } from '../core/config.js';
+import { Curves } from './curves.js';
 
 export const Geometry = {
     /** 
@@ -90,6 +91,14 @@ export const Geometry = {
         return `${intInches}${fracStr}"`.trim();
     },
 
+    /** Formats a board length in feet where it reads better: 96 → 8', 100 → 8' 4" */
+    formatFeet: (val) => {
+        const feet = Math.floor(val / 12 + 1e-9);
+        const rest = val - feet * 12;
+        if (feet === 0) return Geometry.formatInches(val);
+        return rest < 1 / 64 ? `${feet}'` : `${feet}' ${Geometry.formatInches(rest)}`;
+    },
+
     /** Parses measurement string (e.g., "1' 2 1/2") to decimal inches */
     parseMeasurement: (str) => {
         str = str.trim();
@@ -129,6 +138,12 @@ export const Geometry = {
         return null;
     },
 
+    /** Parses a list of measurements such as "8', 10', 12'" or "96, 120"; drops unreadable entries */
+    parseMeasurementList: (str) => String(str || '')
+        .split(/[,;]+/)
+        .map(token => Geometry.parseMeasurement(token))
+        .filter(v => v !== null && v > 0),
+
     /**
      * Finds the closest point on a line segment to an arbitrary point.
      * THEORY: Parametric Line Equations.
@@ -221,6 +236,47 @@ export const Geometry = {
         return null;
     },
 
+    /**
+     * Point-in-polygon test.
+     * THEORY: Ray Casting (Even-Odd Rule).
+     * Shoot a ray from the point towards +X and count how many edges it crosses.
+     * An odd count means we started inside.
+     */
+    pointInPolygon: (p, points) => {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const xi = points[i].x, yi = points[i].y;
+            const xj = points[j].x, yj = points[j].y;
+            const intersect = ((yi > p.y) !== (yj > p.y)) && (p.x < (xj - xi) * (p.y - yi) / (yj - yi) + xi);
+            if (intersect) inside = !inside;
+        }
+        return inside;
+    },
+
+    /**
+     * Drops repeated and collinear points, so a straight edge that was imported
+     * as several segments becomes a single edge (one face for joinery).
+     */
+    cleanPolygon: (points, tolerance) => {
+        let pts = points.filter((p, i) => Geometry.dist(p, points[(i + 1) % points.length]) > tolerance);
+        let changed = true;
+        while (changed && pts.length > 3) {
+            changed = false;
+            for (let i = 0; i < pts.length; i++) {
+                const a = pts[(i - 1 + pts.length) % pts.length], b = pts[i], c = pts[(i + 1) % pts.length];
+                const len = Geometry.dist(a, c);
+                const cross = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+                const between = Geometry.dot({ x: b.x - a.x, y: b.y - a.y }, { x: c.x - b.x, y: c.y - b.y }) > 0;
+                if (len > 0 && Math.abs(cross) / len <= tolerance && between) {
+                    pts.splice(i, 1);
+                    changed = true;
+                    break;
+                }
+            }
+        }
+        return pts;
+    },
+
     /**
      * Calculates the geometric center of a set of points.
      */
@@ -238,6 +294,15 @@ export const Geometry = {
      */
     calculateBoundingCenter: (points) => {
         if (!points || points.length === 0) return { x: 0, y: 0 };
+        const { minX, minY, maxX, maxY } = Geometry.calculateBounds(points);
+        return { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+    },
+
+    /**
+     * Axis-Aligned Bounding Box of a set of points.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    calculateBounds: (points) => {
         let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
         points.forEach(p => {
             minX = Math.min(minX, p.x);
@@ -245,7 +310,38 @@ export const Geometry = {
             maxX = Math.max(maxX, p.x);
             maxY = Math.max(maxY, p.y);
         });
-        return { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+        return { minX, minY, maxX, maxY };
+    },
+
+    /**
+     * Finds the smallest rectangle (any rotation) that encloses the points.
+     * THEORY: Rotating Calipers (simplified).
+     * The minimum-area bounding rectangle always has one side parallel to an edge
+     * of the polygon, so we only need to test each edge direction: rotate the points
+     * into that edge's frame, take the plain min/max box, and keep the smallest.
+     * @returns {{length: number, width: number, angle: number}} Length is the longer side, in inches.
+     */
+    calculateOrientedBounds: (points, scale) => {
+        if (!points || points.length < 2) return { length: 0, width: 0, angle: 0 };
+        let best = null;
+        for (let i = 0; i < points.length; i++) {
+            const p1 = points[i], p2 = points[(i + 1) % points.length];
+            const dir = Geometry.normalize({ x: p2.x - p1.x, y: p2.y - p1.y });
+            if (dir.x === 0 && dir.y === 0) continue;
+            const perp = { x: -dir.y, y: dir.x };
+            let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+            points.forEach(p => {
+                const u = Geometry.dot(p, dir), v = Geometry.dot(p, perp);
+                minU = Math.min(minU, u); maxU = Math.max(maxU, u);
+                minV = Math.min(minV, v); maxV = Math.max(maxV, v);
+            });
+            const a = maxU - minU, b = maxV - minV;
+            if (!best || a * b < best.area - 1e-9) {
+                const angle = Math.atan2(dir.y, dir.x) + (a >= b ? 0 : Math.PI / 2);
+                best = { area: a * b, length: Math.max(a, b) / scale, width: Math.min(a, b) / scale, angle };
+            }
+        }
+        return best ? { length: best.length, width: best.width, angle: best.angle } : { length: 0, width: 0, angle: 0 };
     },
 
     /**
@@ -289,17 +385,29 @@ export const Geometry = {
     /**
      * Pre-calculates the length of each side of a polygon.
      * Useful for caching so we don't recalculate distance every frame.
+     * Curved sides measure along the curve.
      */
     recalculateSideLengths: (points, scale) => {
         if (!points || points.length < 2) return;
         for (let i = 0; i < points.length; i++) {
             const p1 = points[i];
             const p2 = points[(i + 1) % points.length];
-            const dist = Geometry.dist(p1, p2);
-            p1.lengthToNext = dist / scale;
+            p1.lengthToNext = Curves.segmentLength(p1, p2) / scale;
         }
     },
 
+    /**
+     * A shape's outline as a plain polygon, curved sides flattened to within
+     * CONFIG.CURVE_TOLERANCE.
+     * @param {Array<Object>} points - World coordinates.
+     * @param {number} [scale] - Divides the result: CONFIG.SCALE_PIXELS_PER_INCH gives inches.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    flattenOutline: (points, scale = 1) => {
+        const flat = Curves.tessellate(points, CONFIG.CURVE_TOLERANCE * CONFIG.SCALE_PIXELS_PER_INCH);
+        return flat.map(p => ({ x: p.x / scale, y: p.y / scale }));
+    },
+
     /**
      * Calculates the Area of a polygon.
      * THEORY: The Shoelace Formula (Surveyor's Formula).
@@ -310,9 +418,11 @@ export const Geometry = {
      * Imagine calculating the area of the trapezoid under every single edge down to the X-axis.
      * Some edges go "forward" (adding area), some go "backward" (subtracting area).
      * The result is the area exactly inside the polygon.
+     * Curved sides are flattened first, `scale` units to the inch.
      */
     calculateArea: (points, scale) => {
         if (!points || points.length < 3) return 0;
+        points = Curves.tessellate(points, CONFIG.CURVE_TOLERANCE * scale);
         let area = 0;
         for (let i = 0; i < points.length; i++) {
             const j = (i + 1) % points.length;
@@ -321,5 +431,128 @@ export const Geometry = {
             area -= points[j].x * points[i].y;
         }
         return Math.abs(area) / 2 / (scale * scale);
+    },
+
+    /**
+     * Shoelace area without the absolute value: positive when the points run
+     * counter-clockwise in a Y-up frame (clockwise on screen, where Y is down).
+     */
+    calculateSignedArea: (points) => {
+        let area = 0;
+        for (let i = 0; i < points.length; i++) {
+            const j = (i + 1) % points.length;
+            area += points[i].x * points[j].y - points[j].x * points[i].y;
+        }
+        return area / 2;
+    },
+
+    /**
+     * Center of mass of a polygon's area (not of its vertices).
+     * THEORY: Split the polygon into triangles fanning from the origin; each
+     * contributes its centroid weighted by its signed area.
+     */
+    calculateAreaCentroid: (points) => {
+        const area = Geometry.calculateSignedArea(points);
+        if (Math.abs(area) < 1e-12) return Geometry.calculateCentroid(points);
+        let cx = 0, cy = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i], q = points[(i + 1) % points.length];
+            const cross = p.x * q.y - q.x * p.y;
+            cx += (p.x + q.x) * cross;
+            cy += (p.y + q.y) * cross;
+        }
+        return { x: cx / (6 * area), y: cy / (6 * area) };
+    },
+
+    /**
+     * Offsets a closed polygon by a fixed distance (positive grows it).
+     * THEORY: Each edge slides along its outward normal; neighbouring edges are
+     * rejoined either at the intersection of their lines (corners that get
+     * tighter) or with an arc around the original vertex (corners that open up).
+     * This is exactly the path a round tool's center follows, e.g. for CNC
+     * cutter compensation. Features narrower than 2 × distance are not removed.
+     * @param {Array<{x: number, y: number}>} points
+     * @param {number} distance
+     * @param {number} [tolerance] - Chord tolerance for the corner arcs.
+     */
+    offsetPolygon: (points, distance, tolerance = 0.001) => {
+        const n = points.length;
+        if (n < 3 || distance === 0) return points.map(p => ({ x: p.x, y: p.y }));
+
+        const side = Geometry.calculateSignedArea(points) >= 0 ? 1 : -1;
+        const edges = points.map((p, i) => {
+            const q = points[(i + 1) % n];
+            const d = Geometry.normalize({ x: q.x - p.x, y: q.y - p.y });
+            const normal = { x: d.y * side, y: -d.x * side };
+            return {
+                d,
+                a: { x: p.x + normal.x * distance, y: p.y + normal.y * distance },
+                b: { x: q.x + normal.x * distance, y: q.y + normal.y * distance }
+            };
+        });
+
+        const result = [];
+        for (let i = 0; i < n; i++) {
+            const prev = edges[(i - 1 + n) % n], next = edges[i];
+            const turn = (prev.d.x * next.d.y - prev.d.y * next.d.x) * side;
+            const convex = turn > 0;
+
+            if (Math.abs(turn) < 1e-9) {
+                result.push(next.a);
+            } else if (convex === distance > 0) {
+                const c = points[i];
+                const start = Math.atan2(prev.b.y - c.y, prev.b.x - c.x);
+                const end = Math.atan2(next.a.y - c.y, next.a.x - c.x);
+                let sweep = end - start;
+                while (sweep > Math.PI) sweep -= Math.PI * 2;
+                while (sweep < -Math.PI) sweep += Math.PI * 2;
+                result.push(...Curves.flattenArc(c, Math.abs(distance), start, sweep, tolerance));
+            } else {
+                // Infinite-line intersection of the two offset edges
+                const denom = prev.d.x * next.d.y - prev.d.y * next.d.x;
+                const t = ((next.a.x - prev.a.x) * next.d.y - (next.a.y - prev.a.y) * next.d.x) / denom;
+                result.push({ x: prev.a.x + prev.d.x * t, y: prev.a.y + prev.d.y * t });
+            }
+        }
+        return result;
+    },
+
+    /**
+     * Parallel hatch lines clipped to a polygon (e.g. to draw wood grain).
+     * THEORY: Scanline fill. In a frame rotated by -angle the hatch lines are
+     * horizontal; each one crosses the outline an even number of times, and
+     * pairing the sorted crossings gives the spans inside the polygon.
+     * Lines are spaced from the centroid so they don't crawl while editing.
+     * @param {Array<{x: number, y: number}>} points
+     * @param {number} angle - Direction of the lines, in radians.
+     * @param {number} spacing - Distance between lines.
+     * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>}
+     */
+    hatchPolygon: (points, angle, spacing) => {
+        if (!points || points.length < 3 || !(spacing > 0)) return [];
+        const c = Geometry.calculateCentroid(points);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const toLocal = (p) => ({ x: (p.x - c.x) * cos + (p.y - c.y) * sin, y: -(p.x - c.x) * sin + (p.y - c.y) * cos });
+        const toWorld = (x, y) => ({ x: c.x + x * cos - y * sin, y: c.y + x * sin + y * cos });
+
+        const local = points.map(toLocal);
+        const ys = local.map(p => p.y);
+        const first = Math.ceil(Math.min(...ys) / spacing), last = Math.floor(Math.max(...ys) / spacing);
+
+        const segments = [];
+        for (let k = first; k <= last; k++) {
+            const y = k * spacing;
+            const xs = [];
+            local.forEach((a, i) => {
+                const b = local[(i + 1) % local.length];
+                // Half-open so a vertex on the line counts once
+                if ((a.y <= y) !== (b.y <= y)) xs.push(a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y));
+            });
+            xs.sort((m, n) => m - n);
+            for (let i = 0; i + 1 < xs.length; i += 2) {
+                if (xs[i + 1] - xs[i] > 1e-9) segments.push({ start: toWorld(xs[i], y), end: toWorld(xs[i + 1], y) });
+            }
+        }
+        return segments;
     }
 };
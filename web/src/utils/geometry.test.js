@@ -56,6 +56,20 @@ describe('Geometry Utils', () => {
         });
     });
 
+    describe('Board lengths', () => {
+        it('formats lengths in feet and inches', () => {
+            expect(Geometry.formatFeet(96)).toBe("8'");
+            expect(Geometry.formatFeet(100)).toBe('8\' 4"');
+            expect(Geometry.formatFeet(10.5)).toBe('10 1/2"');
+        });
+
+        it('reads a list of lengths in feet or inches', () => {
+            expect(Geometry.parseMeasurementList("8', 10', 12'")).toEqual([96, 120, 144]);
+            expect(Geometry.parseMeasurementList('96, 120.5; 7\' 6"')).toEqual([96, 120.5, 90]);
+            expect(Geometry.parseMeasurementList('long')).toEqual([]);
+        });
+    });
+
     describe('Coordinate Transforms', () => {
         const view = { pan: { x: 100, y: 50 }, zoom: 2 };
 
@@ -73,4 +87,110 @@ describe('Geometry Utils', () => {
             expect(screen).toEqual({ x: 120, y: 70 });
         });
     });
+
+    describe('calculateOrientedBounds', () => {
+        it('measures an axis-aligned rectangle', () => {
+            const pts = [{ x: 0, y: 0 }, { x: 300, y: 0 }, { x: 300, y: 40 }, { x: 0, y: 40 }];
+            const b = Geometry.calculateOrientedBounds(pts, CONFIG.SCALE_PIXELS_PER_INCH);
+            expect(b.length).toBeCloseTo(30);
+            expect(b.width).toBeCloseTo(4);
+        });
+
+        it('measures a rotated rectangle by its true size', () => {
+            // 20" x 2" board rotated 45 degrees
+            const a = Math.PI / 4, c = Math.cos(a), s = Math.sin(a);
+            const rot = (x, y) => ({ x: x * c - y * s, y: x * s + y * c });
+            const pts = [rot(0, 0), rot(200, 0), rot(200, 20), rot(0, 20)];
+            const b = Geometry.calculateOrientedBounds(pts, 10);
+            expect(b.length).toBeCloseTo(20);
+            expect(b.width).toBeCloseTo(2);
+        });
+    });
+
+    describe('pointInPolygon', () => {
+        const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+        it('detects points inside and outside', () => {
+            expect(Geometry.pointInPolygon({ x: 5, y: 5 }, square)).toBe(true);
+            expect(Geometry.pointInPolygon({ x: 15, y: 5 }, square)).toBe(false);
+        });
+    });
+
+    describe('offsetPolygon', () => {
+        const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+        it('grows a polygon with rounded corners', () => {
+            const out = Geometry.offsetPolygon(square, 1);
+            const b = Geometry.calculateBounds(out);
+            expect(b.minX).toBeCloseTo(-1);
+            expect(b.maxY).toBeCloseTo(11);
+            // Corners are arcs, so no vertex sits on the square's diagonal extension
+            expect(out.some(p => Math.abs(p.x + 1) < 1e-9 && Math.abs(p.y + 1) < 1e-9)).toBe(false);
+        });
+
+        it('shrinks a polygon with sharp corners, whichever way it winds', () => {
+            const inner = Geometry.offsetPolygon([...square].reverse(), -1);
+            expect(inner).toHaveLength(4);
+            expect(Geometry.calculateBounds(inner)).toEqual({ minX: 1, minY: 1, maxX: 9, maxY: 9 });
+        });
+    });
+
+    describe('curved sides', () => {
+        // 20" × 10" panel (world px) with a half circle on top: a round-top arch
+        const arch = () => [
+            { x: 0, y: 0 }, { x: 200, y: 0 },
+            { x: 200, y: -100, segment: { type: 'arc', bulge: -1 } }, { x: 0, y: -100 }
+        ];
+
+        it('measures curved sides along the curve', () => {
+            const pts = arch();
+            Geometry.recalculateSideLengths(pts, 10);
+            expect(pts[1].lengthToNext).toBeCloseTo(10);
+            expect(pts[2].lengthToNext).toBeCloseTo(10 * Math.PI);
+        });
+
+        it('counts the area a curve adds', () => {
+            const flat = Geometry.flattenOutline(arch(), 10);
+            const bounds = Geometry.calculateBounds(flat);
+            expect(bounds.minY).toBeCloseTo(-20, 1);
+            expect(bounds.maxY).toBeCloseTo(0);
+            expect(Geometry.calculateArea(arch(), 10)).toBeCloseTo(200 + Math.PI * 50, 0);
+        });
+    });
+
+    describe('calculateAreaCentroid', () => {
+        it('weights by area rather than by vertex count', () => {
+            // L shape: a 10 × 2 bar plus a 2 × 8 leg; the extra vertices at the corner don't pull it
+            const l = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 2 }, { x: 2, y: 2 }, { x: 2, y: 10 }, { x: 0, y: 10 }];
+            const c = Geometry.calculateAreaCentroid(l);
+            // (20 × (5, 1) + 16 × (1, 6)) / 36
+            expect(c.x).toBeCloseTo(116 / 36);
+            expect(c.y).toBeCloseTo(116 / 36);
+            expect(Geometry.calculateAreaCentroid([...l].reverse()).x).toBeCloseTo(116 / 36);
+        });
+    });
+
+    describe('hatchPolygon', () => {
+        const square = [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+
+        it('fills a polygon with lines clipped to the outline', () => {
+            const lines = Geometry.hatchPolygon(square, 0, 2);
+            expect(lines.map(l => l.start.y)).toEqual([1, 3, 5, 7, 9]);
+            lines.forEach(l => {
+                expect(l.start.x).toBeCloseTo(0);
+                expect(l.end.x).toBeCloseTo(10);
+            });
+        });
+
+        it('runs lines in the given direction and splits them around notches', () => {
+            const vertical = Geometry.hatchPolygon(square, Math.PI / 2, 2);
+            vertical.forEach(l => expect(l.start.x).toBeCloseTo(l.end.x));
+
+            // U shape: the middle lines cross the notch and come out as two spans
+            const u = [{ x: 0, y: 0 }, { x: 3, y: 0 }, { x: 3, y: 6 }, { x: 7, y: 6 }, { x: 7, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 }];
+            const spans = Geometry.hatchPolygon(u, 0, 1).filter(l => l.start.y < 6);
+            expect(spans.length % 2).toBe(0);
+            expect(spans.every(l => l.end.x - l.start.x <= 3 + 1e-9)).toBe(true);
+        });
+    });
 });
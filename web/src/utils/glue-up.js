@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Glue-ups
+ * Wide solid-wood parts (tabletops, carcass sides) are glued up from narrower
+ * boards. Plans the boards for a part and the blanks to cut for them, which
+ * then stand in for the part in the cut list and the lumber buying list.
+ *
+ * THEORY: The panel is glued up oversize and cut back to the part. Each glue
+ * edge is jointed, so a board gives its width less two jointing passes. The
+ * panel is ripped to width and crosscut to length after the glue dries, and
+ * flattened afterwards, which takes some thickness. Boards are ripped to equal
+ * widths: it looks balanced and evens out seasonal movement across the panel.
+ * Narrow boards cup less than wide ones, so boards wider than the limit are
+ * only used when nothing narrower is available.
+ */
+
+import { Geometry } from './geometry.js';
+import { Nesting } from './nesting.js';
+
+export const GLUE_UP_STRATEGIES = {
+    alternate: { label: 'Alternate growth rings', note: 'Cupping of each board cancels out across the panel.' },
+    same: { label: 'All heart side up', note: 'Best face up everywhere; the panel cups as one, so leave it free to move.' },
+    quartersawn: { label: 'Quartersawn (rings upright)', note: 'Barely cups at all; buy quartersawn or rip flatsawn boards on edge.' }
+};
+
+export const GLUE_UP_DEFAULTS = {
+    boardWidths: [5.5],
+    maxBoardWidth: 6,       // Wider boards cup
+    strategy: 'alternate',
+    joint: 0.0625,          // Jointed off each glue edge
+    width: 0.5,             // Panel ripped to width after glue-up
+    length: 1,              // Panel crosscut to length after glue-up
+    thickness: 0.125        // Flattening the panel
+};
+
+const EPS = 1e-9;
+
+/** Growth ring orientation of the i-th board: 'up' (heart up), 'down' or 'vertical'. */
+const ringsOf = (strategy, i) => {
+    if (strategy === 'quartersawn') return 'vertical';
+    if (strategy === 'same') return 'up';
+    return i % 2 === 0 ? 'up' : 'down';
+};
+
+export const GlueUp = {
+    /**
+     * A shape's glue-up settings filled in with defaults, or null when the
+     * part isn't glued up.
+     */
+    settings: (shape) => shape?.glueUp ? { ...GLUE_UP_DEFAULTS, ...shape.glueUp } : null,
+
+    /**
+     * Lays out the boards for a part.
+     * @param {Object} shape
+     * @param {Object} [settings] - As in GLUE_UP_DEFAULTS; defaults to the shape's own.
+     * @returns {{strategy: string, boardWidth: number, count: number, part: Object, panel: Object, blank: Object,
+     *   boards: Array<{index: number, name: string, length: number, width: number, thickness: number, rings: string}>}|null}
+     *   Inches. `part` is the finished size, `panel` the glued-up panel before it is cut back to it;
+     *   null when no board width works.
+     */
+    plan: (shape, settings = GlueUp.settings(shape)) => {
+        if (!settings || !shape.points || shape.points.length < 3) return null;
+        const s = { ...GLUE_UP_DEFAULTS, ...settings };
+        const part = Nesting.footprint(shape);
+        const panel = {
+            length: part.length + s.length,
+            width: part.width + s.width,
+            thickness: part.thickness + s.thickness
+        };
+
+        const usable = (w) => w - s.joint * 2;
+        const widths = (s.boardWidths || []).filter(w => usable(w) > EPS);
+        const narrow = widths.filter(w => w <= s.maxBoardWidth + EPS);
+        const candidates = narrow.length > 0 ? narrow : widths;
+        if (candidates.length === 0) return null;
+
+        // Fewest boards (fewest joints), then the narrowest board that does it (least ripped off)
+        let best = null;
+        candidates.forEach(boardWidth => {
+            const count = Math.max(1, Math.ceil(panel.width / usable(boardWidth) - EPS));
+            if (!best || count < best.count || (count === best.count && boardWidth < best.boardWidth)) {
+                best = { count, boardWidth };
+            }
+        });
+
+        const { count, boardWidth } = best;
+        const blank = { length: panel.length, width: panel.width / count + s.joint * 2, thickness: panel.thickness };
+        const strategy = GLUE_UP_STRATEGIES[s.strategy] ? s.strategy : GLUE_UP_DEFAULTS.strategy;
+        const boards = Array.from({ length: count }, (_, i) => ({
+            index: i + 1,
+            name: `${shape.name} (board ${i + 1} of ${count})`,
+            ...blank,
+            rings: ringsOf(strategy, i)
+        }));
+        return {
+            strategy, boardWidth, count,
+            part: { length: part.length, width: part.width, thickness: part.thickness },
+            panel, blank, boards
+        };
+    },
+
+    /**
+     * One line for cut lists, e.g. "4 boards, 4 5/8" × 37" × 7/8" blanks, alternate growth rings".
+     */
+    describe: (plan) => {
+        const { width, length, thickness } = plan.blank;
+        const size = [width, length, thickness].map(Geometry.formatInches).join(' × ');
+        return `${plan.count} boards, ${size} blanks, ${GLUE_UP_STRATEGIES[plan.strategy].label.toLowerCase()}`;
+    },
+
+    /**
+     * The pieces to cut for a project: each part as it is, except glued-up
+     * parts, which are replaced by their blanks.
+     * @param {Array<Object>} shapes
+     * @returns {Array<Object>} Nesting footprints, and for blanks
+     *   { id, shapeId, name, length, width, thickness }.
+     */
+    pieces: (shapes) => shapes
+        .filter(s => s.points && s.points.length >= 3)
+        .flatMap(shape => {
+            const plan = GlueUp.plan(shape);
+            if (!plan || plan.count < 2) return [Nesting.footprint(shape)];
+            return plan.boards.map(b => ({
+                id: `${shape.id}-${b.index}`,
+                shapeId: shape.id,
+                name: b.name,
+                length: b.length,
+                width: b.width,
+                thickness: b.thickness
+            }));
+        })
+};
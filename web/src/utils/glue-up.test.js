@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { GlueUp } from './glue-up.js';
+import { ShapeModel } from '../core/model.js';
+
+// width × length in inches (world px at 10 px/in)
+const part = (width, length, glueUp) => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }], 'Top');
+    shape.thickness = 0.75;
+    if (glueUp) shape.glueUp = glueUp;
+    return shape;
+};
+
+describe('GlueUp', () => {
+    it('uses the fewest boards within the width limit and sizes the blanks oversize', () => {
+        const plan = GlueUp.plan(part(20, 30, { boardWidths: [3.5, 5.5, 7.25] }));
+        // Panel 20 1/2" wide; a 5 1/2" board gives 5 3/8" after jointing both edges
+        expect(plan.boardWidth).toBe(5.5);
+        expect(plan.count).toBe(4);
+        expect(plan.panel).toEqual({ length: 31, width: 20.5, thickness: 0.875 });
+        expect(plan.blank.width).toBeCloseTo(5.25);
+        expect(plan.boards.map(b => b.rings)).toEqual(['up', 'down', 'up', 'down']);
+        expect(plan.boards[3].name).toBe('Top (board 4 of 4)');
+    });
+
+    it('falls back to wider boards and follows the ring strategy', () => {
+        const plan = GlueUp.plan(part(20, 30), { boardWidths: [7.25], strategy: 'quartersawn' });
+        expect(plan.count).toBe(3);
+        expect(plan.boards.every(b => b.rings === 'vertical')).toBe(true);
+        expect(GlueUp.describe(plan)).toBe('3 boards, 6 15/16" × 31" × 0 7/8" blanks, quartersawn (rings upright)');
+
+        expect(GlueUp.plan(part(20, 30), { boardWidths: [0.1] })).toBeNull();
+        expect(GlueUp.plan(part(20, 30))).toBeNull();
+    });
+
+    it('replaces glued-up parts with their blanks in the pieces to cut', () => {
+        const top = part(20, 30, { boardWidths: [5.5] });
+        const leg = part(2, 28);
+        const pieces = GlueUp.pieces([top, leg]);
+        expect(pieces).toHaveLength(5);
+        expect(pieces.filter(p => p.shapeId === top.id).map(p => p.id)).toEqual([1, 2, 3, 4].map(i => `${top.id}-${i}`));
+        expect(pieces[4]).toMatchObject({ id: leg.id, width: 2, length: 28 });
+    });
+});
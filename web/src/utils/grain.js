@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Grain
+ * Grain direction of a part. It is stored relative to the part, in degrees
+ * from its length axis, so rotating or reshaping the part carries the grain
+ * along with it.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+
+export const Grain = {
+    /**
+     * Grain angle of a part, normalized to [0, 180) degrees. 0 runs along the length.
+     */
+    angle: (shape) => Grain.normalize(shape?.grainAngle),
+
+    /**
+     * Grain is a direction, not an orientation: 190° is the same grain as 10°.
+     * @param {number} degrees
+     * @returns {number} [0, 180)
+     */
+    normalize: (degrees) => {
+        const d = Number(degrees) || 0;
+        const n = ((d % 180) + 180) % 180;
+        return Math.abs(n - 180) < 1e-9 ? 0 : n;
+    },
+
+    /**
+     * Grain direction in world space (radians, canvas axes: y down).
+     * THEORY: The length axis comes from the minimum-area bounding rectangle,
+     * which is the way a part is laid out on a board.
+     */
+    worldAngle: (shape) => {
+        const { angle } = Geometry.calculateOrientedBounds(shape.points, CONFIG.SCALE_PIXELS_PER_INCH);
+        return angle + Grain.angle(shape) * Math.PI / 180;
+    },
+
+    /**
+     * Double-headed grain arrow through the middle of a part, as line segments.
+     * @param {Array<{x: number, y: number}>} outline - Inches (sizes the arrowheads).
+     * @param {number} angle - Grain direction, radians.
+     * @returns {Array<{start: {x: number, y: number}, end: {x: number, y: number}}>}
+     */
+    arrow: (outline, angle) => {
+        // One hatch line, through the centroid: the spacing is wider than the part
+        const b = Geometry.calculateBounds(outline);
+        const spans = Geometry.hatchPolygon(outline, angle, (b.maxX - b.minX) + (b.maxY - b.minY) + 1);
+        if (spans.length === 0) return [];
+
+        const span = spans.reduce((best, s) => Geometry.dist(s.start, s.end) > Geometry.dist(best.start, best.end) ? s : best);
+        const mid = { x: (span.start.x + span.end.x) / 2, y: (span.start.y + span.end.y) / 2 };
+        const half = Math.min(Geometry.dist(span.start, span.end) * 0.3, 4);
+        const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+        const start = { x: mid.x - dir.x * half, y: mid.y - dir.y * half };
+        const end = { x: mid.x + dir.x * half, y: mid.y + dir.y * half };
+
+        const head = Math.min(0.3, half / 2);
+        const barb = (tip, sign, turn) => {
+            const a = angle + (sign > 0 ? Math.PI : 0) + turn;
+            return { start: tip, end: { x: tip.x + Math.cos(a) * head, y: tip.y + Math.sin(a) * head } };
+        };
+        return [
+            { start, end },
+            barb(end, 1, 0.45), barb(end, 1, -0.45),
+            barb(start, -1, 0.45), barb(start, -1, -0.45)
+        ];
+    },
+
+    /** "Along length", "Across" or "30°". */
+    describe: (shape) => {
+        const a = Grain.angle(shape);
+        if (a === 0) return 'Along length';
+        if (a === 90) return 'Across';
+        return `${Math.round(a * 10) / 10}°`;
+    }
+};
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { Grain } from './grain.js';
+
+const board = (grainAngle, points = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 30 }, { x: 0, y: 30 }]) => ({ points, grainAngle });
+
+describe('Grain', () => {
+    it('normalizes angles to a direction in [0, 180)', () => {
+        expect(Grain.normalize(0)).toBe(0);
+        expect(Grain.normalize(180)).toBe(0);
+        expect(Grain.normalize(270)).toBe(90);
+        expect(Grain.normalize(-30)).toBe(150);
+        expect(Grain.normalize(undefined)).toBe(0);
+    });
+
+    it('measures the grain from the part\'s length axis', () => {
+        expect(Grain.worldAngle(board(0))).toBeCloseTo(0);
+        expect(Grain.worldAngle(board(90))).toBeCloseTo(Math.PI / 2);
+
+        // A tall part: the length runs down the page, and so does the grain
+        const tall = [{ x: 0, y: 0 }, { x: 30, y: 0 }, { x: 30, y: 100 }, { x: 0, y: 100 }];
+        expect(Math.abs(Math.cos(Grain.worldAngle(board(0, tall))))).toBeCloseTo(0);
+    });
+
+    it('describes the common directions in words', () => {
+        expect(Grain.describe(board(0))).toBe('Along length');
+        expect(Grain.describe(board(90))).toBe('Across');
+        expect(Grain.describe(board(45))).toBe('45°');
+    });
+});
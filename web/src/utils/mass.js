@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Mass Properties
+ * Weight and center of gravity of each part, and of the assembly as it is
+ * laid out in the 3D view, with how far it can lean before tipping over.
+ *
+ * THEORY: A part is a sum of simple solids: the extruded outline, plus its
+ * tenons, minus its cutouts. Each solid has a volume and a centroid, and the
+ * part's center of gravity is their volume-weighted average (cutouts count
+ * negative). Carried into the scene by each part's transform3D, the part
+ * centers average into the assembly's, weighted by weight.
+ *
+ * An assembly standing on the floor tips once its center of gravity passes
+ * over the edge of what it stands on. Tilted by θ, the center moves sideways
+ * by h·tan θ, so the angle it survives is atan(d / h): d is the distance from
+ * the center (seen from above) to the nearest edge of the footprint and h its
+ * height above the floor.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+import { Materials } from './materials.js';
+
+const CUBIC_INCHES_PER_FOOT = 1728;
+
+/** Parts touching the floor within this many inches carry the assembly. */
+const FLOOR_TOLERANCE = 0.25;
+
+/** Euler angles as stored by the 3D gizmo (THREE.Euler serializes to _x/_y/_z). */
+const eulerOf = (rotation = {}) => ({
+    x: rotation._x || rotation.x || 0,
+    y: rotation._y || rotation.y || 0,
+    z: rotation._z || rotation.z || 0
+});
+
+/** Rotates by XYZ Euler angles: Rx · Ry · Rz · v, as THREE.js does. */
+const rotate = (v, r) => {
+    let { x, y, z } = v;
+    let c = Math.cos(r.z), s = Math.sin(r.z);
+    [x, y] = [x * c - y * s, x * s + y * c];
+    c = Math.cos(r.y); s = Math.sin(r.y);
+    [x, z] = [x * c + z * s, -x * s + z * c];
+    c = Math.cos(r.x); s = Math.sin(r.x);
+    [y, z] = [y * c - z * s, y * s + z * c];
+    return { x, y, z };
+};
+
+/** Convex hull (Andrew's monotone chain), counter-clockwise. */
+const convexHull = (points) => {
+    const pts = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (pts.length < 3) return pts;
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const half = (list) => {
+        const out = [];
+        list.forEach(p => {
+            while (out.length >= 2 && cross(out[out.length - 2], out[out.length - 1], p) <= 1e-9) out.pop();
+            out.push(p);
+        });
+        out.pop();
+        return out;
+    };
+    return [...half(pts), ...half([...pts].reverse())];
+};
+
+export const Mass = {
+    /**
+     * The solids a part is made of, in the part's own frame: inches on the
+     * drawing (X right, Y down) and Z through the thickness from the back,
+     * placed the way the 3D view builds them.
+     * @returns {Array<{volume: number, x: number, y: number, z: number}>} Cutouts have negative volume.
+     */
+    solids: (shape, scale = CONFIG.SCALE_PIXELS_PER_INCH) => {
+        if (!shape.points || shape.points.length < 3) return [];
+        const T = shape.thickness || CONFIG.DEFAULT_THICKNESS;
+        const outline = Geometry.flattenOutline(shape.points, scale);
+        const body = Geometry.calculateAreaCentroid(outline);
+        const solids = [{ volume: Geometry.calculateArea(outline, 1) * T, x: body.x, y: body.y, z: T / 2 }];
+
+        // BACK joinery is stored in the mirrored BACK view, which lands on the same
+        // footprint as FRONT joinery once mirrored back: both use the FRONT origin
+        const { origin } = Geometry.getFaceOrigin(shape, 'FRONT', scale);
+        const center = (item) => ({
+            x: origin.x / scale + item.x + item.w / 2,
+            y: origin.y / scale + item.y + item.h / 2
+        });
+        ['FRONT', 'BACK'].forEach(face => {
+            const data = shape.faceData?.[face];
+            if (!data) return;
+            (data.tenons || []).forEach(t => {
+                const depth = t.depth || 0, inset = t.inset || 0;
+                const z = face === 'FRONT' ? inset + depth / 2 : T - inset - depth / 2;
+                solids.push({ volume: t.w * t.h * depth, ...center(t), z });
+            });
+            (data.cutouts || []).forEach(c => {
+                const depth = Math.min(c.depth || 0, T);
+                const z = face === 'FRONT' ? depth / 2 : T - depth / 2;
+                solids.push({ volume: -c.w * c.h * depth, ...center(c), z });
+            });
+        });
+
+        // Edge joinery runs along its edge (corner to corner, as the 3D view places it on
+        // curved edges too); tenons stand out, cutouts go in
+        const side = Geometry.calculateSignedArea(outline) >= 0 ? 1 : -1;
+        const corners = shape.points.map(p => ({ x: p.x / scale, y: p.y / scale }));
+        corners.forEach((p1, i) => {
+            const data = shape.faceData?.[`EDGE_${i}`];
+            if (!data) return;
+            const p2 = corners[(i + 1) % corners.length];
+            const d = Geometry.normalize({ x: p2.x - p1.x, y: p2.y - p1.y });
+            const n = { x: d.y * side, y: -d.x * side };
+            const at = (along, out) => ({ x: p1.x + d.x * along + n.x * out, y: p1.y + d.y * along + n.y * out });
+
+            (data.tenons || []).forEach(t => {
+                const depth = t.depth || 0;
+                solids.push({ volume: t.w * t.h * depth, ...at(t.x + t.w / 2, depth / 2), z: (t.inset || 0) + t.h / 2 });
+            });
+            (data.cutouts || []).forEach(c => {
+                const depth = c.depth || 0;
+                solids.push({ volume: -c.w * c.h * depth, ...at(c.x + c.w / 2, -depth / 2), z: (c.y || 0) + c.h / 2 });
+            });
+        });
+        return solids;
+    },
+
+    /**
+     * Volume, weight and center of gravity of one part, in its own frame.
+     * @returns {{volume: number, weight: number, center: {x: number, y: number, z: number}}}
+     * Cubic inches, pounds, inches.
+     */
+    part: (shape) => {
+        const solids = Mass.solids(shape);
+        const volume = solids.reduce((sum, s) => sum + s.volume, 0);
+        const center = { x: 0, y: 0, z: 0 };
+        if (Math.abs(volume) > 1e-9) {
+            solids.forEach(s => {
+                center.x += s.x * s.volume / volume;
+                center.y += s.y * s.volume / volume;
+                center.z += s.z * s.volume / volume;
+            });
+        }
+        const density = Materials.get(Materials.idOf(shape)).density;
+        return { volume: Math.max(0, volume), weight: Math.max(0, volume) / CUBIC_INCHES_PER_FOOT * density, center };
+    },
+
+    /**
+     * Carries a point from a part's frame into the 3D scene (inches, Z up),
+     * matching how the renderer places the part's mesh.
+     */
+    toScene: (shape, point, scale = CONFIG.SCALE_PIXELS_PER_INCH) => {
+        const b = Geometry.calculateBoundingCenter(shape.points);
+        const cx = b.x / scale, cy = b.y / scale;
+        const t3d = shape.transform3D || {};
+        const position = t3d.position || {};
+        // The mesh is flipped in Y about the part's bounding center
+        const local = { x: point.x - cx, y: -(point.y - cy), z: point.z };
+        const r = rotate(local, eulerOf(t3d.rotation));
+        return {
+            x: r.x + cx + (position.x || 0) / scale,
+            y: r.y + cy + (position.y || 0) / scale,
+            z: r.z + (position.z || 0) / scale
+        };
+    },
+
+    /**
+     * Weight and balance of the whole assembly.
+     * @param {Array<Object>} shapes
+     * @returns {{parts: Array<Object>, weight: number, center: Object|null, floor: number, height: number,
+     *   tipAngle: number|null, stable: boolean}} `center` is in scene inches; `height` is above the floor
+     *   (the lowest point of any part); `tipAngle` in degrees, null with nothing to stand on.
+     */
+    assembly: (shapes) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const parts = shapes
+            .filter(s => s.points && s.points.length >= 3)
+            .map(shape => {
+                const m = Mass.part(shape);
+                return {
+                    id: shape.id,
+                    name: shape.name,
+                    material: Materials.idOf(shape),
+                    volume: m.volume,
+                    weight: m.weight,
+                    center: Mass.toScene(shape, m.center)
+                };
+            });
+
+        const weight = parts.reduce((sum, p) => sum + p.weight, 0);
+        if (parts.length === 0 || weight <= 0) {
+            return { parts, weight, center: null, floor: 0, height: 0, tipAngle: null, stable: false };
+        }
+        const center = { x: 0, y: 0, z: 0 };
+        parts.forEach(p => {
+            center.x += p.center.x * p.weight / weight;
+            center.y += p.center.y * p.weight / weight;
+            center.z += p.center.z * p.weight / weight;
+        });
+
+        // Corners of every outline, front and back, in the scene
+        const corners = shapes.filter(s => s.points && s.points.length >= 3).flatMap(shape => {
+            const T = shape.thickness || CONFIG.DEFAULT_THICKNESS;
+            return Geometry.flattenOutline(shape.points, scale).flatMap(p => [0, T].map(z => Mass.toScene(shape, { ...p, z })));
+        });
+        const floor = Math.min(...corners.map(c => c.z));
+        const footprint = convexHull(corners.filter(c => c.z <= floor + FLOOR_TOLERANCE));
+        const height = center.z - floor;
+
+        let tipAngle = null, stable = false;
+        if (footprint.length >= 3) {
+            stable = Geometry.pointInPolygon(center, footprint);
+            const margin = Math.min(...footprint.map((p, i) => {
+                const q = footprint[(i + 1) % footprint.length];
+                return Geometry.dist(center, Geometry.closestPointOnSegment(center, p, q));
+            }));
+            tipAngle = stable ? Math.atan2(margin, Math.max(height, 1e-9)) * 180 / Math.PI : 0;
+        }
+        return { parts, weight, center, floor, height, tipAngle, stable };
+    }
+};
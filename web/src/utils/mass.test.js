@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { Mass } from './mass.js';
+import { RoughStock } from './rough-stock.js';
+import { MATERIALS } from './materials.js';
+import { ShapeModel } from '../core/model.js';
+
+// width × length in inches (world px at 10 px/in)
+const panel = (width, length, thickness = 1, material = 'walnut') => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }], 'Panel');
+    shape.thickness = thickness;
+    shape.material = material;
+    return shape;
+};
+
+describe('Mass', () => {
+    it('weighs a part by its volume and species density', () => {
+        // 12 × 12 × 1 = 144 cu in = 1/12 cu ft of walnut
+        const m = Mass.part(panel(12, 12));
+        expect(m.volume).toBeCloseTo(144);
+        expect(m.weight).toBeCloseTo(MATERIALS.walnut.density / 12);
+        expect(m.center).toMatchObject({ x: 6, y: 6, z: 0.5 });
+    });
+
+    it('counts tenons and cutouts like the net volume', () => {
+        const shape = panel(10, 20, 0.75);
+        shape.faceData.FRONT.cutouts.push({ x: 1, y: 1, w: 2, h: 3, depth: 2 });
+        shape.faceData.FRONT.tenons.push({ x: 5, y: 5, w: 1, h: 1, depth: 1, inset: 0 });
+        shape.faceData.EDGE_1.tenons.push({ x: 2, y: 0, w: 3, h: 0.5, depth: 1, inset: 0.125 });
+        shape.faceData.EDGE_2.cutouts.push({ x: 1, y: 0, w: 2, h: 0.75, depth: 1 });
+        expect(Mass.part(shape).volume).toBeCloseTo(RoughStock.netVolume(shape));
+    });
+
+    it('finds edge joinery by edge on a part with a curved edge', () => {
+        const shape = panel(10, 20);
+        shape.points[0].segment = { type: 'arc', bulge: 0.3 };
+        shape.faceData.EDGE_2.tenons.push({ x: 4, y: 0, w: 2, h: 0.5, depth: 1, inset: 0.25 });
+
+        // The tenon stands out of the straight bottom edge, not off the arc
+        const tenon = Mass.solids(shape).find(s => Math.abs(s.volume - 1) < 1e-9);
+        expect(tenon.x).toBeCloseTo(5);
+        expect(tenon.y).toBeCloseTo(20.5);
+        expect(tenon.z).toBeCloseTo(0.5);
+        expect(Mass.solids(shape)).toHaveLength(2);
+    });
+
+    it('moves the center of gravity away from a cutout', () => {
+        const shape = panel(10, 10);
+        shape.faceData.FRONT.cutouts.push({ x: 0, y: 0, w: 5, h: 10, depth: 1 });
+        expect(Mass.part(shape).center.x).toBeCloseTo(7.5);
+    });
+
+    it('keeps BACK joinery on its side of the part', () => {
+        // 10" × 4" with a pocket 1–3" from the left, cut from the back
+        const shape = panel(10, 4);
+        shape.faceData.BACK.cutouts.push({ x: 1, y: 1, w: 2, h: 2, depth: 0.5 });
+        const pocket = Mass.solids(shape).find(s => s.volume < 0);
+        expect(pocket.x).toBeCloseTo(2);
+        expect(pocket.z).toBeCloseTo(0.75);
+
+        // The part is lighter on the left, so its center moves right
+        expect(Mass.part(shape).center.x).toBeCloseTo((40 * 5 - 2 * 2) / 38);
+    });
+
+    it('places part points in the scene the way the mesh is placed', () => {
+        const shape = panel(10, 5);
+        // Flipped in Y about the bounding center
+        expect(Mass.toScene(shape, { x: 0, y: 0, z: 0 })).toEqual({ x: 0, y: 5, z: 0 });
+
+        shape.transform3D = { position: { x: 100, y: 0, z: 50 }, rotation: { x: 0, y: 0, z: Math.PI / 2 } };
+        const p = Mass.toScene(shape, { x: 10, y: 2.5, z: 1 });
+        expect(p.x).toBeCloseTo(15);
+        expect(p.y).toBeCloseTo(7.5);
+        expect(p.z).toBeCloseTo(6);
+    });
+
+    it('finds the assembly balance and how far it can tip', () => {
+        const flat = Mass.assembly([panel(10, 5)]);
+        expect(flat.stable).toBe(true);
+        expect(flat.height).toBeCloseTo(0.5);
+        expect(flat.tipAngle).toBeCloseTo(Math.atan2(2.5, 0.5) * 180 / Math.PI);
+
+        // Stood up on its 10" edge: 40" tall, 1" deep
+        const tall = panel(10, 40);
+        tall.transform3D = { position: { x: 0, y: 0, z: 0 }, rotation: { x: Math.PI / 2, y: 0, z: 0 } };
+        const standing = Mass.assembly([tall]);
+        expect(standing.height).toBeCloseTo(20);
+        expect(standing.tipAngle).toBeCloseTo(Math.atan2(0.5, 20) * 180 / Math.PI);
+        expect(standing.weight).toBeCloseTo(400 / 1728 * MATERIALS.walnut.density);
+    });
+
+    it('reports no balance for an empty assembly', () => {
+        expect(Mass.assembly([])).toMatchObject({ weight: 0, center: null, tipAngle: null });
+    });
+});
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Materials
+ * What a part can be made from and what it costs to buy: solid wood by the
+ * board foot, sheet goods by the sheet. Prices are typical retail in USD and
+ * can be overridden per project.
+ *
+ * Each material also has the colour it renders in and its density in pounds
+ * per cubic foot, air-dried (about 12% moisture). Materials without a
+ * visible grain (MDF) set `grain: false`.
+ */
+
+export const MATERIALS = {
+    'pine': { label: 'Pine', unit: 'bf', price: 4, color: '#e0c097', density: 25 },
+    'douglas-fir': { label: 'Douglas Fir', unit: 'bf', price: 5, color: '#d9a877', density: 33 },
+    'poplar': { label: 'Poplar', unit: 'bf', price: 5, color: '#d8d0a0', density: 29 },
+    'ash': { label: 'White Ash', unit: 'bf', price: 7, color: '#dcc79e', density: 41 },
+    'red-oak': { label: 'Red Oak', unit: 'bf', price: 7, color: '#c9925e', density: 44 },
+    'white-oak': { label: 'White Oak', unit: 'bf', price: 10, color: '#c4a16b', density: 47 },
+    'maple': { label: 'Hard Maple', unit: 'bf', price: 8, color: '#ead7b1', density: 44 },
+    'cherry': { label: 'Cherry', unit: 'bf', price: 10, color: '#b36a4b', density: 35 },
+    'walnut': { label: 'Black Walnut', unit: 'bf', price: 14, color: '#6b4a33', density: 38 },
+    'plywood': { label: 'Plywood (4 × 8)', unit: 'sheet', price: 65, color: '#dcc08e', density: 34, sheet: { width: 96, height: 48 } },
+    'baltic-birch': { label: 'Baltic Birch Ply (5 × 5)', unit: 'sheet', price: 95, color: '#e6d3a8', density: 43, sheet: { width: 60, height: 60 } },
+    'mdf': { label: 'MDF (4 × 8)', unit: 'sheet', price: 45, color: '#a98b6a', density: 48, grain: false, sheet: { width: 96, height: 48 } }
+};
+
+export const DEFAULT_MATERIAL = 'pine';
+
+/** Singular / plural unit names for quantities and prices. */
+export const MATERIAL_UNITS = {
+    bf: { one: 'bd ft', many: 'bd ft' },
+    sheet: { one: 'sheet', many: 'sheets' }
+};
+
+export const Materials = {
+    /**
+     * The material id of a shape; unknown or missing ids fall back to the default.
+     */
+    idOf: (shape) => (shape && MATERIALS[shape.material]) ? shape.material : DEFAULT_MATERIAL,
+
+    get: (id) => MATERIALS[id] || MATERIALS[DEFAULT_MATERIAL],
+
+    /** Solid wood is bought by the board foot as rough lumber; sheet goods are not. */
+    isSolidWood: (shape) => Materials.get(Materials.idOf(shape)).unit === 'bf',
+
+    /** Whether the material shows a wood grain (solid wood and plywood faces do, MDF doesn't). */
+    hasGrain: (shape) => Materials.get(Materials.idOf(shape)).grain !== false,
+
+    /** Display colour of a shape's material. */
+    color: (shape) => Materials.get(Materials.idOf(shape)).color,
+
+    /** Options for a material select. */
+    options: () => Object.entries(MATERIALS).map(([value, m]) => ({ value, label: m.label }))
+};
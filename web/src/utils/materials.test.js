@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { Materials, MATERIALS, MATERIAL_UNITS, DEFAULT_MATERIAL } from './materials.js';
+
+describe('Materials', () => {
+    it('gives every material a unit, price, colour and density', () => {
+        Object.values(MATERIALS).forEach(m => {
+            expect(MATERIAL_UNITS[m.unit]).toBeDefined();
+            expect(m.price).toBeGreaterThan(0);
+            expect(m.color).toMatch(/^#[0-9a-f]{6}$/);
+            expect(m.density).toBeGreaterThan(20);
+            if (m.unit === 'sheet') expect(m.sheet.width * m.sheet.height).toBeGreaterThan(0);
+        });
+    });
+
+    it('looks up a shape\'s colour and grain, falling back to the default material', () => {
+        expect(Materials.color({ material: 'walnut' })).toBe(MATERIALS.walnut.color);
+        expect(Materials.color({ material: 'unobtanium' })).toBe(MATERIALS[DEFAULT_MATERIAL].color);
+        expect(Materials.hasGrain({ material: 'cherry' })).toBe(true);
+        expect(Materials.hasGrain({ material: 'mdf' })).toBe(false);
+    });
+});
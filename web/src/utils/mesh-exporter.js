@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Mesh Exporter
+ * Serializes the assembled 3D meshes into OBJ (text) or binary STL.
+ *
+ * Works on plain triangle data so it doesn't depend on any Three.js exporter:
+ * each part is flattened into world-space triangles (group transform3D applied),
+ * then scaled from scene units (pixels) into the requested output units.
+ */
+
+import { CONFIG } from '../core/config.js';
+
+export const MESH_UNITS = {
+    in: { label: 'Inches', perPixel: 1 / CONFIG.SCALE_PIXELS_PER_INCH },
+    mm: { label: 'Millimetres', perPixel: 25.4 / CONFIG.SCALE_PIXELS_PER_INCH }
+};
+
+/** Applies a column-major 4x4 matrix (Three.js `elements`) to a point. */
+const transformPoint = (e, x, y, z) => [
+    e[0] * x + e[4] * y + e[8] * z + e[12],
+    e[1] * x + e[5] * y + e[9] * z + e[13],
+    e[2] * x + e[6] * y + e[10] * z + e[14]
+];
+
+/** Determinant of the upper 3x3; negative means the matrix mirrors (flips winding). */
+const determinant3 = (e) =>
+    e[0] * (e[5] * e[10] - e[9] * e[6]) -
+    e[4] * (e[1] * e[10] - e[9] * e[2]) +
+    e[8] * (e[1] * e[6] - e[5] * e[2]);
+
+export const MeshExporter = {
+    /**
+     * Flattens one mesh into world-space triangles.
+     * @param {Object} geometry - BufferGeometry-like { attributes: { position: { array } }, index }
+     * @param {Array<number>} matrixElements - World matrix (column-major).
+     * @returns {Array<number>} Flat list, 9 numbers per triangle.
+     */
+    meshTriangles: (geometry, matrixElements) => {
+        const pos = geometry?.attributes?.position?.array;
+        if (!pos) return [];
+        const index = geometry.index ? geometry.index.array : null;
+        const count = index ? index.length : pos.length / 3;
+        const flip = determinant3(matrixElements) < 0;
+
+        const out = [];
+        const vertex = (i) => {
+            const v = index ? index[i] : i;
+            return transformPoint(matrixElements, pos[v * 3], pos[v * 3 + 1], pos[v * 3 + 2]);
+        };
+        for (let i = 0; i + 2 < count; i += 3) {
+            const a = vertex(i), b = vertex(i + 1), c = vertex(i + 2);
+            if (flip) out.push(...a, ...c, ...b);
+            else out.push(...a, ...b, ...c);
+        }
+        return out;
+    },
+
+    /**
+     * Walks the renderer's mesh cache and collects one triangle list per part.
+     * @param {Map<string, Object>} meshCache - shapeId -> THREE.Group
+     * @param {Array<Object>} shapes - Document shapes (for names).
+     * @returns {Array<{id: string, name: string, triangles: Array<number>}>}
+     */
+    collectParts: (meshCache, shapes) => {
+        const parts = [];
+        for (const [id, group] of meshCache) {
+            const shape = shapes.find(s => s.id === id);
+            if (!shape) continue;
+            group.updateWorldMatrix(true, true);
+
+            const triangles = [];
+            group.traverse(obj => {
+                if (!obj.isMesh || !obj.geometry || obj.userData.isPreview) return;
+                // One push per value: spreading a big CSG mesh into push() overflows the call stack
+                for (const v of MeshExporter.meshTriangles(obj.geometry, obj.matrixWorld.elements)) triangles.push(v);
+            });
+            parts.push({ id, name: shape.name, triangles });
+        }
+        return parts;
+    },
+
+    /**
+     * Builds a combined OBJ with one object per part. OBJ is conventionally Y-up,
+     * so the scene's Z-up coordinates are rotated on the way out.
+     * @param {Array} parts - From collectParts.
+     * @param {string} units - Key of MESH_UNITS.
+     * @returns {string}
+     */
+    toOBJ: (parts, units = 'in') => {
+        const k = MESH_UNITS[units].perPixel;
+        const fmt = (v) => (Math.round(v * k * 1e5) / 1e5).toString();
+        const lines = [`# Wood Cut Planner assembly (${MESH_UNITS[units].label.toLowerCase()})`];
+        let vertexOffset = 0;
+        const usedNames = new Map();
+
+        parts.forEach(part => {
+            // OBJ object names can't contain whitespace; keep them unique as well
+            let name = (part.name || 'Part').trim().replace(/\s+/g, '_');
+            const seen = usedNames.get(name) || 0;
+            usedNames.set(name, seen + 1);
+            if (seen) name = `${name}_${seen + 1}`;
+            lines.push(`o ${name}`);
+
+            // Weld identical vertices so faces share them
+            const lookup = new Map();
+            const faces = [];
+            const t = part.triangles;
+            for (let i = 0; i < t.length; i += 9) {
+                const face = [];
+                for (let j = 0; j < 9; j += 3) {
+                    const x = fmt(t[i + j]), y = fmt(t[i + j + 2]), z = fmt(-t[i + j + 1]);
+                    const key = `${x} ${y} ${z}`;
+                    if (!lookup.has(key)) {
+                        lookup.set(key, vertexOffset + lookup.size + 1);
+                        lines.push(`v ${key}`);
+                    }
+                    face.push(lookup.get(key));
+                }
+                if (face[0] !== face[1] && face[1] !== face[2] && face[0] !== face[2]) faces.push(face);
+            }
+            faces.forEach(f => lines.push(`f ${f.join(' ')}`));
+            vertexOffset += lookup.size;
+        });
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Builds a binary STL of all parts (Z-up, as slicers expect).
+     * @param {Array} parts - From collectParts.
+     * @param {string} units - Key of MESH_UNITS.
+     * @param {string} [title] - Stored in the 80-byte header.
+     * @returns {ArrayBuffer}
+     */
+    toSTL: (parts, units = 'in', title = 'Wood Cut Planner') => {
+        const k = MESH_UNITS[units].perPixel;
+        const triangleCount = parts.reduce((n, p) => n + p.triangles.length / 9, 0);
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const view = new DataView(buffer);
+
+        const header = `${title} (${units})`.slice(0, 80);
+        for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+        view.setUint32(80, triangleCount, true);
+
+        let offset = 84;
+        parts.forEach(part => {
+            const t = part.triangles;
+            for (let i = 0; i < t.length; i += 9) {
+                const ux = t[i + 3] - t[i], uy = t[i + 4] - t[i + 1], uz = t[i + 5] - t[i + 2];
+                const vx = t[i + 6] - t[i], vy = t[i + 7] - t[i + 1], vz = t[i + 8] - t[i + 2];
+                let nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+                const len = Math.hypot(nx, ny, nz) || 1;
+                nx /= len; ny /= len; nz /= len;
+
+                [nx, ny, nz].forEach(n => { view.setFloat32(offset, n, true); offset += 4; });
+                for (let j = 0; j < 9; j++) {
+                    view.setFloat32(offset, t[i + j] * k, true);
+                    offset += 4;
+                }
+                view.setUint16(offset, 0, true);
+                offset += 2;
+            }
+        });
+
+        return buffer;
+    }
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { MeshExporter } from './mesh-exporter.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// A single triangle in the XY plane (scene units = pixels)
+const triangleGeometry = {
+    attributes: { position: { array: [0, 0, 0, 10, 0, 0, 0, 10, 0] } },
+    index: null
+};
+
+describe('MeshExporter', () => {
+    describe('meshTriangles', () => {
+        it('applies the world matrix translation', () => {
+            const m = [...IDENTITY];
+            m[12] = 5; m[13] = 6; m[14] = 7;
+            const tris = MeshExporter.meshTriangles(triangleGeometry, m);
+            expect(tris.slice(0, 3)).toEqual([5, 6, 7]);
+            expect(tris.slice(3, 6)).toEqual([15, 6, 7]);
+        });
+
+        it('reverses winding for mirrored transforms', () => {
+            const m = [...IDENTITY];
+            m[5] = -1; // scale.y = -1, like the extruded parts
+            const tris = MeshExporter.meshTriangles(triangleGeometry, m);
+            // Second vertex should now be the mirrored third vertex
+            expect(tris.slice(3, 6)).toEqual([0, -10, 0]);
+        });
+
+        it('follows the index buffer when present', () => {
+            const geometry = {
+                attributes: { position: { array: [0, 0, 0, 10, 0, 0, 10, 10, 0, 0, 10, 0] } },
+                index: { array: [0, 1, 2, 0, 2, 3] }
+            };
+            expect(MeshExporter.meshTriangles(geometry, IDENTITY)).toHaveLength(18);
+        });
+    });
+
+    describe('collectParts', () => {
+        it('names parts after their shapes and skips preview meshes', () => {
+            const mesh = { isMesh: true, geometry: triangleGeometry, matrixWorld: { elements: IDENTITY }, userData: {} };
+            const preview = { ...mesh, userData: { isPreview: true } };
+            const group = {
+                updateWorldMatrix: () => {},
+                traverse: (fn) => [mesh, preview].forEach(fn)
+            };
+            const parts = MeshExporter.collectParts(new Map([['a', group]]), [{ id: 'a', name: 'Left Leg' }]);
+            expect(parts).toHaveLength(1);
+            expect(parts[0].name).toBe('Left Leg');
+            expect(parts[0].triangles).toHaveLength(9);
+        });
+
+        it('collects meshes too big to spread into one call', () => {
+            // 200,000 triangles: 1.8 million numbers
+            const geometry = { attributes: triangleGeometry.attributes, index: { array: new Uint32Array(600000).map((v, i) => i % 3) } };
+            const mesh = { isMesh: true, geometry, matrixWorld: { elements: IDENTITY }, userData: {} };
+            const group = { updateWorldMatrix: () => {}, traverse: (fn) => fn(mesh) };
+            const [part] = MeshExporter.collectParts(new Map([['a', group]]), [{ id: 'a', name: 'Top' }]);
+            expect(part.triangles).toHaveLength(1800000);
+        });
+    });
+
+    describe('toOBJ', () => {
+        it('writes one object per part in inches with welded vertices', () => {
+            const parts = [
+                { name: 'Left Leg', triangles: [0, 0, 0, 10, 0, 0, 0, 10, 0] },
+                { name: 'Left Leg', triangles: [0, 0, 0, 10, 0, 0, 0, 10, 0] }
+            ];
+            const obj = MeshExporter.toOBJ(parts, 'in');
+            expect(obj).toContain('o Left_Leg\n');
+            expect(obj).toContain('o Left_Leg_2\n');
+            expect(obj).toContain('v 1 0 0\n');
+            // Second object indexes continue after the first
+            expect(obj).toContain('f 4 5 6\n');
+        });
+    });
+
+    describe('toSTL', () => {
+        it('writes a binary STL with the triangle count and scaled vertices', () => {
+            const parts = [{ name: 'A', triangles: [0, 0, 0, 10, 0, 0, 0, 10, 0] }];
+            const buffer = MeshExporter.toSTL(parts, 'mm');
+            const view = new DataView(buffer);
+            expect(buffer.byteLength).toBe(84 + 50);
+            expect(view.getUint32(80, true)).toBe(1);
+            // Normal points up (+Z)
+            expect(view.getFloat32(84 + 8, true)).toBeCloseTo(1);
+            // Second vertex X: 10px = 1" = 25.4mm
+            expect(view.getFloat32(84 + 12 + 12, true)).toBeCloseTo(25.4);
+        });
+    });
+});
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Sheet Nesting
+ * Packs parts onto sheet goods (plywood, MDF) of one material and thickness
+ * at a time. Solid-wood parts are left to stock cutting.
+ *
+ * THEORY: MaxRects (Jukka Jylänki, "A Thousand Ways to Pack the Bin").
+ * Each sheet keeps a list of maximal free rectangles, which may overlap.
+ * A part goes where it leaves the shortest leftover side (Best Short Side
+ * Fit); every free rectangle it touches is split into up to four maximal
+ * pieces, and free rectangles contained in others are pruned.
+ *
+ * Parts are packed by their minimum-area bounding rectangle, edge tenons
+ * included. Saw kerf is handled by growing every part by one kerf and the
+ * usable sheet by one kerf as well, so kerf only ever sits between parts.
+ *
+ * Face grain runs along the sheet's width (its long side on the saw). A part
+ * of a grained sheet is turned so its own grain runs that way and is never
+ * rotated; only grainless sheets (MDF) may turn parts 90°.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+import { Grain } from './grain.js';
+import { Materials } from './materials.js';
+import { Template } from './template.js';
+
+/** Common sheet sizes in inches (width × height as the sheet lies on the saw). */
+export const SHEET_SIZES = {
+    '96x48': { label: '4 × 8 ft (96 × 48 in)', width: 96, height: 48 },
+    '48x48': { label: '4 × 4 ft (48 × 48 in)', width: 48, height: 48 },
+    '60x60': { label: '5 × 5 ft Baltic birch (60 × 60 in)', width: 60, height: 60 },
+    '2440x1220': { label: '2440 × 1220 mm', width: 2440 / 25.4, height: 1220 / 25.4 }
+};
+
+export const NESTING_DEFAULTS = {
+    sheet: '96x48',
+    kerf: 0.125,
+    trim: 0.25,          // Trimmed off every factory edge
+    allowRotation: true
+};
+
+const EPS = 1e-9;
+
+const contains = (a, b) => b.x >= a.x - EPS && b.y >= a.y - EPS
+    && b.x + b.w <= a.x + a.w + EPS && b.y + b.h <= a.y + a.h + EPS;
+
+export const Nesting = {
+    /**
+     * A part's packing rectangle, with its outline in that rectangle's frame.
+     * @returns {{id: string, name: string, thickness: number, length: number, width: number,
+     *   area: number, outline: Array<{x: number, y: number}>, edgeTenons: Array<Array<{x: number, y: number}>>}}
+     *   Inches; length ≥ width.
+     */
+    footprint: (shape) => {
+        const geometry = Template.partGeometry(shape);
+        const edgeTenons = geometry.items.filter(i => i.kind === 'edge-tenon');
+        const all = [...geometry.outline, ...edgeTenons.flatMap(i => i.points)];
+        const { length, width, angle } = Geometry.calculateOrientedBounds(all, 1);
+
+        // Rotate into the rectangle's frame, length along X
+        const cos = Math.cos(-angle), sin = Math.sin(-angle);
+        const rotate = (p) => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos });
+        const rotated = all.map(rotate);
+        const { minX, minY } = Geometry.calculateBounds(rotated);
+        const local = (p) => {
+            const r = rotate(p);
+            return { x: r.x - minX, y: r.y - minY };
+        };
+
+        return {
+            id: shape.id,
+            name: shape.name,
+            thickness: shape.thickness || CONFIG.DEFAULT_THICKNESS,
+            length,
+            width,
+            area: Math.abs(Geometry.calculateSignedArea(geometry.outline)),
+            outline: geometry.outline.map(local),
+            edgeTenons: edgeTenons.map(i => i.points.map(local))
+        };
+    },
+
+    /**
+     * A footprint turned so the part's grain runs along X, locked against rotation.
+     * @param {Object} part - From `footprint`.
+     * @param {number} degrees - Grain angle from the part's length axis.
+     * @returns {Object} The footprint with `rotate: false`; `length` may be less than `width`.
+     */
+    alongGrain: (part, degrees) => {
+        if (degrees === 0) return { ...part, rotate: false };
+        const a = -degrees * Math.PI / 180;
+        const cos = Math.cos(a), sin = Math.sin(a);
+        const rotate = (p) => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos });
+        const outline = part.outline.map(rotate);
+        const edgeTenons = part.edgeTenons.map(t => t.map(rotate));
+        const { minX, minY, maxX, maxY } = Geometry.calculateBounds([...outline, ...edgeTenons.flat()]);
+        const shift = (p) => ({ x: p.x - minX, y: p.y - minY });
+        return {
+            ...part,
+            length: maxX - minX,
+            width: maxY - minY,
+            outline: outline.map(shift),
+            edgeTenons: edgeTenons.map(t => t.map(shift)),
+            rotate: false
+        };
+    },
+
+    /**
+     * Best Short Side Fit position for a w × h rectangle among the free rectangles.
+     * @returns {{x: number, y: number, score: number, longScore: number}|null}
+     */
+    findPosition: (free, w, h) => {
+        let best = null;
+        free.forEach(f => {
+            if (w > f.w + EPS || h > f.h + EPS) return;
+            const dx = f.w - w, dy = f.h - h;
+            const score = Math.min(dx, dy), longScore = Math.max(dx, dy);
+            if (!best || score < best.score - EPS || (Math.abs(score - best.score) <= EPS && longScore < best.longScore)) {
+                best = { x: f.x, y: f.y, score, longScore };
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Removes a placed rectangle from the free list, splitting what it overlaps.
+     */
+    splitFree: (free, placed) => {
+        const next = [];
+        free.forEach(f => {
+            const overlaps = placed.x < f.x + f.w - EPS && placed.x + placed.w > f.x + EPS
+                && placed.y < f.y + f.h - EPS && placed.y + placed.h > f.y + EPS;
+            if (!overlaps) { next.push(f); return; }
+            if (placed.x > f.x + EPS) next.push({ x: f.x, y: f.y, w: placed.x - f.x, h: f.h });
+            if (placed.x + placed.w < f.x + f.w - EPS) {
+                next.push({ x: placed.x + placed.w, y: f.y, w: f.x + f.w - placed.x - placed.w, h: f.h });
+            }
+            if (placed.y > f.y + EPS) next.push({ x: f.x, y: f.y, w: f.w, h: placed.y - f.y });
+            if (placed.y + placed.h < f.y + f.h - EPS) {
+                next.push({ x: f.x, y: placed.y + placed.h, w: f.w, h: f.y + f.h - placed.y - placed.h });
+            }
+        });
+        return next.filter((f, i) => !next.some((g, j) => j !== i && contains(g, f) && (!contains(f, g) || j < i)));
+    },
+
+    /**
+     * Packs footprints onto as many sheets as needed.
+     * @param {Array<Object>} parts - From `footprint` or `alongGrain`.
+     * @param {Object} options
+     * @param {number} options.width - Sheet width, inches.
+     * @param {number} options.height - Sheet height, inches.
+     * @param {number} [options.kerf]
+     * @param {number} [options.trim]
+     * @param {boolean} [options.allowRotation] - Parts with `rotate: false` never turn.
+     * @returns {{sheets: Array<Object>, unplaced: Array<Object>}} Each sheet: { width, height,
+     *   placements: [{ part, x, y, w, h, rotated }], free: [{ x, y, w, h }], partArea, utilization }.
+     *   Positions are the part's top-left corner on the sheet, in inches. `free` holds the
+     *   maximal leftover rectangles, kerf and trim taken off; they may overlap.
+     */
+    pack: (parts, { width, height, kerf = NESTING_DEFAULTS.kerf, trim = NESTING_DEFAULTS.trim, allowRotation = true }) => {
+        const binW = width - trim * 2 + kerf, binH = height - trim * 2 + kerf;
+        const sheets = [];
+        const unplaced = [];
+
+        // Longest parts first: they have the fewest places to go
+        const order = [...parts].sort((a, b) => (b.length - a.length) || (b.width - a.width));
+
+        const tryPlace = (sheet, part) => {
+            const options = [{ w: part.length, h: part.width, rotated: false }];
+            if (allowRotation && part.rotate !== false && Math.abs(part.length - part.width) > EPS) options.push({ w: part.width, h: part.length, rotated: true });
+
+            let best = null;
+            options.forEach(o => {
+                const pos = Nesting.findPosition(sheet.free, o.w + kerf, o.h + kerf);
+                if (pos && (!best || pos.score < best.pos.score - EPS
+                    || (Math.abs(pos.score - best.pos.score) <= EPS && pos.longScore < best.pos.longScore))) {
+                    best = { pos, ...o };
+                }
+            });
+            if (!best) return false;
+
+            sheet.free = Nesting.splitFree(sheet.free, { x: best.pos.x, y: best.pos.y, w: best.w + kerf, h: best.h + kerf });
+            sheet.placements.push({ part, x: trim + best.pos.x, y: trim + best.pos.y, w: best.w, h: best.h, rotated: best.rotated });
+            return true;
+        };
+
+        order.forEach(part => {
+            if (sheets.some(sheet => tryPlace(sheet, part))) return;
+            const sheet = { width, height, free: [{ x: 0, y: 0, w: binW, h: binH }], placements: [] };
+            if (tryPlace(sheet, part)) sheets.push(sheet);
+            else unplaced.push(part);
+        });
+
+        return {
+            sheets: sheets.map(sheet => {
+                const partArea = sheet.placements.reduce((sum, p) => sum + p.part.area, 0);
+                const free = sheet.free
+                    .map(f => ({ x: trim + f.x, y: trim + f.y, w: f.w - kerf, h: f.h - kerf }))
+                    .filter(f => f.w > EPS && f.h > EPS);
+                return { ...sheet, free, partArea, utilization: partArea / (width * height) };
+            }),
+            unplaced
+        };
+    },
+
+    /**
+     * Nests the sheet-good parts of a project, one group per material and
+     * thickness (thinnest first).
+     * @param {Array<Object>} shapes
+     * @param {Object} options - Sheet size and cut settings as for `pack`.
+     * @returns {Array<{material: string, thickness: number, sheets: Array, unplaced: Array, utilization: number}>}
+     */
+    nest: (shapes, options) => {
+        const groups = new Map();
+        shapes.filter(s => s.points && s.points.length >= 3 && !Materials.isSolidWood(s)).forEach(shape => {
+            const footprint = Nesting.footprint(shape);
+            const part = Materials.hasGrain(shape) ? Nesting.alongGrain(footprint, Grain.angle(shape)) : footprint;
+            const material = Materials.idOf(shape);
+            const thickness = Math.round(part.thickness * 64) / 64;
+            const key = `${material}|${thickness}`;
+            if (!groups.has(key)) groups.set(key, { material, thickness, parts: [] });
+            groups.get(key).parts.push(part);
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => (a.thickness - b.thickness) || a.material.localeCompare(b.material))
+            .map(({ material, thickness, parts }) => {
+                const result = Nesting.pack(parts, options);
+                const used = result.sheets.reduce((sum, s) => sum + s.partArea, 0);
+                const total = result.sheets.length * options.width * options.height;
+                return { material, thickness, ...result, utilization: total > 0 ? used / total : 0 };
+            });
+    }
+};
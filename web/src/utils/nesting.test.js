@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { Nesting } from './nesting.js';
+import { ShapeModel, TenonModel } from '../core/model.js';
+
+// Parts in inches (world px at 10 px/in)
+const part = (w, h, name, thickness = 0.75, material = 'mdf') => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: w * 10, y: 0 }, { x: w * 10, y: h * 10 }, { x: 0, y: h * 10 }], name);
+    shape.thickness = thickness;
+    shape.material = material;
+    return shape;
+};
+
+const overlap = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+
+describe('Nesting', () => {
+    it('measures a part by its bounding rectangle, edge tenons included', () => {
+        const shape = part(20, 10, 'Rail');
+        shape.faceData.EDGE_1.tenons.push(TenonModel.create(2, 0, 6, 0.75, 1.5));
+        const fp = Nesting.footprint(shape);
+        expect(fp.length).toBeCloseTo(21.5);
+        expect(fp.width).toBeCloseTo(10);
+        expect(fp.area).toBeCloseTo(200);
+        expect(fp.edgeTenons).toHaveLength(1);
+    });
+
+    it('keeps kerf between parts and trim at the edges', () => {
+        const parts = ['A', 'B', 'C', 'D'].map(name => Nesting.footprint(part(47.9375, 20, name)));
+        const options = { width: 96, height: 48, kerf: 0.125, allowRotation: false };
+
+        // Two across take 2 × 47 15/16 + 1/8 kerf = 96" exactly: no room left for trim
+        expect(Nesting.pack(parts, { ...options, trim: 0.25 }).sheets).toHaveLength(2);
+
+        const { sheets } = Nesting.pack(parts, { ...options, trim: 0 });
+        expect(sheets).toHaveLength(1);
+        const xs = [...new Set(sheets[0].placements.map(p => p.x))].sort((a, b) => a - b);
+        expect(xs).toEqual([0, 48.0625]);
+    });
+
+    it('never overlaps parts and stays inside the trimmed sheet', () => {
+        const shapes = [];
+        for (let i = 0; i < 8; i++) shapes.push(part(30, 15, `Side ${i}`));
+        for (let i = 0; i < 5; i++) shapes.push(part(22, 11, `Shelf ${i}`));
+        const { sheets, unplaced } = Nesting.pack(shapes.map(Nesting.footprint), { width: 96, height: 48, kerf: 0.125, trim: 0.5 });
+
+        expect(unplaced).toEqual([]);
+        expect(sheets.flatMap(s => s.placements)).toHaveLength(13);
+        sheets.forEach(sheet => {
+            sheet.placements.forEach((p, i) => {
+                expect(p.x).toBeGreaterThanOrEqual(0.5);
+                expect(p.y).toBeGreaterThanOrEqual(0.5);
+                expect(p.x + p.w).toBeLessThanOrEqual(95.5 + 1e-9);
+                expect(p.y + p.h).toBeLessThanOrEqual(47.5 + 1e-9);
+                sheet.placements.slice(i + 1).forEach(q => {
+                    expect(overlap({ ...p, w: p.w + 0.125, h: p.h + 0.125 }, q)).toBe(false);
+                });
+            });
+            expect(sheet.utilization).toBeGreaterThan(0);
+            expect(sheet.utilization).toBeLessThanOrEqual(1);
+        });
+    });
+
+    it('rotates parts only when allowed', () => {
+        const tall = [Nesting.footprint(part(40, 10, 'Stile'))];
+        expect(Nesting.pack(tall, { width: 20, height: 48, kerf: 0, trim: 0 }).sheets[0].placements[0].rotated).toBe(true);
+        expect(Nesting.pack(tall, { width: 20, height: 48, kerf: 0, trim: 0, allowRotation: false }).unplaced).toHaveLength(1);
+    });
+
+    it('returns the leftover rectangles with kerf and trim taken off', () => {
+        const { sheets } = Nesting.pack([Nesting.footprint(part(40, 20, 'Top'))],
+            { width: 96, height: 48, kerf: 0.125, trim: 0.5, allowRotation: false });
+        const free = sheets[0].free;
+        // Right of the part, after its kerf, to the trimmed edge
+        expect(free).toContainEqual({ x: 40.625, y: 0.5, w: 54.875, h: 47 });
+        // Below it, full width
+        expect(free).toContainEqual({ x: 0.5, y: 20.625, w: 95, h: 26.875 });
+        free.forEach(f => expect(overlap(f, sheets[0].placements[0])).toBe(false));
+    });
+
+    it('groups parts by thickness', () => {
+        const groups = Nesting.nest([part(10, 10, 'A', 0.75), part(10, 10, 'B', 0.5), part(10, 10, 'C', 0.75)],
+            { width: 96, height: 48, kerf: 0.125, trim: 0.25 });
+        expect(groups.map(g => g.thickness)).toEqual([0.5, 0.75]);
+        expect(groups[1].sheets[0].placements).toHaveLength(2);
+        expect(groups[1].utilization).toBeCloseTo(200 / (96 * 48));
+    });
+
+    it('nests sheet goods only, one group per material', () => {
+        const groups = Nesting.nest([
+            part(10, 10, 'Ply', 0.75, 'plywood'),
+            part(10, 10, 'Board', 0.75, 'walnut'),
+            part(10, 10, 'Panel', 0.75, 'mdf')
+        ], { width: 96, height: 48, kerf: 0.125, trim: 0.25 });
+        expect(groups.map(g => g.material)).toEqual(['mdf', 'plywood']);
+        expect(groups.flatMap(g => g.sheets.flatMap(s => s.placements.map(p => p.part.name)))).toEqual(['Panel', 'Ply']);
+    });
+
+    it('turns grained parts to the face grain and never rotates them', () => {
+        const options = { width: 20, height: 48, kerf: 0, trim: 0 };
+        // 40" long with the grain along it: it only fits turned, which the face grain forbids
+        expect(Nesting.nest([part(40, 10, 'Stile', 0.75, 'plywood')], options)[0].unplaced).toHaveLength(1);
+
+        // Grain across the part: it lies 10" along the sheet and 40" down it, unrotated
+        const across = part(40, 10, 'Stile', 0.75, 'plywood');
+        across.grainAngle = 90;
+        const [placement] = Nesting.nest([across], options)[0].sheets[0].placements;
+        expect(placement.rotated).toBe(false);
+        expect(placement.w).toBeCloseTo(10);
+        expect(placement.h).toBeCloseTo(40);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Offcuts
+ * Leftover pieces worth keeping for a later project: what a cut layout leaves
+ * over, and which pieces in the offcut inventory a part can be cut from.
+ *
+ * THEORY: An offcut is a rectangle with its `length` along the grain.
+ * Solid-wood parts are cut with the grain, so a part needs a piece as long as
+ * it measures along its grain and as wide as it measures across; sheet goods
+ * can be turned either way. The smallest piece that fits is the one to use:
+ * it keeps the big pieces for big parts.
+ *
+ * What a sheet leaves over is an irregular area, held as overlapping maximal
+ * free rectangles. Taking the largest, cutting it out of the rest (as placing
+ * a part does) and repeating gives pieces that don't overlap, so all of them
+ * can be kept.
+ */
+
+import { Geometry } from './geometry.js';
+import { Grain } from './grain.js';
+import { Materials } from './materials.js';
+import { Nesting } from './nesting.js';
+
+export const OFFCUT_DEFAULTS = {
+    minLength: 12,      // Anything shorter is firewood
+    minWidth: 2
+};
+
+const EPS = 1e-6;
+
+export const Offcuts = {
+    /** Species of a part's material, for matching offcuts: its label without the sheet size. */
+    speciesOf: (shape) => Materials.get(Materials.idOf(shape)).label.replace(/\s*\(.*\)$/, ''),
+
+    /**
+     * Loose species match: "Oak" matches "Red Oak". A blank species could be
+     * anything, so it matches too.
+     */
+    sameSpecies: (a, b) => {
+        const x = (a || '').trim().toLowerCase(), y = (b || '').trim().toLowerCase();
+        return !x || !y || x.includes(y) || y.includes(x);
+    },
+
+    /** "30" × 5 1/2" × 0 3/4"": length × width × thickness. */
+    describe: (offcut) => [offcut.length, offcut.width, offcut.thickness].map(Geometry.formatInches).join(' × '),
+
+    /**
+     * The piece a part needs.
+     * @returns {{length: number, width: number, thickness: number, rotate: boolean}}
+     *   Inches, `length` along the grain; `rotate` when the piece may be turned.
+     */
+    requirement: (shape) => {
+        const part = Nesting.footprint(shape);
+        if (!Materials.isSolidWood(shape)) {
+            return { length: part.length, width: part.width, thickness: part.thickness, rotate: true };
+        }
+        // The part's bounding rectangle turned to the grain
+        const a = Grain.angle(shape) * Math.PI / 180;
+        const cos = Math.abs(Math.cos(a)), sin = Math.abs(Math.sin(a));
+        return {
+            length: part.length * cos + part.width * sin,
+            width: part.length * sin + part.width * cos,
+            thickness: part.thickness,
+            rotate: false
+        };
+    },
+
+    /**
+     * Whether an offcut is big enough for a requirement.
+     */
+    fits: (offcut, need) => offcut.thickness >= need.thickness - EPS && (
+        (offcut.length >= need.length - EPS && offcut.width >= need.width - EPS)
+        || (need.rotate && offcut.length >= need.width - EPS && offcut.width >= need.length - EPS)),
+
+    /**
+     * Offcuts a part can be cut from: closest thickness first, then smallest.
+     * @param {Array<Object>} offcuts
+     * @param {Object} shape
+     * @param {Object} [options]
+     * @param {boolean} [options.matchSpecies] - Only offcuts of the part's species.
+     * @returns {Array<Object>}
+     */
+    search: (offcuts, shape, { matchSpecies = true } = {}) => {
+        const need = Offcuts.requirement(shape);
+        const species = Offcuts.speciesOf(shape);
+        return offcuts
+            .filter(o => Offcuts.fits(o, need) && (!matchSpecies || Offcuts.sameSpecies(o.species, species)))
+            .sort((a, b) => (a.thickness - b.thickness) || (a.length * a.width - b.length * b.width));
+    },
+
+    /**
+     * Non-overlapping pieces from a sheet's free rectangles, largest first,
+     * leaving out any smaller than the minimum.
+     * @param {Array<{x: number, y: number, w: number, h: number}>} free - Maximal rectangles; may overlap.
+     * @param {Object} [options] - As in OFFCUT_DEFAULTS.
+     * @returns {Array<{x: number, y: number, w: number, h: number}>}
+     */
+    leftovers: (free, { minLength = OFFCUT_DEFAULTS.minLength, minWidth = OFFCUT_DEFAULTS.minWidth } = {}) => {
+        const keep = (f) => Math.max(f.w, f.h) >= minLength - EPS && Math.min(f.w, f.h) >= minWidth - EPS;
+        const pieces = [];
+        let rest = free.filter(keep);
+        while (rest.length > 0) {
+            const piece = rest.reduce((best, f) => f.w * f.h > best.w * best.h + EPS ? f : best);
+            pieces.push(piece);
+            rest = Nesting.splitFree(rest, piece).filter(keep);
+        }
+        return pieces;
+    },
+
+    /**
+     * Offcuts from sheet layouts. A sheet's pieces take the species of its
+     * parts when they share one.
+     * @param {Array<Object>} groups - From Nesting.nest.
+     * @param {Array<Object>} shapes - The parts that were nested.
+     * @param {Object} [options] - As in OFFCUT_DEFAULTS.
+     * @returns {Array<{length: number, width: number, thickness: number, species: string}>}
+     */
+    fromSheets: (groups, shapes, options = {}) => {
+        const byId = new Map(shapes.map(s => [s.id, s]));
+        return groups.flatMap(group => group.sheets.flatMap(sheet => {
+            const species = [...new Set(sheet.placements
+                .map(p => byId.get(p.part.id))
+                .filter(Boolean)
+                .map(Offcuts.speciesOf))];
+            return Offcuts.leftovers(sheet.free || [], options).map(f => ({
+                length: Math.max(f.w, f.h),
+                width: Math.min(f.w, f.h),
+                thickness: group.thickness,
+                species: species.length === 1 ? species[0] : ''
+            }));
+        }));
+    },
+
+    /**
+     * Offcuts from board cutting: what is left at the end of each board.
+     * @param {Array<Object>} groups - From StockCutting.plan.
+     * @param {Object} [options] - As in OFFCUT_DEFAULTS.
+     * @returns {Array<{length: number, width: number, thickness: number, species: string}>}
+     */
+    fromBoards: (groups, { minLength = OFFCUT_DEFAULTS.minLength, minWidth = OFFCUT_DEFAULTS.minWidth } = {}) =>
+        groups.flatMap(({ profile, boards }) => {
+            if (profile.width < minWidth - EPS) return [];
+            return boards.filter(b => b.offcut >= minLength - EPS).map(b => ({
+                length: b.offcut,
+                width: profile.width,
+                thickness: profile.thickness,
+                species: profile.species || ''
+            }));
+        })
+};
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { Offcuts } from './offcuts.js';
+import { Nesting } from './nesting.js';
+import { ShapeModel } from '../core/model.js';
+
+// Parts in inches (world px at 10 px/in)
+const part = (w, h, { name = 'Part', thickness = 0.75, material = 'walnut', grainAngle = 0 } = {}) => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: w * 10, y: 0 }, { x: w * 10, y: h * 10 }, { x: 0, y: h * 10 }], name);
+    Object.assign(shape, { thickness, material, grainAngle });
+    return shape;
+};
+
+const offcut = (length, width, thickness = 0.75, species = 'Walnut') => ({ id: `${length}x${width}`, length, width, thickness, species });
+
+describe('Offcuts', () => {
+    it('matches species loosely', () => {
+        expect(Offcuts.sameSpecies('Oak', 'Red Oak')).toBe(true);
+        expect(Offcuts.sameSpecies('Red Oak', 'White Oak')).toBe(false);
+        expect(Offcuts.sameSpecies('', 'Cherry')).toBe(true);
+        expect(Offcuts.speciesOf(part(10, 10, { material: 'plywood' }))).toBe('Plywood');
+    });
+
+    it('measures solid wood along its grain', () => {
+        expect(Offcuts.requirement(part(30, 4))).toMatchObject({ length: 30, width: 4, rotate: false });
+        const across = Offcuts.requirement(part(30, 4, { grainAngle: 90 }));
+        expect(across.length).toBeCloseTo(4);
+        expect(across.width).toBeCloseTo(30);
+        expect(Offcuts.requirement(part(30, 4, { material: 'plywood' })).rotate).toBe(true);
+    });
+
+    it('finds the smallest offcut that fits, thick enough and of the same species', () => {
+        const inventory = [
+            offcut(40, 8),
+            offcut(32, 5),
+            offcut(20, 40),              // Wide enough only turned, against the grain
+            offcut(36, 6, 0.5),          // Too thin
+            offcut(31, 5, 0.75, 'Cherry')
+        ];
+        const found = Offcuts.search(inventory, part(30, 4));
+        expect(found.map(o => o.id)).toEqual(['32x5', '40x8']);
+        expect(Offcuts.search(inventory, part(30, 4), { matchSpecies: false }).map(o => o.id)).toEqual(['31x5', '32x5', '40x8']);
+    });
+
+    it('turns sheet goods to fit', () => {
+        const ply = part(30, 18, { material: 'plywood' });
+        expect(Offcuts.search([offcut(20, 40, 0.75, 'Plywood')], ply)).toHaveLength(1);
+    });
+
+    it('splits overlapping free rectangles into pieces that can all be kept', () => {
+        // An L-shaped leftover: 60 × 20 along the top and 20 × 48 down the right
+        const free = [{ x: 0, y: 0, w: 60, h: 20 }, { x: 40, y: 0, w: 20, h: 48 }, { x: 0, y: 0, w: 1, h: 1 }];
+        const pieces = Offcuts.leftovers(free);
+        expect(pieces).toEqual([{ x: 0, y: 0, w: 60, h: 20 }, { x: 40, y: 20, w: 20, h: 28 }]);
+    });
+
+    it('collects leftovers from sheet layouts and board cutting', () => {
+        const shapes = [part(40, 20, { material: 'plywood' })];
+        const groups = Nesting.nest(shapes, { width: 96, height: 48, kerf: 0.125, trim: 0.5, allowRotation: false });
+        const sheets = Offcuts.fromSheets(groups, shapes);
+        // Right of the part, full height; then what is left below it
+        expect(sheets).toEqual([
+            { length: 54.875, width: 47, thickness: 0.75, species: 'Plywood' },
+            { length: 40.125, width: 26.875, thickness: 0.75, species: 'Plywood' }
+        ]);
+
+        const boards = Offcuts.fromBoards([{
+            profile: { width: 5.5, thickness: 0.75, species: 'Pine' },
+            boards: [{ offcut: 35.875 }, { offcut: 6 }]
+        }]);
+        expect(boards).toEqual([{ length: 35.875, width: 5.5, thickness: 0.75, species: 'Pine' }]);
+    });
+});
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Orthographic Projection
+ * Projects assembled part meshes (world-space triangles, as collected by
+ * MeshExporter) into flat top/front/side views with visible and hidden lines,
+ * and lays the views out at a standard scale.
+ *
+ * THEORY: A line is drawn for every crease (faces meeting at an angle) and
+ * for silhouettes (one face turned towards the viewer, the other away). Each
+ * line is then tested against every triangle in front of it: where it falls
+ * inside a triangle's projection and behind its plane, that stretch is hidden.
+ * Both conditions are linear along the line, so each triangle hides at most
+ * one interval and no sampling is needed.
+ *
+ * Views follow third-angle projection, with the 2D editor's plan as the top
+ * view: the front is the +Y side (bottom of the plan), up is +Z. View
+ * coordinates are inches with v pointing down the page; `depth` grows
+ * towards the viewer.
+ */
+
+import { CONFIG } from '../core/config.js';
+
+export const VIEWS = {
+    top: { label: 'TOP', project: (x, y, z) => [x, y, z] },
+    front: { label: 'FRONT', project: (x, y, z) => [x, -z, y] },
+    right: { label: 'RIGHT', project: (x, y, z) => [-y, -z, x] }
+};
+
+/** Faces meeting at more than this angle (degrees) draw a line between them. */
+const CREASE_ANGLE = 20;
+
+/** Standard drawing scales, largest first. */
+export const DRAWING_SCALES = [1, 1 / 2, 1 / 4, 1 / 8, 1 / 12, 1 / 16, 1 / 24, 1 / 32, 1 / 48, 1 / 96];
+
+const EPS = 1e-6;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const unit = (v) => {
+    const len = Math.hypot(v[0], v[1], v[2]);
+    return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : [0, 0, 0];
+};
+
+/** Does segment c-d lie on the line through a-b and overlap a-b? */
+const overlapsCollinear = (a, b, c, d, tol) => {
+    const ab = sub(b, a);
+    const len = Math.hypot(...ab);
+    if (len === 0) return false;
+    const dir = ab.map(v => v / len);
+    const offLine = (p) => Math.hypot(...cross(sub(p, a), dir)) > tol;
+    if (offLine(c) || offLine(d)) return false;
+    const tc = dot(sub(c, a), dir), td = dot(sub(d, a), dir);
+    return Math.max(tc, td) > tol && Math.min(tc, td) < len - tol;
+};
+
+/** Merges [start, end] intervals. */
+const mergeIntervals = (intervals) => {
+    const sorted = [...intervals].sort((m, n) => m[0] - n[0]);
+    const merged = [];
+    sorted.forEach(([s, e]) => {
+        const last = merged[merged.length - 1];
+        if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+        else merged.push([s, e]);
+    });
+    return merged;
+};
+
+export const Orthographic = {
+    /**
+     * Edges worth drawing, with the normals of the faces on either side.
+     * Meshes out of CSG have T-junctions (an edge on one face split into
+     * pieces on the neighbour); unpaired edges are matched to a collinear
+     * overlapping edge of another face to find their neighbour.
+     * @param {Array<number>} triangles - Flat list, 9 numbers per triangle (world px).
+     * @returns {Array<{a: Array<number>, b: Array<number>, normals: Array<Array<number>>}>}
+     */
+    featureEdges: (triangles) => {
+        const key = (v) => v.map(c => Math.round(c * 1000)).join(',');
+        const edges = new Map();
+
+        for (let i = 0; i + 8 < triangles.length; i += 9) {
+            const v = [triangles.slice(i, i + 3), triangles.slice(i + 3, i + 6), triangles.slice(i + 6, i + 9)];
+            const normal = unit(cross(sub(v[1], v[0]), sub(v[2], v[0])));
+            if (normal.every(c => c === 0)) continue;
+            for (let k = 0; k < 3; k++) {
+                const a = v[k], b = v[(k + 1) % 3];
+                const ka = key(a), kb = key(b);
+                if (ka === kb) continue;
+                const id = ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+                if (!edges.has(id)) edges.set(id, { a, b, normals: [] });
+                edges.get(id).normals.push(normal);
+            }
+        }
+
+        const all = [...edges.values()];
+        const unpaired = all.filter(e => e.normals.length === 1);
+        unpaired.forEach(e => {
+            const partner = unpaired.find(o => o !== e && dot(o.normals[0], e.normals[0]) < 1 - EPS
+                && overlapsCollinear(e.a, e.b, o.a, o.b, 1e-3));
+            if (partner) e.normals = [e.normals[0], partner.normals[0]];
+        });
+
+        // Faces in one plane never show a line between them, from any side
+        return all.filter(e => e.normals.length !== 2 || dot(e.normals[0], e.normals[1]) < 1 - EPS);
+    },
+
+    /**
+     * Is the edge drawn in this view: a crease, a silhouette or an open edge?
+     */
+    isOutline: (edge, view) => {
+        if (edge.normals.length !== 2) return true;
+        const [n1, n2] = edge.normals;
+        if (dot(n1, n2) < Math.cos(CREASE_ANGLE * Math.PI / 180)) return true;
+        const facing = (n) => VIEWS[view].project(...n)[2];
+        return (facing(n1) > EPS) !== (facing(n2) > EPS);
+    },
+
+    /**
+     * Splits a projected segment into visible and hidden parts.
+     * @param {Array<number>} a - [u, v, depth]
+     * @param {Array<number>} b
+     * @param {Array<Object>} occluders - Projected triangles from `projectTriangles`.
+     * @returns {{visible: Array<Array<number>>, hidden: Array<Array<number>>}} Parameter ranges along a-b.
+     */
+    splitByOcclusion: (a, b, occluders) => {
+        const minU = Math.min(a[0], b[0]), maxU = Math.max(a[0], b[0]);
+        const minV = Math.min(a[1], b[1]), maxV = Math.max(a[1], b[1]);
+        const hidden = [];
+
+        occluders.forEach(tri => {
+            if (tri.maxU < minU || tri.minU > maxU || tri.maxV < minV || tri.minV > maxV) return;
+            if (tri.maxDepth < Math.min(a[2], b[2]) + EPS) return;
+
+            let lo = 0, hi = 1;
+            // Keep t where f(t) = f0 + t (f1 - f0) > eps
+            const clip = (f0, f1, eps) => {
+                const df = f1 - f0;
+                if (Math.abs(df) < 1e-12) {
+                    if (f0 <= eps) hi = -1;
+                    return;
+                }
+                const t = (eps - f0) / df;
+                if (df > 0) lo = Math.max(lo, t);
+                else hi = Math.min(hi, t);
+            };
+
+            // Strictly inside each (counter-clockwise) edge: lines along a triangle's border stay visible
+            for (let k = 0; k < 3 && lo < hi; k++) {
+                const p = tri.points[k], q = tri.points[(k + 1) % 3];
+                const len = Math.hypot(q[0] - p[0], q[1] - p[1]);
+                const side = (r) => ((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0])) / len;
+                clip(side(a), side(b), EPS);
+            }
+            // In front of the line
+            if (lo < hi) clip(tri.depthAt(a) - a[2], tri.depthAt(b) - b[2], 1e-4);
+            if (hi - lo > EPS) hidden.push([lo, hi]);
+        });
+
+        const covered = mergeIntervals(hidden);
+        const visible = [];
+        let t = 0;
+        covered.forEach(([s, e]) => {
+            if (s > t) visible.push([t, s]);
+            t = Math.max(t, e);
+        });
+        if (t < 1) visible.push([t, 1]);
+        return { visible, hidden: covered };
+    },
+
+    /**
+     * Projects triangles into a view, dropping those seen edge-on.
+     * @returns {Array<Object>} { points, minU, maxU, minV, maxV, maxDepth, depthAt(p) }
+     */
+    projectTriangles: (triangles, view, scale) => {
+        const out = [];
+        for (let i = 0; i + 8 < triangles.length; i += 9) {
+            let pts = [0, 3, 6].map(o => VIEWS[view].project(triangles[i + o] * scale, triangles[i + o + 1] * scale, triangles[i + o + 2] * scale));
+            const area = (pts[1][0] - pts[0][0]) * (pts[2][1] - pts[0][1]) - (pts[2][0] - pts[0][0]) * (pts[1][1] - pts[0][1]);
+            if (Math.abs(area) < 1e-9) continue;
+            if (area < 0) pts = [pts[0], pts[2], pts[1]];
+            const [p0, p1, p2] = pts;
+            const det = Math.abs(area);
+
+            out.push({
+                points: pts,
+                minU: Math.min(p0[0], p1[0], p2[0]), maxU: Math.max(p0[0], p1[0], p2[0]),
+                minV: Math.min(p0[1], p1[1], p2[1]), maxV: Math.max(p0[1], p1[1], p2[1]),
+                maxDepth: Math.max(p0[2], p1[2], p2[2]),
+                // Depth of the triangle's plane at (u, v), via barycentric weights
+                depthAt: (p) => {
+                    const w1 = ((p[0] - p0[0]) * (p2[1] - p0[1]) - (p2[0] - p0[0]) * (p[1] - p0[1])) / det;
+                    const w2 = ((p1[0] - p0[0]) * (p[1] - p0[1]) - (p[0] - p0[0]) * (p1[1] - p0[1])) / det;
+                    return p0[2] + w1 * (p1[2] - p0[2]) + w2 * (p2[2] - p0[2]);
+                }
+            });
+        }
+        return out;
+    },
+
+    /**
+     * Draws one view of the assembly.
+     * @param {Array<{name: string, triangles: Array<number>}>} parts - World px.
+     * @param {string} view - Key of VIEWS.
+     * @param {Object} [options]
+     * @param {boolean} [options.hiddenLines] - Keep hidden lines (dashed) instead of dropping them.
+     * @returns {{visible: Array, hidden: Array, bounds: {minX, minY, maxX, maxY}|null}}
+     *   Segments are [{x, y}, {x, y}] in inches.
+     */
+    projectView: (parts, view, { hiddenLines = true } = {}) => {
+        const scale = 1 / CONFIG.SCALE_PIXELS_PER_INCH;
+        const occluders = parts.flatMap(p => Orthographic.projectTriangles(p.triangles, view, scale));
+        const visible = [], hidden = [];
+        let bounds = null;
+        const grow = (p) => {
+            if (!bounds) bounds = { minX: p.x, minY: p.y, maxX: p.x, maxY: p.y };
+            bounds.minX = Math.min(bounds.minX, p.x); bounds.maxX = Math.max(bounds.maxX, p.x);
+            bounds.minY = Math.min(bounds.minY, p.y); bounds.maxY = Math.max(bounds.maxY, p.y);
+        };
+
+        parts.forEach(part => {
+            Orthographic.featureEdges(part.triangles)
+                .filter(edge => Orthographic.isOutline(edge, view))
+                .forEach(edge => {
+                    const a = VIEWS[view].project(...edge.a.map(c => c * scale));
+                    const b = VIEWS[view].project(...edge.b.map(c => c * scale));
+                    if (Math.hypot(b[0] - a[0], b[1] - a[1]) < 1e-4) return;
+                    const at = (t) => ({ x: a[0] + (b[0] - a[0]) * t, y: a[1] + (b[1] - a[1]) * t });
+                    grow(at(0));
+                    grow(at(1));
+
+                    const split = Orthographic.splitByOcclusion(a, b, occluders);
+                    split.visible.forEach(([s, e]) => visible.push([at(s), at(e)]));
+                    if (hiddenLines) split.hidden.forEach(([s, e]) => hidden.push([at(s), at(e)]));
+                });
+        });
+        return { visible, hidden, bounds };
+    },
+
+    /**
+     * Picks the largest standard scale that fits the views in third-angle
+     * arrangement (top above front, right beside front) and places them so
+     * that top and front share their X axis and front and right their Z axis.
+     * @param {Object} views - { top, front, right } from `projectView`.
+     * @param {{x: number, y: number, width: number, height: number}} area - Paper inches.
+     * @param {number} gap - Space kept around each view for dimensions.
+     * @returns {{scale: number, origins: Object}|null} Per view, paper = origin + point * scale.
+     */
+    layout: (views, area, gap) => {
+        const empty = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        const top = views.top.bounds || empty;
+        const front = views.front.bounds || empty;
+        const right = views.right.bounds || empty;
+
+        const minU = Math.min(top.minX, front.minX), maxU = Math.max(top.maxX, front.maxX);
+        const minV = Math.min(front.minY, right.minY), maxV = Math.max(front.maxY, right.maxY);
+        const columnW = maxU - minU, rightW = right.maxX - right.minX;
+        const rowH = maxV - minV, topH = top.maxY - top.minY;
+
+        const spareW = area.width - gap * 3, spareH = area.height - gap * 3;
+        const scale = DRAWING_SCALES.find(s => (columnW + rightW) * s <= spareW && (topH + rowH) * s <= spareH);
+        if (!scale) return null;
+
+        // Center the block of views in the area
+        const x0 = area.x + (area.width - (columnW + rightW) * scale - gap) / 2;
+        const y0 = area.y + (area.height - (topH + rowH) * scale - gap) / 2;
+        const rowY = y0 + topH * scale + gap - minV * scale;
+
+        return {
+            scale,
+            origins: {
+                top: { x: x0 - minU * scale, y: y0 - top.minY * scale },
+                front: { x: x0 - minU * scale, y: rowY },
+                right: { x: x0 + columnW * scale + gap - right.minX * scale, y: rowY }
+            }
+        };
+    },
+
+    /**
+     * Human-readable drawing scale: 'Full size', '1:4'...
+     */
+    scaleLabel: (scale) => scale >= 1 ? 'Full size' : `1:${Math.round(1 / scale)}`
+};
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { Orthographic } from './orthographic.js';
+
+/** Closed box as outward-facing triangles, world px. */
+const box = (x0, y0, z0, x1, y1, z1) => {
+    const v = (i) => [i & 1 ? x1 : x0, i & 2 ? y1 : y0, i & 4 ? z1 : z0];
+    const quads = [[0, 2, 3, 1], [4, 5, 7, 6], [0, 1, 5, 4], [2, 6, 7, 3], [0, 4, 6, 2], [1, 3, 7, 5]];
+    return quads.flatMap(([a, b, c, d]) => [...v(a), ...v(b), ...v(c), ...v(a), ...v(c), ...v(d)]);
+};
+
+describe('Orthographic', () => {
+    it('finds the 12 edges of a box and ignores face diagonals', () => {
+        expect(Orthographic.featureEdges(box(0, 0, 0, 100, 50, 20))).toHaveLength(12);
+    });
+
+    it('projects each view at true size in inches', () => {
+        const parts = [{ name: 'Top', triangles: box(0, 0, 0, 100, 50, 20) }];
+        const top = Orthographic.projectView(parts, 'top');
+        const front = Orthographic.projectView(parts, 'front');
+        const right = Orthographic.projectView(parts, 'right');
+
+        expect(top.bounds).toEqual({ minX: 0, minY: 0, maxX: 10, maxY: 5 });
+        // Up is +Z, drawn towards the top of the page
+        expect(front.bounds).toEqual({ minX: 0, minY: -2, maxX: 10, maxY: 0 });
+        expect(right.bounds.maxX - right.bounds.minX).toBeCloseTo(5);
+        expect(top.hidden).toHaveLength(0);
+    });
+
+    it('dashes the parts of a box hidden behind another', () => {
+        // A tall post behind (smaller y) a low, wide board
+        const parts = [
+            { name: 'Board', triangles: box(0, 0, 0, 100, 50, 20) },
+            { name: 'Post', triangles: box(20, -30, 0, 40, -10, 40) }
+        ];
+        const front = Orthographic.projectView(parts, 'front');
+        expect(front.hidden.length).toBeGreaterThan(0);
+        // Everything hidden lies within the board's silhouette (0..10 wide, 2" tall)
+        front.hidden.flat().forEach(p => {
+            expect(p.x).toBeGreaterThanOrEqual(2 - 1e-6);
+            expect(p.x).toBeLessThanOrEqual(4 + 1e-6);
+            expect(p.y).toBeGreaterThanOrEqual(-2 - 1e-6);
+        });
+        // The top of the post stays visible above the board
+        expect(front.visible.some(([a, b]) => a.y === -4 && b.y === -4)).toBe(true);
+
+        expect(Orthographic.projectView(parts, 'front', { hiddenLines: false }).hidden).toHaveLength(0);
+    });
+
+    it('picks the largest standard scale that fits and aligns the views', () => {
+        const parts = [{ name: 'Top', triangles: box(0, 0, 0, 480, 240, 10) }];
+        const views = {
+            top: Orthographic.projectView(parts, 'top'),
+            front: Orthographic.projectView(parts, 'front'),
+            right: Orthographic.projectView(parts, 'right')
+        };
+        const placed = Orthographic.layout(views, { x: 0, y: 0, width: 10, height: 6 }, 0.5);
+        // 48" + 24" wide must fit 8.5" → 1:12
+        expect(placed.scale).toBeCloseTo(1 / 12);
+        expect(Orthographic.scaleLabel(placed.scale)).toBe('1:12');
+        expect(placed.origins.top.x).toBeCloseTo(placed.origins.front.x);
+        expect(placed.origins.front.y).toBeCloseTo(placed.origins.right.y);
+
+        expect(Orthographic.layout(views, { x: 0, y: 0, width: 1, height: 1 }, 0.5)).toBeNull();
+    });
+});
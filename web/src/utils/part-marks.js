@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Part Marks
+ * Finds geometrically identical parts and gives each group a shared mark
+ * (A, B, C...), the letter a woodworker pencils on every piece.
+ *
+ * THEORY: Two outlines are congruent when one can be moved, turned or
+ * flipped onto the other. Walking round an outline counter-clockwise, the
+ * sequence of (edge length, turn at the next corner) doesn't change when the
+ * part is moved or turned; turning only changes where the walk starts, and
+ * flipping the part reverses the walk. So the smallest rotation of the
+ * sequence, over both walking directions, is a signature that is the same for
+ * every copy of the outline and different for anything else.
+ *
+ * Face joinery is compared in a canonical frame: the part's minimum-area
+ * bounding rectangle, centered on the part and turned length along X. That
+ * rectangle can be laid down 8 ways (4 turns, either face up); the ways that
+ * give the smallest list of outline corners are the ones every copy of the
+ * part agrees on, and the smallest joinery list among them is kept. Laying the
+ * part face down mirrors it and swaps its front and back.
+ * Edge items are compared by which edge (its length) and how far from the
+ * edge's middle, edge banding by which edge it covers.
+ *
+ * Parts of the same shape in another material, or glued up differently, are
+ * different pieces in the shop, so material and glue-up settings count too.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+import { GlueUp, GLUE_UP_DEFAULTS } from './glue-up.js';
+import { Grain } from './grain.js';
+import { Materials } from './materials.js';
+import { Template } from './template.js';
+
+/** Rounds to 1/64" (or 1/64°) so float noise doesn't split identical parts. */
+const q = (v) => String(Math.round((v || 0) * 64) / 64);
+
+/** Smallest rotation of a cyclic list of tokens, as one string. */
+const minRotation = (tokens) => {
+    let best = null;
+    for (let i = 0; i < tokens.length; i++) {
+        const candidate = [...tokens.slice(i), ...tokens.slice(0, i)].join(' ');
+        if (best === null || candidate < best) best = candidate;
+    }
+    return best || '';
+};
+
+/** Glue-up settings as one token, defaults filled in; empty when the part isn't glued up. */
+const glueUpSig = (shape) => {
+    const settings = GlueUp.settings(shape);
+    if (!settings) return '';
+    return Object.keys(GLUE_UP_DEFAULTS).map(key => {
+        const v = settings[key];
+        if (Array.isArray(v)) return v.map(q).join('/');
+        return typeof v === 'number' ? q(v) : String(v);
+    }).join(':');
+};
+
+/**
+ * Signatures by shape id, kept while the shape's lastModified stays the same:
+ * marks are drawn every frame and a signature is too slow to redo each time.
+ */
+const signatures = new Map();
+
+const cachedSignature = (shape) => {
+    if (shape.lastModified === undefined) return PartMarks.signature(shape);
+    const hit = signatures.get(shape.id);
+    if (hit && hit.lastModified === shape.lastModified) return hit.signature;
+    const signature = PartMarks.signature(shape);
+    signatures.set(shape.id, { lastModified: shape.lastModified, signature });
+    return signature;
+};
+
+/** The 8 ways to lay a part in its bounding rectangle: 4 quarter turns, face up or down. */
+const LAYOUTS = [0, 1, 2, 3].flatMap(turn => [false, true].map(flip => ({ turn, flip })));
+
+/** Counter-clockwise (in Y-up terms) walk of (length, turn) tokens. */
+const walk = (points) => {
+    const pts = Geometry.calculateSignedArea(points) < 0 ? [...points].reverse() : points;
+    const n = pts.length;
+    return pts.map((p, i) => {
+        const a = pts[(i + 1) % n], b = pts[(i + 2) % n];
+        const turn = Math.atan2(
+            (a.x - p.x) * (b.y - a.y) - (a.y - p.y) * (b.x - a.x),
+            (a.x - p.x) * (b.x - a.x) + (a.y - p.y) * (b.y - a.y)
+        );
+        return `${q(Geometry.dist(p, a))}/${q(turn * 180 / Math.PI)}`;
+    });
+};
+
+export const PartMarks = {
+    /**
+     * Identity of a part: the same for parts that are copies of each other,
+     * however they are placed, turned or flipped.
+     * @param {Object} shape
+     * @returns {string}
+     */
+    signature: (shape) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const outline = shape.points.map(p => ({ x: p.x / scale, y: p.y / scale }));
+        // Curves are compared by their flattening, which turns with the part
+        const flat = Geometry.flattenOutline(shape.points, scale);
+        const clean = Geometry.cleanPolygon(flat, 0.001);
+        const mirrored = clean.map(p => ({ x: -p.x, y: p.y }));
+        const outlineSig = [minRotation(walk(clean)), minRotation(walk(mirrored))].sort()[0];
+
+        // Canonical frame: centered on the part, length along X
+        const center = Geometry.calculateAreaCentroid(flat);
+        const { angle } = Geometry.calculateOrientedBounds(clean, 1);
+        const layouts = LAYOUTS.map(({ turn, flip }) => {
+            const a = turn * Math.PI / 2 - angle;
+            const cos = Math.cos(a), sin = Math.sin(a);
+            const place = (p) => {
+                const x = p.x - center.x, y = p.y - center.y;
+                const r = { x: x * cos - y * sin, y: x * sin + y * cos };
+                return flip ? { x: -r.x, y: r.y } : r;
+            };
+            const corners = clean.map(place).map(p => `${q(p.x)},${q(p.y)}`).sort().join(' ');
+            // Joinery rectangles stay square to the drawing: swap sides when the frame turns them
+            const across = Math.abs(sin) > Math.abs(cos);
+            return { place, flip, across, corners };
+        });
+        const firstCorners = layouts.map(l => l.corners).sort()[0];
+
+        // BACK joinery lands on the same footprint as FRONT joinery (see Template.partGeometry)
+        const { origin } = Geometry.getFaceOrigin(shape, 'FRONT', scale);
+        const faceSig = ({ place, flip, across }) => ['FRONT', 'BACK'].flatMap(face => {
+            const data = shape.faceData?.[face];
+            if (!data) return [];
+            const side = (face === 'FRONT') !== flip ? 'F' : 'B';
+            const item = (type, it) => {
+                const c = place({ x: origin.x / scale + it.x + it.w / 2, y: origin.y / scale + it.y + it.h / 2 });
+                const [w, h] = across ? [it.h, it.w] : [it.w, it.h];
+                return `${side}${type}:${q(w)}x${q(h)}x${q(it.depth)}@${q(it.inset)}~${q(c.x)},${q(c.y)}`;
+            };
+            return [
+                ...(data.tenons || []).map(t => item('T', t)),
+                ...(data.cutouts || []).map(c => item('C', c))
+            ];
+        }).sort().join(',');
+        const faces = layouts.filter(l => l.corners === firstCorners).map(faceSig).sort()[0];
+
+        const edges = [];
+        outline.forEach((p, i) => {
+            const data = shape.faceData?.[`EDGE_${i}`];
+            if (!data) return;
+            const len = Geometry.dist(p, outline[(i + 1) % outline.length]);
+            const item = (type, it) =>
+                `E${q(len)}:${type}:${q(it.w)}x${q(it.h)}x${q(it.depth)}@${q(it.inset)}~${q(Math.abs(it.x + it.w / 2 - len / 2))}`;
+            (data.tenons || []).forEach(t => edges.push(item('T', t)));
+            (data.cutouts || []).forEach(c => edges.push(item('C', c)));
+            if (data.banding) edges.push(`E${q(len)}:B:${data.banding.material}/${data.banding.thickness}`);
+        });
+
+        // A flipped part has its grain mirrored too: 30° and 150° are the same cut
+        const grain = Grain.angle(shape);
+        return [
+            Materials.idOf(shape),
+            q(shape.thickness || CONFIG.DEFAULT_THICKNESS),
+            q(Math.min(grain, 180 - grain)),
+            glueUpSig(shape),
+            outlineSig,
+            faces,
+            edges.sort().join(',')
+        ].join('#');
+    },
+
+    /**
+     * Marks every part. Groups are lettered in the order their first part
+     * appears in the document, so existing marks stay put as parts are added.
+     * Signatures are reused until a part's lastModified changes, so every edit
+     * to a part must bump it.
+     * @param {Array<Object>} shapes
+     * @returns {Map<string, {mark: string, count: number, ids: Array<string>}>} By shape id.
+     */
+    assign: (shapes) => {
+        const groups = new Map();
+        shapes.forEach(shape => {
+            if (!shape.points || shape.points.length < 3) return;
+            const sig = cachedSignature(shape);
+            if (!groups.has(sig)) groups.set(sig, { mark: Template.columnLabel(groups.size), ids: [] });
+            groups.get(sig).ids.push(shape.id);
+        });
+
+        const marks = new Map();
+        groups.forEach(group => {
+            const entry = { mark: group.mark, count: group.ids.length, ids: group.ids };
+            group.ids.forEach(id => marks.set(id, entry));
+        });
+        return marks;
+    },
+
+    /** "A" or "A ×4". */
+    describe: (entry) => entry ? (entry.count > 1 ? `${entry.mark} ×${entry.count}` : entry.mark) : ''
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PartMarks } from './part-marks.js';
+import { ShapeModel } from '../core/model.js';
+
+// Points in inches, placed by a rotation (radians), a flip and an offset
+const part = (pts, { angle = 0, flip = false, dx = 0, dy = 0, thickness = 0.75 } = {}) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    const placed = pts.map(([x, y]) => {
+        const fx = flip ? -x : x;
+        return { x: (fx * c - y * s + dx) * 10, y: (fx * s + y * c + dy) * 10 };
+    });
+    const shape = ShapeModel.create(flip ? placed.reverse() : placed, 'Part');
+    shape.thickness = thickness;
+    return shape;
+};
+
+const L = [[0, 0], [10, 0], [10, 2], [3, 2], [3, 6], [0, 6]];
+const rect = (w, h) => [[0, 0], [w, 0], [w, h], [0, h]];
+
+describe('PartMarks', () => {
+    it('matches copies that are moved, turned or flipped', () => {
+        const sig = PartMarks.signature(part(L));
+        expect(PartMarks.signature(part(L, { dx: 40, dy: -7 }))).toBe(sig);
+        expect(PartMarks.signature(part(L, { angle: 0.7, dx: 5 }))).toBe(sig);
+        expect(PartMarks.signature(part(L, { flip: true, angle: 2 }))).toBe(sig);
+    });
+
+    it('tells apart parts that differ only in material or glue-up', () => {
+        const sig = PartMarks.signature(part(rect(20, 30)));
+        const walnut = part(rect(20, 30));
+        walnut.material = 'walnut';
+        expect(PartMarks.signature(walnut)).not.toBe(sig);
+
+        const glued = (boardWidths) => {
+            const shape = part(rect(20, 30));
+            shape.glueUp = { boardWidths };
+            return PartMarks.signature(shape);
+        };
+        expect(glued([5.5])).not.toBe(sig);
+        expect(glued([5.5])).not.toBe(glued([3.5]));
+        expect(glued([5.5])).toBe(glued([5.5]));
+
+        const marks = PartMarks.assign([part(rect(20, 30)), walnut]);
+        expect([...marks.values()].map(m => m.mark)).toEqual(['A', 'B']);
+    });
+
+    it('tells apart parts of a different size, thickness or joinery', () => {
+        const sig = PartMarks.signature(part(rect(4, 30)));
+        expect(PartMarks.signature(part(rect(4, 31)))).not.toBe(sig);
+        expect(PartMarks.signature(part(rect(4, 30), { thickness: 1.5 }))).not.toBe(sig);
+
+        const mortised = (y) => {
+            const shape = part(rect(4, 30));
+            shape.faceData.FRONT.cutouts.push({ x: 1, y, w: 2, h: 3, depth: 0.5 });
+            return PartMarks.signature(shape);
+        };
+        expect(mortised(2)).not.toBe(sig);
+        expect(mortised(2)).not.toBe(mortised(12));
+        // Same mortise at the other end: the part turned end for end
+        expect(mortised(2)).toBe(mortised(25));
+    });
+
+    it('compares face joinery by where it sits on the part, not just how far from its middle', () => {
+        const pocketed = (x, y, options) => {
+            const shape = part(rect(10, 6), options);
+            shape.faceData.FRONT.cutouts.push({ x, y, w: 1, h: 1, depth: 0.25 });
+            return shape;
+        };
+        // Both pockets are 2.5" from the center, on different spots
+        const marks = PartMarks.assign([pocketed(2, 2.5), pocketed(6, 0.5)]);
+        expect([...marks.values()].map(m => m.mark)).toEqual(['A', 'B']);
+
+        // A quarter turn carries the pocket to x -3.5..-2.5, y 2..3
+        expect(PartMarks.signature(pocketed(-3.5, 2, { angle: Math.PI / 2 }))).toBe(PartMarks.signature(pocketed(2, 2.5)));
+    });
+
+    it('tells an arched part from a square one, however it is turned', () => {
+        const arched = (options) => {
+            const shape = part(rect(20, 10), options);
+            shape.points[2].segment = { type: 'arc', bulge: 0.2 };
+            return shape;
+        };
+        const sig = PartMarks.signature(arched());
+        expect(PartMarks.signature(arched({ angle: 1.1, dx: 30 }))).toBe(sig);
+        expect(PartMarks.signature(part(rect(20, 10)))).not.toBe(sig);
+    });
+
+    it('treats joinery on the back as the same part flipped over', () => {
+        const front = part(rect(4, 30));
+        front.faceData.FRONT.cutouts.push({ x: 1, y: 13.5, w: 2, h: 3, depth: 0.5 });
+        const back = part(rect(4, 30));
+        back.faceData.BACK.cutouts.push({ x: 1, y: 13.5, w: 2, h: 3, depth: 0.5 });
+        expect(PartMarks.signature(back)).toBe(PartMarks.signature(front));
+    });
+
+    it('letters groups in document order and counts their parts', () => {
+        const shelves = [1, 2, 3].map(i => part(rect(10, 30), { dx: i * 40 }));
+        const leg = part(rect(2, 30));
+        const marks = PartMarks.assign([leg, ...shelves, part(rect(2, 30), { angle: Math.PI / 2 })]);
+
+        expect(marks.get(leg.id)).toMatchObject({ mark: 'A', count: 2 });
+        expect(marks.get(shelves[2].id)).toMatchObject({ mark: 'B', count: 3 });
+        expect(PartMarks.describe(marks.get(shelves[0].id))).toBe('B ×3');
+    });
+
+    it('reuses signatures until a part is modified', () => {
+        const shelf = part(rect(10, 30));
+        const spy = vi.spyOn(PartMarks, 'signature');
+        PartMarks.assign([shelf]);
+        PartMarks.assign([shelf]);
+        expect(spy).toHaveBeenCalledTimes(1);
+
+        // A pocketed shelf is no longer a copy of a plain one
+        shelf.faceData.FRONT.cutouts.push({ x: 1, y: 1, w: 2, h: 2, depth: 0.25 });
+        shelf.lastModified += 1;
+        expect(PartMarks.assign([part(rect(10, 30)), shelf]).get(shelf.id).mark).toBe('B');
+        expect(spy).toHaveBeenCalledTimes(3);
+        spy.mockRestore();
+    });
+});
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Project File
+ * Versioned JSON format for moving whole projects between browsers.
+ * Reading validates everything before a project is accepted and hands back
+ * a copy with fresh ids, so importing never collides with stored projects.
+ */
+
+import { ShapeModel } from '../core/model.js';
+import { CONFIG } from '../core/config.js';
+
+export const PROJECT_FILE_FORMAT = 'woodcut-planner-project';
+export const PROJECT_FILE_VERSION = 1;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isVector = (v) => isObject(v) && isNumber(v.x) && isNumber(v.y);
+
+const isAllowance = (v) => isNumber(v) && v >= 0;
+const isOptional = (check) => (v) => v === undefined || check(v);
+
+/** Drops the keys left undefined, so restored settings only hold what the file had. */
+const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+
+const GLUE_UP_ALLOWANCES = ['maxBoardWidth', 'joint', 'width', 'length', 'thickness'];
+
+/** FRONT, BACK, or EDGE_n for an edge the outline has. */
+const isFaceKey = (face, pointCount) => {
+    if (face === 'FRONT' || face === 'BACK') return true;
+    const m = /^EDGE_(\d+)$/.exec(face);
+    return Boolean(m) && Number(m[1]) < pointCount;
+};
+
+/** A point's optional curved edge: an arc by its bulge, or a cubic by its two handles. */
+const isSegment = (s) => s === undefined || s === null
+    || (isObject(s) && s.type === 'arc' && isNumber(s.bulge))
+    || (isObject(s) && s.type === 'cubic' && isVector(s.c1) && isVector(s.c2));
+
+export const ProjectFile = {
+    /**
+     * Wraps a project record in the versioned file envelope.
+     * @param {Object} project - { id, name, shapes, ... }
+     * @returns {string}
+     */
+    serialize: (project) => JSON.stringify({
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: structuredClone(project)
+    }, null, 2),
+
+    /**
+     * Checks a parsed file against the format.
+     * @returns {Array<string>} Problems found; empty when the file is valid.
+     */
+    validate: (data) => {
+        if (!isObject(data) || data.format !== PROJECT_FILE_FORMAT) return ['Not a project file.'];
+        if (!Number.isInteger(data.version) || data.version < 1) return ['Missing file version.'];
+        if (data.version > PROJECT_FILE_VERSION) {
+            return [`File version ${data.version} is newer than this app supports (${PROJECT_FILE_VERSION}).`];
+        }
+
+        const project = data.project;
+        if (!isObject(project)) return ['Missing project.'];
+
+        const errors = [];
+        if (typeof project.name !== 'string') errors.push('Project name must be text.');
+        if (project.settings !== undefined) errors.push(...ProjectFile.validateSettings(project.settings));
+        if (!Array.isArray(project.shapes)) return [...errors, 'Project shapes must be a list.'];
+
+        project.shapes.forEach((shape, i) => {
+            const label = `Shape ${i + 1}`;
+            if (!isObject(shape)) { errors.push(`${label} is not an object.`); return; }
+            if (shape.name !== undefined && typeof shape.name !== 'string') errors.push(`${label} has an invalid name.`);
+            if (!Array.isArray(shape.points) || shape.points.length < 3) {
+                errors.push(`${label} needs at least 3 points.`);
+            } else if (!shape.points.every(isVector)) {
+                errors.push(`${label} has invalid point coordinates.`);
+            } else if (!shape.points.every(p => isSegment(p.segment))) {
+                errors.push(`${label} has an invalid curved edge.`);
+            }
+            if (shape.thickness !== undefined && !(isNumber(shape.thickness) && shape.thickness > 0)) {
+                errors.push(`${label} has an invalid thickness.`);
+            }
+            if (shape.material !== undefined && typeof shape.material !== 'string') {
+                errors.push(`${label} has an invalid material.`);
+            }
+            if (shape.grainAngle !== undefined && !isNumber(shape.grainAngle)) {
+                errors.push(`${label} has an invalid grain angle.`);
+            }
+            if (shape.glueUp !== undefined && shape.glueUp !== null
+                && !(isObject(shape.glueUp) && Array.isArray(shape.glueUp.boardWidths) && shape.glueUp.boardWidths.every(isNumber)
+                    && GLUE_UP_ALLOWANCES.every(k => isOptional(isAllowance)(shape.glueUp[k]))
+                    && isOptional(v => typeof v === 'string')(shape.glueUp.strategy))) {
+                errors.push(`${label} has invalid glue-up settings.`);
+            }
+
+            if (shape.faceData !== undefined) {
+                if (!isObject(shape.faceData)) {
+                    errors.push(`${label} has invalid joinery data.`);
+                } else {
+                    const pointCount = Array.isArray(shape.points) ? shape.points.length : 0;
+                    Object.entries(shape.faceData).forEach(([face, data]) => {
+                        if (!isFaceKey(face, pointCount)) {
+                            errors.push(`${label} has joinery on ${face}, which it has no face for.`);
+                            return;
+                        }
+                        const items = [...(data?.tenons || []), ...(data?.cutouts || [])];
+                        const valid = isObject(data)
+                            && ['tenons', 'cutouts'].every(k => data[k] === undefined || Array.isArray(data[k]))
+                            && items.every(item => isObject(item) && ['x', 'y', 'w', 'h'].every(k => isNumber(item[k]))
+                                && ['depth', 'inset'].every(k => item[k] === null || isOptional(isNumber)(item[k])));
+                        if (!valid) errors.push(`${label} has invalid joinery on ${face}.`);
+                        const banding = isObject(data) ? data.banding : undefined;
+                        if (banding !== undefined && !(isObject(banding) && typeof banding.material === 'string' && isNumber(banding.thickness))) {
+                            errors.push(`${label} has invalid edge banding on ${face}.`);
+                        }
+                    });
+                }
+            }
+
+            if (shape.transform3D !== undefined) {
+                const t = shape.transform3D;
+                const vec = (v) => isObject(v) && ['x', 'y', 'z'].every(k => isNumber(v[k]));
+                if (!isObject(t) || !vec(t.position) || !vec(t.rotation)) errors.push(`${label} has an invalid 3D transform.`);
+            }
+        });
+        return errors;
+    },
+
+    /**
+     * Checks project settings: waste, price overrides, milling and banding allowances.
+     * @returns {Array<string>} Problems found.
+     */
+    validateSettings: (settings) => {
+        if (!isObject(settings)) return ['Project settings must be an object.'];
+        const errors = [];
+        if (!isOptional(isAllowance)(settings.waste)) errors.push('Project waste must be a number of 0 or more.');
+        if (settings.prices !== undefined
+            && !(isObject(settings.prices) && Object.values(settings.prices).every(isAllowance))) {
+            errors.push('Project prices must be numbers of 0 or more.');
+        }
+        const { milling, banding } = settings;
+        if (milling !== undefined && !(isObject(milling)
+            && ['thickness', 'width', 'length'].every(k => isOptional(isAllowance)(milling[k]))
+            && isOptional(v => typeof v === 'boolean')(milling.roundThickness))) {
+            errors.push('Project milling allowances are invalid.');
+        }
+        if (banding !== undefined && !(isObject(banding)
+            && isOptional(isAllowance)(banding.overhang)
+            && isOptional(v => typeof v === 'boolean')(banding.subtract))) {
+            errors.push('Project edge banding settings are invalid.');
+        }
+        return errors;
+    },
+
+    /**
+     * Parses and validates file text.
+     * @returns {Object} A new project record with fresh project and shape ids.
+     * @throws {Error} With every validation problem in the message.
+     */
+    parse: (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('File is not valid JSON.');
+        }
+        const errors = ProjectFile.validate(data);
+        if (errors.length > 0) throw new Error(errors.join('\n'));
+
+        const { name, settings, shapes } = structuredClone(data.project);
+        const project = {
+            id: Math.random().toString(36).substr(2, 9),
+            name,
+            shapes: shapes.map(ProjectFile.restoreShape)
+        };
+        if (settings) project.settings = ProjectFile.restoreSettings(settings);
+        return project;
+    },
+
+    /**
+     * Keeps only the settings the app knows; values are already validated.
+     */
+    restoreSettings: (stored) => {
+        const settings = {};
+        if (stored.waste !== undefined) settings.waste = stored.waste;
+        if (stored.prices) settings.prices = { ...stored.prices };
+        if (stored.milling) {
+            const { thickness, width, length, roundThickness } = stored.milling;
+            settings.milling = defined({ thickness, width, length, roundThickness });
+        }
+        if (stored.banding) {
+            const { overhang, subtract } = stored.banding;
+            settings.banding = defined({ overhang, subtract });
+        }
+        return settings;
+    },
+
+    /**
+     * Rebuilds a shape on top of fresh defaults, copying over only the known,
+     * validated fields. Ids, timestamps and view state (the active face) start fresh.
+     */
+    restoreShape: (stored) => {
+        const shape = ShapeModel.create(stored.points.map(p => ({ ...p })), stored.name || 'Imported Part');
+        shape.thickness = stored.thickness ?? CONFIG.DEFAULT_THICKNESS;
+        if (stored.material !== undefined) shape.material = stored.material;
+        if (stored.grainAngle !== undefined) shape.grainAngle = stored.grainAngle;
+        if (stored.glueUp) {
+            const { boardWidths, strategy } = stored.glueUp;
+            const allowances = Object.fromEntries(GLUE_UP_ALLOWANCES.map(k => [k, stored.glueUp[k]]));
+            shape.glueUp = defined({ boardWidths: [...boardWidths], strategy, ...allowances });
+        }
+        if (stored.transform3D) {
+            const { position, rotation } = stored.transform3D;
+            shape.transform3D = { position: { ...position }, rotation: { ...rotation } };
+        }
+
+        Object.entries(stored.faceData || {}).forEach(([face, data]) => {
+            const restored = { tenons: data.tenons || [], cutouts: data.cutouts || [] };
+            if (data.banding) restored.banding = data.banding;
+            shape.faceData[face] = restored;
+        });
+        Object.values(shape.faceData).forEach(face => {
+            [...face.tenons, ...face.cutouts].forEach(item => {
+                if (!isNumber(item.depth)) item.depth = shape.thickness;
+                if (item.inset === null) item.inset = 0;
+            });
+        });
+        return shape;
+    }
+};
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import { ProjectFile, PROJECT_FILE_FORMAT, PROJECT_FILE_VERSION } from './project-file.js';
+import { ShapeModel } from '../core/model.js';
+
+const makeProject = () => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }], 'Side');
+    shape.thickness = 0.75;
+    shape.faceData.EDGE_1.tenons.push({ x: 1, y: 0, w: 2, h: 0.5, depth: 1, inset: 0 });
+    shape.transform3D.position = { x: 5, y: 6, z: 7 };
+    return { id: 'proj1', name: 'Bookcase', shapes: [shape] };
+};
+
+describe('ProjectFile', () => {
+    it('round-trips a project with fresh ids', () => {
+        const original = makeProject();
+        const restored = ProjectFile.parse(ProjectFile.serialize(original));
+
+        expect(restored.id).not.toBe('proj1');
+        expect(restored.name).toBe('Bookcase');
+        expect(restored.shapes).toHaveLength(1);
+
+        const shape = restored.shapes[0];
+        expect(shape.id).not.toBe(original.shapes[0].id);
+        expect(shape.name).toBe('Side');
+        expect(shape.thickness).toBe(0.75);
+        expect(shape.faceData.EDGE_1.tenons).toHaveLength(1);
+        expect(shape.transform3D.position).toEqual({ x: 5, y: 6, z: 7 });
+        expect(shape.points[0].lengthToNext).toBeCloseTo(10);
+    });
+
+    it('writes the format marker and version', () => {
+        const data = JSON.parse(ProjectFile.serialize(makeProject()));
+        expect(data.format).toBe(PROJECT_FILE_FORMAT);
+        expect(data.version).toBe(PROJECT_FILE_VERSION);
+    });
+
+    it('rejects other JSON and newer versions', () => {
+        expect(() => ProjectFile.parse('{ nope')).toThrow('not valid JSON');
+        expect(() => ProjectFile.parse('{"parts": []}')).toThrow('Not a project file');
+        const future = JSON.stringify({ format: PROJECT_FILE_FORMAT, version: PROJECT_FILE_VERSION + 1, project: {} });
+        expect(() => ProjectFile.parse(future)).toThrow('newer');
+    });
+
+    it('lists every invalid shape', () => {
+        const data = JSON.parse(ProjectFile.serialize(makeProject()));
+        data.project.shapes.push({ points: [{ x: 0, y: 0 }] });
+        data.project.shapes[0].thickness = -1;
+        data.project.shapes[0].faceData.FRONT.cutouts.push({ x: 'a' });
+        data.project.shapes[0].faceData.EDGE_0.banding = { material: 'pvc' };
+        const errors = ProjectFile.validate(data);
+        expect(errors).toEqual([
+            'Shape 1 has an invalid thickness.',
+            'Shape 1 has invalid joinery on FRONT.',
+            'Shape 1 has invalid edge banding on EDGE_0.',
+            'Shape 2 needs at least 3 points.'
+        ]);
+    });
+
+    it('checks curved edges', () => {
+        const data = JSON.parse(ProjectFile.serialize(makeProject()));
+        const points = data.project.shapes[0].points;
+        points[0].segment = { type: 'arc', bulge: -0.5 };
+        points[1].segment = { type: 'cubic', c1: { x: 10, y: 0 }, c2: { x: 0, y: 10 } };
+        expect(ProjectFile.validate(data)).toEqual([]);
+
+        points[1].segment = { type: 'cubic', c1: { x: 10, y: 0 } };
+        expect(ProjectFile.validate(data)).toEqual(['Shape 1 has an invalid curved edge.']);
+    });
+
+    it('fills in defaults missing from older or hand-written files', () => {
+        const text = JSON.stringify({
+            format: PROJECT_FILE_FORMAT,
+            version: 1,
+            project: { name: 'Minimal', shapes: [{ points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }], faceData: { FRONT: { cutouts: [{ x: 0, y: 0, w: 1, h: 1 }] } } }] }
+        });
+        const shape = ProjectFile.parse(text).shapes[0];
+        expect(shape.faceData.FRONT.tenons).toEqual([]);
+        expect(shape.faceData.FRONT.cutouts[0].depth).toBe(shape.thickness);
+        expect(shape.faceData.EDGE_2).toEqual({ tenons: [], cutouts: [] });
+        expect(shape.transform3D.rotation).toEqual({ x: 0, y: 0, z: 0 });
+    });
+
+    it('rejects joinery on faces the part does not have', () => {
+        const data = JSON.parse(ProjectFile.serialize(makeProject()));
+        data.project.shapes[0].faceData.EDGE_99 = { tenons: [{ x: 0, y: 0, w: 1, h: 1 }], cutouts: [] };
+        data.project.shapes[0].faceData.TOP = { tenons: [], cutouts: [] };
+        expect(ProjectFile.validate(data)).toEqual([
+            'Shape 1 has joinery on EDGE_99, which it has no face for.',
+            'Shape 1 has joinery on TOP, which it has no face for.'
+        ]);
+    });
+
+    it('copies only known shape fields and starts view state fresh', () => {
+        const data = JSON.parse(ProjectFile.serialize(makeProject()));
+        Object.assign(data.project.shapes[0], { activeFace: 'EDGE_99', closed: false, lastModified: 'yesterday', extra: { big: true } });
+        data.project.shapes[0].glueUp = { boardWidths: [5.5], strategy: 'same', note: 'x' };
+        const shape = ProjectFile.parse(JSON.stringify(data)).shapes[0];
+
+        expect(shape.activeFace).toBe('FRONT');
+        expect(shape.closed).toBe(true);
+        expect(typeof shape.lastModified).toBe('number');
+        expect(shape.extra).toBeUndefined();
+        expect(shape.glueUp).toEqual({ boardWidths: [5.5], strategy: 'same' });
+        expect(shape.faceData.EDGE_1.tenons).toHaveLength(1);
+    });
+
+    it('checks and keeps only the known project settings', () => {
+        const data = JSON.parse(ProjectFile.serialize(makeProject()));
+        data.project.settings = { waste: -1, prices: { pine: 'cheap' }, milling: { width: 'a' }, banding: { subtract: 'yes' } };
+        expect(ProjectFile.validate(data)).toEqual([
+            'Project waste must be a number of 0 or more.',
+            'Project prices must be numbers of 0 or more.',
+            'Project milling allowances are invalid.',
+            'Project edge banding settings are invalid.'
+        ]);
+
+        data.project.settings = { waste: 0.2, prices: { pine: 5 }, milling: { width: 0.5 }, banding: { overhang: 2 }, theme: 'dark' };
+        expect(ProjectFile.parse(JSON.stringify(data)).settings).toEqual({
+            waste: 0.2, prices: { pine: 5 }, milling: { width: 0.5 }, banding: { overhang: 2 }
+        });
+    });
+});
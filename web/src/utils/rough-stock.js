@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Rough Stock
+ * How much lumber a part really takes, as opposed to the volume of the
+ * finished part.
+ *
+ * THEORY: A part is milled from a rectangular block. The block has to hold
+ * the outline, every edge tenon standing proud of an edge and every face
+ * tenon standing off a face. Rough lumber then needs extra all round for
+ * jointing, planing and squaring the ends, and is sold in quarter-inch
+ * thicknesses (4/4, 5/4, 8/4...), so the rough thickness is rounded up.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Nesting } from './nesting.js';
+
+export const MILLING_DEFAULTS = {
+    thickness: 0.25,        // 4/4 rough planes to 3/4"
+    width: 0.25,            // Jointing both edges
+    length: 1,              // Squaring both ends, snipe
+    roundThickness: true    // Up to the next quarter (4/4, 5/4, 6/4...)
+};
+
+const EPS = 1e-9;
+
+export const RoughStock = {
+    /**
+     * Milling allowances of a project, filled in with defaults.
+     */
+    settings: (project) => ({ ...MILLING_DEFAULTS, ...(project?.settings?.milling || {}) }),
+
+    /**
+     * The finished block a part is milled from, tenons included.
+     * @returns {{thickness: number, width: number, length: number}} Inches; length ≥ width.
+     */
+    block: (shape) => {
+        const { length, width } = Nesting.footprint(shape);
+        const thickness = shape.thickness || CONFIG.DEFAULT_THICKNESS;
+
+        // Through the thickness the part spans 0..T from the front face;
+        // front tenons stand off from their inset, back tenons mirror that,
+        // edge tenons sit across the thickness at their inset.
+        let min = 0, max = thickness;
+        Object.entries(shape.faceData || {}).forEach(([face, data]) => {
+            (data?.tenons || []).forEach(t => {
+                const inset = t.inset || 0;
+                if (face === 'FRONT') {
+                    max = Math.max(max, inset + (t.depth || 0));
+                } else if (face === 'BACK') {
+                    min = Math.min(min, thickness - inset - (t.depth || 0));
+                } else {
+                    min = Math.min(min, inset);
+                    max = Math.max(max, inset + (t.h || 0));
+                }
+            });
+        });
+        return { thickness: max - min, width, length };
+    },
+
+    /**
+     * Volume of the finished part: outline × thickness, plus tenons, less cutouts.
+     * @returns {number} Cubic inches.
+     */
+    netVolume: (shape) => {
+        const thickness = shape.thickness || CONFIG.DEFAULT_THICKNESS;
+        let volume = Nesting.footprint(shape).area * thickness;
+        Object.entries(shape.faceData || {}).forEach(([face, data]) => {
+            const isFace = face === 'FRONT' || face === 'BACK';
+            (data?.tenons || []).forEach(t => { volume += t.w * t.h * (t.depth || 0); });
+            (data?.cutouts || []).forEach(c => {
+                const depth = isFace ? Math.min(c.depth || 0, thickness) : (c.depth || 0);
+                volume -= c.w * c.h * depth;
+            });
+        });
+        return Math.max(0, volume);
+    },
+
+    /**
+     * Net and rough material for one part.
+     * @param {Object} shape
+     * @param {Object} [milling] - Allowances as in MILLING_DEFAULTS.
+     * @returns {{block: Object, rough: Object, netBoardFeet: number, roughBoardFeet: number}}
+     */
+    measure: (shape, milling = MILLING_DEFAULTS) => {
+        const block = RoughStock.block(shape);
+        const allow = { ...MILLING_DEFAULTS, ...milling };
+        let thickness = block.thickness + allow.thickness;
+        if (allow.roundThickness) thickness = Math.ceil(thickness * 4 - EPS) / 4;
+        const rough = { thickness, width: block.width + allow.width, length: block.length + allow.length };
+
+        return {
+            block,
+            rough,
+            netBoardFeet: RoughStock.netVolume(shape) / 144,
+            roughBoardFeet: (rough.thickness * rough.width * rough.length) / 144
+        };
+    },
+
+    /**
+     * Project totals.
+     * @param {Array<Object>} shapes
+     * @param {Object} [milling]
+     * @param {function(Object): boolean} [isRough] - Which parts are bought as rough lumber
+     *   (e.g. not sheet goods); the others count towards net only.
+     * @returns {{net: number, rough: number}} Board feet.
+     */
+    totals: (shapes, milling, isRough = () => true) => {
+        const totals = { net: 0, rough: 0 };
+        shapes.filter(s => s.points && s.points.length >= 3).forEach(shape => {
+            const m = RoughStock.measure(shape, milling);
+            totals.net += m.netBoardFeet;
+            if (isRough(shape)) totals.rough += m.roughBoardFeet;
+        });
+        return totals;
+    }
+};
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { RoughStock, MILLING_DEFAULTS } from './rough-stock.js';
+import { ShapeModel, TenonModel, CutoutModel } from '../core/model.js';
+
+// width × length in inches (world px at 10 px/in), first edge along the top
+const part = (width, length, thickness) => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }]);
+    shape.thickness = thickness;
+    return shape;
+};
+
+describe('RoughStock', () => {
+    it('sizes the block from the outline when there is no joinery', () => {
+        expect(RoughStock.block(part(4, 30, 0.75))).toEqual({ thickness: 0.75, width: 4, length: 30 });
+    });
+
+    it('grows the block for edge tenons and tenons standing off a face', () => {
+        const rail = part(4, 30, 0.75);
+        rail.faceData.EDGE_0.tenons.push(TenonModel.create(0.5, 0, 3, 0.25, 1.25, 0.25));
+        rail.faceData.FRONT.tenons.push(TenonModel.create(1, 1, 2, 2, 1.5, 0));
+
+        const block = RoughStock.block(rail);
+        expect(block.length).toBeCloseTo(31.25);
+        expect(block.width).toBeCloseTo(4);
+        expect(block.thickness).toBeCloseTo(1.5);
+    });
+
+    it('adds milling allowances and buys thickness in quarters', () => {
+        const { rough, roughBoardFeet } = RoughStock.measure(part(4, 30, 0.8));
+        expect(rough.thickness).toBe(1.25);
+        expect(rough.width).toBeCloseTo(4 + MILLING_DEFAULTS.width);
+        expect(rough.length).toBeCloseTo(30 + MILLING_DEFAULTS.length);
+        expect(roughBoardFeet).toBeCloseTo((1.25 * 4.25 * 31) / 144);
+
+        const exact = RoughStock.measure(part(4, 30, 0.8), { roundThickness: false });
+        expect(exact.rough.thickness).toBeCloseTo(1.05);
+    });
+
+    it('counts tenons and removes cutouts from the net volume', () => {
+        const panel = part(12, 12, 1);
+        panel.faceData.EDGE_1.tenons.push(TenonModel.create(0, 0, 12, 0.5, 1, 0.25));
+        panel.faceData.FRONT.cutouts.push(CutoutModel.create(2, 2, 2, 2, 3)); // Through: only 1" deep counts
+
+        // 144 + 6 - 4 cubic inches
+        expect(RoughStock.netVolume(panel)).toBeCloseTo(146);
+        expect(RoughStock.measure(panel).netBoardFeet).toBeCloseTo(146 / 144);
+    });
+
+    it('totals net for every part and rough for the chosen ones', () => {
+        const shapes = [part(12, 12, 1), part(12, 12, 1)];
+        const milling = { thickness: 0, width: 0, length: 0, roundThickness: false };
+        expect(RoughStock.totals(shapes, milling)).toEqual({ net: 2, rough: 2 });
+        expect(RoughStock.totals(shapes, milling, s => s === shapes[0])).toEqual({ net: 2, rough: 1 });
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Linear Stock Cutting
+ * Works out which boards to buy for solid-wood parts: each part is matched to
+ * the smallest stock profile of its species it can be milled from, then the
+ * parts of each profile are cut from standard board lengths. Sheet goods are
+ * left to sheet nesting.
+ *
+ * THEORY: First Fit Decreasing, then downsizing.
+ * Parts are taken longest first and go on the first board with room left,
+ * opening a board of the longest length when none has. Once every part is
+ * placed, each board is swapped for the shortest stock length that still
+ * holds its cuts. FFD stays within about 11/9 of the optimum board count.
+ *
+ * Kerf is handled as in sheet nesting: every cut takes its length plus one
+ * kerf, and the usable length gets one kerf back for the last cut.
+ */
+
+import { GlueUp } from './glue-up.js';
+import { Materials } from './materials.js';
+import { Offcuts } from './offcuts.js';
+
+/** Standard board lengths, inches (8', 10', 12'). */
+export const STOCK_LENGTHS = [96, 120, 144];
+
+export const STOCK_CUTTING_DEFAULTS = {
+    kerf: 0.125,
+    trim: 1         // Cut off each end of a board (checks, snipe)
+};
+
+const EPS = 1e-6;
+
+export const StockCutting = {
+    /**
+     * The smallest stock profile a part fits in: thinnest first, then narrowest.
+     * Species match loosely, and a blank species on either side matches any.
+     * @param {{thickness: number, width: number, species?: string}} part
+     * @param {Array<{name: string, width: number, thickness: number, species?: string}>} profiles
+     * @returns {Object|null}
+     */
+    matchProfile: (part, profiles) => {
+        const fits = profiles.filter(p => p.thickness >= part.thickness - EPS && p.width >= part.width - EPS
+            && Offcuts.sameSpecies(p.species, part.species));
+        fits.sort((a, b) => (a.thickness - b.thickness) || (a.width - b.width));
+        return fits[0] || null;
+    },
+
+    /**
+     * Packs part lengths onto boards.
+     * @param {Array<{length: number}>} parts - Anything with a length in inches.
+     * @param {Object} options
+     * @param {Array<number>} [options.lengths] - Available board lengths, inches.
+     * @param {number} [options.kerf]
+     * @param {number} [options.trim] - Removed from each end of every board.
+     * @returns {{boards: Array<{length: number, cuts: Array<Object>, used: number, offcut: number}>, unplaced: Array<Object>}}
+     *   `used` includes kerfs and trim; `offcut` is what is left over at the end.
+     */
+    cut: (parts, { lengths = STOCK_LENGTHS, kerf = STOCK_CUTTING_DEFAULTS.kerf, trim = STOCK_CUTTING_DEFAULTS.trim } = {}) => {
+        const sizes = [...lengths].filter(l => l > 0).sort((a, b) => a - b);
+        const capacity = (length) => length - trim * 2 + kerf;
+        const longest = sizes[sizes.length - 1] || 0;
+
+        const boards = [];
+        const unplaced = [];
+        [...parts].sort((a, b) => b.length - a.length).forEach(part => {
+            const need = part.length + kerf;
+            if (need > capacity(longest) + EPS) {
+                unplaced.push(part);
+                return;
+            }
+            let board = boards.find(b => b.load + need <= capacity(longest) + EPS);
+            if (!board) {
+                board = { cuts: [], load: 0 };
+                boards.push(board);
+            }
+            board.cuts.push(part);
+            board.load += need;
+        });
+
+        return {
+            boards: boards.map(({ cuts, load }) => {
+                const length = sizes.find(l => load <= capacity(l) + EPS);
+                const used = load - kerf + trim * 2;
+                return { length, cuts, used, offcut: Math.max(0, length - used - kerf) };
+            }),
+            unplaced
+        };
+    },
+
+    /**
+     * Plans the solid-wood parts of a project: matches parts to profiles and cuts
+     * each profile's parts from boards. Glued-up parts are bought as their blanks.
+     * @param {Array<Object>} shapes
+     * @param {Array<{name: string, width: number, thickness: number, lengths?: Array<number>}>} profiles
+     *   Stock items; their own lengths take precedence over `options.lengths`.
+     * @param {Object} options - As for `cut`.
+     * @returns {{groups: Array<{profile: Object, boards: Array, unplaced: Array, counts: Object, linearFeet: number}>,
+     *   unmatched: Array<Object>}} `counts` maps board length to how many to buy.
+     *   Pieces carry the `species` of their part.
+     */
+    plan: (shapes, profiles, options = {}) => {
+        const solid = shapes.filter(Materials.isSolidWood);
+        const species = new Map(solid.map(s => [s.id, Offcuts.speciesOf(s)]));
+        const byProfile = new Map();
+        const unmatched = [];
+        GlueUp.pieces(solid).forEach(piece => {
+            const part = { ...piece, species: species.get(piece.shapeId || piece.id) };
+            const profile = StockCutting.matchProfile(part, profiles);
+            if (!profile) { unmatched.push(part); return; }
+            if (!byProfile.has(profile)) byProfile.set(profile, []);
+            byProfile.get(profile).push(part);
+        });
+
+        const groups = profiles.filter(p => byProfile.has(p)).map(profile => {
+            const lengths = profile.lengths?.length ? profile.lengths : options.lengths;
+            const { boards, unplaced } = StockCutting.cut(byProfile.get(profile), { ...options, lengths });
+            const counts = {};
+            boards.forEach(b => { counts[b.length] = (counts[b.length] || 0) + 1; });
+            const linearFeet = boards.reduce((sum, b) => sum + b.length, 0) / 12;
+            return { profile, boards, unplaced, counts, linearFeet };
+        });
+        return { groups, unmatched };
+    }
+};
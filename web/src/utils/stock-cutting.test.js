@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import { StockCutting } from './stock-cutting.js';
+import { ShapeModel } from '../core/model.js';
+
+const PROFILES = [
+    { name: '2x4', width: 3.5, thickness: 1.5 },
+    { name: '1x4', width: 3.5, thickness: 0.75 },
+    { name: '1x6', width: 5.5, thickness: 0.75 }
+];
+
+// width × length in inches (world px at 10 px/in)
+const part = (width, length, thickness, name) => {
+    const shape = ShapeModel.create([{ x: 0, y: 0 }, { x: width * 10, y: 0 }, { x: width * 10, y: length * 10 }, { x: 0, y: length * 10 }], name);
+    shape.thickness = thickness;
+    return shape;
+};
+
+describe('StockCutting', () => {
+    it('matches a part to the smallest profile it can be milled from', () => {
+        expect(StockCutting.matchProfile({ width: 3, thickness: 0.75 }, PROFILES).name).toBe('1x4');
+        expect(StockCutting.matchProfile({ width: 5, thickness: 0.5 }, PROFILES).name).toBe('1x6');
+        expect(StockCutting.matchProfile({ width: 3.5, thickness: 1 }, PROFILES).name).toBe('2x4');
+        expect(StockCutting.matchProfile({ width: 7, thickness: 0.75 }, PROFILES)).toBeNull();
+    });
+
+    it('matches species, with a blank species fitting any', () => {
+        const stock = [
+            { name: '1x4 Oak', width: 3.5, thickness: 0.75, species: 'Red Oak' },
+            { name: '1x6 Pine', width: 5.5, thickness: 0.75, species: 'Pine' }
+        ];
+        expect(StockCutting.matchProfile({ width: 3, thickness: 0.75, species: 'Pine' }, stock).name).toBe('1x6 Pine');
+        expect(StockCutting.matchProfile({ width: 3, thickness: 0.75, species: 'Red Oak' }, stock).name).toBe('1x4 Oak');
+        expect(StockCutting.matchProfile({ width: 3, thickness: 0.75, species: 'Walnut' }, stock)).toBeNull();
+        expect(StockCutting.matchProfile({ width: 3, thickness: 0.75 }, stock).name).toBe('1x4 Oak');
+    });
+
+    it('packs longest first and downsizes each board', () => {
+        const parts = [30, 30, 30, 30, 60].map((length, i) => ({ name: `P${i}`, length }));
+        const { boards } = StockCutting.cut(parts, { lengths: [96, 120, 144], kerf: 0.125, trim: 1 });
+
+        // 60 + 3 × 30 + 4 kerfs = 150.5 > 142 usable on a 12' board: two boards
+        expect(boards).toHaveLength(2);
+        expect(boards[0].cuts.map(c => c.length)).toEqual([60, 30, 30]);
+        expect(boards[0].length).toBe(144);
+        // The two leftover 30" parts fit on the shortest board
+        expect(boards[1].length).toBe(96);
+        expect(boards[1].used).toBeCloseTo(62.125);
+        expect(boards[1].offcut).toBeCloseTo(96 - 62.125 - 0.125);
+    });
+
+    it('accounts for kerf and trim when a board is exactly full', () => {
+        // 2 × 47" + 1/8 kerf + 2 × 1/2" trim = 95 1/8"
+        const fits = StockCutting.cut([{ length: 47 }, { length: 47 }], { lengths: [96], kerf: 0.125, trim: 0.5 });
+        expect(fits.boards).toHaveLength(1);
+        const tight = StockCutting.cut([{ length: 47.5 }, { length: 47.5 }], { lengths: [96], kerf: 0.125, trim: 0.5 });
+        expect(tight.boards).toHaveLength(2);
+    });
+
+    it('reports parts longer than any board', () => {
+        const { boards, unplaced } = StockCutting.cut([{ name: 'Beam', length: 150 }], { lengths: [96, 144], kerf: 0, trim: 0 });
+        expect(boards).toHaveLength(0);
+        expect(unplaced.map(p => p.name)).toEqual(['Beam']);
+    });
+
+    it('plans a project per profile with a buying count', () => {
+        const shapes = [
+            part(3, 40, 0.75, 'Rail'), part(3, 40, 0.75, 'Rail'),
+            part(3.5, 30, 1.5, 'Leg'),
+            part(20, 30, 0.75, 'Panel')
+        ];
+        const { groups, unmatched } = StockCutting.plan(shapes, PROFILES, { lengths: [96, 120], kerf: 0.125, trim: 1 });
+        expect(groups.map(g => g.profile.name)).toEqual(['2x4', '1x4']);
+        expect(groups[1].counts).toEqual({ 96: 1 });
+        expect(groups[1].linearFeet).toBe(8);
+        expect(unmatched.map(p => p.name)).toEqual(['Panel']);
+    });
+
+    it('plans solid wood only, by species', () => {
+        const stock = [
+            { name: '1x4 Oak', width: 3.5, thickness: 0.75, species: 'Red Oak' },
+            { name: '1x4 Pine', width: 3.5, thickness: 0.75, species: 'Pine' }
+        ];
+        const rail = part(3, 40, 0.75, 'Rail');
+        rail.material = 'red-oak';
+        const shelf = part(3, 40, 0.75, 'Shelf');
+        shelf.material = 'plywood';
+        const walnut = part(3, 40, 0.75, 'Stretcher');
+        walnut.material = 'walnut';
+
+        const { groups, unmatched } = StockCutting.plan([rail, shelf, walnut], stock, { lengths: [96], kerf: 0.125, trim: 1 });
+        expect(groups.map(g => g.profile.name)).toEqual(['1x4 Oak']);
+        expect(groups[0].boards[0].cuts.map(c => c.name)).toEqual(['Rail']);
+        expect(unmatched.map(p => `${p.name} ${p.species}`)).toEqual(['Stretcher Black Walnut']);
+    });
+
+    it('buys glued-up parts as their blanks', () => {
+        const top = part(20, 30, 0.75, 'Top');
+        top.glueUp = { boardWidths: [5.5], thickness: 0 };
+        const { groups, unmatched } = StockCutting.plan([top], PROFILES, { lengths: [96], kerf: 0.125, trim: 1 });
+        expect(unmatched).toHaveLength(0);
+        expect(groups[0].profile.name).toBe('1x6');
+        // Four 31" blanks: three to an 8' board
+        expect(groups[0].boards[0].cuts.map(c => c.name)).toEqual(['Top (board 1 of 4)', 'Top (board 2 of 4)', 'Top (board 3 of 4)']);
+        expect(groups[0].counts).toEqual({ 96: 2 });
+    });
+
+    it('buys each profile in the lengths it is sold in', () => {
+        const profiles = [{ ...PROFILES[1], lengths: [144] }, PROFILES[0]];
+        const shapes = [part(3, 40, 0.75, 'Rail'), part(3.5, 30, 1.5, 'Leg')];
+        const { groups } = StockCutting.plan(shapes, profiles, { lengths: [96], kerf: 0.125, trim: 1 });
+        expect(groups.map(g => g.counts)).toEqual([{ 144: 1 }, { 96: 1 }]);
+    });
+});
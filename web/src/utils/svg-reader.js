@@ -0,0 +1,379 @@
+/**
+ * @fileoverview SVG Reader
+ * Parses the outlines of an SVG drawing (path, polygon, polyline, rect,
+ * circle, ellipse) into closed polygons at true scale. Curves are flattened
+ * to a tolerance, transforms are applied, and the root width/height/viewBox
+ * decide how many inches a user unit is. Output is in inches, Y down.
+ * Every closed subpath becomes its own outline; nesting is not interpreted.
+ * Nested <svg> elements are placed by their own viewport and viewBox, though
+ * what lies outside their viewport is not clipped.
+ */
+
+import { Geometry } from './geometry.js';
+import { Curves } from './curves.js';
+
+/** Inches per unit for SVG/CSS lengths. Unitless lengths are CSS pixels. */
+const UNIT_INCHES = { '': 1 / 96, px: 1 / 96, in: 1, mm: 1 / 25.4, cm: 1 / 2.54, pt: 1 / 72, pc: 1 / 6 };
+
+const SHAPE_TAGS = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse'];
+
+/** Containers whose children are never drawn directly. */
+const HIDDEN_TAGS = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker', 'metadata'];
+
+const NUMBER = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/;
+
+/** 2D affine matrices as [a, b, c, d, e, f] (SVG matrix() order). */
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const multiply = (m, n) => [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+];
+const apply = (m, p) => ({ x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] });
+
+/** An element's viewBox as [x, y, width, height], or null when missing or empty. */
+const viewBoxOf = (el) => {
+    const v = (el.getAttribute('viewBox') || '').split(/[\s,]+/).filter(Boolean).map(parseFloat);
+    return v.length === 4 && v[2] > 0 && v[3] > 0 ? v : null;
+};
+
+export const SvgReader = {
+    /**
+     * Parses a CSS length ('210mm', '8.5in', '300') into inches.
+     * @returns {number|null} Null for missing or relative (%) lengths.
+     */
+    parseLength: (value) => {
+        const m = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-z]*)\s*$/i.exec(value || '');
+        if (!m) return null;
+        const unit = UNIT_INCHES[m[2].toLowerCase()];
+        return unit === undefined ? null : parseFloat(m[1]) * unit;
+    },
+
+    /**
+     * Parses a transform attribute into a single matrix.
+     */
+    parseTransform: (value) => {
+        let m = IDENTITY;
+        const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = re.exec(value || '')) !== null) {
+            const args = match[2].split(/[\s,]+/).filter(Boolean).map(parseFloat);
+            const rad = (deg) => deg * Math.PI / 180;
+            let t = IDENTITY;
+            switch (match[1]) {
+                case 'matrix': t = args.length === 6 ? args : IDENTITY; break;
+                case 'translate': t = [1, 0, 0, 1, args[0] || 0, args[1] || 0]; break;
+                case 'scale': t = [args[0], 0, 0, args[1] ?? args[0], 0, 0]; break;
+                case 'rotate': {
+                    const a = rad(args[0] || 0), cos = Math.cos(a), sin = Math.sin(a);
+                    t = [cos, sin, -sin, cos, 0, 0];
+                    if (args.length === 3) {
+                        t = multiply(multiply([1, 0, 0, 1, args[1], args[2]], t), [1, 0, 0, 1, -args[1], -args[2]]);
+                    }
+                    break;
+                }
+                case 'skewX': t = [1, 0, Math.tan(rad(args[0] || 0)), 1, 0, 0]; break;
+                case 'skewY': t = [1, Math.tan(rad(args[0] || 0)), 0, 1, 0, 0]; break;
+            }
+            m = multiply(m, t);
+        }
+        return m;
+    },
+
+    /**
+     * Flattens path data into subpaths (user units, before transforms).
+     * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>}
+     */
+    parsePath: (d, tolerance) => {
+        const subpaths = [];
+        let i = 0;
+        const skip = () => { while (i < d.length && /[\s,]/.test(d[i])) i++; };
+        const number = () => {
+            skip();
+            const m = NUMBER.exec(d.slice(i));
+            if (!m) throw new Error(`Bad path data near "${d.slice(i, i + 10)}"`);
+            i += m[0].length;
+            return parseFloat(m[0]);
+        };
+        // Arc flags may be packed without separators ("a1 1 0 011 1")
+        const flag = () => {
+            skip();
+            const c = d[i++];
+            if (c !== '0' && c !== '1') throw new Error('Bad arc flag in path data');
+            return c === '1';
+        };
+
+        let current = null;
+        let cur = { x: 0, y: 0 }, start = { x: 0, y: 0 };
+        let lastControl = null, lastCommand = '';
+
+        const finish = (closed) => {
+            if (current && current.points.length > 1) subpaths.push({ points: current.points, closed });
+            current = null;
+        };
+        const lineTo = (p) => { current.points.push(p); cur = p; };
+
+        while (true) {
+            skip();
+            if (i >= d.length) break;
+
+            let cmd = d[i];
+            if (/[a-zA-Z]/.test(cmd)) i++;
+            else if (lastCommand) cmd = lastCommand === 'M' ? 'L' : (lastCommand === 'm' ? 'l' : lastCommand);
+            else throw new Error('Path data must start with a moveto');
+
+            const rel = cmd === cmd.toLowerCase();
+            const at = (x, y) => rel ? { x: cur.x + x, y: cur.y + y } : { x, y };
+            const upper = cmd.toUpperCase();
+
+            if (upper !== 'M' && upper !== 'Z' && !current) current = { points: [{ ...cur }] };
+
+            switch (upper) {
+                case 'M': {
+                    finish(false);
+                    cur = at(number(), number());
+                    start = cur;
+                    current = { points: [cur] };
+                    break;
+                }
+                case 'L': lineTo(at(number(), number())); break;
+                case 'H': { const x = number(); lineTo({ x: rel ? cur.x + x : x, y: cur.y }); break; }
+                case 'V': { const y = number(); lineTo({ x: cur.x, y: rel ? cur.y + y : y }); break; }
+                case 'C':
+                case 'S': {
+                    let c1;
+                    if (upper === 'C') c1 = at(number(), number());
+                    else c1 = lastControl && 'CS'.includes(lastCommand.toUpperCase())
+                        ? { x: 2 * cur.x - lastControl.x, y: 2 * cur.y - lastControl.y } : { ...cur };
+                    const c2 = at(number(), number());
+                    const end = at(number(), number());
+                    current.points.push(...Curves.flattenCubic(cur, c1, c2, end, tolerance));
+                    cur = end;
+                    lastControl = c2;
+                    break;
+                }
+                case 'Q':
+                case 'T': {
+                    let c;
+                    if (upper === 'Q') c = at(number(), number());
+                    else c = lastControl && 'QT'.includes(lastCommand.toUpperCase())
+                        ? { x: 2 * cur.x - lastControl.x, y: 2 * cur.y - lastControl.y } : { ...cur };
+                    const end = at(number(), number());
+                    current.points.push(...Curves.flattenQuadratic(cur, c, end, tolerance));
+                    cur = end;
+                    lastControl = c;
+                    break;
+                }
+                case 'A': {
+                    const rx = number(), ry = number(), rotation = number();
+                    const largeArc = flag(), sweep = flag();
+                    const end = at(number(), number());
+                    current.points.push(...Curves.flattenSvgArc(cur, end, rx, ry, rotation, largeArc, sweep, tolerance));
+                    cur = end;
+                    break;
+                }
+                case 'Z': {
+                    finish(true);
+                    cur = start;
+                    break;
+                }
+                default:
+                    throw new Error(`Unknown path command "${cmd}"`);
+            }
+
+            if (!'CSQT'.includes(upper)) lastControl = null;
+            // Numbers after a command repeat it; nothing may follow Z except a new command
+            lastCommand = upper === 'Z' ? '' : cmd;
+        }
+        finish(false);
+        return subpaths;
+    },
+
+    /**
+     * Outline of one basic element, in its own user units.
+     * @returns {Array<{points: Array<{x: number, y: number}>, closed: boolean}>}
+     */
+    elementPaths: (el, tolerance) => {
+        const num = (name, fallback = 0) => {
+            const v = parseFloat(el.getAttribute(name));
+            return Number.isNaN(v) ? fallback : v;
+        };
+        const pointList = () => {
+            const values = (el.getAttribute('points') || '').split(/[\s,]+/).filter(Boolean).map(parseFloat);
+            const pts = [];
+            for (let k = 0; k + 1 < values.length; k += 2) pts.push({ x: values[k], y: values[k + 1] });
+            return pts;
+        };
+
+        switch (el.localName) {
+            case 'path':
+                return SvgReader.parsePath(el.getAttribute('d') || '', tolerance);
+            case 'polygon':
+                return [{ points: pointList(), closed: true }];
+            case 'polyline':
+                return [{ points: pointList(), closed: false }];
+            case 'circle':
+            case 'ellipse': {
+                const rx = el.localName === 'circle' ? num('r') : num('rx');
+                const ry = el.localName === 'circle' ? num('r') : num('ry');
+                if (rx <= 0 || ry <= 0) return [];
+                const points = Curves.flattenEllipse({ x: num('cx'), y: num('cy') }, rx, ry, 0, 0, Math.PI * 2, tolerance);
+                points.pop();
+                return [{ points, closed: true }];
+            }
+            case 'rect': {
+                const x = num('x'), y = num('y'), w = num('width'), h = num('height');
+                if (w <= 0 || h <= 0) return [];
+                // Rounded corners: a missing radius copies the other one (SVG spec)
+                let rx = el.hasAttribute('rx') ? num('rx') : num('ry');
+                let ry = el.hasAttribute('ry') ? num('ry') : rx;
+                rx = Math.min(Math.max(rx, 0), w / 2);
+                ry = Math.min(Math.max(ry, 0), h / 2);
+                if (rx === 0 || ry === 0) {
+                    return [{ points: [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }], closed: true }];
+                }
+                const corner = (cx, cy, startAngle) =>
+                    Curves.flattenEllipse({ x: cx, y: cy }, rx, ry, 0, startAngle, Math.PI / 2, tolerance);
+                const points = [
+                    ...corner(x + w - rx, y + ry, -Math.PI / 2),
+                    ...corner(x + w - rx, y + h - ry, 0),
+                    ...corner(x + rx, y + h - ry, Math.PI / 2),
+                    ...corner(x + rx, y + ry, Math.PI)
+                ];
+                return [{ points, closed: true }];
+            }
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Inches per root user unit, from the root width/height and viewBox.
+     */
+    rootScale: (svg) => {
+        const viewBox = viewBoxOf(svg);
+        const width = SvgReader.parseLength(svg.getAttribute('width'));
+        const height = SvgReader.parseLength(svg.getAttribute('height'));
+
+        if (!viewBox) return UNIT_INCHES.px;
+        const sx = width !== null ? width / viewBox[2] : null;
+        const sy = height !== null ? height / viewBox[3] : null;
+        // preserveAspectRatio defaults to "meet": the smaller scale wins
+        if (sx !== null && sy !== null) return Math.min(sx, sy);
+        return sx ?? sy ?? UNIT_INCHES.px;
+    },
+
+    /**
+     * Size of the root viewport in user units, for percentages in nested
+     * <svg> elements.
+     * @returns {{w: number, h: number}|null} Null when the file doesn't say.
+     */
+    rootViewport: (svg) => {
+        const viewBox = viewBoxOf(svg);
+        if (viewBox) return { w: viewBox[2], h: viewBox[3] };
+        const width = SvgReader.parseLength(svg.getAttribute('width'));
+        const height = SvgReader.parseLength(svg.getAttribute('height'));
+        return width !== null && height !== null ? { w: width / UNIT_INCHES.px, h: height / UNIT_INCHES.px } : null;
+    },
+
+    /**
+     * Placement of a nested <svg>: its x/y/width/height viewport in the
+     * parent's user units, with its viewBox fitted in as preserveAspectRatio
+     * says (default xMidYMid meet).
+     * @param {Element} el
+     * @param {{w: number, h: number}|null} parent - Parent viewport in user units.
+     * @returns {{matrix: Array<number>, viewport: {w: number, h: number}|null}|null}
+     *   Null when the viewport is empty, which hides the element.
+     */
+    viewportTransform: (el, parent) => {
+        const viewBox = viewBoxOf(el);
+        const length = (name, of, fallback) => {
+            const value = (el.getAttribute(name) || '').trim();
+            if (value.endsWith('%')) return of !== null ? parseFloat(value) / 100 * of : fallback;
+            const inches = SvgReader.parseLength(value);
+            return inches === null ? fallback : inches / UNIT_INCHES.px;
+        };
+        const x = length('x', parent?.w ?? null, 0);
+        const y = length('y', parent?.h ?? null, 0);
+        // Width and height default to 100%; without a known parent size, to the viewBox (scale 1)
+        const w = length('width', parent?.w ?? null, parent?.w ?? viewBox?.[2] ?? null);
+        const h = length('height', parent?.h ?? null, parent?.h ?? viewBox?.[3] ?? null);
+        if (w !== null && w <= 0 || h !== null && h <= 0) return null;
+
+        if (!viewBox || w === null || h === null) {
+            return { matrix: [1, 0, 0, 1, x, y], viewport: w !== null && h !== null ? { w, h } : null };
+        }
+        const [vx, vy, vw, vh] = viewBox;
+        const [align, fit = 'meet'] = (el.getAttribute('preserveAspectRatio') || 'xMidYMid meet').trim().split(/\s+/);
+        let sx = w / vw, sy = h / vh;
+        if (align !== 'none') sx = sy = fit === 'slice' ? Math.max(sx, sy) : Math.min(sx, sy);
+        const fx = align.includes('xMid') ? 0.5 : (align.includes('xMax') ? 1 : 0);
+        const fy = align.includes('YMid') ? 0.5 : (align.includes('YMax') ? 1 : 0);
+        return {
+            matrix: [sx, 0, 0, sy, x + (w - vw * sx) * fx - vx * sx, y + (h - vh * sy) * fy - vy * sy],
+            viewport: { w: vw, h: vh }
+        };
+    },
+
+    /**
+     * Reads an SVG document into outlines.
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {number} [options.tolerance] - Chord tolerance in inches.
+     * @returns {{outlines: Array<{points: Array, holes: Array, name: string|null}>, openPaths: number, skipped: Object<string, number>}}
+     */
+    read: (text, { tolerance = 0.01 } = {}) => {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || svg.localName !== 'svg' || doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Not an SVG document');
+        }
+
+        const inchesPerUnit = SvgReader.rootScale(svg);
+        const outlines = [];
+        const skipped = {};
+        let openPaths = 0;
+
+        const walk = (node, matrix, viewport) => {
+            [...node.children].forEach(el => {
+                const tag = el.localName;
+                if (HIDDEN_TAGS.includes(tag) || el.getAttribute('display') === 'none') return;
+
+                const m = multiply(matrix, SvgReader.parseTransform(el.getAttribute('transform')));
+                if (tag === 'g' || tag === 'a' || tag === 'switch') { walk(el, m, viewport); return; }
+                if (tag === 'svg') {
+                    const inner = SvgReader.viewportTransform(el, viewport);
+                    if (inner) walk(el, multiply(m, inner.matrix), inner.viewport);
+                    return;
+                }
+                if (!SHAPE_TAGS.includes(tag)) {
+                    if (tag === 'use' || tag === 'text' || tag === 'image') skipped[tag] = (skipped[tag] || 0) + 1;
+                    return;
+                }
+
+                // Flatten finely enough for the transform's largest stretch
+                const stretch = Math.max(Math.hypot(m[0], m[1]), Math.hypot(m[2], m[3])) || 1;
+                const local = tolerance / (inchesPerUnit * stretch);
+
+                SvgReader.elementPaths(el, local).forEach(path => {
+                    let pts = path.points;
+                    const closed = path.closed || (pts.length > 2 && Geometry.dist(pts[0], pts[pts.length - 1]) <= local);
+                    if (!closed) { openPaths++; return; }
+
+                    pts = pts.map(p => {
+                        const w = apply(m, p);
+                        return { x: w.x * inchesPerUnit, y: w.y * inchesPerUnit };
+                    });
+                    pts = Geometry.cleanPolygon(pts, tolerance / 10);
+                    if (pts.length >= 3) outlines.push({ points: pts, holes: [], name: el.getAttribute('id') || null });
+                });
+            });
+        };
+        walk(svg, IDENTITY, SvgReader.rootViewport(svg));
+
+        return { outlines, openPaths, skipped };
+    }
+};
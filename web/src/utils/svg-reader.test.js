@@ -0,0 +1,91 @@
+/**
+ * @vitest-environment happy-dom
+ */
+import { describe, it, expect } from 'vitest';
+import { SvgReader } from './svg-reader.js';
+
+const svg = (body, attrs = 'width="10in" height="5in" viewBox="0 0 100 50"') =>
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attrs}>${body}</svg>`;
+
+const bounds = (pts) => ({
+    minX: Math.min(...pts.map(p => p.x)), maxX: Math.max(...pts.map(p => p.x)),
+    minY: Math.min(...pts.map(p => p.y)), maxY: Math.max(...pts.map(p => p.y))
+});
+
+describe('SvgReader', () => {
+    it('parses lengths in physical units', () => {
+        expect(SvgReader.parseLength('25.4mm')).toBeCloseTo(1);
+        expect(SvgReader.parseLength('96')).toBeCloseTo(1);
+        expect(SvgReader.parseLength('72pt')).toBeCloseTo(1);
+        expect(SvgReader.parseLength('100%')).toBeNull();
+    });
+
+    it('maps the viewBox onto the physical width', () => {
+        const { outlines } = SvgReader.read(svg('<rect id="Shelf" x="10" y="10" width="40" height="20"/>'));
+        expect(outlines).toHaveLength(1);
+        expect(outlines[0].name).toBe('Shelf');
+        expect(outlines[0].points).toHaveLength(4);
+        const b = bounds(outlines[0].points);
+        expect(b.maxX - b.minX).toBeCloseTo(4);
+        expect(b.maxY - b.minY).toBeCloseTo(2);
+    });
+
+    it('treats user units as CSS pixels without a viewBox', () => {
+        const { outlines } = SvgReader.read(svg('<polygon points="0,0 96,0 96,48"/>', ''));
+        expect(bounds(outlines[0].points).maxX).toBeCloseTo(1);
+    });
+
+    it('creates one outline per closed subpath and counts open ones', () => {
+        const d = 'M0 0 H10 V10 H0 Z m20 0 h10 v10 h-10 z M50 0 L60 0';
+        const { outlines, openPaths } = SvgReader.read(svg(`<path d="${d}"/>`));
+        expect(outlines).toHaveLength(2);
+        expect(bounds(outlines[1].points).minX).toBeCloseTo(2);
+        expect(openPaths).toBe(1);
+    });
+
+    it('flattens curves and arcs within tolerance', () => {
+        // Semicircle of radius 10 closed by its diameter, with packed arc flags
+        const { outlines } = SvgReader.read(svg('<path d="M0 20a10 10 0 0120 0z"/>'));
+        const pts = outlines[0].points;
+        expect(pts.length).toBeGreaterThan(10);
+        const b = bounds(pts);
+        expect(b.maxY - b.minY).toBeCloseTo(1, 2);
+
+        const curve = SvgReader.read(svg('<path d="M0 0 C0 20 20 20 20 0 S40 -20 40 0 Q20 40 0 0"/>'));
+        expect(curve.outlines).toHaveLength(1);
+        expect(curve.outlines[0].points.length).toBeGreaterThan(20);
+    });
+
+    it('applies nested transforms', () => {
+        const body = '<g transform="translate(50 0)"><rect transform="scale(2)" width="10" height="5"/></g>';
+        const b = bounds(SvgReader.read(svg(body)).outlines[0].points);
+        expect(b.minX).toBeCloseTo(5);
+        expect(b.maxX).toBeCloseTo(7);
+        expect(b.maxY).toBeCloseTo(1);
+    });
+
+    it('places nested svg elements by their viewport and viewBox', () => {
+        // Square viewBox in a wide viewport: scaled 2×, centered
+        const centered = '<svg x="10" y="20" width="40" height="20" viewBox="0 0 10 10"><rect width="10" height="10"/></svg>';
+        const a = bounds(SvgReader.read(svg(centered)).outlines[0].points);
+        expect(a.minX).toBeCloseTo(2);
+        expect(a.maxX).toBeCloseTo(4);
+        expect(a.minY).toBeCloseTo(2);
+        expect(a.maxY).toBeCloseTo(4);
+
+        // Percentages of the parent viewport, stretched to fill it
+        const stretched = '<svg width="50%" height="100%" viewBox="0 0 10 5" preserveAspectRatio="none"><rect width="10" height="5"/></svg>';
+        const b = bounds(SvgReader.read(svg(stretched)).outlines[0].points);
+        expect(b.maxX).toBeCloseTo(5);
+        expect(b.maxY).toBeCloseTo(5);
+
+        expect(SvgReader.read(svg('<svg width="0"><rect width="10" height="10"/></svg>')).outlines).toHaveLength(0);
+    });
+
+    it('skips definitions and reports unsupported elements', () => {
+        const body = '<defs><rect width="5" height="5"/></defs><text>Hi</text><circle cx="5" cy="5" r="5"/>';
+        const { outlines, skipped } = SvgReader.read(svg(body));
+        expect(outlines).toHaveLength(1);
+        expect(skipped).toEqual({ text: 1 });
+    });
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Paper Templates
+ * Geometry for full-scale (1:1) printed templates: the part outline with its
+ * joinery in inches, and the tiling of that drawing across sheets of paper
+ * with overlap, so large parts can be taped together from several pages.
+ */
+
+import { CONFIG } from '../core/config.js';
+import { Geometry } from './geometry.js';
+import { Grain } from './grain.js';
+
+/** Paper sizes in inches (portrait). */
+export const PAPER_SIZES = {
+    letter: { label: 'Letter (8.5 × 11 in)', width: 8.5, height: 11, css: 'letter' },
+    a4: { label: 'A4 (210 × 297 mm)', width: 210 / 25.4, height: 297 / 25.4, css: 'A4' }
+};
+
+/** Spreadsheet-style column letters: 0 → A, 25 → Z, 26 → AA. */
+const columnLabel = (index) => {
+    let label = '';
+    let n = index + 1;
+    while (n > 0) {
+        const r = (n - 1) % 26;
+        label = String.fromCharCode(65 + r) + label;
+        n = Math.floor((n - 1) / 26);
+    }
+    return label;
+};
+
+export const Template = {
+    columnLabel,
+
+    /**
+     * A shape's outline and joinery, as seen from the front, in inches.
+     * Back-face items sit where they are on the part, as in the DXF; edge tenons stick out of
+     * their edge along the outward normal, since they are part of the cut line.
+     * @returns {{outline: Array<{x: number, y: number}>, items: Array<{kind: string, face: string, points: Array}>, grain: Array}}
+     */
+    partGeometry: (shape) => {
+        const scale = CONFIG.SCALE_PIXELS_PER_INCH;
+        const toInches = (p) => ({ x: p.x / scale, y: p.y / scale });
+        const rect = (x, y, w, h) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+        const items = [];
+
+        // BACK joinery is stored in the mirrored BACK view; mirrored back into this
+        // front view it lands on the same footprint as FRONT joinery (as in the DXF)
+        const { origin } = Geometry.getFaceOrigin(shape, 'FRONT', scale);
+        ['FRONT', 'BACK'].forEach(face => {
+            const data = shape.faceData?.[face];
+            if (!data) return;
+            const place = (item, kind) => {
+                const x = origin.x / scale + item.x;
+                const y = origin.y / scale + item.y;
+                items.push({ kind, face, points: rect(x, y, item.w, item.h) });
+            };
+            (data.cutouts || []).forEach(c => place(c, 'cutout'));
+            (data.tenons || []).forEach(t => place(t, 'tenon'));
+        });
+
+        // Shoelace sign tells us which side of each edge is outside
+        let signed = 0;
+        shape.points.forEach((p, i) => {
+            const q = shape.points[(i + 1) % shape.points.length];
+            signed += p.x * q.y - q.x * p.y;
+        });
+        const side = signed >= 0 ? 1 : -1;
+
+        shape.points.forEach((p1, i) => {
+            const data = shape.faceData?.[`EDGE_${i}`];
+            if (!data || !data.tenons || data.tenons.length === 0) return;
+            const p2 = shape.points[(i + 1) % shape.points.length];
+            const d = Geometry.normalize({ x: p2.x - p1.x, y: p2.y - p1.y });
+            const n = { x: d.y * side, y: -d.x * side };
+            const start = toInches(p1);
+            const along = (t) => ({ x: start.x + d.x * t, y: start.y + d.y * t });
+
+            data.tenons.forEach(t => {
+                const a = along(t.x), b = along(t.x + t.w);
+                const depth = t.depth || 0;
+                items.push({
+                    kind: 'edge-tenon',
+                    face: `EDGE_${i}`,
+                    points: [a, b, { x: b.x + n.x * depth, y: b.y + n.y * depth }, { x: a.x + n.x * depth, y: a.y + n.y * depth }]
+                });
+            });
+        });
+
+        const outline = Geometry.flattenOutline(shape.points, scale);
+        return { outline, items, grain: Grain.arrow(outline, Grain.worldAngle(shape)) };
+    },
+
+    /**
+     * Tiles a drawing across pages. Neighbouring pages share `overlap` inches,
+     * so a mark placed overlap/2 in from a page edge lands on the same spot of
+     * the drawing as the matching mark on the next page.
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bounds - Drawing bounds, inches.
+     * @param {Object} options
+     * @param {number} options.width - Printable width per page, inches.
+     * @param {number} options.height - Printable height per page, inches.
+     * @param {number} [options.overlap]
+     * @returns {{cols: number, rows: number, pages: Array<{col: number, row: number, label: string, x: number, y: number, width: number, height: number}>}}
+     */
+    layout: (bounds, { width, height, overlap = 0.5 }) => {
+        const stepX = width - overlap, stepY = height - overlap;
+        if (stepX <= 0 || stepY <= 0) throw new Error('Overlap must be smaller than the printable area.');
+
+        const spanX = bounds.maxX - bounds.minX, spanY = bounds.maxY - bounds.minY;
+        const cols = Math.max(1, Math.ceil((spanX - overlap) / stepX));
+        const rows = Math.max(1, Math.ceil((spanY - overlap) / stepY));
+
+        // Center the drawing on the tiled area so no edge sits right at a page border
+        const x0 = bounds.minX - (cols * stepX + overlap - spanX) / 2;
+        const y0 = bounds.minY - (rows * stepY + overlap - spanY) / 2;
+
+        const pages = [];
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                pages.push({
+                    col, row,
+                    label: `${columnLabel(col)}${row + 1}`,
+                    x: x0 + col * stepX,
+                    y: y0 + row * stepY,
+                    width, height
+                });
+            }
+        }
+        return { cols, rows, pages };
+    }
+};
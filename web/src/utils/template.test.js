@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { Template } from './template.js';
+import { DxfWriter } from './dxf-writer.js';
+import { ShapeModel } from '../core/model.js';
+
+describe('Template', () => {
+    describe('layout', () => {
+        it('fits a small part on one page', () => {
+            const t = Template.layout({ minX: 0, minY: 0, maxX: 5, maxY: 5 }, { width: 7.7, height: 10.2, overlap: 0.5 });
+            expect(t.cols).toBe(1);
+            expect(t.rows).toBe(1);
+            expect(t.pages[0].label).toBe('A1');
+        });
+
+        it('tiles a long part with overlapping pages, labelled by column and row', () => {
+            const t = Template.layout({ minX: 0, minY: 0, maxX: 30, maxY: 12 }, { width: 8, height: 10, overlap: 1 });
+            // 30" across at 7" steps (+1" overlap) → 5 columns; 12" down at 9" steps → 2 rows
+            expect(t.cols).toBe(5);
+            expect(t.rows).toBe(2);
+            expect(t.pages.map(p => p.label).slice(0, 6)).toEqual(['A1', 'B1', 'C1', 'D1', 'E1', 'A2']);
+
+            const [a1, b1] = t.pages;
+            // Neighbours share exactly the overlap band
+            expect(a1.x + a1.width - b1.x).toBeCloseTo(1);
+            // The drawing is covered and centered
+            expect(a1.x).toBeLessThanOrEqual(0);
+            const last = t.pages[t.pages.length - 1];
+            expect(last.x + last.width).toBeGreaterThanOrEqual(30);
+            expect(0 - a1.x).toBeCloseTo(last.x + last.width - 30);
+        });
+
+        it('labels columns past Z like a spreadsheet', () => {
+            expect(Template.columnLabel(25)).toBe('Z');
+            expect(Template.columnLabel(26)).toBe('AA');
+        });
+    });
+
+    describe('partGeometry', () => {
+        const makeShape = () => ShapeModel.create([{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 50 }, { x: 0, y: 50 }], 'Rail');
+
+        it('returns the outline and FRONT joinery in inches', () => {
+            const shape = makeShape();
+            shape.faceData.FRONT.cutouts.push({ x: 2, y: 1, w: 3, h: 2, depth: 1 });
+            const g = Template.partGeometry(shape);
+            expect(g.outline[1]).toEqual({ x: 10, y: 0 });
+            expect(g.items).toEqual([
+                { kind: 'cutout', face: 'FRONT', points: [{ x: 2, y: 1 }, { x: 5, y: 1 }, { x: 5, y: 3 }, { x: 2, y: 3 }] }
+            ]);
+        });
+
+        it('places BACK items where the DXF does and pushes edge tenons outward', () => {
+            const shape = makeShape();
+            shape.faceData.BACK.cutouts.push({ x: 1, y: 1, w: 2, h: 1, depth: 0.5 });
+            shape.faceData.EDGE_1.tenons.push({ x: 1, y: 0, w: 3, h: 0.5, depth: 2, inset: 0 });
+            const g = Template.partGeometry(shape);
+
+            // Same footprint as the DXF: 1–3" from the left, not mirrored to 7–9"
+            const back = g.items.find(i => i.face === 'BACK');
+            expect(back.points).toEqual([{ x: 1, y: 1 }, { x: 3, y: 1 }, { x: 3, y: 2 }, { x: 1, y: 2 }]);
+            const dxf = DxfWriter.shapeLoops(shape).find(l => l.layer === 'BACK_POCKETS');
+            expect(dxf.points.map(p => p.x)).toEqual(back.points.map(p => p.x));
+
+            // Edge 1 runs down the right side (x = 10"), so the tenon reaches x = 12"
+            const tenon = g.items.find(i => i.kind === 'edge-tenon');
+            expect(Math.max(...tenon.points.map(p => p.x))).toBeCloseTo(12);
+            expect(Math.min(...tenon.points.map(p => p.y))).toBeCloseTo(1);
+        });
+
+        it('draws the grain arrow through the part, turned with the grain', () => {
+            const shape = makeShape();
+            const [along] = Template.partGeometry(shape).grain;
+            expect(along.start.y).toBeCloseTo(2.5);
+            expect(along.end.y).toBeCloseTo(2.5);
+            expect(along.end.x - along.start.x).toBeCloseTo(6);
+
+            shape.grainAngle = 90;
+            const [across] = Template.partGeometry(shape).grain;
+            expect(across.start.x).toBeCloseTo(across.end.x);
+            expect(Math.abs(across.end.y - across.start.y)).toBeCloseTo(3);
+        });
+    });
+});